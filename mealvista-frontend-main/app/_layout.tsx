@@ -21,6 +21,11 @@ export default function Layout() {
           <Stack.Screen name="home" /> {/* Home Screen */}
           <Stack.Screen name="profile" /> {/* Profile Screen */}
           <Stack.Screen name="favorites" /> {/* Favorites */}
+          <Stack.Screen name="pantry" /> {/* Pantry */}
+          <Stack.Screen name="mealPlanner" /> {/* Meal Planner */}
+          <Stack.Screen name="shoppingLists" /> {/* Shopping Lists */}
+          <Stack.Screen name="shoppingList" /> {/* Shopping List */}
+          <Stack.Screen name="foodDiary" /> {/* Food Diary */}
           <Stack.Screen name="editProfile" /> {/* Edit Profile */}
           <Stack.Screen name="recipeDetails" /> {/* Recipe Details */}
           <Stack.Screen name="instructions" /> {/* Instructions */}
@@ -29,12 +34,14 @@ export default function Layout() {
           <Stack.Screen name="micronutrients" /> {/* Micronutrients */}
           <Stack.Screen name="seeAllergens" /> {/* See Allergens */}
           <Stack.Screen name="saveSubstitution" /> {/* Save Substitution */}
+          <Stack.Screen name="shop" /> {/* Shop */}
           <Stack.Screen name="viewCart" /> {/* View Cart */}
           <Stack.Screen name="checkoutSummary" /> {/* Checkout Summary */}
           <Stack.Screen name="paymentMethod" /> {/* Payment Method */}
           <Stack.Screen name="cardDetails" /> {/* Card Details */}
           <Stack.Screen name="paymentSuccessful" /> {/* Payment Successful */}
           <Stack.Screen name="orderHistory" /> {/* Order History */}
+          <Stack.Screen name="orderTracking" /> {/* Order Tracking */}
           <Stack.Screen name="admin" /> {/* Admin Panel */}
         </Stack>
       </FavoritesProvider>
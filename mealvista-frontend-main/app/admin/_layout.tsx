@@ -8,6 +8,10 @@ export default function AdminLayout() {
       <Stack.Screen name="inventory" />
       <Stack.Screen name="inventory/add" />
       <Stack.Screen name="inventory/edit" />
+      <Stack.Screen name="inventory/expiring" />
+      <Stack.Screen name="orders" />
+      <Stack.Screen name="purchaseOrders" />
+      <Stack.Screen name="suppliers" />
     </Stack>
   );
 }
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import {
   View,
   Text,
@@ -7,11 +7,20 @@ import {
   ScrollView,
   StatusBar,
   ActivityIndicator,
+  Alert,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
 import { logout, getProfile, getAllUsers, getInventory } from "../../lib/authService";
 import { AuthUser } from "../../lib/authService";
+import {
+  getReorderSuggestions,
+  runLowStockCheck,
+  approveReorder,
+  receiveReorder,
+  dismissReorder,
+  ReorderSuggestion,
+} from "../../lib/reorderService";
 
 export default function AdminDashboard() {
   const router = useRouter();
@@ -19,10 +28,26 @@ export default function AdminDashboard() {
   const [loading, setLoading] = useState(true);
   const [userCount, setUserCount] = useState(0);
   const [inventoryCount, setInventoryCount] = useState(0);
+  const [alerts, setAlerts] = useState<ReorderSuggestion[]>([]);
+  const [alertsLoading, setAlertsLoading] = useState(true);
+  const [checking, setChecking] = useState(false);
+  const [actingId, setActingId] = useState<string | null>(null);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const response = await getReorderSuggestions();
+      setAlerts(response.suggestions);
+    } catch (error) {
+      console.error("Failed to load stock alerts:", error);
+    } finally {
+      setAlertsLoading(false);
+    }
+  }, []);
 
   useEffect(() => {
     loadDashboardData();
-  }, []);
+    loadAlerts();
+  }, [loadAlerts]);
 
   const loadDashboardData = async () => {
     try {
@@ -42,6 +67,79 @@ export default function AdminDashboard() {
     }
   };
 
+  const handleRunCheck = async () => {
+    try {
+      setChecking(true);
+      const result = await runLowStockCheck();
+      await loadAlerts();
+      Alert.alert("Stock Check Complete", result.message);
+    } catch (error: any) {
+      Alert.alert("Error", error.response?.data?.message || "Failed to check stock levels");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Run a reorder action and replace the suggestion with the server's copy
+  const actOnAlert = async (
+    suggestion: ReorderSuggestion,
+    action: () => Promise<{ suggestion: ReorderSuggestion }>
+  ) => {
+    try {
+      setActingId(suggestion.id);
+      const response = await action();
+      setAlerts((prev) =>
+        response.suggestion.status === "open" || response.suggestion.status === "approved"
+          ? prev.map((item) => (item.id === suggestion.id ? response.suggestion : item))
+          : prev.filter((item) => item.id !== suggestion.id)
+      );
+    } catch (error: any) {
+      Alert.alert("Error", error.response?.data?.message || "Failed to update reorder");
+      loadAlerts();
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleApprove = (suggestion: ReorderSuggestion) => {
+    const unit = suggestion.inventory?.unit || "";
+    Alert.alert(
+      "Approve Reorder",
+      `Order ${suggestion.suggestedQuantity} ${unit} of ${suggestion.inventory?.name || "this item"}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Approve", onPress: () => actOnAlert(suggestion, () => approveReorder(suggestion.id)) },
+      ]
+    );
+  };
+
+  const handleReceive = (suggestion: ReorderSuggestion) => {
+    const unit = suggestion.inventory?.unit || "";
+    Alert.alert(
+      "Delivery Arrived",
+      `Add ${suggestion.approvedQuantity} ${unit} to stock?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Receive", onPress: () => actOnAlert(suggestion, () => receiveReorder(suggestion.id)) },
+      ]
+    );
+  };
+
+  const handleDismiss = (suggestion: ReorderSuggestion) => {
+    Alert.alert(
+      "Dismiss Alert",
+      `Stop suggesting a reorder for ${suggestion.inventory?.name || "this item"}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Dismiss",
+          style: "destructive",
+          onPress: () => actOnAlert(suggestion, () => dismissReorder(suggestion.id)),
+        },
+      ]
+    );
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -68,6 +166,22 @@ export default function AdminDashboard() {
       color: "#10B981",
       route: "/admin/inventory",
     },
+    {
+      id: "orders",
+      title: "Order Management",
+      description: "Track customer orders, update status, cancel and refund",
+      icon: "receipt-outline",
+      color: "#F59E0B",
+      route: "/admin/orders",
+    },
+    {
+      id: "purchasing",
+      title: "Purchasing",
+      description: "Order from suppliers, receive deliveries and track unit costs",
+      icon: "cube-outline",
+      color: "#3B82F6",
+      route: "/admin/purchaseOrders",
+    },
   ];
 
   return (
@@ -119,6 +233,89 @@ export default function AdminDashboard() {
           </View>
         </View>
 
+        {/* Stock Alerts */}
+        <View style={styles.alertsPanel}>
+          <View style={styles.alertsHeader}>
+            <View style={styles.alertsTitleRow}>
+              <Ionicons name="warning-outline" size={20} color="#F59E0B" />
+              <Text style={styles.alertsTitle}>Alerts</Text>
+              {alerts.length > 0 && (
+                <View style={styles.alertsBadge}>
+                  <Text style={styles.alertsBadgeText}>{alerts.length}</Text>
+                </View>
+              )}
+            </View>
+            <TouchableOpacity onPress={handleRunCheck} disabled={checking}>
+              {checking ? (
+                <ActivityIndicator size="small" color="#3C2253" />
+              ) : (
+                <Text style={styles.alertsAction}>Check now</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+
+          {alertsLoading ? (
+            <ActivityIndicator size="small" color="#3C2253" style={{ marginVertical: 12 }} />
+          ) : alerts.length === 0 ? (
+            <Text style={styles.alertsEmpty}>All items are above their minimum stock</Text>
+          ) : (
+            alerts.map((suggestion) => {
+              const unit = suggestion.inventory?.unit || "";
+              const approved = suggestion.status === "approved";
+              const purchaseOrder = suggestion.purchaseOrder;
+              return (
+                <View key={suggestion.id} style={styles.alertRow}>
+                  <View style={styles.alertInfo}>
+                    <Text style={styles.alertName}>
+                      {suggestion.inventory?.name || "Deleted item"}
+                    </Text>
+                    <Text style={styles.alertMeta}>
+                      {suggestion.inventory?.stock ?? suggestion.stock} {unit} left · min{" "}
+                      {suggestion.minStock}
+                      {suggestion.daysOfStockLeft !== null
+                        ? ` · ~${suggestion.daysOfStockLeft} days`
+                        : ""}
+                    </Text>
+                    <Text style={[styles.alertSuggestion, approved && styles.alertApproved]}>
+                      {purchaseOrder
+                        ? `On ${purchaseOrder.poNumber}, awaiting delivery`
+                        : approved
+                        ? `Ordered ${suggestion.approvedQuantity} ${unit}, awaiting delivery`
+                        : `Reorder ${suggestion.suggestedQuantity} ${unit}`}
+                    </Text>
+                  </View>
+                  {actingId === suggestion.id ? (
+                    <ActivityIndicator size="small" color="#3C2253" />
+                  ) : (
+                    <View style={styles.alertButtons}>
+                      <TouchableOpacity
+                        style={styles.alertPrimaryButton}
+                        onPress={() =>
+                          purchaseOrder
+                            ? router.push({ pathname: "/admin/purchaseOrders", params: { id: purchaseOrder._id } })
+                            : approved
+                            ? handleReceive(suggestion)
+                            : handleApprove(suggestion)
+                        }
+                      >
+                        <Text style={styles.alertPrimaryButtonText}>
+                          {purchaseOrder ? "View PO" : approved ? "Received" : "Approve"}
+                        </Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.alertDismissButton}
+                        onPress={() => handleDismiss(suggestion)}
+                      >
+                        <Ionicons name="close" size={18} color="#6B7280" />
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              );
+            })
+          )}
+        </View>
+
         {/* Menu Items */}
         <View style={styles.menuContainer}>
           {menuItems.map((item) => (
@@ -204,6 +401,105 @@ const styles = StyleSheet.create({
     color: "#6B7280",
     marginTop: 4,
   },
+  alertsPanel: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 24,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  alertsHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  alertsTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  alertsTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  alertsBadge: {
+    backgroundColor: "#F59E0B",
+    borderRadius: 10,
+    minWidth: 20,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    alignItems: "center",
+  },
+  alertsBadgeText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  alertsAction: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3C2253",
+  },
+  alertsEmpty: {
+    fontSize: 14,
+    color: "#6B7280",
+    paddingVertical: 8,
+  },
+  alertRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#F3F4F6",
+  },
+  alertInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  alertName: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  alertMeta: {
+    fontSize: 12,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  alertSuggestion: {
+    fontSize: 13,
+    fontWeight: "500",
+    color: "#F59E0B",
+    marginTop: 4,
+  },
+  alertApproved: {
+    color: "#10B981",
+  },
+  alertButtons: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  alertPrimaryButton: {
+    backgroundColor: "#3C2253",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  alertPrimaryButtonText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  alertDismissButton: {
+    padding: 6,
+  },
   menuContainer: {
     gap: 16,
   },
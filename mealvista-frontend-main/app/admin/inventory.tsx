@@ -11,10 +11,42 @@ import {
   RefreshControl,
   Image,
   Alert,
+  Modal,
+  Share,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter, useFocusEffect } from "expo-router";
-import { getInventory, InventoryItem, deleteInventoryItem } from "../../lib/authService";
+import {
+  getInventory,
+  InventoryItem,
+  deleteInventoryItem,
+  exportInventory,
+  importInventory,
+  InventoryImportResponse,
+  ImportAction,
+} from "../../lib/authService";
+
+const IMPORT_ACTION_LABELS: Record<ImportAction, string> = {
+  create: "New",
+  update: "Updated",
+  unchanged: "Unchanged",
+  invalid: "Invalid",
+  failed: "Failed",
+};
+
+const IMPORT_ACTION_COLORS: Record<ImportAction, string> = {
+  create: "#10B981",
+  update: "#3B82F6",
+  unchanged: "#6B7280",
+  invalid: "#DC2626",
+  failed: "#DC2626",
+};
+
+// Rows listed in the import preview; the summary still counts every row
+const MAX_PREVIEW_ROWS = 100;
+
+const IMPORT_PLACEHOLDER =
+  "name,category,unit,stock,minStock,maxStock,price,available\nBasmati Rice,Grains,kg,120,20,500,350,true";
 
 export default function InventoryManagement() {
   const router = useRouter();
@@ -25,6 +57,11 @@ export default function InventoryManagement() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [exporting, setExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [importPreview, setImportPreview] = useState<InventoryImportResponse | null>(null);
 
   const loadInventory = useCallback(async () => {
     try {
@@ -105,6 +142,75 @@ export default function InventoryManagement() {
     }
   };
 
+  // Share the filtered list as CSV so it can be edited in a spreadsheet and imported back
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const csv = await exportInventory(
+        "csv",
+        selectedCategory === "all" ? undefined : selectedCategory,
+        searchQuery || undefined
+      );
+      await Share.share({ title: "inventory.csv", message: csv });
+    } catch (err: any) {
+      Alert.alert("Export Failed", err.response?.data?.message || "Failed to export inventory");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const closeImport = () => {
+    setShowImport(false);
+    setImportText("");
+    setImportPreview(null);
+  };
+
+  const handlePreviewImport = async () => {
+    if (!importText.trim()) {
+      Alert.alert("Error", "Paste CSV or JSON to import");
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setImportPreview(await importInventory(importText));
+    } catch (err: any) {
+      setImportPreview(null);
+      Alert.alert("Import Failed", err.response?.data?.message || "Failed to read import data");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      const result = await importInventory(importText, { dryRun: false });
+      if (result.summary.failed > 0) {
+        setImportPreview(result);
+        Alert.alert("Import Incomplete", `${result.message}. ${result.summary.failed} row(s) failed.`);
+      } else {
+        closeImport();
+        Alert.alert("Import Complete", result.message);
+      }
+      loadInventory();
+    } catch (err: any) {
+      // 422 comes back with the preview so the invalid rows can be shown
+      if (err.response?.data?.rows) {
+        setImportPreview(err.response.data);
+      }
+      Alert.alert("Import Failed", err.response?.data?.message || "Failed to import inventory");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const importChanges = importPreview
+    ? importPreview.summary.create + importPreview.summary.update
+    : 0;
+  const canImport =
+    !!importPreview && importPreview.dryRun && importPreview.summary.invalid === 0 && importChanges > 0;
+
   const handleEdit = (item: InventoryItem) => {
     router.push({
       pathname: "/admin/inventory/edit",
@@ -254,6 +360,29 @@ export default function InventoryManagement() {
           />
         </View>
 
+        {/* Bulk Import / Export */}
+        <View style={styles.bulkActions}>
+          <TouchableOpacity style={styles.bulkButton} onPress={() => setShowImport(true)}>
+            <Ionicons name="cloud-upload-outline" size={18} color="#3C2253" />
+            <Text style={styles.bulkButtonText}>Import</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.bulkButton} onPress={handleExport} disabled={exporting}>
+            {exporting ? (
+              <ActivityIndicator size="small" color="#3C2253" />
+            ) : (
+              <Ionicons name="download-outline" size={18} color="#3C2253" />
+            )}
+            <Text style={styles.bulkButtonText}>Export</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.bulkButton}
+            onPress={() => router.push("/admin/inventory/expiring")}
+          >
+            <Ionicons name="time-outline" size={18} color="#3C2253" />
+            <Text style={styles.bulkButtonText}>Expiring</Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Category Filter */}
         <View style={styles.categoryContainer}>
           <ScrollView
@@ -421,6 +550,115 @@ export default function InventoryManagement() {
           </View>
         )}
       </ScrollView>
+
+      {/* Bulk Import */}
+      <Modal visible={showImport} animationType="slide" onRequestClose={closeImport}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <TouchableOpacity onPress={closeImport} style={styles.backButton}>
+              <Ionicons name="close" size={24} color="#FFFFFF" />
+            </TouchableOpacity>
+            <Text style={styles.headerTitle}>Import Inventory</Text>
+            <View style={styles.headerSpacer} />
+          </View>
+
+          <ScrollView contentContainerStyle={styles.scrollContent}>
+            <Text style={styles.importHint}>
+              Paste CSV with a header row, or a JSON array of items. Items are matched by name
+              and category: existing ones are updated and the rest are added. Stock changes are
+              recorded as stock movements.
+            </Text>
+            <TextInput
+              style={styles.importInput}
+              multiline
+              placeholder={IMPORT_PLACEHOLDER}
+              placeholderTextColor="#9CA3AF"
+              value={importText}
+              onChangeText={(text) => {
+                setImportText(text);
+                setImportPreview(null);
+              }}
+              autoCapitalize="none"
+              autoCorrect={false}
+              textAlignVertical="top"
+            />
+
+            <TouchableOpacity
+              style={[styles.importButton, styles.previewButton]}
+              onPress={handlePreviewImport}
+              disabled={importing}
+            >
+              {importing && !importPreview ? (
+                <ActivityIndicator color="#3C2253" />
+              ) : (
+                <Text style={styles.previewButtonText}>Preview</Text>
+              )}
+            </TouchableOpacity>
+
+            {importPreview && (
+              <View style={styles.previewContainer}>
+                <Text style={styles.previewMessage}>{importPreview.message}</Text>
+                <View style={styles.summaryRow}>
+                  {(Object.keys(IMPORT_ACTION_LABELS) as ImportAction[])
+                    .filter((action) => importPreview.summary[action] > 0)
+                    .map((action) => (
+                      <View
+                        key={action}
+                        style={[styles.summaryChip, { backgroundColor: `${IMPORT_ACTION_COLORS[action]}15` }]}
+                      >
+                        <Text style={[styles.summaryChipText, { color: IMPORT_ACTION_COLORS[action] }]}>
+                          {importPreview.summary[action]} {IMPORT_ACTION_LABELS[action]}
+                        </Text>
+                      </View>
+                    ))}
+                </View>
+
+                {importPreview.rows
+                  .filter((row) => row.action !== "unchanged")
+                  .slice(0, MAX_PREVIEW_ROWS)
+                  .map((row) => (
+                    <View key={row.row} style={styles.previewRow}>
+                      <View style={styles.previewRowHeader}>
+                        <Text style={styles.previewRowTitle} numberOfLines={1}>
+                          Row {row.row}: {row.name || "(no name)"}
+                          {row.category ? ` · ${row.category}` : ""}
+                        </Text>
+                        <Text style={[styles.previewRowAction, { color: IMPORT_ACTION_COLORS[row.action] }]}>
+                          {IMPORT_ACTION_LABELS[row.action]}
+                        </Text>
+                      </View>
+                      {row.errors?.map((message) => (
+                        <Text key={message} style={styles.previewError}>
+                          {message}
+                        </Text>
+                      ))}
+                      {row.action === "update" &&
+                        Object.entries(row.changes || {}).map(([field, change]) => (
+                          <Text key={field} style={styles.previewChange}>
+                            {field}: {String(change.from ?? "—")} → {String(change.to)}
+                          </Text>
+                        ))}
+                    </View>
+                  ))}
+              </View>
+            )}
+
+            <TouchableOpacity
+              style={[styles.importButton, !canImport && styles.importButtonDisabled]}
+              onPress={handleImport}
+              disabled={!canImport || importing}
+            >
+              {importing && importPreview ? (
+                <ActivityIndicator color="#FFFFFF" />
+              ) : (
+                <Text style={styles.importButtonText}>
+                  Import {importChanges} item{importChanges === 1 ? "" : "s"}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </Modal>
     </View>
   );
 }
@@ -450,6 +688,131 @@ const styles = StyleSheet.create({
   addButton: {
     padding: 8,
   },
+  headerSpacer: {
+    width: 40,
+  },
+  bulkActions: {
+    flexDirection: "row",
+    gap: 12,
+    marginBottom: 16,
+  },
+  bulkButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    paddingVertical: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  bulkButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3C2253",
+  },
+  importHint: {
+    fontSize: 14,
+    color: "#6B7280",
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  importInput: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    padding: 16,
+    minHeight: 180,
+    fontSize: 13,
+    color: "#111827",
+    fontFamily: "monospace",
+  },
+  importButton: {
+    backgroundColor: "#3C2253",
+    borderRadius: 12,
+    padding: 16,
+    alignItems: "center",
+    marginTop: 16,
+  },
+  importButtonDisabled: {
+    opacity: 0.5,
+  },
+  importButtonText: {
+    color: "#FFFFFF",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  previewButton: {
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#3C2253",
+  },
+  previewButtonText: {
+    color: "#3C2253",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  previewContainer: {
+    marginTop: 20,
+  },
+  previewMessage: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 12,
+  },
+  summaryRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 12,
+  },
+  summaryChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+  },
+  summaryChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  previewRow: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  previewRowHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  previewRowTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+    marginRight: 8,
+  },
+  previewRowAction: {
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  previewError: {
+    fontSize: 13,
+    color: "#DC2626",
+    marginTop: 4,
+  },
+  previewChange: {
+    fontSize: 13,
+    color: "#6B7280",
+    marginTop: 4,
+  },
   scrollContent: {
     padding: 20,
   },
@@ -69,7 +69,6 @@ export default function AddIngredient() {
         price: parseFloat(price) || 0,
         available: available,
         category: "Ingredients", // Default category
-        status: available && parseFloat(quantity) > 0 ? "in_stock" : "out_of_stock",
       };
 
       if (image) {
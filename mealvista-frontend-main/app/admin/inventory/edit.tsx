@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -16,13 +16,79 @@ import { useRouter, useLocalSearchParams } from "expo-router";
 import {
   getInventoryItem,
   updateInventoryItem,
+  getStockMovements,
+  recordStockMovement,
+  getInventoryLots,
+  getPriceHistory,
+  schedulePriceChange,
+  cancelPriceChange,
   InventoryItem,
+  PriceChange,
+  PriceChangeStatus,
+  StockMovement,
+  StockMovementType,
+  StockLot,
 } from "../../../lib/authService";
 import * as ImagePicker from "expo-image-picker";
 import { Image } from "react-native";
 
 const UNITS = ["kg", "g", "L", "mL", "piece", "packet", "box", "bottle"];
 
+const MOVEMENT_TYPES: { key: StockMovementType; label: string; hint: string }[] = [
+  { key: "receive", label: "Receive", hint: "Delivery from a supplier" },
+  { key: "adjustment", label: "Adjust", hint: "Stock count correction (use a negative amount to lower stock)" },
+  { key: "spoilage", label: "Spoilage", hint: "Expired or damaged stock" },
+  { key: "return", label: "Return", hint: "Customer return back on the shelf" },
+  { key: "sale", label: "Sale", hint: "Sold outside the app" },
+];
+
+// Adjustments and spoilage must say why stock changed
+const REASON_REQUIRED: StockMovementType[] = ["adjustment", "spoilage"];
+
+const MOVEMENT_LABELS: Record<StockMovementType, string> = {
+  receive: "Received",
+  sale: "Sale",
+  adjustment: "Adjustment",
+  spoilage: "Spoilage",
+  return: "Return",
+};
+
+const STATUS_LABELS: Record<InventoryItem["status"], string> = {
+  in_stock: "Available",
+  low_stock: "Low Stock",
+  out_of_stock: "Out of Stock",
+};
+
+const STATUS_COLORS: Record<InventoryItem["status"], string> = {
+  in_stock: "#10B981",
+  low_stock: "#F59E0B",
+  out_of_stock: "#EF4444",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatDay = (dateString: string) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const PRICE_STATUS_LABELS: Record<PriceChangeStatus, string> = {
+  scheduled: "Scheduled",
+  active: "Current",
+  ended: "Ended",
+  cancelled: "Cancelled",
+};
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
 export default function EditIngredient() {
   const router = useRouter();
   const params = useLocalSearchParams();
@@ -31,15 +97,70 @@ export default function EditIngredient() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [name, setName] = useState("");
-  const [quantity, setQuantity] = useState("0");
+  const [stock, setStock] = useState(0);
+  const [stockStatus, setStockStatus] = useState<InventoryItem["status"]>("in_stock");
   const [unit, setUnit] = useState("kg");
   const [price, setPrice] = useState("0.00");
+  const [unitCost, setUnitCost] = useState<number | null>(null);
   const [available, setAvailable] = useState(true);
   const [image, setImage] = useState<string | null>(null);
   const [showUnitPicker, setShowUnitPicker] = useState(false);
+  const [movements, setMovements] = useState<StockMovement[]>([]);
+  const [movementsLoading, setMovementsLoading] = useState(false);
+  const [movementType, setMovementType] = useState<StockMovementType>("receive");
+  const [movementQuantity, setMovementQuantity] = useState("");
+  const [movementReason, setMovementReason] = useState("");
+  const [recording, setRecording] = useState(false);
+  const [lotExpiry, setLotExpiry] = useState("");
+  const [lotSupplier, setLotSupplier] = useState("");
+  const [lotNumber, setLotNumber] = useState("");
+  const [lots, setLots] = useState<StockLot[]>([]);
+  const [untrackedStock, setUntrackedStock] = useState(0);
+  const [priceChanges, setPriceChanges] = useState<PriceChange[]>([]);
+  const [newPrice, setNewPrice] = useState("");
+  const [priceFrom, setPriceFrom] = useState("");
+  const [priceTo, setPriceTo] = useState("");
+  const [priceReason, setPriceReason] = useState("");
+  const [schedulingPrice, setSchedulingPrice] = useState(false);
+  const [priceDate, setPriceDate] = useState("");
+  const [priceOnDate, setPriceOnDate] = useState<number | null>(null);
+
+  const loadPriceHistory = useCallback(async () => {
+    try {
+      const response = await getPriceHistory(itemId);
+      setPriceChanges(response.changes);
+    } catch (error: any) {
+      console.error("Failed to load price history:", error);
+    }
+  }, [itemId]);
+
+  const loadLots = useCallback(async () => {
+    try {
+      const response = await getInventoryLots(itemId);
+      setLots(response.lots);
+      setUntrackedStock(response.untracked);
+    } catch (error: any) {
+      console.error("Failed to load lots:", error);
+    }
+  }, [itemId]);
+
+  const loadMovements = useCallback(async () => {
+    try {
+      setMovementsLoading(true);
+      const response = await getStockMovements(itemId, { limit: 50 });
+      setMovements(response.movements);
+    } catch (error: any) {
+      console.error("Failed to load stock movements:", error);
+    } finally {
+      setMovementsLoading(false);
+    }
+  }, [itemId]);
 
   useEffect(() => {
     loadItem();
+    loadMovements();
+    loadLots();
+    loadPriceHistory();
   }, [itemId]);
 
   const loadItem = async () => {
@@ -48,9 +169,11 @@ export default function EditIngredient() {
       const response = await getInventoryItem(itemId);
       const item = response.item;
       setName(item.name);
-      setQuantity(item.stock.toString());
+      setStock(item.stock);
+      setStockStatus(item.status);
       setUnit(item.unit);
       setPrice(item.price.toString());
+      setUnitCost(item.unitCost ?? null);
       setAvailable(item.available !== false);
       if (item.image) {
         setImage(item.image);
@@ -88,21 +211,14 @@ export default function EditIngredient() {
       return;
     }
 
-    if (parseFloat(quantity) < 0) {
-      Alert.alert("Error", "Quantity cannot be negative");
-      return;
-    }
-
     try {
       setSaving(true);
+      // Stock and status are not sent: stock only changes through movements
       const itemData: any = {
         name: name.trim(),
-        stock: parseFloat(quantity) || 0,
         unit: unit,
         price: parseFloat(price) || 0,
         available: available,
-        status:
-          available && parseFloat(quantity) > 0 ? "in_stock" : "out_of_stock",
       };
 
       if (image) {
@@ -136,6 +252,129 @@ export default function EditIngredient() {
     }
   };
 
+  const handleRecordMovement = async () => {
+    const amount = parseFloat(movementQuantity);
+    if (!amount || (movementType !== "adjustment" && amount < 0)) {
+      Alert.alert(
+        "Error",
+        movementType === "adjustment"
+          ? "Please enter a non-zero amount"
+          : "Please enter a positive quantity"
+      );
+      return;
+    }
+
+    if (REASON_REQUIRED.includes(movementType) && !movementReason.trim()) {
+      Alert.alert("Error", "Please enter a reason for this movement");
+      return;
+    }
+
+    const receiving = movementType === "receive";
+    if (receiving && lotExpiry.trim() && !DATE_PATTERN.test(lotExpiry.trim())) {
+      Alert.alert("Error", "Enter the expiry date as YYYY-MM-DD");
+      return;
+    }
+
+    try {
+      setRecording(true);
+      const response = await recordStockMovement(itemId, {
+        type: movementType,
+        quantity: amount,
+        reason: movementReason.trim() || undefined,
+        ...(receiving && {
+          expiresAt: lotExpiry.trim() || undefined,
+          supplier: lotSupplier.trim() || undefined,
+          lotNumber: lotNumber.trim() || undefined,
+        }),
+      });
+      setStock(response.item.stock);
+      setStockStatus(response.item.status);
+      setMovements((prev) => [response.movement, ...prev]);
+      setMovementQuantity("");
+      setMovementReason("");
+      setLotExpiry("");
+      setLotSupplier("");
+      setLotNumber("");
+      loadLots();
+    } catch (error: any) {
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to record stock movement"
+      );
+    } finally {
+      setRecording(false);
+    }
+  };
+
+  const handleSchedulePrice = async () => {
+    const amount = parseFloat(newPrice);
+    if (Number.isNaN(amount) || amount < 0) {
+      Alert.alert("Error", "Please enter the new price");
+      return;
+    }
+    if (
+      (priceFrom.trim() && !DATE_PATTERN.test(priceFrom.trim())) ||
+      (priceTo.trim() && !DATE_PATTERN.test(priceTo.trim()))
+    ) {
+      Alert.alert("Error", "Enter dates as YYYY-MM-DD");
+      return;
+    }
+
+    try {
+      setSchedulingPrice(true);
+      const response = await schedulePriceChange(itemId, {
+        price: amount,
+        effectiveFrom: priceFrom.trim() || undefined,
+        effectiveTo: priceTo.trim() || undefined,
+        reason: priceReason.trim() || undefined,
+      });
+      if (response.item) {
+        setPrice(response.item.price.toString());
+      }
+      setNewPrice("");
+      setPriceFrom("");
+      setPriceTo("");
+      setPriceReason("");
+      loadPriceHistory();
+      Alert.alert("Success", response.message);
+    } catch (error: any) {
+      Alert.alert("Error", error.response?.data?.message || "Failed to change price");
+    } finally {
+      setSchedulingPrice(false);
+    }
+  };
+
+  const handleCancelPrice = (change: PriceChange) => {
+    Alert.alert("Cancel Price Change", `Cancel the change to $${change.price.toFixed(2)}?`, [
+      { text: "Keep", style: "cancel" },
+      {
+        text: "Cancel Change",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await cancelPriceChange(itemId, change.id);
+            loadPriceHistory();
+          } catch (error: any) {
+            Alert.alert("Error", error.response?.data?.message || "Failed to cancel price change");
+          }
+        },
+      },
+    ]);
+  };
+
+  const handlePriceLookup = async () => {
+    if (!DATE_PATTERN.test(priceDate.trim())) {
+      Alert.alert("Error", "Enter the date as YYYY-MM-DD");
+      return;
+    }
+    try {
+      const response = await getPriceHistory(itemId, priceDate.trim());
+      setPriceOnDate(response.priceAt ?? null);
+    } catch (error: any) {
+      Alert.alert("Error", error.response?.data?.message || "Failed to look up price");
+    }
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -200,18 +439,23 @@ export default function EditIngredient() {
             />
           </View>
 
-          {/* Quantity & Unit */}
+          {/* Stock & Unit */}
           <View style={styles.fieldContainer}>
-            <Text style={styles.label}>Quantity & Unit</Text>
+            <Text style={styles.label}>Stock & Unit</Text>
             <View style={styles.quantityRow}>
-              <TextInput
-                style={[styles.input, styles.quantityInput]}
-                placeholder="0"
-                placeholderTextColor="#9CA3AF"
-                value={quantity}
-                onChangeText={setQuantity}
-                keyboardType="numeric"
-              />
+              <View style={[styles.input, styles.quantityInput, styles.stockDisplay]}>
+                <Text style={styles.stockValue}>{stock}</Text>
+                <View
+                  style={[
+                    styles.statusBadge,
+                    { backgroundColor: STATUS_COLORS[stockStatus] + "22" },
+                  ]}
+                >
+                  <Text style={[styles.statusText, { color: STATUS_COLORS[stockStatus] }]}>
+                    {STATUS_LABELS[stockStatus]}
+                  </Text>
+                </View>
+              </View>
               <TouchableOpacity
                 style={styles.unitButton}
                 onPress={() => setShowUnitPicker(!showUnitPicker)}
@@ -220,6 +464,9 @@ export default function EditIngredient() {
                 <Ionicons name="chevron-down" size={20} color="#6B7280" />
               </TouchableOpacity>
             </View>
+            <Text style={styles.fieldHint}>
+              Stock changes are recorded as movements below
+            </Text>
             {showUnitPicker && (
               <View style={styles.unitPicker}>
                 {UNITS.map((u) => (
@@ -262,6 +509,14 @@ export default function EditIngredient() {
                 keyboardType="decimal-pad"
               />
             </View>
+            {unitCost !== null && (
+              <Text style={styles.fieldHint}>
+                Unit cost ${unitCost.toFixed(2)}
+                {parseFloat(price) > 0
+                  ? ` · margin ${(Math.round(((parseFloat(price) - unitCost) / parseFloat(price)) * 1000) / 10)}%`
+                  : ""}
+              </Text>
+            )}
           </View>
 
           {/* Availability */}
@@ -295,6 +550,296 @@ export default function EditIngredient() {
             <Text style={styles.saveButtonText}>Save Ingredient</Text>
           )}
         </TouchableOpacity>
+
+        {/* Record Stock Movement */}
+        <View style={styles.sectionCard}>
+          <Text style={styles.sectionTitle}>Record Stock Movement</Text>
+          <View style={styles.typeRow}>
+            {MOVEMENT_TYPES.map((type) => (
+              <TouchableOpacity
+                key={type.key}
+                style={[
+                  styles.typeChip,
+                  movementType === type.key && styles.typeChipActive,
+                ]}
+                onPress={() => setMovementType(type.key)}
+              >
+                <Text
+                  style={[
+                    styles.typeChipText,
+                    movementType === type.key && styles.typeChipTextActive,
+                  ]}
+                >
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.fieldHint}>
+            {MOVEMENT_TYPES.find((type) => type.key === movementType)?.hint}
+          </Text>
+
+          <View style={[styles.quantityRow, styles.movementInputs]}>
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              placeholder={`Quantity (${unit})`}
+              placeholderTextColor="#9CA3AF"
+              value={movementQuantity}
+              onChangeText={setMovementQuantity}
+              keyboardType={movementType === "adjustment" ? "numbers-and-punctuation" : "decimal-pad"}
+            />
+          </View>
+          <TextInput
+            style={[styles.input, styles.movementInputs]}
+            placeholder={
+              REASON_REQUIRED.includes(movementType) ? "Reason (required)" : "Reason (optional)"
+            }
+            placeholderTextColor="#9CA3AF"
+            value={movementReason}
+            onChangeText={setMovementReason}
+          />
+          {movementType === "receive" && (
+            <>
+              <TextInput
+                style={[styles.input, styles.movementInputs]}
+                placeholder="Expiry date (YYYY-MM-DD, optional)"
+                placeholderTextColor="#9CA3AF"
+                value={lotExpiry}
+                onChangeText={setLotExpiry}
+                keyboardType="numbers-and-punctuation"
+              />
+              <View style={[styles.quantityRow, styles.movementInputs]}>
+                <TextInput
+                  style={[styles.input, styles.quantityInput]}
+                  placeholder="Supplier (optional)"
+                  placeholderTextColor="#9CA3AF"
+                  value={lotSupplier}
+                  onChangeText={setLotSupplier}
+                />
+                <TextInput
+                  style={[styles.input, styles.quantityInput]}
+                  placeholder="Lot no. (optional)"
+                  placeholderTextColor="#9CA3AF"
+                  value={lotNumber}
+                  onChangeText={setLotNumber}
+                  autoCapitalize="characters"
+                />
+              </View>
+            </>
+          )}
+
+          <TouchableOpacity
+            style={[styles.recordButton, recording && styles.saveButtonDisabled]}
+            onPress={handleRecordMovement}
+            disabled={recording}
+          >
+            {recording ? (
+              <ActivityIndicator color="#3C2253" />
+            ) : (
+              <Text style={styles.recordButtonText}>Record Movement</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Lots */}
+        <View style={styles.sectionCard}>
+          <Text style={styles.sectionTitle}>Lots</Text>
+          <Text style={styles.fieldHint}>Picked first-expiry-first-out</Text>
+          {lots.length === 0 && untrackedStock === 0 ? (
+            <Text style={[styles.emptyHistoryText, styles.movementInputs]}>No stock on hand</Text>
+          ) : (
+            <>
+              {lots.map((lot) => (
+                <View key={lot.id} style={styles.movementRow}>
+                  <View style={styles.movementInfo}>
+                    <Text style={styles.movementType}>{lot.lotNumber}</Text>
+                    <Text style={styles.movementMeta}>
+                      Received {formatDay(lot.receivedAt)}
+                      {lot.supplier ? ` · ${lot.supplier}` : ""}
+                    </Text>
+                  </View>
+                  <View style={styles.movementAmounts}>
+                    <Text style={styles.movementQuantity}>
+                      {lot.remaining} / {lot.quantity} {unit}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.movementBalance,
+                        lot.expired && styles.lotExpired,
+                      ]}
+                    >
+                      {lot.expiresAt
+                        ? `${lot.expired ? "Expired" : "Expires"} ${formatDay(lot.expiresAt)}`
+                        : "No expiry"}
+                    </Text>
+                  </View>
+                </View>
+              ))}
+              {untrackedStock > 0 && (
+                <View style={styles.movementRow}>
+                  <View style={styles.movementInfo}>
+                    <Text style={styles.movementType}>Untracked stock</Text>
+                    <Text style={styles.movementMeta}>Not from a recorded delivery</Text>
+                  </View>
+                  <Text style={styles.movementQuantity}>
+                    {untrackedStock} {unit}
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
+        </View>
+
+        {/* Price History */}
+        <View style={styles.sectionCard}>
+          <Text style={styles.sectionTitle}>Price History</Text>
+          <Text style={styles.fieldHint}>
+            Leave the dates empty to change the price now. An end date makes it a promotion.
+          </Text>
+          <View style={[styles.quantityRow, styles.movementInputs]}>
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              placeholder="New price"
+              placeholderTextColor="#9CA3AF"
+              value={newPrice}
+              onChangeText={setNewPrice}
+              keyboardType="decimal-pad"
+            />
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              placeholder="Reason (optional)"
+              placeholderTextColor="#9CA3AF"
+              value={priceReason}
+              onChangeText={setPriceReason}
+            />
+          </View>
+          <View style={[styles.quantityRow, styles.movementInputs]}>
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              placeholder="From (YYYY-MM-DD)"
+              placeholderTextColor="#9CA3AF"
+              value={priceFrom}
+              onChangeText={setPriceFrom}
+              keyboardType="numbers-and-punctuation"
+            />
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              placeholder="Until (optional)"
+              placeholderTextColor="#9CA3AF"
+              value={priceTo}
+              onChangeText={setPriceTo}
+              keyboardType="numbers-and-punctuation"
+            />
+          </View>
+          <TouchableOpacity
+            style={[styles.recordButton, schedulingPrice && styles.saveButtonDisabled]}
+            onPress={handleSchedulePrice}
+            disabled={schedulingPrice}
+          >
+            {schedulingPrice ? (
+              <ActivityIndicator color="#3C2253" />
+            ) : (
+              <Text style={styles.recordButtonText}>
+                {priceFrom.trim() ? "Schedule Price" : "Change Price"}
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          <View style={[styles.quantityRow, styles.movementInputs]}>
+            <TextInput
+              style={[styles.input, styles.quantityInput]}
+              placeholder="Price on (YYYY-MM-DD)"
+              placeholderTextColor="#9CA3AF"
+              value={priceDate}
+              onChangeText={(value) => {
+                setPriceDate(value);
+                setPriceOnDate(null);
+              }}
+              keyboardType="numbers-and-punctuation"
+            />
+            <TouchableOpacity style={styles.lookupButton} onPress={handlePriceLookup}>
+              <Text style={styles.recordButtonText}>
+                {priceOnDate !== null ? `$${priceOnDate.toFixed(2)}` : "Look up"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          {priceChanges.length === 0 ? (
+            <Text style={[styles.emptyHistoryText, styles.movementInputs]}>No price changes yet</Text>
+          ) : (
+            priceChanges.map((change) => (
+              <View key={change.id} style={styles.movementRow}>
+                <View style={styles.movementInfo}>
+                  <Text style={styles.movementType}>
+                    ${change.price.toFixed(2)}
+                    {change.previousPrice !== undefined ? ` (was $${change.previousPrice.toFixed(2)})` : ""}
+                  </Text>
+                  <Text style={styles.movementMeta}>
+                    {formatDay(change.effectiveFrom)}
+                    {change.effectiveTo ? ` – ${formatDay(change.effectiveTo)}` : " onwards"}
+                    {change.user?.name ? ` · ${change.user.name}` : ""}
+                  </Text>
+                  {change.reason ? (
+                    <Text style={styles.movementReason}>{change.reason}</Text>
+                  ) : null}
+                </View>
+                <View style={styles.movementAmounts}>
+                  <Text
+                    style={[
+                      styles.movementBalance,
+                      change.status === "active" && styles.priceActive,
+                    ]}
+                  >
+                    {PRICE_STATUS_LABELS[change.status]}
+                  </Text>
+                  {change.status === "scheduled" && (
+                    <TouchableOpacity onPress={() => handleCancelPrice(change)}>
+                      <Text style={styles.cancelPriceText}>Cancel</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            ))
+          )}
+        </View>
+
+        {/* Movement History */}
+        <View style={styles.sectionCard}>
+          <Text style={styles.sectionTitle}>Stock History</Text>
+          {movementsLoading ? (
+            <ActivityIndicator color="#3C2253" style={styles.historyLoading} />
+          ) : movements.length === 0 ? (
+            <Text style={styles.emptyHistoryText}>No stock movements yet</Text>
+          ) : (
+            movements.map((movement) => (
+              <View key={movement.id} style={styles.movementRow}>
+                <View style={styles.movementInfo}>
+                  <Text style={styles.movementType}>{MOVEMENT_LABELS[movement.type]}</Text>
+                  <Text style={styles.movementMeta}>
+                    {formatDate(movement.createdAt)} ·{" "}
+                    {movement.user?.name || (movement.role === "system" ? "System" : movement.role)}
+                    {movement.order ? ` · ${movement.order.orderNumber}` : ""}
+                  </Text>
+                  {movement.reason ? (
+                    <Text style={styles.movementReason}>{movement.reason}</Text>
+                  ) : null}
+                </View>
+                <View style={styles.movementAmounts}>
+                  <Text
+                    style={[
+                      styles.movementQuantity,
+                      { color: movement.quantity >= 0 ? "#10B981" : "#EF4444" },
+                    ]}
+                  >
+                    {movement.quantity > 0 ? "+" : ""}
+                    {movement.quantity} {unit}
+                  </Text>
+                  <Text style={styles.movementBalance}>Balance: {movement.balanceAfter}</Text>
+                </View>
+              </View>
+            ))
+          )}
+        </View>
       </ScrollView>
     </View>
   );
@@ -494,5 +1039,149 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: "600",
   },
+  stockDisplay: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#F3F4F6",
+  },
+  stockValue: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  fieldHint: {
+    marginTop: 8,
+    fontSize: 12,
+    color: "#6B7280",
+  },
+  sectionCard: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 24,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 12,
+  },
+  typeRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  typeChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: "#F3F4F6",
+  },
+  typeChipActive: {
+    backgroundColor: "#3C2253",
+  },
+  typeChipText: {
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  typeChipTextActive: {
+    color: "#FFFFFF",
+    fontWeight: "600",
+  },
+  movementInputs: {
+    marginTop: 12,
+  },
+  recordButton: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#3C2253",
+    padding: 14,
+    alignItems: "center",
+    marginTop: 12,
+  },
+  recordButtonText: {
+    color: "#3C2253",
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  historyLoading: {
+    marginVertical: 12,
+  },
+  emptyHistoryText: {
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  movementRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#F3F4F6",
+  },
+  movementInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  movementType: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  movementMeta: {
+    fontSize: 12,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  movementReason: {
+    fontSize: 13,
+    color: "#374151",
+    marginTop: 4,
+  },
+  movementAmounts: {
+    alignItems: "flex-end",
+  },
+  movementQuantity: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  movementBalance: {
+    fontSize: 12,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  lotExpired: {
+    color: "#EF4444",
+    fontWeight: "600",
+  },
+  lookupButton: {
+    flex: 1,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#3C2253",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  priceActive: {
+    color: "#10B981",
+    fontWeight: "600",
+  },
+  cancelPriceText: {
+    color: "#EF4444",
+    fontSize: 13,
+    fontWeight: "600",
+    marginTop: 4,
+  },
 });
 
@@ -0,0 +1,349 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  StatusBar,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter, useFocusEffect } from "expo-router";
+import {
+  getExpiringLots,
+  writeOffExpiredLots,
+  StockLot,
+} from "../../../lib/authService";
+
+const DAY_OPTIONS = [3, 7, 14, 30];
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const expiryLabel = (lot: StockLot) => {
+  if (lot.expired) return "Expired";
+  if (lot.daysLeft === 1) return "1 day left";
+  return `${lot.daysLeft} days left`;
+};
+
+export default function ExpiringStock() {
+  const router = useRouter();
+  const [days, setDays] = useState(7);
+  const [lots, setLots] = useState<StockLot[]>([]);
+  const [expiredCount, setExpiredCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [writingOff, setWritingOff] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadLots = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getExpiringLots(days);
+      setLots(response.lots);
+      setExpiredCount(response.expiredCount);
+    } catch (err: any) {
+      setError(err.response?.data?.message || "Failed to load expiring stock");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [days]);
+
+  useFocusEffect(
+    useCallback(() => {
+      setLoading(true);
+      loadLots();
+    }, [loadLots])
+  );
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadLots();
+  };
+
+  const handleWriteOff = () => {
+    Alert.alert(
+      "Write Off Expired Stock",
+      `Record what is left of ${expiredCount} expired lot${expiredCount === 1 ? "" : "s"} as spoilage?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Write Off",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setWritingOff(true);
+              const result = await writeOffExpiredLots();
+              Alert.alert("Done", result.message);
+              loadLots();
+            } catch (err: any) {
+              Alert.alert("Error", err.response?.data?.message || "Failed to write off expired lots");
+            } finally {
+              setWritingOff(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Expiring Stock</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        {/* Window */}
+        <View style={styles.dayRow}>
+          {DAY_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.dayChip, days === option && styles.dayChipActive]}
+              onPress={() => setDays(option)}
+            >
+              <Text style={[styles.dayChipText, days === option && styles.dayChipTextActive]}>
+                {option} days
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {expiredCount > 0 && (
+          <TouchableOpacity
+            style={styles.writeOffBanner}
+            onPress={handleWriteOff}
+            disabled={writingOff}
+          >
+            <Ionicons name="trash-outline" size={20} color="#DC2626" />
+            <Text style={styles.writeOffText}>
+              {expiredCount} expired lot{expiredCount === 1 ? "" : "s"} waiting to be written off
+            </Text>
+            {writingOff ? (
+              <ActivityIndicator size="small" color="#DC2626" />
+            ) : (
+              <Text style={styles.writeOffAction}>Write off</Text>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#3C2253" />
+            <Text style={styles.loadingText}>Loading lots...</Text>
+          </View>
+        ) : error ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="alert-circle-outline" size={64} color="#DC2626" />
+            <Text style={styles.errorText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={loadLots}>
+              <Text style={styles.retryButtonText}>Retry</Text>
+            </TouchableOpacity>
+          </View>
+        ) : lots.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="checkmark-circle-outline" size={64} color="#D1D5DB" />
+            <Text style={styles.emptyText}>Nothing expires in the next {days} days</Text>
+          </View>
+        ) : (
+          lots.map((lot) => {
+            const item = typeof lot.inventory === "string" ? null : lot.inventory;
+            const color = lot.expired ? "#DC2626" : (lot.daysLeft ?? 0) <= 2 ? "#F59E0B" : "#6B7280";
+            return (
+              <TouchableOpacity
+                key={lot.id}
+                style={styles.lotCard}
+                onPress={() =>
+                  item &&
+                  router.push({ pathname: "/admin/inventory/edit", params: { id: item._id || "" } })
+                }
+              >
+                <View style={styles.lotInfo}>
+                  <Text style={styles.lotName}>{item?.name || "Deleted item"}</Text>
+                  <Text style={styles.lotMeta}>
+                    {lot.lotNumber}
+                    {lot.supplier ? ` · ${lot.supplier}` : ""}
+                  </Text>
+                  <Text style={styles.lotMeta}>
+                    {lot.remaining} {item?.unit || ""} left · expires{" "}
+                    {lot.expiresAt ? formatDate(lot.expiresAt) : "never"}
+                  </Text>
+                </View>
+                <View style={[styles.expiryBadge, { backgroundColor: `${color}15` }]}>
+                  <Text style={[styles.expiryBadgeText, { color }]}>{expiryLabel(lot)}</Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F9FAFB",
+  },
+  header: {
+    backgroundColor: "#3C2253",
+    paddingTop: 50,
+    paddingBottom: 16,
+    paddingHorizontal: 20,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  placeholder: {
+    width: 40,
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  dayRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginBottom: 16,
+  },
+  dayChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  dayChipActive: {
+    backgroundColor: "#3C2253",
+    borderColor: "#3C2253",
+  },
+  dayChipText: {
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  dayChipTextActive: {
+    color: "#FFFFFF",
+    fontWeight: "600",
+  },
+  writeOffBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    backgroundColor: "#FEE2E2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  writeOffText: {
+    flex: 1,
+    fontSize: 14,
+    color: "#991B1B",
+  },
+  writeOffAction: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#DC2626",
+  },
+  lotCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  lotInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  lotName: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 4,
+  },
+  lotMeta: {
+    fontSize: 13,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  expiryBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+  },
+  expiryBadgeText: {
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  loadingContainer: {
+    paddingVertical: 60,
+    alignItems: "center",
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  emptyContainer: {
+    paddingVertical: 60,
+    alignItems: "center",
+  },
+  emptyText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  errorText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: "#DC2626",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,833 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  StatusBar,
+  TextInput,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import {
+  adminCancelOrder,
+  AdminOrder,
+  AdminOrderFilters,
+  getAdminOrder,
+  getAdminOrders,
+  OrderStatus,
+  refundOrder,
+  updateOrderStatus,
+  ORDER_STATUS_COLORS,
+  ORDER_STATUS_LABELS,
+} from "../../lib/orderService";
+
+type StatusFilter = "all" | "active" | OrderStatus;
+
+const STATUS_FILTERS: StatusFilter[] = [
+  "all",
+  "active",
+  "pending",
+  "confirmed",
+  "packed",
+  "out_for_delivery",
+  "delivered",
+  "cancelled",
+  "refunded",
+];
+
+const ACTIVE_STATUSES: OrderStatus[] = ["pending", "confirmed", "packed", "out_for_delivery"];
+
+const PAYMENT_STATUS_LABELS: Record<string, string> = {
+  pending: "Payment pending",
+  requires_action: "Awaiting verification",
+  authorized: "Authorized",
+  paid: "Paid",
+  failed: "Payment failed",
+  refunding: "Refunding",
+  refunded: "Refunded",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+const formatDateTime = (dateString: string) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  });
+
+const getFilterLabel = (filter: StatusFilter) => {
+  if (filter === "all") return "All";
+  if (filter === "active") return "Active";
+  return ORDER_STATUS_LABELS[filter];
+};
+
+const getChangedBy = (change: AdminOrder["statusHistory"][number]) => {
+  if (change.role === "system") return "System";
+  const name = change.by && typeof change.by === "object" ? change.by.name : undefined;
+  return `${change.role === "admin" ? "Admin" : "Customer"}${name ? ` · ${name}` : ""}`;
+};
+
+export default function OrderManagement() {
+  const router = useRouter();
+  const [orders, setOrders] = useState<AdminOrder[]>([]);
+  const [statusCounts, setStatusCounts] = useState<Partial<Record<OrderStatus, number>>>({});
+  const [total, setTotal] = useState(0);
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>("active");
+  const [customer, setCustomer] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [appliedFilters, setAppliedFilters] = useState<AdminOrderFilters>({});
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Detail view
+  const [selectedOrder, setSelectedOrder] = useState<AdminOrder | null>(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [note, setNote] = useState("");
+  const [updating, setUpdating] = useState(false);
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getAdminOrders({
+        ...appliedFilters,
+        status: statusFilter === "all" ? undefined : statusFilter,
+      });
+      setOrders(response.orders || []);
+      setStatusCounts(response.statusCounts || {});
+      setTotal(response.total || 0);
+    } catch (err: any) {
+      console.error("Failed to load orders:", err);
+      setError(err.response?.data?.message || "Failed to load orders");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [appliedFilters, statusFilter]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadOrders();
+  }, [loadOrders]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadOrders();
+  };
+
+  const applyFilters = () => {
+    const from = fromDate.trim();
+    const to = toDate.trim();
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      Alert.alert("Invalid Date", "Use the YYYY-MM-DD format for dates.");
+      return;
+    }
+    setAppliedFilters({
+      customer: customer.trim() || undefined,
+      from: from || undefined,
+      to: to || undefined,
+    });
+  };
+
+  const clearFilters = () => {
+    setCustomer("");
+    setFromDate("");
+    setToDate("");
+    setAppliedFilters({});
+  };
+
+  const getFilterCount = (filter: StatusFilter) => {
+    if (filter === "all") {
+      return Object.values(statusCounts).reduce((sum, count) => sum + (count || 0), 0);
+    }
+    if (filter === "active") {
+      return ACTIVE_STATUSES.reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
+    }
+    return statusCounts[filter] || 0;
+  };
+
+  const openOrder = async (order: AdminOrder) => {
+    setSelectedOrder(order);
+    setNote("");
+    try {
+      setDetailLoading(true);
+      const response = await getAdminOrder(order.id);
+      setSelectedOrder(response.order);
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to load order");
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const closeOrder = () => {
+    setSelectedOrder(null);
+    loadOrders();
+  };
+
+  // Run a status change from the detail view and show the result
+  const runUpdate = async (action: () => Promise<{ order: AdminOrder; message?: string }>) => {
+    try {
+      setUpdating(true);
+      const response = await action();
+      setSelectedOrder(response.order);
+      setNote("");
+      Alert.alert("Success", response.message || "Order updated");
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to update order");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleAdvance = (order: AdminOrder, status: OrderStatus) => {
+    if (status === "cancelled") {
+      handleCancel(order);
+      return;
+    }
+    if (status === "refunded") {
+      handleRefund(order);
+      return;
+    }
+    runUpdate(() => updateOrderStatus(order.id, status, note.trim() || undefined));
+  };
+
+  const handleCancel = (order: AdminOrder) => {
+    Alert.alert(
+      "Cancel Order",
+      `Cancel ${order.orderNumber}?${order.paymentStatus === "paid" ? " The payment will be refunded." : ""}`,
+      [
+        { text: "Keep", style: "cancel" },
+        {
+          text: "Cancel Order",
+          style: "destructive",
+          onPress: () => runUpdate(() => adminCancelOrder(order.id, note.trim() || undefined)),
+        },
+      ]
+    );
+  };
+
+  const handleRefund = (order: AdminOrder) => {
+    Alert.alert("Refund Order", `Refund Rs. ${order.total.toFixed(2)} for ${order.orderNumber}?`, [
+      { text: "No", style: "cancel" },
+      {
+        text: "Refund",
+        style: "destructive",
+        onPress: () => runUpdate(() => refundOrder(order.id, note.trim() || undefined)),
+      },
+    ]);
+  };
+
+  const renderStatusBadge = (status: OrderStatus) => (
+    <View style={[styles.statusBadge, { backgroundColor: `${ORDER_STATUS_COLORS[status]}22` }]}>
+      <Text style={[styles.statusBadgeText, { color: ORDER_STATUS_COLORS[status] }]}>
+        {ORDER_STATUS_LABELS[status]}
+      </Text>
+    </View>
+  );
+
+  const renderDetail = (order: AdminOrder) => (
+    <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+      {/* Summary */}
+      <View style={styles.card}>
+        <View style={styles.cardRow}>
+          <Text style={styles.orderNumber}>{order.orderNumber}</Text>
+          {renderStatusBadge(order.status)}
+        </View>
+        <Text style={styles.detailText}>Placed {formatDateTime(order.createdAt)}</Text>
+        <Text style={styles.detailText}>
+          {order.user ? `${order.user.name} · ${order.user.email}` : "Deleted customer"}
+        </Text>
+        {order.deliveryAddress?.address ? (
+          <Text style={styles.detailText}>
+            {order.deliveryAddress.address}
+            {order.deliveryAddress.city ? `, ${order.deliveryAddress.city}` : ""}
+          </Text>
+        ) : null}
+        <Text style={styles.detailText}>
+          {order.paymentMethod === "cash" ? "Cash on delivery" : "Card"}
+          {order.payment?.card?.last4 ? ` •••• ${order.payment.card.last4}` : ""}
+          {" · "}
+          {PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}
+        </Text>
+        {order.payment?.failureReason ? (
+          <Text style={styles.failureText}>{order.payment.failureReason}</Text>
+        ) : null}
+      </View>
+
+      {/* Items */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Items ({order.itemCount})</Text>
+        {order.items.map((item) => (
+          <View key={item.inventory}>
+            <View style={styles.cardRow}>
+              <Text style={styles.itemName}>
+                {item.name} × {item.quantity}
+              </Text>
+              <Text style={styles.itemPrice}>Rs. {item.lineTotal.toFixed(2)}</Text>
+            </View>
+            <Text style={styles.priceNote}>
+              Rs. {item.price.toFixed(2)} each
+              {item.listPrice != null && item.listPrice !== item.price
+                ? ` · list price then Rs. ${item.listPrice.toFixed(2)}`
+                : ""}
+              {item.currentPrice != null && item.currentPrice !== item.price
+                ? ` · now Rs. ${item.currentPrice.toFixed(2)}`
+                : ""}
+            </Text>
+          </View>
+        ))}
+        <View style={styles.divider} />
+        <View style={styles.cardRow}>
+          <Text style={styles.itemName}>Delivery Fee</Text>
+          <Text style={styles.itemPrice}>Rs. {order.deliveryFee.toFixed(2)}</Text>
+        </View>
+        <View style={styles.cardRow}>
+          <Text style={styles.totalLabel}>Total</Text>
+          <Text style={styles.totalValue}>Rs. {order.total.toFixed(2)}</Text>
+        </View>
+      </View>
+
+      {/* Status update */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Update Status</Text>
+        {order.nextStatuses.length === 0 ? (
+          <Text style={styles.detailText}>This order is closed. No further changes are possible.</Text>
+        ) : (
+          <>
+            <TextInput
+              style={styles.noteInput}
+              placeholder="Note for the status history (optional)"
+              placeholderTextColor="#9CA3AF"
+              value={note}
+              onChangeText={setNote}
+            />
+            <View style={styles.actionsRow}>
+              {order.nextStatuses.map((status) => {
+                const destructive = status === "cancelled" || status === "refunded";
+                return (
+                  <TouchableOpacity
+                    key={status}
+                    style={[
+                      styles.actionButton,
+                      destructive ? styles.actionButtonDestructive : { backgroundColor: ORDER_STATUS_COLORS[status] },
+                      updating && styles.actionButtonDisabled,
+                    ]}
+                    onPress={() => handleAdvance(order, status)}
+                    disabled={updating}
+                  >
+                    <Text style={[styles.actionButtonText, destructive && styles.actionButtonTextDestructive]}>
+                      {status === "cancelled" ? "Cancel Order" : status === "refunded" ? "Refund" : `Mark ${ORDER_STATUS_LABELS[status]}`}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            {updating && <ActivityIndicator size="small" color="#3C2253" style={styles.updatingIndicator} />}
+          </>
+        )}
+      </View>
+
+      {/* History */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Status History</Text>
+        {[...order.statusHistory].reverse().map((change, index) => (
+          <View key={`${change.status}-${index}`} style={styles.historyRow}>
+            <View style={[styles.historyDot, { backgroundColor: ORDER_STATUS_COLORS[change.status] }]} />
+            <View style={styles.historyContent}>
+              <Text style={styles.historyTitle}>{ORDER_STATUS_LABELS[change.status]}</Text>
+              <Text style={styles.historyMeta}>
+                {formatDateTime(change.at)} · {getChangedBy(change)}
+              </Text>
+              {change.note ? <Text style={styles.historyNote}>{change.note}</Text> : null}
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView
+      contentContainerStyle={styles.scrollContent}
+      showsVerticalScrollIndicator={false}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      {/* Filters */}
+      <View style={styles.searchContainer}>
+        <Ionicons name="search-outline" size={20} color="#9CA3AF" style={styles.searchIcon} />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Customer name or email..."
+          placeholderTextColor="#9CA3AF"
+          value={customer}
+          onChangeText={setCustomer}
+          autoCapitalize="none"
+          onSubmitEditing={applyFilters}
+          returnKeyType="search"
+        />
+      </View>
+      <View style={styles.dateRow}>
+        <TextInput
+          style={styles.dateInput}
+          placeholder="From (YYYY-MM-DD)"
+          placeholderTextColor="#9CA3AF"
+          value={fromDate}
+          onChangeText={setFromDate}
+          maxLength={10}
+        />
+        <TextInput
+          style={styles.dateInput}
+          placeholder="To (YYYY-MM-DD)"
+          placeholderTextColor="#9CA3AF"
+          value={toDate}
+          onChangeText={setToDate}
+          maxLength={10}
+        />
+      </View>
+      <View style={styles.filterActions}>
+        <TouchableOpacity style={styles.applyButton} onPress={applyFilters}>
+          <Text style={styles.applyButtonText}>Apply</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.clearButton} onPress={clearFilters}>
+          <Text style={styles.clearButtonText}>Clear</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipsContent}
+        style={styles.chips}
+      >
+        {STATUS_FILTERS.map((filter) => (
+          <TouchableOpacity
+            key={filter}
+            style={[styles.chip, statusFilter === filter && styles.chipActive]}
+            onPress={() => setStatusFilter(filter)}
+          >
+            <Text style={[styles.chipText, statusFilter === filter && styles.chipTextActive]}>
+              {getFilterLabel(filter)} ({getFilterCount(filter)})
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <View style={styles.countContainer}>
+        <Text style={styles.countText}>Showing {orders.length} of {total} orders</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.loadingText}>Loading orders...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="alert-circle-outline" size={64} color="#DC2626" />
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadOrders}>
+            <Text style={styles.retryButtonText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      ) : orders.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="receipt-outline" size={64} color="#D1D5DB" />
+          <Text style={styles.emptyText}>No orders found</Text>
+        </View>
+      ) : (
+        <View style={styles.ordersContainer}>
+          {orders.map((order) => (
+            <TouchableOpacity key={order.id} style={styles.orderCard} onPress={() => openOrder(order)}>
+              <View style={styles.cardRow}>
+                <Text style={styles.orderNumber}>{order.orderNumber}</Text>
+                {renderStatusBadge(order.status)}
+              </View>
+              <Text style={styles.detailText}>
+                {order.user ? order.user.name : "Deleted customer"} · {formatDate(order.createdAt)}
+              </Text>
+              <View style={styles.cardRow}>
+                <Text style={styles.detailText}>
+                  {order.itemCount} items · {order.paymentMethod === "cash" ? "Cash" : "Card"} ·{" "}
+                  {PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}
+                </Text>
+                <Text style={styles.itemPrice}>Rs. {order.total.toFixed(2)}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => (selectedOrder ? closeOrder() : router.back())}
+          style={styles.backButton}
+        >
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{selectedOrder ? "Order Details" : "Orders"}</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {selectedOrder ? (
+        detailLoading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#3C2253" />
+          </View>
+        ) : (
+          renderDetail(selectedOrder)
+        )
+      ) : (
+        renderList()
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F9FAFB",
+  },
+  header: {
+    backgroundColor: "#3C2253",
+    paddingTop: 50,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#FFFFFF",
+  },
+  placeholder: {
+    width: 40,
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  searchContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  searchIcon: {
+    marginRight: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 14,
+    color: "#111827",
+    paddingVertical: 12,
+  },
+  dateRow: {
+    flexDirection: "row",
+    gap: 12,
+    marginBottom: 12,
+  },
+  dateInput: {
+    flex: 1,
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 13,
+    color: "#111827",
+  },
+  filterActions: {
+    flexDirection: "row",
+    gap: 12,
+    marginBottom: 16,
+  },
+  applyButton: {
+    flex: 1,
+    backgroundColor: "#3C2253",
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  applyButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  clearButton: {
+    flex: 1,
+    backgroundColor: "#F3F4F6",
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  clearButtonText: {
+    color: "#374151",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  chips: {
+    marginBottom: 16,
+  },
+  chipsContent: {
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  chipActive: {
+    backgroundColor: "#3C2253",
+    borderColor: "#3C2253",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  chipTextActive: {
+    color: "#FFFFFF",
+  },
+  countContainer: {
+    marginBottom: 16,
+  },
+  countText: {
+    fontSize: 14,
+    color: "#6B7280",
+    fontWeight: "500",
+  },
+  ordersContainer: {
+    gap: 12,
+  },
+  orderCard: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 16,
+    padding: 16,
+    gap: 6,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    gap: 6,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 6,
+  },
+  cardRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  orderNumber: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+  },
+  statusBadgeText: {
+    fontSize: 11,
+    fontWeight: "600",
+  },
+  detailText: {
+    fontSize: 13,
+    color: "#6B7280",
+  },
+  failureText: {
+    fontSize: 13,
+    color: "#DC2626",
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 14,
+    color: "#374151",
+    marginRight: 12,
+  },
+  priceNote: {
+    fontSize: 12,
+    color: "#9CA3AF",
+    marginTop: 2,
+  },
+  itemPrice: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  divider: {
+    height: 1,
+    backgroundColor: "#E5E7EB",
+    marginVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  totalValue: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#3C2253",
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 13,
+    color: "#111827",
+    marginBottom: 8,
+  },
+  actionsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  actionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  actionButtonDestructive: {
+    backgroundColor: "#FEE2E2",
+  },
+  actionButtonDisabled: {
+    opacity: 0.6,
+  },
+  actionButtonText: {
+    color: "#FFFFFF",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  actionButtonTextDestructive: {
+    color: "#DC2626",
+  },
+  updatingIndicator: {
+    marginTop: 8,
+  },
+  historyRow: {
+    flexDirection: "row",
+    marginBottom: 12,
+  },
+  historyDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 5,
+    marginRight: 12,
+  },
+  historyContent: {
+    flex: 1,
+  },
+  historyTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  historyMeta: {
+    fontSize: 12,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  historyNote: {
+    fontSize: 12,
+    color: "#374151",
+    marginTop: 4,
+    fontStyle: "italic",
+  },
+  emptyContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: "#6B7280",
+    marginTop: 16,
+  },
+  loadingContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  errorText: {
+    fontSize: 16,
+    color: "#DC2626",
+    marginTop: 16,
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,964 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  StatusBar,
+  TextInput,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import {
+  cancelPurchaseOrder,
+  createPurchaseOrder,
+  getLowStockItems,
+  getPurchaseOrder,
+  getPurchaseOrders,
+  getSuppliers,
+  LowStockItem,
+  PurchaseOrder,
+  PurchaseOrderStatus,
+  receivePurchaseOrder,
+  ReceiptLineInput,
+  Supplier,
+} from "../../lib/purchasingService";
+
+type StatusFilter = "open" | "all" | PurchaseOrderStatus;
+
+const STATUS_FILTERS: StatusFilter[] = ["open", "received", "cancelled", "all"];
+
+const STATUS_LABELS: Record<PurchaseOrderStatus, string> = {
+  ordered: "Ordered",
+  partially_received: "Partially received",
+  received: "Received",
+  cancelled: "Cancelled",
+};
+
+const STATUS_COLORS: Record<PurchaseOrderStatus, string> = {
+  ordered: "#3B82F6",
+  partially_received: "#F59E0B",
+  received: "#10B981",
+  cancelled: "#6B7280",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Quantity and cost typed for one line of a new order or a delivery
+interface LineDraft {
+  quantity: string;
+  unitCost: string;
+  expiresAt: string;
+}
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+const formatMargin = (margin: number | null) => (margin === null ? "—" : `${margin}%`);
+
+const getFilterLabel = (filter: StatusFilter) => {
+  if (filter === "open") return "Open";
+  if (filter === "all") return "All";
+  return STATUS_LABELS[filter];
+};
+
+export default function PurchaseOrders() {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ id?: string; supplier?: string }>();
+  const [purchaseOrders, setPurchaseOrders] = useState<PurchaseOrder[]>([]);
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>(params.supplier ? "all" : "open");
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Detail view
+  const [selectedOrder, setSelectedOrder] = useState<PurchaseOrder | null>(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [receipt, setReceipt] = useState<Record<string, LineDraft>>({});
+  const [updating, setUpdating] = useState(false);
+
+  // New order view
+  const [creating, setCreating] = useState(false);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [lowStock, setLowStock] = useState<LowStockItem[]>([]);
+  const [supplierId, setSupplierId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<Record<string, LineDraft>>({});
+  const [expectedAt, setExpectedAt] = useState("");
+  const [notes, setNotes] = useState("");
+  const [createLoading, setCreateLoading] = useState(false);
+
+  const loadPurchaseOrders = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getPurchaseOrders(statusFilter, params.supplier);
+      setPurchaseOrders(response.purchaseOrders || []);
+    } catch (err: any) {
+      console.error("Failed to load purchase orders:", err);
+      setError(err.response?.data?.message || "Failed to load purchase orders");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [statusFilter, params.supplier]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadPurchaseOrders();
+  }, [loadPurchaseOrders]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadPurchaseOrders();
+  };
+
+  // Prefill the delivery form with everything still outstanding
+  const showOrder = (order: PurchaseOrder) => {
+    setSelectedOrder(order);
+    setReceipt(
+      Object.fromEntries(
+        order.lines.map((line) => [
+          line.id,
+          {
+            quantity: line.outstanding > 0 ? String(line.outstanding) : "",
+            unitCost: line.unitCost !== undefined ? String(line.unitCost) : "",
+            expiresAt: "",
+          },
+        ])
+      )
+    );
+  };
+
+  const openOrder = useCallback(async (id: string) => {
+    try {
+      setDetailLoading(true);
+      const response = await getPurchaseOrder(id);
+      showOrder(response.purchaseOrder);
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to load purchase order");
+    } finally {
+      setDetailLoading(false);
+    }
+  }, []);
+
+  // Opened from a dashboard alert
+  useEffect(() => {
+    if (params.id) openOrder(params.id);
+  }, [params.id, openOrder]);
+
+  const closeView = () => {
+    setSelectedOrder(null);
+    setCreating(false);
+    loadPurchaseOrders();
+  };
+
+  const openCreate = async () => {
+    setCreating(true);
+    setSupplierId(null);
+    setExpectedAt("");
+    setNotes("");
+    try {
+      setCreateLoading(true);
+      const [suppliersResponse, lowStockResponse] = await Promise.all([getSuppliers(), getLowStockItems()]);
+      setSuppliers(suppliersResponse.suppliers);
+      setLowStock(lowStockResponse.items);
+      // Start with every low-stock item that is not already fully on order
+      setDraft(
+        Object.fromEntries(
+          lowStockResponse.items
+            .filter((item) => item.suggestedQuantity > 0)
+            .map((item) => [
+              item.id,
+              {
+                quantity: String(item.suggestedQuantity),
+                unitCost: item.unitCost !== undefined ? String(item.unitCost) : "",
+                expiresAt: "",
+              },
+            ])
+        )
+      );
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to load low-stock items");
+    } finally {
+      setCreateLoading(false);
+    }
+  };
+
+  const toggleDraftItem = (item: LowStockItem) => {
+    setDraft((prev) => {
+      if (prev[item.id]) {
+        const { [item.id]: _removed, ...rest } = prev;
+        return rest;
+      }
+      return {
+        ...prev,
+        [item.id]: {
+          quantity: String(item.suggestedQuantity || ""),
+          unitCost: item.unitCost !== undefined ? String(item.unitCost) : "",
+          expiresAt: "",
+        },
+      };
+    });
+  };
+
+  const updateDraft = (id: string, field: keyof LineDraft, value: string) => {
+    setDraft((prev) => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  };
+
+  const updateReceipt = (id: string, field: keyof LineDraft, value: string) => {
+    setReceipt((prev) => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  };
+
+  const handleCreate = async () => {
+    if (!supplierId) {
+      Alert.alert("Choose a Supplier", "Pick the supplier to order from.");
+      return;
+    }
+    const lines = Object.entries(draft).map(([inventory, line]) => ({
+      inventory,
+      quantity: parseFloat(line.quantity),
+      unitCost: line.unitCost.trim() ? parseFloat(line.unitCost) : undefined,
+    }));
+    if (lines.length === 0) {
+      Alert.alert("No Items", "Select at least one item to order.");
+      return;
+    }
+    if (lines.some((line) => !(line.quantity > 0))) {
+      Alert.alert("Invalid Quantity", "Every item needs a quantity greater than zero.");
+      return;
+    }
+    if (expectedAt.trim() && !DATE_PATTERN.test(expectedAt.trim())) {
+      Alert.alert("Invalid Date", "Use the YYYY-MM-DD format for the expected date.");
+      return;
+    }
+
+    try {
+      setUpdating(true);
+      const response = await createPurchaseOrder({
+        supplier: supplierId,
+        lines,
+        expectedAt: expectedAt.trim() || undefined,
+        notes: notes.trim() || undefined,
+      });
+      setCreating(false);
+      showOrder(response.purchaseOrder);
+      Alert.alert("Success", response.message || "Purchase order placed");
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to place purchase order");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleReceive = async (order: PurchaseOrder) => {
+    const lines: ReceiptLineInput[] = [];
+    for (const line of order.lines) {
+      const entry = receipt[line.id];
+      if (!entry || !entry.quantity.trim() || line.outstanding <= 0) continue;
+      const quantity = parseFloat(entry.quantity);
+      if (!(quantity > 0) || quantity > line.outstanding) {
+        Alert.alert("Invalid Quantity", `Enter up to ${line.outstanding} ${line.unit || ""} for ${line.name}.`);
+        return;
+      }
+      if (entry.expiresAt.trim() && !DATE_PATTERN.test(entry.expiresAt.trim())) {
+        Alert.alert("Invalid Date", `Use the YYYY-MM-DD format for the expiry of ${line.name}.`);
+        return;
+      }
+      lines.push({
+        line: line.id,
+        quantity,
+        unitCost: entry.unitCost.trim() ? parseFloat(entry.unitCost) : undefined,
+        expiresAt: entry.expiresAt.trim() || undefined,
+      });
+    }
+    if (lines.length === 0) {
+      Alert.alert("Nothing to Receive", "Enter the quantity that arrived for at least one item.");
+      return;
+    }
+
+    try {
+      setUpdating(true);
+      const response = await receivePurchaseOrder(order.id, lines);
+      showOrder(response.purchaseOrder);
+      Alert.alert("Success", response.message || "Delivery received");
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to receive delivery");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleCancel = (order: PurchaseOrder) => {
+    Alert.alert("Cancel Purchase Order", `Cancel what is still outstanding on ${order.poNumber}?`, [
+      { text: "Keep", style: "cancel" },
+      {
+        text: "Cancel Order",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            setUpdating(true);
+            const response = await cancelPurchaseOrder(order.id);
+            showOrder(response.purchaseOrder);
+          } catch (err: any) {
+            Alert.alert("Error", err.response?.data?.message || "Failed to cancel purchase order");
+          } finally {
+            setUpdating(false);
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderStatusBadge = (status: PurchaseOrderStatus) => (
+    <View style={[styles.statusBadge, { backgroundColor: `${STATUS_COLORS[status]}22` }]}>
+      <Text style={[styles.statusBadgeText, { color: STATUS_COLORS[status] }]}>{STATUS_LABELS[status]}</Text>
+    </View>
+  );
+
+  const renderDetail = (order: PurchaseOrder) => {
+    const open = order.status === "ordered" || order.status === "partially_received";
+    return (
+      <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+        {/* Summary */}
+        <View style={styles.card}>
+          <View style={styles.cardRow}>
+            <Text style={styles.poNumber}>{order.poNumber}</Text>
+            {renderStatusBadge(order.status)}
+          </View>
+          <Text style={styles.detailText}>{order.supplier?.name || "Deleted supplier"}</Text>
+          {order.supplier?.phone || order.supplier?.email ? (
+            <Text style={styles.detailText}>
+              {[order.supplier?.contactName, order.supplier?.phone, order.supplier?.email].filter(Boolean).join(" · ")}
+            </Text>
+          ) : null}
+          <Text style={styles.detailText}>
+            Placed {formatDate(order.createdAt)}
+            {order.expectedAt ? ` · expected ${formatDate(order.expectedAt)}` : ""}
+          </Text>
+          {order.receivedAt ? <Text style={styles.detailText}>Received {formatDate(order.receivedAt)}</Text> : null}
+          {order.cancelReason ? <Text style={styles.detailText}>Cancelled: {order.cancelReason}</Text> : null}
+          {order.notes ? <Text style={styles.noteText}>{order.notes}</Text> : null}
+        </View>
+
+        {/* Lines */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Items ({order.lines.length})</Text>
+          {order.lines.map((line) => (
+            <View key={line.id} style={styles.lineRow}>
+              <View style={styles.cardRow}>
+                <Text style={styles.itemName}>{line.name}</Text>
+                <Text style={styles.itemPrice}>
+                  {line.unitCost !== undefined ? `Rs. ${(line.unitCost * line.quantity).toFixed(2)}` : "—"}
+                </Text>
+              </View>
+              <Text style={styles.detailText}>
+                {line.receivedQuantity} of {line.quantity} {line.unit || ""} received
+                {line.unitCost !== undefined ? ` · Rs. ${line.unitCost.toFixed(2)} each` : ""}
+                {` · margin ${formatMargin(line.margin)}`}
+              </Text>
+              {open && line.outstanding > 0 && (
+                <View style={styles.inputRow}>
+                  <TextInput
+                    style={styles.smallInput}
+                    placeholder={`Qty (${line.outstanding})`}
+                    placeholderTextColor="#9CA3AF"
+                    value={receipt[line.id]?.quantity ?? ""}
+                    onChangeText={(value) => updateReceipt(line.id, "quantity", value)}
+                    keyboardType="decimal-pad"
+                  />
+                  <TextInput
+                    style={styles.smallInput}
+                    placeholder="Unit cost"
+                    placeholderTextColor="#9CA3AF"
+                    value={receipt[line.id]?.unitCost ?? ""}
+                    onChangeText={(value) => updateReceipt(line.id, "unitCost", value)}
+                    keyboardType="decimal-pad"
+                  />
+                  <TextInput
+                    style={styles.smallInput}
+                    placeholder="Expiry"
+                    placeholderTextColor="#9CA3AF"
+                    value={receipt[line.id]?.expiresAt ?? ""}
+                    onChangeText={(value) => updateReceipt(line.id, "expiresAt", value)}
+                    maxLength={10}
+                  />
+                </View>
+              )}
+            </View>
+          ))}
+          <View style={styles.divider} />
+          <View style={styles.cardRow}>
+            <Text style={styles.totalLabel}>Total</Text>
+            <Text style={styles.totalValue}>Rs. {order.totalCost.toFixed(2)}</Text>
+          </View>
+          {order.status === "partially_received" && (
+            <Text style={styles.detailText}>Rs. {order.receivedCost.toFixed(2)} received so far</Text>
+          )}
+        </View>
+
+        {open && (
+          <View style={styles.actionsRow}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.actionButtonPrimary, updating && styles.actionButtonDisabled]}
+              onPress={() => handleReceive(order)}
+              disabled={updating}
+            >
+              <Text style={styles.actionButtonText}>Receive Delivery</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.actionButtonDestructive, updating && styles.actionButtonDisabled]}
+              onPress={() => handleCancel(order)}
+              disabled={updating}
+            >
+              <Text style={[styles.actionButtonText, styles.actionButtonTextDestructive]}>Cancel Order</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        {updating && <ActivityIndicator size="small" color="#3C2253" style={styles.updatingIndicator} />}
+
+        {/* Deliveries */}
+        {order.receipts.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Deliveries</Text>
+            {[...order.receipts].reverse().map((receiptEntry) => (
+              <View key={receiptEntry._id} style={styles.lineRow}>
+                <Text style={styles.historyTitle}>
+                  {formatDate(receiptEntry.at)}
+                  {receiptEntry.by?.name ? ` · ${receiptEntry.by.name}` : ""}
+                </Text>
+                {receiptEntry.lines.map((entry) => {
+                  const line = order.lines.find((candidate) => candidate.id === entry.line);
+                  return (
+                    <Text key={entry.line} style={styles.detailText}>
+                      {line?.name || "Item"}: {entry.quantity} {line?.unit || ""}
+                      {entry.unitCost !== undefined ? ` at Rs. ${entry.unitCost.toFixed(2)}` : ""}
+                    </Text>
+                  );
+                })}
+              </View>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderCreate = () => (
+    <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+      {createLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.loadingText}>Loading low-stock items...</Text>
+        </View>
+      ) : (
+        <>
+          {/* Supplier */}
+          <View style={styles.card}>
+            <View style={styles.cardRow}>
+              <Text style={styles.cardTitle}>Supplier</Text>
+              <TouchableOpacity onPress={() => router.push("/admin/suppliers")}>
+                <Text style={styles.linkText}>Manage</Text>
+              </TouchableOpacity>
+            </View>
+            {suppliers.length === 0 ? (
+              <Text style={styles.detailText}>Add a supplier before placing a purchase order.</Text>
+            ) : (
+              <View style={styles.supplierChips}>
+                {suppliers.map((supplier) => (
+                  <TouchableOpacity
+                    key={supplier.id}
+                    style={[styles.chip, supplierId === supplier.id && styles.chipActive]}
+                    onPress={() => setSupplierId(supplier.id)}
+                  >
+                    <Text style={[styles.chipText, supplierId === supplier.id && styles.chipTextActive]}>
+                      {supplier.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            <TextInput
+              style={styles.noteInput}
+              placeholder="Expected (YYYY-MM-DD, defaults to the lead time)"
+              placeholderTextColor="#9CA3AF"
+              value={expectedAt}
+              onChangeText={setExpectedAt}
+              maxLength={10}
+            />
+            <TextInput
+              style={styles.noteInput}
+              placeholder="Notes for the supplier (optional)"
+              placeholderTextColor="#9CA3AF"
+              value={notes}
+              onChangeText={setNotes}
+            />
+          </View>
+
+          {/* Items */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Low-Stock Items ({lowStock.length})</Text>
+            {lowStock.length === 0 ? (
+              <Text style={styles.detailText}>Every item is above its minimum stock.</Text>
+            ) : (
+              lowStock.map((item) => {
+                const selected = Boolean(draft[item.id]);
+                return (
+                  <View key={item.id} style={styles.lineRow}>
+                    <TouchableOpacity style={styles.cardRow} onPress={() => toggleDraftItem(item)}>
+                      <Ionicons
+                        name={selected ? "checkbox" : "square-outline"}
+                        size={22}
+                        color={selected ? "#3C2253" : "#9CA3AF"}
+                      />
+                      <Text style={[styles.itemName, styles.checkLabel]}>{item.name}</Text>
+                      <Text style={styles.detailText}>
+                        {item.stock} / {item.minStock} {item.unit}
+                      </Text>
+                    </TouchableOpacity>
+                    <Text style={styles.detailText}>
+                      {item.onOrder > 0 ? `${item.onOrder} ${item.unit} already on order · ` : ""}
+                      Price Rs. {item.price.toFixed(2)} · margin {formatMargin(item.margin)}
+                    </Text>
+                    {selected && (
+                      <View style={styles.inputRow}>
+                        <TextInput
+                          style={styles.smallInput}
+                          placeholder={`Qty (${item.unit})`}
+                          placeholderTextColor="#9CA3AF"
+                          value={draft[item.id].quantity}
+                          onChangeText={(value) => updateDraft(item.id, "quantity", value)}
+                          keyboardType="decimal-pad"
+                        />
+                        <TextInput
+                          style={styles.smallInput}
+                          placeholder="Unit cost"
+                          placeholderTextColor="#9CA3AF"
+                          value={draft[item.id].unitCost}
+                          onChangeText={(value) => updateDraft(item.id, "unitCost", value)}
+                          keyboardType="decimal-pad"
+                        />
+                      </View>
+                    )}
+                  </View>
+                );
+              })
+            )}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.submitButton, updating && styles.actionButtonDisabled]}
+            onPress={handleCreate}
+            disabled={updating}
+          >
+            {updating ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.submitButtonText}>Place Order ({Object.keys(draft).length} items)</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView
+      contentContainerStyle={styles.scrollContent}
+      showsVerticalScrollIndicator={false}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <View style={styles.actionsRow}>
+        <TouchableOpacity style={[styles.actionButton, styles.actionButtonPrimary]} onPress={openCreate}>
+          <Text style={styles.actionButtonText}>New Purchase Order</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => router.push("/admin/suppliers")}>
+          <Text style={styles.secondaryButtonText}>Suppliers</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipsContent}
+        style={styles.chips}
+      >
+        {STATUS_FILTERS.map((filter) => (
+          <TouchableOpacity
+            key={filter}
+            style={[styles.chip, statusFilter === filter && styles.chipActive]}
+            onPress={() => setStatusFilter(filter)}
+          >
+            <Text style={[styles.chipText, statusFilter === filter && styles.chipTextActive]}>
+              {getFilterLabel(filter)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.loadingText}>Loading purchase orders...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="alert-circle-outline" size={64} color="#DC2626" />
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadPurchaseOrders}>
+            <Text style={styles.retryButtonText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      ) : purchaseOrders.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="cube-outline" size={64} color="#D1D5DB" />
+          <Text style={styles.emptyText}>No purchase orders found</Text>
+        </View>
+      ) : (
+        <View style={styles.ordersContainer}>
+          {purchaseOrders.map((order) => (
+            <TouchableOpacity key={order.id} style={styles.orderCard} onPress={() => openOrder(order.id)}>
+              <View style={styles.cardRow}>
+                <Text style={styles.poNumber}>{order.poNumber}</Text>
+                {renderStatusBadge(order.status)}
+              </View>
+              <Text style={styles.detailText}>
+                {order.supplier?.name || "Deleted supplier"} · {formatDate(order.createdAt)}
+              </Text>
+              <View style={styles.cardRow}>
+                <Text style={styles.detailText}>
+                  {order.lines.length} items
+                  {order.expectedAt && order.status !== "received" && order.status !== "cancelled"
+                    ? ` · expected ${formatDate(order.expectedAt)}`
+                    : ""}
+                </Text>
+                <Text style={styles.itemPrice}>Rs. {order.totalCost.toFixed(2)}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => (selectedOrder || creating ? closeView() : router.back())}
+          style={styles.backButton}
+        >
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>
+          {creating ? "New Purchase Order" : selectedOrder ? "Purchase Order" : "Purchasing"}
+        </Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {detailLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+        </View>
+      ) : creating ? (
+        renderCreate()
+      ) : selectedOrder ? (
+        renderDetail(selectedOrder)
+      ) : (
+        renderList()
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F9FAFB",
+  },
+  header: {
+    backgroundColor: "#3C2253",
+    paddingTop: 50,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#FFFFFF",
+  },
+  placeholder: {
+    width: 40,
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  chips: {
+    marginBottom: 16,
+  },
+  chipsContent: {
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  chipActive: {
+    backgroundColor: "#3C2253",
+    borderColor: "#3C2253",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  chipTextActive: {
+    color: "#FFFFFF",
+  },
+  supplierChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 8,
+  },
+  ordersContainer: {
+    gap: 12,
+  },
+  orderCard: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 16,
+    padding: 16,
+    gap: 6,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    gap: 6,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 6,
+  },
+  cardRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  poNumber: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+  },
+  statusBadgeText: {
+    fontSize: 11,
+    fontWeight: "600",
+  },
+  detailText: {
+    fontSize: 13,
+    color: "#6B7280",
+  },
+  noteText: {
+    fontSize: 13,
+    color: "#374151",
+    fontStyle: "italic",
+  },
+  linkText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#3C2253",
+  },
+  lineRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F3F4F6",
+    gap: 4,
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 14,
+    color: "#374151",
+    marginRight: 12,
+  },
+  checkLabel: {
+    marginLeft: 8,
+  },
+  itemPrice: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  inputRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginTop: 4,
+  },
+  smallInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 13,
+    color: "#111827",
+  },
+  divider: {
+    height: 1,
+    backgroundColor: "#E5E7EB",
+    marginVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  totalValue: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#3C2253",
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 13,
+    color: "#111827",
+    marginTop: 8,
+  },
+  actionsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 16,
+  },
+  actionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  actionButtonPrimary: {
+    backgroundColor: "#3C2253",
+  },
+  actionButtonDestructive: {
+    backgroundColor: "#FEE2E2",
+  },
+  actionButtonDisabled: {
+    opacity: 0.6,
+  },
+  actionButtonText: {
+    color: "#FFFFFF",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  actionButtonTextDestructive: {
+    color: "#DC2626",
+  },
+  secondaryButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: "#F3F4F6",
+  },
+  secondaryButtonText: {
+    color: "#374151",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  submitButton: {
+    backgroundColor: "#3C2253",
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: "center",
+  },
+  submitButtonText: {
+    color: "#FFFFFF",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  updatingIndicator: {
+    marginBottom: 16,
+  },
+  historyTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  emptyContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: "#6B7280",
+    marginTop: 16,
+  },
+  loadingContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  errorText: {
+    fontSize: 16,
+    color: "#DC2626",
+    marginTop: 16,
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+});
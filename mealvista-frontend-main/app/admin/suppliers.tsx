@@ -0,0 +1,488 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  StatusBar,
+  TextInput,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import {
+  createSupplier,
+  deleteSupplier,
+  getSuppliers,
+  Supplier,
+  SupplierInput,
+  updateSupplier,
+} from "../../lib/purchasingService";
+
+const EMPTY_FORM = {
+  name: "",
+  contactName: "",
+  email: "",
+  phone: "",
+  address: "",
+  leadTimeDays: "",
+  notes: "",
+};
+
+type SupplierForm = typeof EMPTY_FORM;
+
+const FORM_FIELDS: { key: keyof SupplierForm; placeholder: string; keyboardType?: "email-address" | "phone-pad" | "number-pad" }[] = [
+  { key: "name", placeholder: "Supplier name *" },
+  { key: "contactName", placeholder: "Contact person" },
+  { key: "email", placeholder: "Email", keyboardType: "email-address" },
+  { key: "phone", placeholder: "Phone", keyboardType: "phone-pad" },
+  { key: "address", placeholder: "Address" },
+  { key: "leadTimeDays", placeholder: "Lead time (days)", keyboardType: "number-pad" },
+  { key: "notes", placeholder: "Notes" },
+];
+
+const toForm = (supplier: Supplier): SupplierForm => ({
+  name: supplier.name,
+  contactName: supplier.contactName || "",
+  email: supplier.email || "",
+  phone: supplier.phone || "",
+  address: supplier.address || "",
+  leadTimeDays: supplier.leadTimeDays !== undefined ? String(supplier.leadTimeDays) : "",
+  notes: supplier.notes || "",
+});
+
+export default function SupplierManagement() {
+  const router = useRouter();
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Add/edit form; editingId is null when adding
+  const [formOpen, setFormOpen] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<SupplierForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const loadSuppliers = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getSuppliers(searchQuery.trim() || undefined, true);
+      setSuppliers(response.suppliers || []);
+    } catch (err: any) {
+      console.error("Failed to load suppliers:", err);
+      setError(err.response?.data?.message || "Failed to load suppliers");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [searchQuery]);
+
+  useEffect(() => {
+    loadSuppliers();
+  }, [loadSuppliers]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadSuppliers();
+  };
+
+  const openForm = (supplier?: Supplier) => {
+    setEditingId(supplier ? supplier.id : null);
+    setForm(supplier ? toForm(supplier) : EMPTY_FORM);
+    setFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setFormOpen(false);
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      Alert.alert("Missing Name", "Enter the supplier's name.");
+      return;
+    }
+    const leadTime = form.leadTimeDays.trim() ? parseInt(form.leadTimeDays, 10) : undefined;
+    if (leadTime !== undefined && (Number.isNaN(leadTime) || leadTime < 0)) {
+      Alert.alert("Invalid Lead Time", "Lead time must be a whole number of days.");
+      return;
+    }
+
+    const supplier: SupplierInput = {
+      name: form.name.trim(),
+      contactName: form.contactName.trim(),
+      email: form.email.trim(),
+      phone: form.phone.trim(),
+      address: form.address.trim(),
+      leadTimeDays: leadTime,
+      notes: form.notes.trim(),
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await updateSupplier(editingId, supplier);
+      } else {
+        await createSupplier(supplier);
+      }
+      closeForm();
+      loadSuppliers();
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to save supplier");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReactivate = async (supplier: Supplier) => {
+    try {
+      await updateSupplier(supplier.id, { active: true });
+      loadSuppliers();
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to reactivate supplier");
+    }
+  };
+
+  const handleDelete = (supplier: Supplier) => {
+    Alert.alert("Delete Supplier", `Delete ${supplier.name}?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const response = await deleteSupplier(supplier.id);
+            Alert.alert("Done", response.message);
+            loadSuppliers();
+          } catch (err: any) {
+            Alert.alert("Error", err.response?.data?.message || "Failed to delete supplier");
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Suppliers</Text>
+        <TouchableOpacity onPress={() => openForm()} style={styles.addButton}>
+          <Ionicons name="add" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        {formOpen && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{editingId ? "Edit Supplier" : "New Supplier"}</Text>
+            {FORM_FIELDS.map((field) => (
+              <TextInput
+                key={field.key}
+                style={styles.input}
+                placeholder={field.placeholder}
+                placeholderTextColor="#9CA3AF"
+                value={form[field.key]}
+                onChangeText={(value) => setForm((prev) => ({ ...prev, [field.key]: value }))}
+                keyboardType={field.keyboardType}
+                autoCapitalize={field.key === "email" ? "none" : "sentences"}
+              />
+            ))}
+            <View style={styles.formActions}>
+              <TouchableOpacity style={styles.clearButton} onPress={closeForm} disabled={saving}>
+                <Text style={styles.clearButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.applyButton} onPress={handleSave} disabled={saving}>
+                {saving ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={styles.applyButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {/* Search */}
+        <View style={styles.searchContainer}>
+          <Ionicons name="search-outline" size={20} color="#9CA3AF" style={styles.searchIcon} />
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search suppliers..."
+            placeholderTextColor="#9CA3AF"
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+            autoCapitalize="none"
+          />
+        </View>
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#3C2253" />
+            <Text style={styles.loadingText}>Loading suppliers...</Text>
+          </View>
+        ) : error ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="alert-circle-outline" size={64} color="#DC2626" />
+            <Text style={styles.errorText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={loadSuppliers}>
+              <Text style={styles.retryButtonText}>Retry</Text>
+            </TouchableOpacity>
+          </View>
+        ) : suppliers.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="business-outline" size={64} color="#D1D5DB" />
+            <Text style={styles.emptyText}>No suppliers yet</Text>
+          </View>
+        ) : (
+          suppliers.map((supplier) => (
+            <View key={supplier.id} style={[styles.card, !supplier.active && styles.cardInactive]}>
+              <View style={styles.cardRow}>
+                <Text style={styles.supplierName}>{supplier.name}</Text>
+                {!supplier.active && (
+                  <View style={styles.inactiveBadge}>
+                    <Text style={styles.inactiveBadgeText}>Inactive</Text>
+                  </View>
+                )}
+              </View>
+              {supplier.contactName || supplier.phone || supplier.email ? (
+                <Text style={styles.detailText}>
+                  {[supplier.contactName, supplier.phone, supplier.email].filter(Boolean).join(" · ")}
+                </Text>
+              ) : null}
+              {supplier.address ? <Text style={styles.detailText}>{supplier.address}</Text> : null}
+              {supplier.leadTimeDays !== undefined ? (
+                <Text style={styles.detailText}>Delivers in {supplier.leadTimeDays} days</Text>
+              ) : null}
+              <View style={styles.cardActions}>
+                <TouchableOpacity
+                  onPress={() =>
+                    router.push({ pathname: "/admin/purchaseOrders", params: { supplier: supplier.id } })
+                  }
+                >
+                  <Text style={styles.linkText}>Orders</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => openForm(supplier)}>
+                  <Text style={styles.linkText}>Edit</Text>
+                </TouchableOpacity>
+                {supplier.active ? (
+                  <TouchableOpacity onPress={() => handleDelete(supplier)}>
+                    <Text style={styles.deleteText}>Delete</Text>
+                  </TouchableOpacity>
+                ) : (
+                  <TouchableOpacity onPress={() => handleReactivate(supplier)}>
+                    <Text style={styles.linkText}>Reactivate</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          ))
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F9FAFB",
+  },
+  header: {
+    backgroundColor: "#3C2253",
+    paddingTop: 50,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  backButton: {
+    padding: 8,
+  },
+  addButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#FFFFFF",
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  searchContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    marginBottom: 16,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  searchIcon: {
+    marginRight: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 14,
+    color: "#111827",
+    paddingVertical: 12,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    gap: 6,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardInactive: {
+    opacity: 0.6,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 6,
+  },
+  cardRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  supplierName: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  inactiveBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    backgroundColor: "#F3F4F6",
+  },
+  inactiveBadgeText: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#6B7280",
+  },
+  detailText: {
+    fontSize: 13,
+    color: "#6B7280",
+  },
+  cardActions: {
+    flexDirection: "row",
+    gap: 20,
+    marginTop: 6,
+  },
+  linkText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#3C2253",
+  },
+  deleteText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#DC2626",
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: "#111827",
+  },
+  formActions: {
+    flexDirection: "row",
+    gap: 12,
+    marginTop: 6,
+  },
+  applyButton: {
+    flex: 1,
+    backgroundColor: "#3C2253",
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  applyButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  clearButton: {
+    flex: 1,
+    backgroundColor: "#F3F4F6",
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  clearButtonText: {
+    color: "#374151",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  emptyContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: "#6B7280",
+    marginTop: 16,
+  },
+  loadingContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+  },
+  errorText: {
+    fontSize: 16,
+    color: "#DC2626",
+    marginTop: 16,
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+});
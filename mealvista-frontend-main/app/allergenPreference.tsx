@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   View,
   Text,
@@ -7,10 +7,12 @@ import {
   StatusBar,
   ScrollView,
   Alert,
+  ActivityIndicator,
 } from "react-native";
 import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { setOnboardingComplete } from "../lib/onboardingStorage";
+import { getPreferences, updatePreferences } from "../lib/profileService";
 
 interface Allergen {
   id: string;
@@ -28,6 +30,20 @@ const allergens: Allergen[] = [
     icon: "🥚",
     category: "main",
   },
+  {
+    id: "dairy",
+    name: "Dairy",
+    description: "Milk, cheese, butter, cream, yogurt",
+    icon: "🧈",
+    category: "main",
+  },
+  {
+    id: "gluten",
+    name: "Gluten",
+    description: "Wheat, flour, bread, pasta, barley",
+    icon: "🌾",
+    category: "main",
+  },
   {
     id: "soy",
     name: "Soy",
@@ -49,11 +65,25 @@ const allergens: Allergen[] = [
     icon: "🥜",
     category: "main",
   },
+  {
+    id: "tree-nuts",
+    name: "Tree Nuts",
+    description: "Almonds, cashews, walnuts, pistachios",
+    icon: "🌰",
+    category: "main",
+  },
+  {
+    id: "shellfish",
+    name: "Shellfish",
+    description: "Shrimp, prawns, crab, lobster",
+    icon: "🦐",
+    category: "main",
+  },
   {
     id: "sesame",
     name: "Sesame",
     description: "Sesame seeds, tahini, sesame oil",
-    icon: "🌰",
+    icon: "🫓",
     category: "other",
   },
   {
@@ -82,6 +112,31 @@ const allergens: Allergen[] = [
 export default function AllergenPreferenceScreen() {
   const router = useRouter();
   const [selectedAllergens, setSelectedAllergens] = useState<string[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  // Restore allergens saved to the profile (e.g. after reinstalling the app)
+  useEffect(() => {
+    let isMounted = true;
+
+    const loadAllergens = async () => {
+      try {
+        const { preferences } = await getPreferences();
+        if (isMounted) {
+          setSelectedAllergens(preferences.allergens);
+        }
+      } catch (error) {
+        if (__DEV__) {
+          console.warn("Unable to load saved allergens", error);
+        }
+      }
+    };
+
+    loadAllergens();
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
 
   const handleToggleAllergen = (id: string) => {
     setSelectedAllergens((prev) =>
@@ -95,13 +150,15 @@ export default function AllergenPreferenceScreen() {
       .map((a) => a.name)
       .join(", ");
 
-    // Here you would save preferences to backend
-    console.log("Allergen preferences saved:", selectedAllergens);
-    
     try {
-      // Save preferences to backend (you would add API call here)
-      console.log("Allergen preferences saved:", selectedAllergens);
-      
+      setSaving(true);
+
+      // Save allergens and finish onboarding on the server
+      await updatePreferences({
+        allergens: selectedAllergens,
+        onboardingComplete: true,
+      });
+
       // Mark onboarding as complete - this should happen BEFORE navigation
       await setOnboardingComplete();
       
@@ -124,6 +181,8 @@ export default function AllergenPreferenceScreen() {
         "Error",
         "There was a problem saving your preferences. Please try again."
       );
+    } finally {
+      setSaving(false);
     }
   };
 
@@ -184,8 +243,12 @@ export default function AllergenPreferenceScreen() {
 
       {/* Save Button */}
       <View style={styles.footer}>
-        <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
-          <Text style={styles.saveButtonText}>Save Preferences</Text>
+        <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+          {saving ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveButtonText}>Save Preferences</Text>
+          )}
         </TouchableOpacity>
       </View>
     </View>
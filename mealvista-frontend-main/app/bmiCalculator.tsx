@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   View,
   Text,
@@ -8,9 +8,33 @@ import {
   StatusBar,
   ScrollView,
   Alert,
+  ActivityIndicator,
 } from "react-native";
 import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
+import { getPreferences, recordBmi } from "../lib/profileService";
+import {
+  ACTIVITY_LEVELS,
+  ActivityLevel,
+  DayProgress,
+  Goal,
+  Goals,
+  GOALS,
+  getGoals,
+  setGoals,
+  Sex,
+} from "../lib/goalService";
+
+const MACROS: { key: "protein" | "carbs" | "fat" | "fiber"; name: string }[] = [
+  { key: "protein", name: "Protein" },
+  { key: "carbs", name: "Carbs" },
+  { key: "fat", name: "Fat" },
+  { key: "fiber", name: "Fiber" },
+];
+
+// Share of a target reached, for progress bars
+const progressWidth = (value: number, target: number | null) =>
+  `${target ? Math.min(Math.round((value / target) * 100), 100) : 0}%` as const;
 
 export default function BMICalculatorScreen() {
   const router = useRouter();
@@ -19,6 +43,49 @@ export default function BMICalculatorScreen() {
   const [bmi, setBmi] = useState<number | null>(null);
   const [category, setCategory] = useState("Not calculated");
   const [color, setColor] = useState("#2b7fff");
+  const [saving, setSaving] = useState(false);
+  const [age, setAge] = useState("");
+  const [sex, setSex] = useState<Sex | null>(null);
+  const [activityLevel, setActivityLevel] = useState<ActivityLevel | null>(null);
+  const [goal, setGoal] = useState<Goal>("maintain");
+  const [savedGoals, setSavedGoals] = useState<Goals | null>(null);
+  const [progress, setProgress] = useState<DayProgress | null>(null);
+  // Set once new goals are saved, so the user sees their targets before moving on
+  const [goalsSaved, setGoalsSaved] = useState(false);
+
+  // Prefill with the last measurements and goals saved to the profile
+  useEffect(() => {
+    let isMounted = true;
+
+    const loadMeasurements = async () => {
+      try {
+        const [{ preferences }, saved] = await Promise.all([getPreferences(), getGoals()]);
+        if (!isMounted) return;
+        if (preferences.heightCm && preferences.weightKg) {
+          setHeight(preferences.heightCm.toString());
+          setWeight(preferences.weightKg.toString());
+        }
+        if (saved.goals) {
+          setAge(saved.goals.age.toString());
+          setSex(saved.goals.sex);
+          setActivityLevel(saved.goals.activityLevel);
+          setGoal(saved.goals.goal);
+        }
+        setSavedGoals(saved.goals);
+        setProgress(saved.progress);
+      } catch (error) {
+        if (__DEV__) {
+          console.warn("Unable to load saved measurements", error);
+        }
+      }
+    };
+
+    loadMeasurements();
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
 
   const getBMICategory = (bmiValue: number) => {
     if (bmiValue < 18.5) {
@@ -58,13 +125,53 @@ export default function BMICalculatorScreen() {
     setColor(bmiColor);
   };
 
-  const handleSave = () => {
+  // Goals are optional, but once started every field is needed to work out targets
+  const goalsStarted = !!age || !!sex || !!activityLevel;
+  const goalsComplete = !!age && !!sex && !!activityLevel;
+
+  const handleSave = async () => {
+    if (goalsSaved) {
+      router.push("/allergenPreference");
+      return;
+    }
+
     if (bmi === null) {
       Alert.alert("Error", "Please calculate your BMI first");
       return;
     }
-    // Navigate to allergen preference screen
-    router.push("/allergenPreference");
+
+    const ageNum = parseInt(age, 10);
+    if (goalsStarted && (!goalsComplete || !Number.isInteger(ageNum) || ageNum < 16 || ageNum > 100)) {
+      Alert.alert("Error", "Please enter an age from 16 to 100 and choose your sex and activity level");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await recordBmi({
+        heightCm: parseFloat(height),
+        weightKg: parseFloat(weight),
+      });
+
+      if (goalsComplete && sex && activityLevel) {
+        const saved = await setGoals({ age: ageNum, sex, activityLevel, goal });
+        setSavedGoals(saved.goals);
+        setProgress(saved.progress);
+        setGoalsSaved(true);
+        return;
+      }
+
+      // Navigate to allergen preference screen
+      router.push("/allergenPreference");
+    } catch (error: any) {
+      console.error("Error saving BMI:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to save your measurements. Please try again."
+      );
+    } finally {
+      setSaving(false);
+    }
   };
 
   const handleBack = () => {
@@ -104,7 +211,7 @@ export default function BMICalculatorScreen() {
         <TouchableOpacity onPress={handleBack} style={styles.backButton}>
           <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>BMI Calculator</Text>
+        <Text style={styles.headerTitle}>BMI & Goals</Text>
       </View>
 
       <ScrollView
@@ -163,6 +270,166 @@ export default function BMICalculatorScreen() {
           </TouchableOpacity>
         </View>
 
+        {/* Goals Card */}
+        <View style={styles.inputCard}>
+          <View style={styles.titleSection}>
+            <View style={styles.iconContainer}>
+              <Ionicons name="flag-outline" size={20} color="#3C2253" />
+            </View>
+            <View style={styles.titleContainer}>
+              <Text style={styles.cardTitle}>Your Goals</Text>
+              <Text style={styles.cardSubtitle}>
+                Optional. Used to work out your daily calories and macros
+              </Text>
+            </View>
+          </View>
+
+          <View style={styles.inputsContainer}>
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Age</Text>
+              <View style={styles.inputWrapper}>
+                <TextInput
+                  style={styles.input}
+                  placeholder="30"
+                  placeholderTextColor="#9CA3AF"
+                  keyboardType="number-pad"
+                  value={age}
+                  onChangeText={(text) => {
+                    setAge(text);
+                    setGoalsSaved(false);
+                  }}
+                />
+              </View>
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Sex</Text>
+              <View style={styles.chipRow}>
+                {(["female", "male"] as Sex[]).map((option) => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[styles.chip, sex === option && styles.chipActive]}
+                    onPress={() => {
+                      setSex(option);
+                      setGoalsSaved(false);
+                    }}
+                  >
+                    <Text style={[styles.chipText, sex === option && styles.chipTextActive]}>
+                      {option === "female" ? "Female" : "Male"}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Activity Level</Text>
+              <View style={styles.chipRow}>
+                {ACTIVITY_LEVELS.map((level) => (
+                  <TouchableOpacity
+                    key={level.id}
+                    style={[styles.chip, activityLevel === level.id && styles.chipActive]}
+                    onPress={() => {
+                      setActivityLevel(level.id);
+                      setGoalsSaved(false);
+                    }}
+                  >
+                    <Text style={[styles.chipText, activityLevel === level.id && styles.chipTextActive]}>
+                      {level.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {!!activityLevel && (
+                <Text style={styles.chipHint}>
+                  {ACTIVITY_LEVELS.find((level) => level.id === activityLevel)?.description}
+                </Text>
+              )}
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Goal</Text>
+              <View style={styles.chipRow}>
+                {GOALS.map((option) => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[styles.chip, goal === option.id && styles.chipActive]}
+                    onPress={() => {
+                      setGoal(option.id);
+                      setGoalsSaved(false);
+                    }}
+                  >
+                    <Text style={[styles.chipText, goal === option.id && styles.chipTextActive]}>
+                      {option.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          </View>
+        </View>
+
+        {/* Targets Card */}
+        {!!savedGoals?.targets && (
+          <View style={[styles.resultCard, styles.targetsCard]}>
+            <Text style={styles.cardTitle}>Your Daily Targets</Text>
+            <View style={styles.energyRow}>
+              <View style={styles.energyItem}>
+                <Text style={styles.energyValue}>{savedGoals.targets.bmr}</Text>
+                <Text style={styles.energyLabel}>BMR kcal</Text>
+              </View>
+              <View style={styles.energyItem}>
+                <Text style={styles.energyValue}>{savedGoals.targets.tdee}</Text>
+                <Text style={styles.energyLabel}>TDEE kcal</Text>
+              </View>
+              <View style={styles.energyItem}>
+                <Text style={[styles.energyValue, styles.energyTarget]}>{savedGoals.targets.calories}</Text>
+                <Text style={styles.energyLabel}>Target kcal</Text>
+              </View>
+            </View>
+
+            {!!progress && (
+              <>
+                <Text style={styles.scaleTitle}>Today, from your food diary</Text>
+                <View style={styles.progressRow}>
+                  <View style={styles.progressHeader}>
+                    <Text style={styles.progressName}>Calories</Text>
+                    <Text style={styles.progressValue}>
+                      {progress.consumed.calories} / {savedGoals.targets.calories} kcal
+                    </Text>
+                  </View>
+                  <View style={styles.progressTrack}>
+                    <View
+                      style={[
+                        styles.progressFill,
+                        { width: progressWidth(progress.consumed.calories, savedGoals.targets.calories) },
+                      ]}
+                    />
+                  </View>
+                </View>
+                {MACROS.map((macro) => (
+                  <View key={macro.key} style={styles.progressRow}>
+                    <View style={styles.progressHeader}>
+                      <Text style={styles.progressName}>{macro.name}</Text>
+                      <Text style={styles.progressValue}>
+                        {progress.consumed[macro.key]} / {savedGoals.targets?.[macro.key]} g
+                      </Text>
+                    </View>
+                    <View style={styles.progressTrack}>
+                      <View
+                        style={[
+                          styles.progressFill,
+                          { width: progressWidth(progress.consumed[macro.key], savedGoals.targets?.[macro.key] ?? null) },
+                        ]}
+                      />
+                    </View>
+                  </View>
+                ))}
+              </>
+            )}
+          </View>
+        )}
+
         {/* Result Card */}
         {bmi !== null && (
           <View style={styles.resultCard}>
@@ -219,8 +486,14 @@ export default function BMICalculatorScreen() {
       {/* Save/Continue Button */}
       {bmi !== null && (
         <View style={styles.footer}>
-          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
-            <Text style={styles.saveButtonText}>Continue</Text>
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            {saving ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.saveButtonText}>
+                {goalsComplete && !goalsSaved ? "Save & See Targets" : "Continue"}
+              </Text>
+            )}
           </TouchableOpacity>
         </View>
       )}
@@ -439,5 +712,84 @@ const styles = StyleSheet.create({
     fontWeight: "400",
     color: "#FFFFFF",
   },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 100,
+    backgroundColor: "#F5F5F7",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  chipActive: {
+    backgroundColor: "#3C2253",
+    borderColor: "#3C2253",
+  },
+  chipText: {
+    fontSize: 14,
+    color: "#333333",
+  },
+  chipTextActive: {
+    color: "#FFFFFF",
+  },
+  chipHint: {
+    fontSize: 12,
+    color: "#4A5565",
+  },
+  targetsCard: {
+    marginBottom: 24,
+    gap: 16,
+  },
+  energyRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  energyItem: {
+    flex: 1,
+    alignItems: "center",
+  },
+  energyValue: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: "#333333",
+  },
+  energyTarget: {
+    color: "#3C2253",
+  },
+  energyLabel: {
+    fontSize: 12,
+    color: "#4A5565",
+    marginTop: 2,
+  },
+  progressRow: {
+    gap: 6,
+  },
+  progressHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  progressName: {
+    fontSize: 14,
+    color: "#333333",
+  },
+  progressValue: {
+    fontSize: 13,
+    color: "#4A5565",
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 100,
+    backgroundColor: "#E5E7EB",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    borderRadius: 100,
+    backgroundColor: "#3C2253",
+  },
 });
 
@@ -7,23 +7,28 @@ import {
   TextInput,
   TouchableOpacity,
   SafeAreaView,
+  Alert,
+  ActivityIndicator,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
 import { useCart } from "../contexts/CartContext";
+import { checkout, Order } from "../lib/orderService";
+import { confirmThreeDSecure, createCardToken } from "../lib/paymentService";
 
 const CardDetailsScreen: React.FC = () => {
   const router = useRouter();
-  const { getTotalPrice } = useCart();
+  const { getTotalPrice, getTotalItems, refreshCart } = useCart();
   const [cardNumber, setCardNumber] = useState<string>("");
   const [expiryDate, setExpiryDate] = useState<string>("");
   const [cvv, setCvv] = useState<string>("");
   const [cardName, setCardName] = useState<string>("");
   const [showCvv, setShowCvv] = useState<boolean>(false);
+  const [placingOrder, setPlacingOrder] = useState<boolean>(false);
   const [errors, setErrors] = useState<{ cardNumber?: string; expiryDate?: string; cvv?: string; cardName?: string }>({});
 
   const orderSummary = {
-    items: 8,
+    items: getTotalItems(),
     subtotal: getTotalPrice(),
     deliveryFee: 30,
     total: getTotalPrice() + 30,
@@ -102,11 +107,77 @@ const CardDetailsScreen: React.FC = () => {
     return Object.keys(newErrors).length === 0;
   };
 
-  const handlePayNow = () => {
+  const goToReceipt = (order: Order) => {
+    router.replace({
+      pathname: "/paymentSuccessful",
+      params: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        total: order.total.toString(),
+        createdAt: order.createdAt,
+        estimatedDelivery: order.estimatedDelivery ?? "",
+        paymentMethod: order.paymentMethod,
+      },
+    });
+  };
+
+  // Stand-in for the bank's 3-D Secure page while payments run on the mock provider
+  const askForVerification = () =>
+    new Promise<boolean>((resolve) => {
+      Alert.alert(
+        "Verify Payment",
+        "Your bank needs to confirm this payment before it goes through.",
+        [
+          { text: "Decline", style: "cancel", onPress: () => resolve(false) },
+          { text: "Confirm", onPress: () => resolve(true) },
+        ],
+        { cancelable: false }
+      );
+    });
+
+  const handlePayNow = async () => {
     // Validate form
     const ok = runAllValidations();
     if (!ok) return;
-    router.push("/paymentSuccessful");
+
+    try {
+      setPlacingOrder(true);
+      // Only a token leaves the device; the server prices the order from the saved cart
+      const [month, year] = expiryDate.split("/");
+      const paymentToken = await createCardToken({
+        number: cardNumber,
+        expiryMonth: parseInt(month, 10),
+        expiryYear: 2000 + parseInt(year, 10),
+        cvv,
+        name: cardName.trim(),
+      });
+
+      let { order } = await checkout({ paymentMethod: "card", paymentToken });
+      if (order.paymentStatus === "requires_action") {
+        const approved = await askForVerification();
+        ({ order } = await confirmThreeDSecure(order.id, approved));
+      }
+
+      await refreshCart();
+      goToReceipt(order);
+    } catch (err: any) {
+      if (err.response?.status === 401) {
+        Alert.alert("Sign In Required", "Please sign in to place your order.", [
+          { text: "Cancel", style: "cancel" },
+          { text: "Sign In", onPress: () => router.push("/signIn") },
+        ]);
+        return;
+      }
+      if (err.response?.status === 402) {
+        Alert.alert("Payment Declined", err.response.data?.message || "Your payment was not accepted. Please try another card.");
+        return;
+      }
+      Alert.alert("Order Failed", err.response?.data?.message || "Could not place your order. Please try again.");
+      // Stock or prices may have changed; show the cart as the server has it
+      refreshCart();
+    } finally {
+      setPlacingOrder(false);
+    }
   };
 
   return (
@@ -256,16 +327,26 @@ const CardDetailsScreen: React.FC = () => {
 
       {/* Pay Now Button */}
       <View style={styles.buttonContainer}>
-        <TouchableOpacity style={styles.payButton} onPress={handlePayNow}>
-          <Ionicons
-            name="lock-closed"
-            size={18}
-            color="#fff"
-            style={styles.lockIcon}
-          />
-          <Text style={styles.payButtonText}>
-            Pay Now • Rs. {orderSummary.total.toFixed(2)}
-          </Text>
+        <TouchableOpacity
+          style={[styles.payButton, placingOrder && styles.payButtonDisabled]}
+          onPress={handlePayNow}
+          disabled={placingOrder}
+        >
+          {placingOrder ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons
+                name="lock-closed"
+                size={18}
+                color="#fff"
+                style={styles.lockIcon}
+              />
+              <Text style={styles.payButtonText}>
+                Pay Now • Rs. {orderSummary.total.toFixed(2)}
+              </Text>
+            </>
+          )}
         </TouchableOpacity>
       </View>
     </SafeAreaView>
@@ -391,6 +472,7 @@ const styles = StyleSheet.create({
     justifyContent: "center",
   },
   lockIcon: { marginRight: 8 },
+  payButtonDisabled: { opacity: 0.7 },
   payButtonText: { fontSize: 16, fontWeight: "600", color: "#fff" },
   errorText: {
     color: "#DC2626",
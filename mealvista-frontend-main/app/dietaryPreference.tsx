@@ -12,6 +12,7 @@ import {
 import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { getProfile } from "../lib/authService";
+import { getPreferences, updatePreferences } from "../lib/profileService";
 
 interface DietaryOption {
   id: string;
@@ -35,15 +36,23 @@ export default function DietaryPreferenceScreen() {
   const [selectedPreferences, setSelectedPreferences] = useState<string[]>(["keto"]);
   const [userName, setUserName] = useState<string | null>(null);
   const [loadingProfile, setLoadingProfile] = useState(true);
+  const [saving, setSaving] = useState(false);
 
   useEffect(() => {
     let isMounted = true;
 
     const fetchProfile = async () => {
       try {
-        const response = await getProfile();
+        const [response, preferencesResponse] = await Promise.all([
+          getProfile(),
+          getPreferences(),
+        ]);
         if (isMounted) {
           setUserName(response.user?.name ?? null);
+          // Restore what the user picked before (e.g. on a new device)
+          if (preferencesResponse.preferences.diets.length > 0) {
+            setSelectedPreferences(preferencesResponse.preferences.diets);
+          }
         }
       } catch (error) {
         if (__DEV__) {
@@ -69,22 +78,27 @@ export default function DietaryPreferenceScreen() {
     );
   };
 
-  const handleSave = () => {
+  const handleSave = async () => {
     if (selectedPreferences.length === 0) {
       Alert.alert("Error", "Please select at least one dietary preference");
       return;
     }
 
-    const selectedLabels = dietaryOptions
-      .filter((opt) => selectedPreferences.includes(opt.id))
-      .map((opt) => opt.label)
-      .join(", ");
+    try {
+      setSaving(true);
+      await updatePreferences({ diets: selectedPreferences });
 
-    // Here you would save preferences to backend
-    console.log("Preferences saved:", selectedPreferences);
-    
-    // Navigate to BMI calculator screen
-    router.push("/bmiCalculator");
+      // Navigate to BMI calculator screen
+      router.push("/bmiCalculator");
+    } catch (error: any) {
+      console.error("Error saving dietary preferences:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to save your preferences. Please try again."
+      );
+    } finally {
+      setSaving(false);
+    }
   };
 
   const handleBack = () => {
@@ -191,12 +205,16 @@ export default function DietaryPreferenceScreen() {
         <TouchableOpacity
           style={[
             styles.saveButton,
-            selectedPreferences.length === 0 && styles.saveButtonDisabled,
+            (selectedPreferences.length === 0 || saving) && styles.saveButtonDisabled,
           ]}
           onPress={handleSave}
-          disabled={selectedPreferences.length === 0}
+          disabled={selectedPreferences.length === 0 || saving}
         >
-          <Text style={styles.saveButtonText}>Save Preferences</Text>
+          {saving ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveButtonText}>Save Preferences</Text>
+          )}
         </TouchableOpacity>
       </View>
     </View>
@@ -0,0 +1,746 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  StatusBar,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useRouter } from "expo-router";
+import { MacroCards, MicroCards } from "@/components/nutrient-cards";
+import {
+  currentMealSlot,
+  deleteFoodLogEntry,
+  DiaryResponse,
+  FoodLogEntry,
+  getDiary,
+  logFood,
+} from "../lib/foodLogService";
+import { todayString } from "../lib/goalService";
+import { MEAL_SLOTS, MealSlot } from "../lib/mealPlanService";
+import { Product } from "../lib/productService";
+import { search } from "../lib/searchService";
+
+const SLOT_LABELS: Record<MealSlot, string> = {
+  breakfast: "Breakfast",
+  lunch: "Lunch",
+  dinner: "Dinner",
+  snack: "Snack",
+};
+
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Diary dates are calendar days (YYYY-MM-DD), so read and shift them in UTC
+const parseDay = (date: string) => new Date(`${date}T00:00:00Z`);
+const shiftDays = (date: string, days: number) =>
+  new Date(parseDay(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const formatDay = (date: string) => {
+  const parsed = parseDay(date);
+  return `${MONTH_NAMES[parsed.getUTCMonth()]} ${parsed.getUTCDate()}`;
+};
+
+const formatQuantity = (quantity: number) =>
+  Number.isInteger(quantity) ? quantity.toString() : quantity.toFixed(2).replace(/0+$/, "");
+
+const PORTION_UNITS = ["g", "ml", "piece"];
+
+type EntryMode = "custom" | "product";
+
+interface EntryForm {
+  mode: EntryMode;
+  slot: MealSlot;
+  name: string;
+  quantity: string;
+  unit: string;
+  calories: string;
+  protein: string;
+  carbs: string;
+  fat: string;
+}
+
+const emptyForm = (): EntryForm => ({
+  mode: "custom",
+  slot: currentMealSlot(),
+  name: "",
+  quantity: "1",
+  unit: "serving",
+  calories: "",
+  protein: "",
+  carbs: "",
+  fat: "",
+});
+
+export default function FoodDiaryScreen() {
+  const router = useRouter();
+  const [date, setDate] = useState(todayString());
+  const [diary, setDiary] = useState<DiaryResponse | null>(null);
+  const [view, setView] = useState<"day" | "week">("day");
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState<EntryForm>(emptyForm());
+  const [productQuery, setProductQuery] = useState("");
+  const [products, setProducts] = useState<Product[]>([]);
+  const [product, setProduct] = useState<Product | null>(null);
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadDiary = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getDiary(date);
+      setDiary(response);
+    } catch (err: any) {
+      console.error("Failed to load food diary:", err);
+      setError(err.response?.data?.message || "Failed to load food diary");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [date]);
+
+  // Meals are logged from recipe details too, so refresh whenever the screen is shown
+  useFocusEffect(
+    useCallback(() => {
+      loadDiary();
+    }, [loadDiary])
+  );
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadDiary();
+  };
+
+  const changeDate = (next: string) => {
+    setLoading(true);
+    setDate(next);
+  };
+
+  const openForm = () => {
+    setForm(emptyForm());
+    setProduct(null);
+    setProducts([]);
+    setProductQuery("");
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setProduct(null);
+    setProducts([]);
+  };
+
+  const setMode = (mode: EntryMode) => {
+    setForm((prev) => ({ ...prev, mode, quantity: "1", unit: mode === "custom" ? "serving" : prev.unit }));
+    setProduct(null);
+  };
+
+  const handleProductSearch = async () => {
+    const text = productQuery.trim();
+    if (text.length < 2) return;
+
+    try {
+      setSearching(true);
+      const response = await search(text, { type: "products", limit: 5 });
+      setProducts(response.products?.hits ?? []);
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Search failed");
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const selectProduct = (item: Product) => {
+    setProduct(item);
+    setForm((prev) => ({ ...prev, quantity: "1", unit: item.unit }));
+  };
+
+  const handleSave = async () => {
+    const quantity = parseFloat(form.quantity);
+    if (Number.isNaN(quantity) || quantity <= 0) {
+      Alert.alert("Invalid Portion", "Please enter how much you had");
+      return;
+    }
+
+    let input;
+    if (form.mode === "product") {
+      if (!product) {
+        Alert.alert("Pick a Grocery", "Search for the grocery you had and pick it");
+        return;
+      }
+      input = { source: "product" as const, inventoryId: product.id, quantity, unit: form.unit };
+    } else {
+      const calories = parseFloat(form.calories);
+      if (!form.name.trim()) {
+        Alert.alert("Missing Name", "Please enter what you had");
+        return;
+      }
+      if (Number.isNaN(calories) || calories < 0) {
+        Alert.alert("Missing Calories", "Please enter the calories of the portion");
+        return;
+      }
+      input = {
+        source: "custom" as const,
+        name: form.name.trim(),
+        quantity,
+        unit: form.unit.trim() || "serving",
+        nutrients: {
+          calories,
+          protein: parseFloat(form.protein) || 0,
+          carbs: parseFloat(form.carbs) || 0,
+          fat: parseFloat(form.fat) || 0,
+        },
+      };
+    }
+
+    try {
+      setSaving(true);
+      await logFood({ ...input, date, slot: form.slot });
+      closeForm();
+      loadDiary();
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to log food");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (entry: FoodLogEntry) => {
+    Alert.alert("Remove Entry", `Remove ${entry.name} from your diary?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await deleteFoodLogEntry(entry.id);
+            loadDiary();
+          } catch (err: any) {
+            Alert.alert("Error", err.response?.data?.message || "Failed to remove entry");
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderForm = () => (
+    <View style={styles.formCard}>
+      <Text style={styles.formTitle}>Log Food</Text>
+      <View style={styles.chipRow}>
+        {(["custom", "product"] as EntryMode[]).map((mode) => (
+          <TouchableOpacity
+            key={mode}
+            style={[styles.chip, form.mode === mode && styles.chipActive]}
+            onPress={() => setMode(mode)}
+          >
+            <Text style={[styles.chipText, form.mode === mode && styles.chipTextActive]}>
+              {mode === "custom" ? "Custom" : "Grocery"}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.chipRow}>
+        {MEAL_SLOTS.map((slot) => (
+          <TouchableOpacity
+            key={slot}
+            style={[styles.chip, form.slot === slot && styles.chipActive]}
+            onPress={() => setForm((prev) => ({ ...prev, slot }))}
+          >
+            <Text style={[styles.chipText, form.slot === slot && styles.chipTextActive]}>{SLOT_LABELS[slot]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {form.mode === "product" ? (
+        <>
+          <View style={styles.formRow}>
+            <TextInput
+              style={[styles.input, styles.flexInput]}
+              placeholder="Search groceries"
+              placeholderTextColor="#9CA3AF"
+              value={productQuery}
+              onChangeText={setProductQuery}
+              onSubmitEditing={handleProductSearch}
+              returnKeyType="search"
+            />
+            <TouchableOpacity style={styles.searchButton} onPress={handleProductSearch} disabled={searching}>
+              {searching ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <Ionicons name="search" size={18} color="#fff" />
+              )}
+            </TouchableOpacity>
+          </View>
+          {products.map((item) => (
+            <TouchableOpacity
+              key={item.id}
+              style={[styles.productRow, product?.id === item.id && styles.productRowActive]}
+              onPress={() => selectProduct(item)}
+            >
+              <Text style={styles.productName}>{item.name}</Text>
+              <Text style={styles.productUnit}>per {item.unit}</Text>
+            </TouchableOpacity>
+          ))}
+          {product && (
+            <>
+              <TextInput
+                style={styles.input}
+                placeholder="How much"
+                placeholderTextColor="#9CA3AF"
+                keyboardType="decimal-pad"
+                value={form.quantity}
+                onChangeText={(quantity) => setForm((prev) => ({ ...prev, quantity }))}
+              />
+              <View style={styles.chipRow}>
+                {[product.unit, ...PORTION_UNITS.filter((unit) => unit !== product.unit)].map((unit) => (
+                  <TouchableOpacity
+                    key={unit}
+                    style={[styles.chip, form.unit === unit && styles.chipActive]}
+                    onPress={() => setForm((prev) => ({ ...prev, unit }))}
+                  >
+                    <Text style={[styles.chipText, form.unit === unit && styles.chipTextActive]}>{unit}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+        </>
+      ) : (
+        <>
+          <TextInput
+            style={styles.input}
+            placeholder="What you had (e.g. Banana)"
+            placeholderTextColor="#9CA3AF"
+            value={form.name}
+            onChangeText={(name) => setForm((prev) => ({ ...prev, name }))}
+          />
+          <View style={styles.formRow}>
+            <TextInput
+              style={[styles.input, styles.flexInput]}
+              placeholder="Portion"
+              placeholderTextColor="#9CA3AF"
+              keyboardType="decimal-pad"
+              value={form.quantity}
+              onChangeText={(quantity) => setForm((prev) => ({ ...prev, quantity }))}
+            />
+            <TextInput
+              style={[styles.input, styles.flexInput]}
+              placeholder="Unit"
+              placeholderTextColor="#9CA3AF"
+              value={form.unit}
+              onChangeText={(unit) => setForm((prev) => ({ ...prev, unit }))}
+            />
+            <TextInput
+              style={[styles.input, styles.flexInput]}
+              placeholder="kcal"
+              placeholderTextColor="#9CA3AF"
+              keyboardType="decimal-pad"
+              value={form.calories}
+              onChangeText={(calories) => setForm((prev) => ({ ...prev, calories }))}
+            />
+          </View>
+          <View style={styles.formRow}>
+            {(["protein", "carbs", "fat"] as const).map((key) => (
+              <TextInput
+                key={key}
+                style={[styles.input, styles.flexInput]}
+                placeholder={`${key[0].toUpperCase()}${key.slice(1)} (g)`}
+                placeholderTextColor="#9CA3AF"
+                keyboardType="decimal-pad"
+                value={form[key]}
+                onChangeText={(value) => setForm((prev) => ({ ...prev, [key]: value }))}
+              />
+            ))}
+          </View>
+        </>
+      )}
+
+      <View style={styles.formActions}>
+        <TouchableOpacity style={styles.cancelButton} onPress={closeForm}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+          {saving ? <ActivityIndicator color="#fff" size="small" /> : <Text style={styles.saveButtonText}>Log</Text>}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderDay = (data: DiaryResponse) => {
+    const hasTargets = data.targets.protein !== null;
+    return (
+      <>
+        {MEAL_SLOTS.map((slot) => {
+          const entries = data.entries.filter((entry) => entry.slot === slot);
+          const calories = entries.reduce((sum, entry) => sum + entry.nutrients.calories, 0);
+          return (
+            <View key={slot} style={styles.slotSection}>
+              <View style={styles.slotHeader}>
+                <Text style={styles.slotTitle}>{SLOT_LABELS[slot]}</Text>
+                <Text style={styles.slotCalories}>{Math.round(calories)} kcal</Text>
+              </View>
+              {entries.length === 0 ? (
+                <Text style={styles.slotEmpty}>Nothing logged</Text>
+              ) : (
+                entries.map((entry) => (
+                  <View key={entry.id} style={styles.entryRow}>
+                    <View style={styles.entryInfo}>
+                      <Text style={styles.entryName}>{entry.name}</Text>
+                      <Text style={styles.entryDetail}>
+                        {formatQuantity(entry.quantity)} {entry.unit} · {Math.round(entry.nutrients.calories)} kcal
+                      </Text>
+                    </View>
+                    <TouchableOpacity style={styles.deleteButton} onPress={() => handleDelete(entry)}>
+                      <Ionicons name="trash-outline" size={18} color="#DC2626" />
+                    </TouchableOpacity>
+                  </View>
+                ))
+              )}
+            </View>
+          );
+        })}
+
+        <Text style={styles.sectionTitle}>Macronutrients</Text>
+        <MacroCards
+          macros={data.totals.macros}
+          basis="target"
+          dailyValueLabel={hasTargets ? "of your target" : "of daily value"}
+        />
+        <Text style={styles.sectionTitle}>Micronutrients</Text>
+        <MicroCards micros={data.totals.micros} />
+      </>
+    );
+  };
+
+  const renderWeek = (data: DiaryResponse) => {
+    const hasTargets = data.targets.protein !== null;
+    return (
+      <>
+        <View style={styles.weekCard}>
+          {data.week.days.map((day, index) => (
+            <TouchableOpacity
+              key={day.date}
+              style={styles.weekRow}
+              onPress={() => {
+                changeDate(day.date);
+                setView("day");
+              }}
+            >
+              <Text style={[styles.weekDay, day.date === date && styles.weekDayActive]}>
+                {DAY_NAMES[index]} {formatDay(day.date)}
+              </Text>
+              <View style={styles.weekTrack}>
+                <View
+                  style={[
+                    styles.weekFill,
+                    day.calories > data.targets.calories && styles.weekFillOver,
+                    { width: `${Math.min(Math.round((day.calories / data.targets.calories) * 100), 100)}%` },
+                  ]}
+                />
+              </View>
+              <Text style={styles.weekCalories}>{day.entryCount > 0 ? `${day.calories} kcal` : "-"}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {data.week.loggedDays === 0 ? (
+          <Text style={styles.slotEmpty}>Nothing logged this week yet</Text>
+        ) : (
+          <>
+            <Text style={styles.sectionTitle}>
+              Daily Average ({data.week.loggedDays} {data.week.loggedDays === 1 ? "day" : "days"} logged)
+            </Text>
+            <Text style={styles.averageCalories}>
+              {data.week.average.calories} of {data.targets.calories} kcal a day
+            </Text>
+            <MacroCards
+              macros={data.week.average.macros}
+              basis="target"
+              dailyValueLabel={hasTargets ? "of your target" : "of daily value"}
+            />
+            <MicroCards micros={data.week.average.micros} />
+          </>
+        )}
+      </>
+    );
+  };
+
+  const left = diary ? diary.targets.calories - diary.totals.calories : 0;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Food Diary</Text>
+        {!showForm && (
+          <TouchableOpacity style={styles.addButton} onPress={openForm}>
+            <Ionicons name="add" size={24} color="#fff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.dateBar}>
+        <TouchableOpacity style={styles.dateButton} onPress={() => changeDate(shiftDays(date, -1))}>
+          <Ionicons name="chevron-back" size={20} color="#3C2253" />
+        </TouchableOpacity>
+        <Text style={styles.dateText}>{date === todayString() ? "Today" : formatDay(date)}</Text>
+        <TouchableOpacity style={styles.dateButton} onPress={() => changeDate(shiftDays(date, 1))}>
+          <Ionicons name="chevron-forward" size={20} color="#3C2253" />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading food diary...</Text>
+        </View>
+      ) : error || !diary ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadDiary}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.content}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          keyboardShouldPersistTaps="handled"
+        >
+          {showForm && renderForm()}
+
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryCalories}>
+              {diary.totals.calories} / {diary.targets.calories} kcal
+            </Text>
+            <View style={styles.summaryTrack}>
+              <View
+                style={[
+                  styles.summaryFill,
+                  left < 0 && styles.summaryFillOver,
+                  { width: `${Math.min(diary.totals.caloriesPercentDailyValue, 100)}%` },
+                ]}
+              />
+            </View>
+            <Text style={styles.summaryLeft}>
+              {left >= 0 ? `${left} kcal left today` : `${-left} kcal over today`}
+            </Text>
+          </View>
+
+          <View style={styles.viewToggle}>
+            {(["day", "week"] as const).map((option) => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.toggleButton, view === option && styles.toggleButtonActive]}
+                onPress={() => setView(option)}
+              >
+                <Text style={[styles.toggleText, view === option && styles.toggleTextActive]}>
+                  {option === "day" ? "Day" : "Week"}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {view === "day" ? renderDay(diary) : renderWeek(diary)}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 16,
+    backgroundColor: "#3C2253",
+  },
+  backButton: { marginRight: 16 },
+  headerTitle: { flex: 1, fontSize: 20, color: "#fff", fontWeight: "600" },
+  addButton: { padding: 4 },
+  dateBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: "#fff",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E5E7EB",
+  },
+  dateButton: { padding: 6 },
+  dateText: { fontSize: 15, fontWeight: "600", color: "#3C2253" },
+  content: { padding: 16, paddingBottom: 40 },
+  stateContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  formCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: "#E5DFF0",
+  },
+  formTitle: { fontSize: 16, fontWeight: "600", color: "#3C2253", marginBottom: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: "#111827",
+    marginBottom: 10,
+  },
+  formRow: { flexDirection: "row", gap: 10 },
+  flexInput: { flex: 1 },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginBottom: 12 },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  chipActive: { backgroundColor: "#3C2253", borderColor: "#3C2253" },
+  chipText: { fontSize: 12, color: "#374151", fontWeight: "600" },
+  chipTextActive: { color: "#fff" },
+  searchButton: {
+    backgroundColor: "#3C2253",
+    borderRadius: 8,
+    width: 44,
+    height: 42,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  productRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginBottom: 6,
+    backgroundColor: "#F9FAFB",
+  },
+  productRowActive: { backgroundColor: "#F5F3F7", borderWidth: 1, borderColor: "#3C2253" },
+  productName: { flex: 1, fontSize: 14, color: "#111827", fontWeight: "500" },
+  productUnit: { fontSize: 12, color: "#6B7280" },
+  formActions: { flexDirection: "row", justifyContent: "flex-end", gap: 10 },
+  cancelButton: { paddingHorizontal: 16, paddingVertical: 10 },
+  cancelButtonText: { color: "#6B7280", fontSize: 14, fontWeight: "600" },
+  saveButton: {
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    minWidth: 80,
+    alignItems: "center",
+  },
+  saveButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  summaryCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  summaryCalories: { fontSize: 22, fontWeight: "700", color: "#3C2253" },
+  summaryTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#F3F4F6",
+    overflow: "hidden",
+    marginTop: 10,
+  },
+  summaryFill: { height: "100%", borderRadius: 4, backgroundColor: "#3C2253" },
+  summaryFillOver: { backgroundColor: "#DC2626" },
+  summaryLeft: { fontSize: 13, color: "#6B7280", marginTop: 8 },
+  viewToggle: {
+    flexDirection: "row",
+    backgroundColor: "#F5F3F7",
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 16,
+  },
+  toggleButton: { flex: 1, paddingVertical: 8, borderRadius: 8, alignItems: "center" },
+  toggleButtonActive: { backgroundColor: "#3C2253" },
+  toggleText: { fontSize: 14, fontWeight: "600", color: "#3C2253" },
+  toggleTextActive: { color: "#fff" },
+  slotSection: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+  },
+  slotHeader: { flexDirection: "row", justifyContent: "space-between", marginBottom: 6 },
+  slotTitle: { fontSize: 15, fontWeight: "600", color: "#111827" },
+  slotCalories: { fontSize: 13, color: "#6B7280" },
+  slotEmpty: { fontSize: 13, color: "#9CA3AF", marginBottom: 12 },
+  entryRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#F3F4F6",
+  },
+  entryInfo: { flex: 1 },
+  entryName: { fontSize: 14, fontWeight: "500", color: "#111827" },
+  entryDetail: { fontSize: 12, color: "#6B7280", marginTop: 2 },
+  deleteButton: { padding: 6 },
+  sectionTitle: { fontSize: 16, fontWeight: "600", color: "#1F2937", marginTop: 8, marginBottom: 12 },
+  weekCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  weekRow: { flexDirection: "row", alignItems: "center", paddingVertical: 8 },
+  weekDay: { width: 84, fontSize: 13, color: "#374151" },
+  weekDayActive: { color: "#3C2253", fontWeight: "700" },
+  weekTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#F3F4F6",
+    overflow: "hidden",
+    marginHorizontal: 8,
+  },
+  weekFill: { height: "100%", borderRadius: 4, backgroundColor: "#8B7BA8" },
+  weekFillOver: { backgroundColor: "#DC2626" },
+  weekCalories: { width: 72, fontSize: 12, color: "#6B7280", textAlign: "right" },
+  averageCalories: { fontSize: 14, color: "#374151", marginBottom: 12 },
+});
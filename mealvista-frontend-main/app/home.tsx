@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,22 +7,24 @@ import {
   TouchableOpacity,
   StyleSheet,
   StatusBar,
+  ActivityIndicator,
+  RefreshControl,
+  TextInput,
 } from 'react-native';
 import { Feather } from "@expo/vector-icons";
 import { useFavorites } from "../contexts/FavoritesContext";
-import { useRouter } from 'expo-router';
+import { useFocusEffect, useRouter } from 'expo-router';
 import { useCart } from '../contexts/CartContext';
+import { AllergenWarning, getRecipes, RecipeSummary } from '../lib/recipeService';
+import { search, SearchResponse } from '../lib/searchService';
+import { DayProgress, getRecommendations, NutrientTargets } from '../lib/goalService';
+import { useAllergenWarnings } from '@/hooks/use-allergen-warnings';
 
-interface Meal {
-  image: string;
-  title: string;
-  time: number;
-  calories: number;
-  difficulty: string;
-  rating: number;
-  trending?: boolean;
-  featured?: boolean;
-}
+type Meal = RecipeSummary;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+const PLACEHOLDER_IMAGE = 'https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400';
 
 interface MealCardProps {
   meal: Meal;
@@ -30,12 +32,11 @@ interface MealCardProps {
   onPress?: () => void;
   onBookmarkPress?: () => void;
   favorited?: boolean;
+  allergenWarnings?: AllergenWarning[];
 }
 
-const MealCard = ({ meal, size = 'normal', onPress, onBookmarkPress, favorited = false }: MealCardProps) => {
+const MealCard = ({ meal, size = 'normal', onPress, onBookmarkPress, favorited = false, allergenWarnings = [] }: MealCardProps) => {
   const isLarge = size === 'large';
-  // Note: meal.id may not be present in sample data; compute fallback id using title
-  const id = (meal as any).id ?? meal.title.replace(/\s+/g, '-').toLowerCase();
 
   return (
     <TouchableOpacity 
@@ -51,6 +52,14 @@ const MealCard = ({ meal, size = 'normal', onPress, onBookmarkPress, favorited =
             <Text style={styles.trendingText}>Trending</Text>
           </View>
         )}
+        {allergenWarnings.length > 0 && (
+          <View style={styles.allergenBadge}>
+            <Feather name="alert-triangle" size={12} color="#fff" />
+            <Text style={styles.allergenBadgeText} numberOfLines={1}>
+              {allergenWarnings.map((warning) => warning.name).join(', ')}
+            </Text>
+          </View>
+        )}
         <TouchableOpacity style={styles.bookmarkButton} onPress={onBookmarkPress}>
           <Feather name="bookmark" size={18} color={favorited ? '#FF6B6B' : '#3C2253'} />
         </TouchableOpacity>
@@ -100,79 +109,97 @@ export default function Home() {
   const router = useRouter();
   const { getTotalItems } = useCart();
   const { favorites, toggleFavorite, isFavorited } = useFavorites();
+  const [recommendedMeals, setRecommendedMeals] = useState<Meal[]>([]);
+  const [trendingMeals, setTrendingMeals] = useState<Meal[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // Today's intake against the user's targets, and what the next meal should aim for
+  const [progress, setProgress] = useState<DayProgress | null>(null);
+  const [budget, setBudget] = useState<NutrientTargets | null>(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<SearchResponse | null>(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const searchInput = useRef<TextInput>(null);
+  // Only the latest search may show its results while the user keeps typing
+  const searchId = useRef(0);
+  const allergenWarnings = useAllergenWarnings(
+    [...recommendedMeals, ...trendingMeals].map((meal) => meal.id)
+  );
+
+  const loadMeals = useCallback(async () => {
+    try {
+      setError(null);
+      const [ranked, trending] = await Promise.all([
+        // Ranked by what is left of today's targets; the plain list when that is unavailable
+        getRecommendations({ limit: 10 }).catch((err) => {
+          console.warn('Failed to rank recommendations:', err);
+          return null;
+        }),
+        getRecipes({ trending: true, limit: 5 }),
+      ]);
+      const recommended = ranked ? ranked.recipes : (await getRecipes({ trending: false, limit: 10 })).recipes;
+      setRecommendedMeals(recommended);
+      setTrendingMeals(trending.recipes);
+      setProgress(ranked ? ranked.progress : null);
+      setBudget(ranked ? ranked.budget : null);
+    } catch (err: any) {
+      console.error('Failed to load recipes:', err);
+      setError(err.response?.data?.message || 'Failed to load recipes');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  // Refresh on focus so the ranking follows meals logged elsewhere
+  useFocusEffect(
+    useCallback(() => {
+      loadMeals();
+    }, [loadMeals])
+  );
 
-  const recommendedMeals: Meal[] = [
-    {
-      image: "https://images.unsplash.com/photo-1687276287139-88f7333c8ca4?w=400",
-      title: "Avocado Toast Deluxe",
-      time: 10,
-      calories: 320,
-      difficulty: "Easy",
-      rating: 4.7,
-    },
-    {
-      image: "https://images.unsplash.com/photo-1609461098241-8f259e32bdb9?w=400",
-      title: "Mediterranean Bowl",
-      time: 15,
-      calories: 450,
-      difficulty: "Medium",
-      rating: 4.9,
-    },
-    {
-      image: "https://images.unsplash.com/photo-1623428187969-5da2dcea5ebf?w=400",
-      title: "Quinoa Power Salad",
-      time: 20,
-      calories: 380,
-      difficulty: "Easy",
-      rating: 4.5,
-    },
-    {
-      image: "https://images.unsplash.com/photo-1612152328178-4a6c83d96429?w=400",
-      title: "Chicken Broccoli Pasta",
-      time: 25,
-      calories: 520,
-      difficulty: "Medium",
-      rating: 4.8,
-    },
-  ];
+  useEffect(() => {
+    const text = query.trim();
+    const id = ++searchId.current;
+    if (text.length < 2) {
+      setResults(null);
+      setSearching(false);
+      setSearchError(null);
+      return;
+    }
 
-  const trendingMeals: Meal[] = [
-    {
-      image: "https://images.unsplash.com/photo-1476718406336-bb5a9690ee2a?w=800",
-      title: "Creamy Pumpkin Soup",
-      time: 35,
-      calories: 290,
-      difficulty: "Medium",
-      rating: 4.8,
-      trending: true,
-      featured: true,
-    },
-    {
-      image: "https://images.unsplash.com/photo-1664741662725-bd131742b7b7?w=400",
-      title: "Winter Beef Stew",
-      time: 45,
-      calories: 465,
-      difficulty: "Hard",
-      rating: 4.6,
-      trending: true,
-    },
-    {
-      image: "https://images.unsplash.com/photo-1606890737304-57a1ca8a5b62?w=400",
-      title: "Chocolate Layer Cake",
-      time: 60,
-      calories: 380,
-      difficulty: "Hard",
-      rating: 4.8,
-      trending: true,
-    },
-  ];
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await search(text, { limit: 5 });
+        if (id !== searchId.current) return;
+        setResults(response);
+        setSearchError(null);
+      } catch (err: any) {
+        if (id !== searchId.current) return;
+        console.error('Search failed:', err);
+        setSearchError(err.response?.data?.message || 'Search failed');
+      } finally {
+        if (id === searchId.current) setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadMeals();
+  };
 
   const handleMealPress = (meal: Meal) => {
     router.push({
       pathname: '/recipeDetails',
       params: {
+        recipeId: meal.id,
         mealTitle: meal.title,
-        mealImage: meal.image,
+        mealImage: meal.image ?? '',
         mealTime: meal.time.toString(),
         mealCalories: meal.calories.toString(),
         mealDifficulty: meal.difficulty,
@@ -182,9 +209,8 @@ export default function Home() {
   };
 
   const handleBookmarkPress = (meal: Meal) => {
-    const id = (meal as any).id ?? meal.title.replace(/\s+/g, '-').toLowerCase();
     toggleFavorite({
-      id,
+      id: meal.id,
       title: meal.title,
       image: meal.image,
       time: meal.time,
@@ -194,6 +220,89 @@ export default function Home() {
     });
   };
 
+  const openShopSearch = () => {
+    router.push({ pathname: '/shop', params: { search: query.trim() } });
+  };
+
+  const renderSearchResults = () => {
+    if (searching && !results) {
+      return (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Searching...</Text>
+        </View>
+      );
+    }
+    if (searchError) {
+      return (
+        <View style={styles.stateContainer}>
+          <Feather name="alert-circle" size={32} color="#DC2626" />
+          <Text style={styles.stateText}>{searchError}</Text>
+        </View>
+      );
+    }
+    if (!results) return null;
+
+    const recipes = results.recipes?.hits ?? [];
+    const products = results.products?.hits ?? [];
+
+    return (
+      <View style={styles.searchResults}>
+        {results.corrected && (
+          <TouchableOpacity onPress={() => setQuery(results.corrected ?? '')}>
+            <Text style={styles.correctionText}>
+              Showing results for <Text style={styles.correctionQuery}>{results.corrected}</Text>
+            </Text>
+          </TouchableOpacity>
+        )}
+        {recipes.length === 0 && products.length === 0 && (
+          <View style={styles.stateContainer}>
+            <Feather name="search" size={32} color="#8B7BA8" />
+            <Text style={styles.stateText}>{`No recipes or groceries match "${query.trim()}"`}</Text>
+          </View>
+        )}
+        {recipes.length > 0 && (
+          <>
+            <Text style={styles.resultsTitle}>Recipes ({results.recipes?.total})</Text>
+            {recipes.map((meal) => (
+              <TouchableOpacity key={meal.id} style={styles.resultRow} onPress={() => handleMealPress(meal)}>
+                <Image source={{ uri: meal.image || PLACEHOLDER_IMAGE }} style={styles.resultImage} />
+                <View style={styles.resultInfo}>
+                  <Text style={styles.resultName} numberOfLines={1}>{meal.title}</Text>
+                  <Text style={styles.resultMeta}>
+                    {meal.time} min · {meal.calories} kcal · {meal.difficulty}
+                  </Text>
+                </View>
+                <Feather name="chevron-right" size={18} color="#9CA3AF" />
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+        {products.length > 0 && (
+          <>
+            <Text style={styles.resultsTitle}>Groceries ({results.products?.total})</Text>
+            {products.map((product) => (
+              <TouchableOpacity key={product.id} style={styles.resultRow} onPress={openShopSearch}>
+                <Image source={{ uri: product.image || PLACEHOLDER_IMAGE }} style={styles.resultImage} />
+                <View style={styles.resultInfo}>
+                  <Text style={styles.resultName} numberOfLines={1}>{product.name}</Text>
+                  <Text style={styles.resultMeta}>
+                    Rs {product.price.toFixed(2)} / {product.unit}
+                    {product.status === 'out_of_stock' ? ' · Sold out' : ''}
+                  </Text>
+                </View>
+                <Feather name="chevron-right" size={18} color="#9CA3AF" />
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity onPress={openShopSearch}>
+              <Text style={styles.seeAllText}>See all groceries in the shop</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
@@ -204,9 +313,18 @@ export default function Home() {
           <Text style={styles.headerSubtitle}>Let's Discover ✨</Text>
         </View>
         <View style={styles.headerActions}>
-          <TouchableOpacity style={styles.iconButton}>
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => searchInput.current?.focus()}
+          >
             <Feather name="search" size={20} color="#fff" />
           </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.iconButton}
+            onPress={() => router.push('/shop')}
+          >
+            <Feather name="shopping-bag" size={20} color="#fff" />
+          </TouchableOpacity>
           <TouchableOpacity 
             style={styles.iconButton}
             onPress={() => router.push('/viewCart')}
@@ -226,75 +344,147 @@ export default function Home() {
           </TouchableOpacity>
         </View>
       </View>
+      {/* Search */}
+      <View style={styles.searchBar}>
+        <Feather name="search" size={18} color="#9CA3AF" />
+        <TextInput
+          ref={searchInput}
+          style={styles.searchInput}
+          placeholder="Search recipes and groceries..."
+          placeholderTextColor="#9CA3AF"
+          value={query}
+          onChangeText={setQuery}
+          returnKeyType="search"
+          autoCorrect={false}
+        />
+        {query.length > 0 && (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Feather name="x-circle" size={18} color="#9CA3AF" />
+          </TouchableOpacity>
+        )}
+      </View>
       <ScrollView
         style={styles.scrollView}
         showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
       >
+        {query.trim().length >= 2 ? (
+          renderSearchResults()
+        ) : (
+        <>
         {/* Recommended Section */}
         <View style={styles.sectionHeader}>
           <Text style={styles.sectionTitle}>Recommended for You</Text>
           <Text style={styles.sectionSubtitle}>
-            A curated based on your preferences
+            {budget
+              ? `Ranked to fit about ${budget.calories} kcal for your next meal`
+              : 'A curated based on your preferences'}
           </Text>
-        </View>
-        <View style={styles.gridContainer}>
-          {recommendedMeals.map((meal, index) => {
-            const id = (meal as any).id ?? meal.title.replace(/\s+/g, '-').toLowerCase();
-            const mealWithId = { ...(meal as any), id } as Meal & { id: string };
-            return (
-              <View key={index} style={styles.gridItem}>
-                <MealCard
-                  meal={mealWithId}
-                  onPress={() => handleMealPress(mealWithId)}
-                  onBookmarkPress={() => handleBookmarkPress(mealWithId)}
-                  favorited={isFavorited(id)}
-                />
+          {progress && (
+            <TouchableOpacity style={styles.progressCard} onPress={() => router.push('/foodDiary')}>
+              <View style={styles.progressHeader}>
+                <Text style={styles.progressTitle}>Today</Text>
+                <Text style={styles.progressText}>
+                  {progress.consumed.calories} / {progress.targets.calories} kcal
+                </Text>
               </View>
-            );
-          })}
-        </View>
-        {/* Trending Section */}
-        <View style={styles.trendingHeader}>
-          <Feather name="trending-up" size={20} color="#fff" />
-          <View style={styles.trendingHeaderText}>
-            <Text style={styles.trendingTitle}>Trending & Seasonal</Text>
-            <Text style={styles.trendingSubtitle}>Popular this week</Text>
-          </View>
-        </View>
-        {/* Featured Trending Meal */}
-        <View style={styles.featuredContainer}>
-          {(() => {
-            const meal = trendingMeals[0];
-            const id = (meal as any).id ?? meal.title.replace(/\s+/g, '-').toLowerCase();
-            const mealWithId = { ...(meal as any), id } as Meal & { id: string };
-            return (
-              <MealCard
-                meal={mealWithId}
-                size="large"
-                onPress={() => handleMealPress(mealWithId)}
-                onBookmarkPress={() => handleBookmarkPress(mealWithId)}
-                favorited={isFavorited(id)}
-              />
-            );
-          })()}
-        </View>
-        {/* Other Trending Meals */}
-        <View style={styles.gridContainer}>
-          {trendingMeals.slice(1).map((meal, index) => {
-            const id = (meal as any).id ?? meal.title.replace(/\s+/g, '-').toLowerCase();
-            const mealWithId = { ...(meal as any), id } as Meal & { id: string };
-            return (
-              <View key={index} style={styles.gridItem}>
-                <MealCard
-                  meal={mealWithId}
-                  onPress={() => handleMealPress(mealWithId)}
-                  onBookmarkPress={() => handleBookmarkPress(mealWithId)}
-                  favorited={isFavorited(id)}
+              <View style={styles.progressTrack}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    {
+                      width: `${Math.min(
+                        Math.round((progress.consumed.calories / progress.targets.calories) * 100),
+                        100
+                      )}%`,
+                    },
+                  ]}
                 />
               </View>
-            );
-          })}
+              {progress.targets.protein !== null ? (
+                <Text style={styles.progressMacros}>
+                  Protein {progress.consumed.protein}/{progress.targets.protein} g · Carbs{' '}
+                  {progress.consumed.carbs}/{progress.targets.carbs} g · Fat {progress.consumed.fat}/
+                  {progress.targets.fat} g
+                </Text>
+              ) : (
+                <Text style={styles.progressMacros}>Set your goals to get macro targets</Text>
+              )}
+            </TouchableOpacity>
+          )}
         </View>
+        {loading ? (
+          <View style={styles.stateContainer}>
+            <ActivityIndicator size="large" color="#3C2253" />
+            <Text style={styles.stateText}>Loading recipes...</Text>
+          </View>
+        ) : error ? (
+          <View style={styles.stateContainer}>
+            <Feather name="alert-circle" size={32} color="#DC2626" />
+            <Text style={styles.stateText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={loadMeals}>
+              <Text style={styles.retryButtonText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <View style={styles.gridContainer}>
+              {recommendedMeals.map((meal) => (
+                <View key={meal.id} style={styles.gridItem}>
+                  <MealCard
+                    meal={meal}
+                    onPress={() => handleMealPress(meal)}
+                    onBookmarkPress={() => handleBookmarkPress(meal)}
+                    favorited={isFavorited(meal.id)}
+                    allergenWarnings={allergenWarnings[meal.id]}
+                  />
+                </View>
+              ))}
+            </View>
+            {trendingMeals.length > 0 && (
+              <>
+                {/* Trending Section */}
+                <View style={styles.trendingHeader}>
+                  <Feather name="trending-up" size={20} color="#fff" />
+                  <View style={styles.trendingHeaderText}>
+                    <Text style={styles.trendingTitle}>Trending & Seasonal</Text>
+                    <Text style={styles.trendingSubtitle}>Popular this week</Text>
+                  </View>
+                </View>
+                {/* Featured Trending Meal */}
+                <View style={styles.featuredContainer}>
+                  <MealCard
+                    meal={trendingMeals[0]}
+                    size="large"
+                    onPress={() => handleMealPress(trendingMeals[0])}
+                    onBookmarkPress={() => handleBookmarkPress(trendingMeals[0])}
+                    favorited={isFavorited(trendingMeals[0].id)}
+                    allergenWarnings={allergenWarnings[trendingMeals[0].id]}
+                  />
+                </View>
+                {/* Other Trending Meals */}
+                <View style={styles.gridContainer}>
+                  {trendingMeals.slice(1).map((meal) => (
+                    <View key={meal.id} style={styles.gridItem}>
+                      <MealCard
+                        meal={meal}
+                        onPress={() => handleMealPress(meal)}
+                        onBookmarkPress={() => handleBookmarkPress(meal)}
+                        favorited={isFavorited(meal.id)}
+                        allergenWarnings={allergenWarnings[meal.id]}
+                      />
+                    </View>
+                  ))}
+                </View>
+              </>
+            )}
+          </>
+        )}
+        </>
+        )}
         <View style={styles.bottomSpacer} />
       </ScrollView>
     </View>
@@ -355,6 +545,78 @@ const styles = StyleSheet.create({
     fontSize: 11,
     fontWeight: '700',
   },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 14,
+    color: '#111827',
+    paddingVertical: 10,
+  },
+  searchResults: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  correctionText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: 8,
+  },
+  correctionQuery: {
+    fontWeight: '600',
+    color: '#3C2253',
+  },
+  resultsTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 8,
+    gap: 12,
+  },
+  resultImage: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+  },
+  resultInfo: {
+    flex: 1,
+  },
+  resultName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  resultMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  seeAllText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3C2253',
+    marginTop: 4,
+  },
   scrollView: {
     flex: 1,
   },
@@ -373,6 +635,42 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#D8B4FE',
   },
+  progressCard: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+  },
+  progressHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  progressTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  progressText: {
+    fontSize: 13,
+    color: '#fff',
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: '#D8B4FE',
+  },
+  progressMacros: {
+    fontSize: 11,
+    color: '#D8B4FE',
+    marginTop: 8,
+  },
   gridContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -418,6 +716,25 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     gap: 4,
   },
+  allergenBadge: {
+    position: 'absolute',
+    bottom: 8,
+    left: 8,
+    maxWidth: '85%',
+    backgroundColor: '#DC2626',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    gap: 4,
+  },
+  allergenBadgeText: {
+    flexShrink: 1,
+    color: '#fff',
+    fontSize: 10,
+    fontWeight: '600',
+  },
   trendingText: {
     color: '#fff',
     fontSize: 10,
@@ -536,6 +853,29 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     marginBottom: 16,
   },
+  stateContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 48,
+    paddingHorizontal: 24,
+    gap: 12,
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+  retryButton: {
+    backgroundColor: '#3C2253',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   bottomSpacer: {
     height: 24,
   },
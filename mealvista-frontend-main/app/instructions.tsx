@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -7,9 +7,17 @@ import {
   Image,
   TouchableOpacity,
   SafeAreaView,
+  ActivityIndicator,
 } from "react-native";
 import { useRouter, useLocalSearchParams } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
+import {
+  getRecipe,
+  getScaledRecipe,
+  MeasureSystem,
+  Recipe,
+  ScaledIngredient,
+} from "../lib/recipeService";
 
 type CheckedSteps = {
   [key: number]: boolean;
@@ -18,8 +26,45 @@ type CheckedSteps = {
 const CookingInstructionsScreen: React.FC = () => {
   const router = useRouter();
   const params = useLocalSearchParams();
-  const mealTitle = params.mealTitle as string || "Recipe";
+  const recipeId = params.recipeId as string;
+  // Servings and measures chosen on the recipe screen
+  const servings = params.servings ? Number(params.servings) : undefined;
+  const units = (params.units as MeasureSystem) || undefined;
+  const variant = params.variant === "1";
+  const [recipe, setRecipe] = useState<Recipe | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const mealTitle = recipe?.title || params.mealTitle as string || "Recipe";
   const [checkedSteps, setCheckedSteps] = useState<CheckedSteps>({});
+  const [ingredients, setIngredients] = useState<ScaledIngredient[]>([]);
+  const [scaledServings, setScaledServings] = useState<number | null>(null);
+
+  useEffect(() => {
+    const loadRecipe = async () => {
+      if (!recipeId) {
+        setError("Recipe not found");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const [response, scaled] = await Promise.all([
+          getRecipe(recipeId),
+          getScaledRecipe(recipeId, { servings, units, variant }),
+        ]);
+        setRecipe(response.recipe);
+        setIngredients(scaled.ingredients);
+        setScaledServings(scaled.servings);
+      } catch (err: any) {
+        console.error("Failed to load instructions:", err);
+        setError(err.response?.data?.message || "Failed to load instructions");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRecipe();
+  }, [recipeId, servings, units, variant]);
 
   const toggleStep = (stepId: number) => {
     setCheckedSteps((prev) => ({
@@ -32,34 +77,11 @@ const CookingInstructionsScreen: React.FC = () => {
     router.back();
   };
 
-  const instructions = [
-    {
-      id: 1,
-      text: "Bring a large pot of salted water to boil and add pasta. Cook according to package directions until al dente.",
-      time: "8-10 minutes",
-      note: "Use salt the water generously - it should taste like sea water",
-    },
-    {
-      id: 2,
-      text: "Heat olive oil in a large skillet and cook chicken breast until golden brown.",
-      details: [
-        "Heat olive oil in a large skillet or pan over medium high heat",
-        "Season chicken breast with salt and pepper and add to the hot pan. Cook and golden brown on both sides",
-      ],
-    },
-    {
-      id: 3,
-      text: "Add broccoli florets to the pan with chicken. Stir and cook until broccoli is tender crisp",
-    },
-    {
-      id: 4,
-      text: "Drain pasta and add it to the pan. Toss everything together and season with more salt, pepper, and parmesan cheese",
-    },
-    {
-      id: 5,
-      text: "Serve immediately while hot, garnished with fresh herbs and extra parmesan if desired.",
-    },
-  ];
+  const instructions = (recipe?.steps ?? []).map((step, index) => ({
+    id: index + 1,
+    ...step,
+  }));
+  const completedSteps = instructions.filter((step) => checkedSteps[step.id]).length;
 
   return (
     <SafeAreaView style={styles.container}>
@@ -74,19 +96,39 @@ const CookingInstructionsScreen: React.FC = () => {
           </TouchableOpacity>
         </View>
         <View style={styles.recipeCard}>
-          <Image
-            source={{
-              uri: "https://images.unsplash.com/photo-1621996346565-e3dbc646d9a9?w=800",
-            }}
-            style={styles.recipeImage}
-          />
+          {recipe?.image && (
+            <Image
+              source={{ uri: recipe.image }}
+              style={styles.recipeImage}
+            />
+          )}
           <View style={styles.recipeInfo}>
             <Text style={styles.recipeTitle}>{mealTitle}</Text>
-            <Text style={styles.recipeSteps}>Step 1 of 4</Text>
+            <Text style={styles.recipeSteps}>
+              {completedSteps} of {instructions.length} steps done
+            </Text>
           </View>
         </View>
         <View style={styles.instructionsSection}>
+          {ingredients.length > 0 && (
+            <View style={styles.ingredientsBlock}>
+              <Text style={styles.sectionTitle}>
+                Ingredients for {scaledServings} {scaledServings === 1 ? "serving" : "servings"}
+              </Text>
+              {ingredients.map((ingredient) => (
+                <View key={ingredient._id} style={styles.ingredientRow}>
+                  <Text style={styles.ingredientAmount}>{ingredient.display}</Text>
+                  <Text style={styles.ingredientName}>
+                    {ingredient.name}
+                    {ingredient.optional ? " (optional)" : ""}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
           <Text style={styles.sectionTitle}>Instructions</Text>
+          {loading && <ActivityIndicator size="large" color="#5A3D7A" />}
+          {!loading && error && <Text style={styles.errorText}>{error}</Text>}
           {instructions.map((instruction) => (
             <View key={instruction.id} style={styles.stepContainer}>
               <TouchableOpacity
@@ -192,6 +234,10 @@ const styles = StyleSheet.create({
     color: "#2C1A3F",
     marginBottom: 16,
   },
+  ingredientsBlock: { marginBottom: 24 },
+  ingredientRow: { flexDirection: "row", marginBottom: 8 },
+  ingredientAmount: { width: 96, fontSize: 14, fontWeight: "600", color: "#5A3D7A" },
+  ingredientName: { flex: 1, fontSize: 14, color: "#2C1A3F" },
   stepContainer: { flexDirection: "row", marginBottom: 20 },
   stepNumber: {
     width: 28,
@@ -220,6 +266,7 @@ const styles = StyleSheet.create({
     lineHeight: 18,
   },
   detailText: { fontSize: 14, color: "#6B5B7F", lineHeight: 20, marginTop: 4 },
+  errorText: { fontSize: 14, color: "#DC2626", textAlign: "center" },
   bottomButtons: {
     position: "absolute",
     bottom: 0,
@@ -6,32 +6,35 @@ import {
   TouchableOpacity,
   StyleSheet,
   StatusBar,
+  ActivityIndicator,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { useRouter, useLocalSearchParams } from 'expo-router';
+import { useRecipeNutrition } from '@/hooks/use-recipe-nutrition';
+import { MeasureSystem } from '@/lib/recipeService';
+import { MacroCards } from '@/components/nutrient-cards';
 
 export default function Macronutrients() {
   const router = useRouter();
   const params = useLocalSearchParams();
-  const mealTitle = params.mealTitle as string || 'Creamy Pumpkin Soup';
+  const recipeId = params.recipeId as string;
+  const mealTitle = params.mealTitle as string || 'Recipe';
+  const servings = params.servings ? Number(params.servings) : undefined;
+  const units = (params.units as MeasureSystem) || undefined;
+  const { nutrition, loading, error, reload } = useRecipeNutrition(recipeId, servings, units);
 
   const handleViewMicronutrients = () => {
     router.push({
       pathname: '/micronutrients',
       params: {
+        recipeId,
         mealTitle: mealTitle,
+        servings: params.servings,
+        units: params.units,
       },
     });
   };
 
-  // Match exact values from screenshot
-  const macronutrients = [
-    { name: 'Protein', value: 8, unit: 'g', color: '#3B82F6', percentage: 11 },
-    { name: 'Carbohydrates', value: 42, unit: 'g', color: '#10B981', percentage: 58 },
-    { name: 'Fat', value: 12, unit: 'g', color: '#F59E0B', percentage: 37 },
-    { name: 'Fiber', value: 5, unit: 'g', color: '#8B5CF6', percentage: 7 },
-  ];
-
   return (
     <View style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
@@ -57,35 +60,16 @@ export default function Macronutrients() {
           <Text style={styles.recipeTitle}>{mealTitle}</Text>
           <Text style={styles.subtitle}>Detailed macronutrient breakdown</Text>
 
+          {loading && <ActivityIndicator size="large" color="#3C2253" style={styles.loader} />}
+          {!loading && error && (
+            <TouchableOpacity onPress={reload} style={styles.errorContainer}>
+              <Text style={styles.errorText}>{error}. Tap to retry.</Text>
+            </TouchableOpacity>
+          )}
+
           {/* Macronutrient Cards */}
-          <View style={styles.macrosList}>
-            {macronutrients.map((macro, index) => (
-              <View key={index} style={styles.macroCard}>
-                <View style={styles.macroHeader}>
-                  <View style={[styles.macroColorIndicator, { backgroundColor: macro.color }]} />
-                  <View style={styles.macroInfo}>
-                    <Text style={styles.macroName}>{macro.name}</Text>
-                    <Text style={styles.macroPercentage}>{macro.percentage}% of calories</Text>
-                  </View>
-                  <View style={styles.macroValueContainer}>
-                    <Text style={styles.macroValue}>{macro.value}</Text>
-                    <Text style={styles.macroUnit}>{macro.unit}</Text>
-                  </View>
-                </View>
-                <View style={styles.progressBar}>
-                  <View 
-                    style={[
-                      styles.progressFill, 
-                      { 
-                        width: `${macro.percentage}%`,
-                        backgroundColor: macro.color,
-                      }
-                    ]} 
-                  />
-                </View>
-              </View>
-            ))}
-          </View>
+          {/* Energy macros show their share of calories; fiber shows % of daily value */}
+          <MacroCards macros={nutrition?.macros ?? []} />
 
           {/* Action Button */}
           <TouchableOpacity 
@@ -147,65 +131,16 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 24,
   },
-  macrosList: {
-    gap: 16,
-    marginBottom: 24,
-  },
-  macroCard: {
-    backgroundColor: '#fff',
-    borderRadius: 12,
-    padding: 16,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.05,
-    shadowRadius: 4,
-    elevation: 2,
-  },
-  macroHeader: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: 12,
-  },
-  macroColorIndicator: {
-    width: 4,
-    height: 40,
-    borderRadius: 2,
-    marginRight: 12,
-  },
-  macroInfo: {
-    flex: 1,
-  },
-  macroName: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#1F2937',
-    marginBottom: 4,
-  },
-  macroPercentage: {
-    fontSize: 12,
-    color: '#666',
-  },
-  macroValueContainer: {
-    alignItems: 'flex-end',
+  loader: {
+    marginVertical: 32,
   },
-  macroValue: {
-    fontSize: 20,
-    fontWeight: 'bold',
-    color: '#1F2937',
-  },
-  macroUnit: {
-    fontSize: 12,
-    color: '#666',
-  },
-  progressBar: {
-    height: 8,
-    backgroundColor: '#F3F4F6',
-    borderRadius: 4,
-    overflow: 'hidden',
+  errorContainer: {
+    paddingVertical: 24,
   },
-  progressFill: {
-    height: '100%',
-    borderRadius: 4,
+  errorText: {
+    fontSize: 14,
+    color: '#DC2626',
+    textAlign: 'center',
   },
   actionButton: {
     flexDirection: 'row',
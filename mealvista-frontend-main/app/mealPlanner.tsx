@@ -0,0 +1,592 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  Alert,
+  StatusBar,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import {
+  copyMealPlan,
+  generateMealPlan,
+  getMealPlan,
+  MEAL_SLOTS,
+  MealPlan,
+  MealSlot,
+  PlannedMeal,
+  setMealPlanSlot,
+} from "../lib/mealPlanService";
+import { getRecipes, RecipeSummary } from "../lib/recipeService";
+import { createShoppingList } from "../lib/shoppingListService";
+
+const SLOT_LABELS: Record<MealSlot, string> = {
+  breakfast: "Breakfast",
+  lunch: "Lunch",
+  dinner: "Dinner",
+  snack: "Snack",
+};
+
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plan dates are calendar days (YYYY-MM-DD), so read and shift them in UTC
+const parseDay = (date: string) => new Date(`${date}T00:00:00Z`);
+const shiftDays = (date: string, days: number) =>
+  new Date(parseDay(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const formatDay = (date: string) => {
+  const parsed = parseDay(date);
+  return `${MONTH_NAMES[parsed.getUTCMonth()]} ${parsed.getUTCDate()}`;
+};
+
+const todayString = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().slice(0, 10);
+};
+
+interface PickerTarget {
+  day: number;
+  slot: MealSlot;
+}
+
+export default function MealPlannerScreen() {
+  const router = useRouter();
+  const [week, setWeek] = useState<string>(todayString());
+  const [plan, setPlan] = useState<MealPlan | null>(null);
+  const [selectedDay, setSelectedDay] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [calorieInput, setCalorieInput] = useState("");
+  const [picker, setPicker] = useState<PickerTarget | null>(null);
+  const [pickerQuery, setPickerQuery] = useState("");
+  const [pickerRecipes, setPickerRecipes] = useState<RecipeSummary[]>([]);
+  const [pickerLoading, setPickerLoading] = useState(false);
+  const pickerRequestId = useRef(0);
+
+  // Show a plan, keeping the calorie field in step with it
+  const showPlan = useCallback((next: MealPlan) => {
+    setPlan(next);
+    setWeek(next.weekStart);
+    setCalorieInput(next.calorieTarget ? next.calorieTarget.toString() : "");
+  }, []);
+
+  const loadPlan = useCallback(async (forWeek: string) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getMealPlan(forWeek);
+      showPlan(response.plan);
+      // Open on today when looking at this week
+      const today = response.plan.days.findIndex((day) => day.date === todayString());
+      setSelectedDay(today === -1 ? 0 : today);
+    } catch (err: any) {
+      console.error("Failed to load meal plan:", err);
+      setError(err.response?.data?.message || "Failed to load your meal plan");
+    } finally {
+      setLoading(false);
+    }
+  }, [showPlan]);
+
+  useEffect(() => {
+    loadPlan(todayString());
+  }, [loadPlan]);
+
+  // Recipes for the picker, searched as the user types
+  useEffect(() => {
+    if (!picker) return;
+    const requestId = ++pickerRequestId.current;
+    const timer = setTimeout(async () => {
+      try {
+        setPickerLoading(true);
+        const response = await getRecipes({ search: pickerQuery.trim() || undefined, limit: 20 });
+        if (requestId === pickerRequestId.current) setPickerRecipes(response.recipes);
+      } catch (err) {
+        console.error("Failed to load recipes:", err);
+      } finally {
+        if (requestId === pickerRequestId.current) setPickerLoading(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [picker, pickerQuery]);
+
+  const changeWeek = (weeks: number) => {
+    setPicker(null);
+    loadPlan(shiftDays(week, weeks * 7));
+  };
+
+  const openPicker = (slot: MealSlot) => {
+    setPickerQuery("");
+    setPicker({ day: selectedDay, slot });
+  };
+
+  const updateSlot = async (day: number, slot: MealSlot, recipeId: string | null, servings?: number) => {
+    try {
+      setBusy(true);
+      const response = await setMealPlanSlot(week, { day, slot, recipeId, servings });
+      showPlan(response.plan);
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to update your meal plan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePickRecipe = async (recipe: RecipeSummary) => {
+    if (!picker) return;
+    const { day, slot } = picker;
+    setPicker(null);
+    await updateSlot(day, slot, recipe.id);
+  };
+
+  const handleServings = (slot: MealSlot, meal: PlannedMeal, change: number) => {
+    const servings = meal.servings + change;
+    if (servings < 1) return;
+    updateSlot(selectedDay, slot, meal.recipe.id, servings);
+  };
+
+  const runAutoFill = async (overwrite: boolean) => {
+    const calorieTarget = calorieInput.trim() ? parseInt(calorieInput, 10) : undefined;
+    if (calorieTarget !== undefined && (Number.isNaN(calorieTarget) || calorieTarget <= 0)) {
+      Alert.alert("Invalid Target", "Please enter your daily calories as a number");
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await generateMealPlan(week, { calorieTarget, overwrite });
+      showPlan(response.plan);
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to fill your meal plan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAutoFill = () => {
+    if (!plan || plan.plannedCount === 0) {
+      runAutoFill(false);
+      return;
+    }
+    Alert.alert("Auto-fill Week", "Some meals are already planned. What should be filled?", [
+      { text: "Cancel", style: "cancel" },
+      { text: "Empty Slots", onPress: () => runAutoFill(false) },
+      { text: "Whole Week", style: "destructive", onPress: () => runAutoFill(true) },
+    ]);
+  };
+
+  const runCopy = async (overwrite: boolean) => {
+    try {
+      setBusy(true);
+      const response = await copyMealPlan(week, overwrite);
+      showPlan(response.plan);
+      setSelectedDay(0);
+    } catch (err: any) {
+      if (err.response?.status === 409 && !overwrite) {
+        Alert.alert("Replace Next Week?", "Next week already has meals planned.", [
+          { text: "Cancel", style: "cancel" },
+          { text: "Replace", style: "destructive", onPress: () => runCopy(true) },
+        ]);
+        return;
+      }
+      Alert.alert("Error", err.response?.data?.message || "Failed to copy your meal plan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // One list for every recipe planned this week, each ingredient summed
+  const handleShoppingList = async () => {
+    try {
+      setBusy(true);
+      const response = await createShoppingList({ week });
+      router.push({ pathname: "/shoppingList", params: { listId: response.list.id } });
+      const skipped = response.skippedRecipes.length;
+      if (skipped > 0) {
+        Alert.alert(
+          "Some Recipes Left Out",
+          `${skipped} planned ${skipped === 1 ? "recipe is" : "recipes are"} no longer available and ${skipped === 1 ? "was" : "were"} left out of the list.`
+        );
+      }
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to make a shopping list");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderPicker = () => (
+    <View style={styles.pickerCard}>
+      <View style={styles.pickerHeader}>
+        <Text style={styles.pickerTitle}>
+          {picker ? `${SLOT_LABELS[picker.slot]} on ${DAY_NAMES[picker.day]}` : ""}
+        </Text>
+        <TouchableOpacity onPress={() => setPicker(null)}>
+          <Ionicons name="close" size={22} color="#6B7280" />
+        </TouchableOpacity>
+      </View>
+      <TextInput
+        style={styles.input}
+        placeholder="Search recipes"
+        placeholderTextColor="#9CA3AF"
+        value={pickerQuery}
+        onChangeText={setPickerQuery}
+        autoFocus
+      />
+      {pickerLoading ? (
+        <ActivityIndicator color="#3C2253" style={styles.pickerLoading} />
+      ) : pickerRecipes.length === 0 ? (
+        <Text style={styles.pickerEmpty}>No recipes found</Text>
+      ) : (
+        pickerRecipes.map((recipe) => (
+          <TouchableOpacity key={recipe.id} style={styles.pickerRow} onPress={() => handlePickRecipe(recipe)}>
+            <Text style={styles.pickerRecipeTitle} numberOfLines={1}>{recipe.title}</Text>
+            <Text style={styles.pickerRecipeMeta}>{recipe.calories} kcal</Text>
+          </TouchableOpacity>
+        ))
+      )}
+    </View>
+  );
+
+  const renderSlot = (slot: MealSlot) => {
+    const meal = plan?.days[selectedDay]?.meals[slot] ?? null;
+
+    if (!meal) {
+      return (
+        <TouchableOpacity key={slot} style={[styles.slotCard, styles.slotCardEmpty]} onPress={() => openPicker(slot)}>
+          <Text style={styles.slotLabel}>{SLOT_LABELS[slot]}</Text>
+          <View style={styles.slotEmptyRow}>
+            <Ionicons name="add-circle-outline" size={20} color="#8B7BA8" />
+            <Text style={styles.slotEmptyText}>Add a recipe</Text>
+          </View>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <View key={slot} style={styles.slotCard}>
+        <View style={styles.slotHeader}>
+          <Text style={styles.slotLabel}>{SLOT_LABELS[slot]}</Text>
+          <View style={styles.slotActions}>
+            <TouchableOpacity style={styles.slotAction} onPress={() => openPicker(slot)}>
+              <Ionicons name="swap-horizontal" size={18} color="#3C2253" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.slotAction} onPress={() => updateSlot(selectedDay, slot, null)}>
+              <Ionicons name="close" size={18} color="#DC2626" />
+            </TouchableOpacity>
+          </View>
+        </View>
+        <TouchableOpacity
+          onPress={() =>
+            router.push({ pathname: "/recipeDetails", params: { recipeId: meal.recipe.id, mealTitle: meal.recipe.title } })
+          }
+        >
+          <Text style={styles.slotRecipe}>{meal.recipe.title}</Text>
+        </TouchableOpacity>
+        <View style={styles.slotFooter}>
+          <Text style={styles.slotMeta}>
+            {meal.calories} kcal · {meal.recipe.time} min
+          </Text>
+          <View style={styles.servingsControl}>
+            <TouchableOpacity onPress={() => handleServings(slot, meal, -1)} disabled={meal.servings <= 1}>
+              <Ionicons name="remove-circle-outline" size={22} color={meal.servings <= 1 ? "#D1D5DB" : "#3C2253"} />
+            </TouchableOpacity>
+            <Text style={styles.servingsText}>
+              {meal.servings} {meal.servings === 1 ? "serving" : "servings"}
+            </Text>
+            <TouchableOpacity onPress={() => handleServings(slot, meal, 1)}>
+              <Ionicons name="add-circle-outline" size={22} color="#3C2253" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  const day = plan?.days[selectedDay];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Meal Planner</Text>
+        {busy && <ActivityIndicator color="#fff" size="small" />}
+      </View>
+
+      <View style={styles.weekBar}>
+        <TouchableOpacity style={styles.weekArrow} onPress={() => changeWeek(-1)} disabled={loading}>
+          <Ionicons name="chevron-back" size={22} color="#3C2253" />
+        </TouchableOpacity>
+        <Text style={styles.weekLabel}>
+          {plan ? `${formatDay(plan.weekStart)} – ${formatDay(shiftDays(plan.weekStart, 6))}` : ""}
+        </Text>
+        <TouchableOpacity style={styles.weekArrow} onPress={() => changeWeek(1)} disabled={loading}>
+          <Ionicons name="chevron-forward" size={22} color="#3C2253" />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading meal plan...</Text>
+        </View>
+      ) : error || !plan ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={() => loadPlan(week)}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.dayRow}>
+            {plan.days.map((planDay) => {
+              const active = planDay.day === selectedDay;
+              return (
+                <TouchableOpacity
+                  key={planDay.date}
+                  style={[styles.dayChip, active && styles.dayChipActive]}
+                  onPress={() => setSelectedDay(planDay.day)}
+                >
+                  <Text style={[styles.dayName, active && styles.dayTextActive]}>{DAY_NAMES[planDay.day]}</Text>
+                  <Text style={[styles.dayDate, active && styles.dayTextActive]}>
+                    {parseDay(planDay.date).getUTCDate()}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.targetCard}>
+            <View style={styles.targetRow}>
+              <Text style={styles.targetLabel}>Daily target</Text>
+              <TextInput
+                style={styles.targetInput}
+                keyboardType="number-pad"
+                placeholder="2000"
+                placeholderTextColor="#9CA3AF"
+                value={calorieInput}
+                onChangeText={setCalorieInput}
+              />
+              <Text style={styles.targetUnit}>kcal</Text>
+            </View>
+            {!!day && (
+              <Text style={styles.dayTotal}>
+                {DAY_NAMES[day.day]}: {day.calories} kcal planned
+                {plan.calorieTarget ? ` of ${plan.calorieTarget}` : ""}
+              </Text>
+            )}
+            <View style={styles.planActions}>
+              <TouchableOpacity style={styles.primaryButton} onPress={handleAutoFill} disabled={busy}>
+                <Ionicons name="sparkles" size={16} color="#fff" />
+                <Text style={styles.primaryButtonText}>Auto-fill</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.secondaryButton, plan.plannedCount === 0 && styles.buttonDisabled]}
+                onPress={() => runCopy(false)}
+                disabled={busy || plan.plannedCount === 0}
+              >
+                <Ionicons name="copy-outline" size={16} color="#3C2253" />
+                <Text style={styles.secondaryButtonText}>Copy to Next Week</Text>
+              </TouchableOpacity>
+            </View>
+            <TouchableOpacity
+              style={[styles.listButton, plan.plannedCount === 0 && styles.buttonDisabled]}
+              onPress={handleShoppingList}
+              disabled={busy || plan.plannedCount === 0}
+            >
+              <Ionicons name="list" size={16} color="#3C2253" />
+              <Text style={styles.secondaryButtonText}>Make Shopping List</Text>
+            </TouchableOpacity>
+          </View>
+
+          {picker && renderPicker()}
+
+          {MEAL_SLOTS.map(renderSlot)}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 16,
+    backgroundColor: "#3C2253",
+  },
+  backButton: { marginRight: 16 },
+  headerTitle: { flex: 1, fontSize: 20, color: "#fff", fontWeight: "600" },
+  weekBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#fff",
+    paddingHorizontal: 8,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#E5E7EB",
+  },
+  weekArrow: { padding: 8 },
+  weekLabel: { fontSize: 16, fontWeight: "600", color: "#3C2253" },
+  content: { padding: 16, paddingBottom: 40 },
+  stateContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  dayRow: { gap: 8, paddingBottom: 12 },
+  dayChip: {
+    width: 48,
+    alignItems: "center",
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  dayChipActive: { backgroundColor: "#3C2253", borderColor: "#3C2253" },
+  dayName: { fontSize: 12, color: "#6B7280", fontWeight: "600" },
+  dayDate: { fontSize: 16, color: "#111827", fontWeight: "700", marginTop: 2 },
+  dayTextActive: { color: "#fff" },
+  targetCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+  },
+  targetRow: { flexDirection: "row", alignItems: "center" },
+  targetLabel: { flex: 1, fontSize: 14, fontWeight: "600", color: "#374151" },
+  targetInput: {
+    width: 80,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    color: "#111827",
+    textAlign: "right",
+  },
+  targetUnit: { marginLeft: 6, fontSize: 13, color: "#6B7280" },
+  dayTotal: { marginTop: 8, fontSize: 13, color: "#6B7280" },
+  planActions: { flexDirection: "row", gap: 10, marginTop: 12 },
+  primaryButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    backgroundColor: "#3C2253",
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  primaryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  secondaryButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    borderWidth: 1.5,
+    borderColor: "#3C2253",
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  secondaryButtonText: { color: "#3C2253", fontSize: 14, fontWeight: "600" },
+  listButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    marginTop: 10,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: "#F5F3F7",
+  },
+  buttonDisabled: { opacity: 0.5 },
+  pickerCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: "#8B7BA8",
+  },
+  pickerHeader: { flexDirection: "row", alignItems: "center", justifyContent: "space-between", marginBottom: 10 },
+  pickerTitle: { fontSize: 16, fontWeight: "600", color: "#3C2253" },
+  input: {
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: "#111827",
+    marginBottom: 8,
+  },
+  pickerLoading: { marginVertical: 16 },
+  pickerEmpty: { fontSize: 13, color: "#6B7280", textAlign: "center", marginVertical: 12 },
+  pickerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F3F4F6",
+  },
+  pickerRecipeTitle: { flex: 1, fontSize: 14, color: "#111827" },
+  pickerRecipeMeta: { fontSize: 12, color: "#6B7280", marginLeft: 8 },
+  slotCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+  },
+  slotCardEmpty: { borderWidth: 1, borderColor: "#E5E7EB", borderStyle: "dashed", elevation: 0, shadowOpacity: 0 },
+  slotHeader: { flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
+  slotLabel: { fontSize: 12, fontWeight: "700", color: "#8B7BA8", textTransform: "uppercase" },
+  slotActions: { flexDirection: "row" },
+  slotAction: { padding: 4, marginLeft: 8 },
+  slotRecipe: { fontSize: 16, fontWeight: "600", color: "#111827", marginTop: 4 },
+  slotFooter: { flexDirection: "row", alignItems: "center", justifyContent: "space-between", marginTop: 8 },
+  slotMeta: { fontSize: 13, color: "#6B7280" },
+  servingsControl: { flexDirection: "row", alignItems: "center", gap: 6 },
+  servingsText: { fontSize: 13, color: "#374151", fontWeight: "500" },
+  slotEmptyRow: { flexDirection: "row", alignItems: "center", gap: 6, marginTop: 8 },
+  slotEmptyText: { fontSize: 14, color: "#8B7BA8" },
+});
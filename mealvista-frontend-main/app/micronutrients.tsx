@@ -6,26 +6,22 @@ import {
   TouchableOpacity,
   StyleSheet,
   StatusBar,
+  ActivityIndicator,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { useRouter, useLocalSearchParams } from 'expo-router';
+import { useRecipeNutrition } from '@/hooks/use-recipe-nutrition';
+import { MeasureSystem } from '@/lib/recipeService';
+import { MicroCards } from '@/components/nutrient-cards';
 
 export default function Micronutrients() {
   const router = useRouter();
   const params = useLocalSearchParams();
-  const mealTitle = params.mealTitle as string || 'Creamy Pumpkin Soup';
-
-  // Match values from screenshot
-  const micronutrients = [
-    { name: 'Vitamin A', value: 850, unit: 'IU', dailyValue: 900, percentage: 94 },
-    { name: 'Vitamin C', value: 45, unit: 'mg', dailyValue: 90, percentage: 50 },
-    { name: 'Calcium', value: 200, unit: 'mg', dailyValue: 1000, percentage: 20 },
-    { name: 'Iron', value: 3.5, unit: 'mg', dailyValue: 18, percentage: 19 },
-    { name: 'Vitamin D', value: 120, unit: 'IU', dailyValue: 600, percentage: 20 },
-    { name: 'Potassium', value: 350, unit: 'mg', dailyValue: 3500, percentage: 10 },
-    { name: 'Magnesium', value: 50, unit: 'mg', dailyValue: 400, percentage: 13 },
-    { name: 'Zinc', value: 2.5, unit: 'mg', dailyValue: 11, percentage: 23 },
-  ];
+  const recipeId = params.recipeId as string;
+  const mealTitle = params.mealTitle as string || 'Recipe';
+  const servings = params.servings ? Number(params.servings) : undefined;
+  const units = (params.units as MeasureSystem) || undefined;
+  const { nutrition, loading, error, reload } = useRecipeNutrition(recipeId, servings, units);
 
   return (
     <View style={styles.container}>
@@ -60,35 +56,15 @@ export default function Micronutrients() {
             </Text>
           </View>
 
+          {loading && <ActivityIndicator size="large" color="#3C2253" />}
+          {!loading && error && (
+            <TouchableOpacity onPress={reload}>
+              <Text style={styles.errorText}>{error}. Tap to retry.</Text>
+            </TouchableOpacity>
+          )}
+
           {/* Micronutrient List */}
-          <View style={styles.nutrientsList}>
-            {micronutrients.map((nutrient, index) => (
-              <View key={index} style={styles.nutrientCard}>
-                <View style={styles.nutrientHeader}>
-                  <Text style={styles.nutrientName}>{nutrient.name}</Text>
-                  <View style={styles.nutrientValues}>
-                    <Text style={styles.nutrientValue}>
-                      {nutrient.value} {nutrient.unit}
-                    </Text>
-                    <Text style={styles.nutrientPercentage}>
-                      {nutrient.percentage}% DV
-                    </Text>
-                  </View>
-                </View>
-                <View style={styles.progressBar}>
-                  <View 
-                    style={[
-                      styles.progressFill, 
-                      { 
-                        width: `${Math.min(nutrient.percentage, 100)}%`,
-                        backgroundColor: nutrient.percentage >= 100 ? '#10B981' : '#3B82F6',
-                      }
-                    ]} 
-                  />
-                </View>
-              </View>
-            ))}
-          </View>
+          <MicroCards micros={nutrition?.micros ?? []} />
         </View>
       </ScrollView>
     </View>
@@ -154,52 +130,10 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#3C2253',
   },
-  nutrientsList: {
-    gap: 12,
-  },
-  nutrientCard: {
-    backgroundColor: '#fff',
-    borderRadius: 12,
-    padding: 16,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.05,
-    shadowRadius: 4,
-    elevation: 2,
-  },
-  nutrientHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 12,
-  },
-  nutrientName: {
-    fontSize: 15,
-    fontWeight: '600',
-    color: '#1F2937',
-    flex: 1,
-  },
-  nutrientValues: {
-    alignItems: 'flex-end',
-  },
-  nutrientValue: {
+  errorText: {
     fontSize: 14,
-    fontWeight: '600',
-    color: '#1F2937',
-    marginBottom: 2,
-  },
-  nutrientPercentage: {
-    fontSize: 12,
-    color: '#666',
-  },
-  progressBar: {
-    height: 6,
-    backgroundColor: '#F3F4F6',
-    borderRadius: 3,
-    overflow: 'hidden',
-  },
-  progressFill: {
-    height: '100%',
-    borderRadius: 3,
+    color: '#DC2626',
+    textAlign: 'center',
+    paddingVertical: 24,
   },
 });
@@ -6,34 +6,34 @@ import {
   TouchableOpacity,
   StyleSheet,
   StatusBar,
+  ActivityIndicator,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { useRouter, useLocalSearchParams } from 'expo-router';
+import { useRecipeNutrition } from '@/hooks/use-recipe-nutrition';
+import { MeasureSystem } from '@/lib/recipeService';
 
 export default function NutritionalBreakdown() {
   const router = useRouter();
   const params = useLocalSearchParams();
-  const mealTitle = params.mealTitle as string || 'Creamy Pumpkin Soup';
+  const recipeId = params.recipeId as string;
+  const mealTitle = params.mealTitle as string || 'Recipe';
+  const servings = params.servings ? Number(params.servings) : undefined;
+  const units = (params.units as MeasureSystem) || undefined;
+  const { nutrition, loading, error, reload } = useRecipeNutrition(recipeId, servings, units);
 
   const handleViewMacronutrients = () => {
     router.push({
       pathname: '/macronutrients',
       params: {
+        recipeId,
         mealTitle: mealTitle,
+        servings: params.servings,
+        units: params.units,
       },
     });
   };
 
-  // Match the exact values from the screenshot
-  const nutritionData = {
-    calories: 290,
-    protein: 8,
-    carbs: 42,
-    fat: 12,
-    fiber: 5,
-    sugar: 8,
-  };
-
   return (
     <View style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
@@ -59,44 +59,69 @@ export default function NutritionalBreakdown() {
           <Text style={styles.recipeTitle}>{mealTitle}</Text>
           <Text style={styles.subtitle}>Complete nutritional information</Text>
 
-          {/* Main Nutrition Card */}
-          <View style={styles.nutritionCard}>
-            <View style={styles.caloriesSection}>
-              <Text style={styles.caloriesValue}>{nutritionData.calories}</Text>
-              <Text style={styles.caloriesLabel}>Calories</Text>
+          {loading ? (
+            <View style={styles.stateContainer}>
+              <ActivityIndicator size="large" color="#3C2253" />
+            </View>
+          ) : error || !nutrition ? (
+            <View style={styles.stateContainer}>
+              <Text style={styles.stateText}>{error || 'Nutrition unavailable'}</Text>
+              <TouchableOpacity onPress={reload}>
+                <Text style={styles.retryText}>Try Again</Text>
+              </TouchableOpacity>
             </View>
+          ) : (
+            <>
+              {/* Main Nutrition Card */}
+              <View style={styles.nutritionCard}>
+                <View style={styles.caloriesSection}>
+                  <Text style={styles.caloriesValue}>{nutrition.calories}</Text>
+                  <Text style={styles.caloriesLabel}>Calories per serving</Text>
+                </View>
 
-            <View style={styles.macrosGrid}>
-              <View style={styles.macroCard}>
-                <Text style={styles.macroValue}>{nutritionData.protein}</Text>
-                <Text style={styles.macroUnit}>g</Text>
-                <Text style={styles.macroLabel}>Protein</Text>
+                <View style={styles.macrosGrid}>
+                  <View style={styles.macroCard}>
+                    <Text style={styles.macroValue}>{nutrition.perServing.protein}</Text>
+                    <Text style={styles.macroUnit}>g</Text>
+                    <Text style={styles.macroLabel}>Protein</Text>
+                  </View>
+                  <View style={styles.macroCard}>
+                    <Text style={styles.macroValue}>{nutrition.perServing.carbs}</Text>
+                    <Text style={styles.macroUnit}>g</Text>
+                    <Text style={styles.macroLabel}>Carbs</Text>
+                  </View>
+                  <View style={styles.macroCard}>
+                    <Text style={styles.macroValue}>{nutrition.perServing.fat}</Text>
+                    <Text style={styles.macroUnit}>g</Text>
+                    <Text style={styles.macroLabel}>Fat</Text>
+                  </View>
+                </View>
               </View>
-              <View style={styles.macroCard}>
-                <Text style={styles.macroValue}>{nutritionData.carbs}</Text>
-                <Text style={styles.macroUnit}>g</Text>
-                <Text style={styles.macroLabel}>Carbs</Text>
-              </View>
-              <View style={styles.macroCard}>
-                <Text style={styles.macroValue}>{nutritionData.fat}</Text>
-                <Text style={styles.macroUnit}>g</Text>
-                <Text style={styles.macroLabel}>Fat</Text>
+
+              {/* Additional Nutrients */}
+              <View style={styles.additionalSection}>
+                <Text style={styles.sectionTitle}>Additional Nutrients</Text>
+                <View style={styles.nutrientRow}>
+                  <Text style={styles.nutrientLabel}>Fiber</Text>
+                  <Text style={styles.nutrientValue}>{nutrition.perServing.fiber}g</Text>
+                </View>
+                <View style={styles.nutrientRow}>
+                  <Text style={styles.nutrientLabel}>Sugar</Text>
+                  <Text style={styles.nutrientValue}>{nutrition.perServing.sugar}g</Text>
+                </View>
+                <View style={[styles.nutrientRow, styles.lastNutrientRow]}>
+                  <Text style={styles.nutrientLabel}>Sodium</Text>
+                  <Text style={styles.nutrientValue}>{nutrition.perServing.sodium}mg</Text>
+                </View>
               </View>
-            </View>
-          </View>
 
-          {/* Additional Nutrients */}
-          <View style={styles.additionalSection}>
-            <Text style={styles.sectionTitle}>Additional Nutrients</Text>
-            <View style={styles.nutrientRow}>
-              <Text style={styles.nutrientLabel}>Fiber</Text>
-              <Text style={styles.nutrientValue}>{nutritionData.fiber}g</Text>
-            </View>
-            <View style={[styles.nutrientRow, styles.lastNutrientRow]}>
-              <Text style={styles.nutrientLabel}>Sugar</Text>
-              <Text style={styles.nutrientValue}>{nutritionData.sugar}g</Text>
-            </View>
-          </View>
+              {nutrition.missing.length > 0 && (
+                <Text style={styles.missingText}>
+                  Not included (no nutrition data): {nutrition.missing.join(', ')}
+                </Text>
+              )}
+            </>
+          )}
 
           {/* Action Button */}
           <TouchableOpacity 
@@ -252,6 +277,26 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#1F2937',
   },
+  stateContainer: {
+    alignItems: 'center',
+    paddingVertical: 40,
+    gap: 12,
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+  retryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C2253',
+  },
+  missingText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginBottom: 16,
+  },
   actionButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useCallback } from "react";
 import {
   View,
   Text,
@@ -6,98 +6,127 @@ import {
   ScrollView,
   TouchableOpacity,
   SafeAreaView,
+  ActivityIndicator,
+  RefreshControl,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import { useRouter } from "expo-router";
+import { useFocusEffect, useRouter } from "expo-router";
+import {
+  getOrders,
+  Order,
+  OrderStats,
+  OrderStatus,
+  ORDER_STATUS_COLORS,
+  ORDER_STATUS_LABELS,
+} from "../lib/orderService";
+
+type Tab = "All Orders" | "Active" | "Delivered" | "Cancelled";
+
+const tabs: Tab[] = ["All Orders", "Active", "Delivered", "Cancelled"];
+
+const TAB_STATUS: Record<Tab, string | undefined> = {
+  "All Orders": undefined,
+  Active: "active",
+  Delivered: "delivered",
+  Cancelled: "cancelled,refunded",
+};
 
-type OrderStatus = "Delivered" | "Processing" | "Cancelled" | "Pending";
+// Orders that can still be tracked
+const ACTIVE_STATUSES: OrderStatus[] = ["pending", "confirmed", "packed", "out_for_delivery"];
 
-interface Order {
-  id: string;
-  date: string;
-  status: OrderStatus;
-  statusColor: string;
-  items: number;
-  amount: number;
-  deliveryDate: string;
-  products: string[];
-  trackable?: boolean;
-}
+// Product names shown on a card before collapsing into "+N more"
+const MAX_PRODUCT_TAGS = 3;
 
-interface Stats {
-  totalOrders: number;
-  delivered: number;
-  totalSpent: number;
-}
+const formatDate = (value?: string) =>
+  value
+    ? new Date(value).toLocaleDateString("en-US", {
+      month: "long",
+      day: "numeric",
+      year: "numeric",
+    })
+    : "";
+
+const getDeliveryText = (order: Order) => {
+  switch (order.status) {
+    case "delivered":
+      return `Delivered on ${formatDate(order.deliveredAt || order.updatedAt)}`;
+    case "cancelled":
+      return "Order was cancelled";
+    case "refunded":
+      return "Order was refunded";
+    default:
+      return `Expected delivery: ${formatDate(order.estimatedDelivery)}`;
+  }
+};
+
+const getProductTags = (order: Order) => {
+  const names = order.items.map((item) => item.name);
+  if (names.length <= MAX_PRODUCT_TAGS) return names;
+  return [...names.slice(0, MAX_PRODUCT_TAGS), `+${names.length - MAX_PRODUCT_TAGS} more`];
+};
 
 const OrderHistoryScreen: React.FC = () => {
   const router = useRouter();
-  const [selectedTab, setSelectedTab] = useState<string>("All Orders");
+  const [selectedTab, setSelectedTab] = useState<Tab>("All Orders");
+  const [orders, setOrders] = useState<Order[]>([]);
+  const [stats, setStats] = useState<OrderStats>({ totalOrders: 0, delivered: 0, totalSpent: 0 });
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
 
-  const tabs: string[] = ["All Orders", "Delivered", "Processing", "Pending"];
+  const loadOrders = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getOrders({ status: TAB_STATUS[selectedTab] });
+      setOrders(response.orders);
+      setStats(response.stats);
+    } catch (err: any) {
+      console.error("Failed to load orders:", err);
+      setError(err.response?.data?.message || "Failed to load orders");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [selectedTab]);
+
+  // Reload on return from tracking, where the order may have been cancelled
+  useFocusEffect(
+    useCallback(() => {
+      loadOrders();
+    }, [loadOrders])
+  );
 
-  const stats: Stats = {
-    totalOrders: 7,
-    delivered: 4,
-    totalSpent: 9025,
+  const selectTab = (tab: Tab) => {
+    if (tab === selectedTab) return;
+    setLoading(true);
+    setSelectedTab(tab);
   };
 
-  const orders: Order[] = [
-    {
-      id: "ORD-2024-12547",
-      date: "October 2, 2025",
-      status: "Delivered",
-      statusColor: "#4CAF50",
-      items: 8,
-      amount: 1395,
-      deliveryDate: "Delivered on October 3, 2025",
-      products: ["Bananas", "Fresh Milk", "Whole Wheat Bread", "+5 more"],
-    },
-    {
-      id: "ORD-2024-12546",
-      date: "September 28, 2025",
-      status: "Processing",
-      statusColor: "#FF9800",
-      items: 5,
-      amount: 850,
-      deliveryDate: "Expected delivery: October 4, 2025",
-      products: ["Apples", "Chicken Breast", "Brown Rice"],
-      trackable: true,
-    },
-    {
-      id: "ORD-2024-12545",
-      date: "September 25, 2025",
-      status: "Delivered",
-      statusColor: "#4CAF50",
-      items: 12,
-      amount: 2150,
-      deliveryDate: "Delivered on September 26, 2025",
-      products: ["Salmon Fillet", "Avocados", "Quinoa", "+9 more"],
-    },
-    {
-      id: "ORD-2024-12544",
-      date: "September 20, 2025",
-      status: "Cancelled",
-      statusColor: "#F44336",
-      items: 4,
-      amount: 650,
-      deliveryDate: "Order was cancelled",
-      products: ["Pasta", "Tomato Sauce", "Mozzarella", "+1 more"],
-    },
-  ];
+  const openTracking = (order: Order) => {
+    router.push({ pathname: "/orderTracking", params: { orderId: order.id } });
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadOrders();
+  };
 
   const getStatusIcon = (
     status: OrderStatus
   ): React.ComponentProps<typeof Ionicons>["name"] => {
     switch (status) {
-      case "Delivered":
+      case "delivered":
         return "checkmark-circle";
-      case "Processing":
-        return "time";
-      case "Cancelled":
+      case "out_for_delivery":
+        return "bicycle";
+      case "cancelled":
         return "close-circle";
-      default:
+      case "refunded":
+        return "return-down-back";
+      case "pending":
         return "alert-circle";
+      default:
+        return "time";
     }
   };
 
@@ -125,7 +154,7 @@ const OrderHistoryScreen: React.FC = () => {
             <TouchableOpacity
               key={tab}
               style={[styles.tab, selectedTab === tab && styles.tabActive]}
-              onPress={() => setSelectedTab(tab)}
+              onPress={() => selectTab(tab)}
             >
               <Text
                 style={[
@@ -144,6 +173,9 @@ const OrderHistoryScreen: React.FC = () => {
         style={styles.scrollView}
         contentContainerStyle={styles.scrollContent}
         showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={["#5A3D7A"]} />
+        }
       >
         {/* Stats Card */}
         <View style={styles.statsCard}>
@@ -163,53 +195,83 @@ const OrderHistoryScreen: React.FC = () => {
           </View>
         </View>
 
-        {/* Orders List */}
-        {orders.map((order) => (
-          <TouchableOpacity key={order.id} style={styles.orderCard}>
-            <View style={styles.orderHeader}>
-              <View style={styles.orderHeaderLeft}>
-                <Ionicons name="receipt-outline" size={16} color="#8B7BA8" />
-                <Text style={styles.orderId}>{order.id}</Text>
+        {loading ? (
+          <View style={styles.stateContainer}>
+            <ActivityIndicator size="large" color="#5A3D7A" />
+          </View>
+        ) : error ? (
+          <View style={styles.stateContainer}>
+            <Ionicons name="alert-circle-outline" size={40} color="#F44336" />
+            <Text style={styles.stateText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={loadOrders}>
+              <Text style={styles.retryButtonText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        ) : orders.length === 0 ? (
+          <View style={styles.stateContainer}>
+            <Ionicons name="receipt-outline" size={40} color="#8B7BA8" />
+            <Text style={styles.stateText}>
+              {selectedTab === "All Orders"
+                ? "You have not placed any orders yet"
+                : `No ${selectedTab.toLowerCase()} orders`}
+            </Text>
+          </View>
+        ) : (
+          /* Orders List */
+          orders.map((order) => (
+            <TouchableOpacity
+              key={order.id}
+              style={styles.orderCard}
+              onPress={() => openTracking(order)}
+            >
+              <View style={styles.orderHeader}>
+                <View style={styles.orderHeaderLeft}>
+                  <Ionicons name="receipt-outline" size={16} color="#8B7BA8" />
+                  <Text style={styles.orderId}>{order.orderNumber}</Text>
+                </View>
+                <Text style={styles.orderAmount}>Rs. {order.total}</Text>
               </View>
-              <Text style={styles.orderAmount}>Rs. {order.amount}</Text>
-            </View>
-            <View style={styles.orderMeta}>
-              <View style={styles.orderMetaItem}>
-                <Ionicons name="calendar-outline" size={14} color="#8B7BA8" />
-                <Text style={styles.orderMetaText}>{order.date}</Text>
+              <View style={styles.orderMeta}>
+                <View style={styles.orderMetaItem}>
+                  <Ionicons name="calendar-outline" size={14} color="#8B7BA8" />
+                  <Text style={styles.orderMetaText}>{formatDate(order.createdAt)}</Text>
+                </View>
+                <View style={styles.orderMetaItem}>
+                  <Text style={styles.itemCount}>{order.itemCount} items</Text>
+                </View>
               </View>
-              <View style={styles.orderMetaItem}>
-                <Text style={styles.itemCount}>{order.items} items</Text>
+              <View style={styles.statusContainer}>
+                <Ionicons
+                  name={getStatusIcon(order.status)}
+                  size={16}
+                  color={ORDER_STATUS_COLORS[order.status]}
+                />
+                <Text style={[styles.statusText, { color: ORDER_STATUS_COLORS[order.status] }]}>
+                  {ORDER_STATUS_LABELS[order.status]}
+                </Text>
+              </View>
+              <Text style={styles.deliveryDate}>{getDeliveryText(order)}</Text>
+              <View style={styles.productsContainer}>
+                {getProductTags(order).map((product, index) => (
+                  <View key={index} style={styles.productTag}>
+                    <Text style={styles.productText}>{product}</Text>
+                  </View>
+                ))}
+              </View>
+              {ACTIVE_STATUSES.includes(order.status) && (
+                <TouchableOpacity
+                  style={styles.trackButton}
+                  onPress={() => openTracking(order)}
+                >
+                  <Text style={styles.trackButtonText}>Track Order →</Text>
+                </TouchableOpacity>
+              )}
+              <View style={styles.viewDetailsButton}>
+                <Ionicons name="chevron-forward" size={20} color="#8B7BA8" />
               </View>
-            </View>
-            <View style={styles.statusContainer}>
-              <Ionicons
-                name={getStatusIcon(order.status)}
-                size={16}
-                color={order.statusColor}
-              />
-              <Text style={[styles.statusText, { color: order.statusColor }]}>
-                {order.status}
-              </Text>
-            </View>
-            <Text style={styles.deliveryDate}>{order.deliveryDate}</Text>
-            <View style={styles.productsContainer}>
-              {order.products.map((product, index) => (
-                <View key={index} style={styles.productTag}>
-                  <Text style={styles.productText}>{product}</Text>
-                </View>
-              ))}
-            </View>
-            {order.trackable && (
-              <TouchableOpacity style={styles.trackButton}>
-                <Text style={styles.trackButtonText}>Track Order →</Text>
-              </TouchableOpacity>
-            )}
-            <TouchableOpacity style={styles.viewDetailsButton}>
-              <Ionicons name="chevron-forward" size={20} color="#8B7BA8" />
             </TouchableOpacity>
-          </TouchableOpacity>
-        ))}
+          ))
+        )}
       </ScrollView>
     </SafeAreaView>
   );
@@ -312,6 +374,15 @@ const styles = StyleSheet.create({
   trackButton: { alignSelf: "flex-start", marginTop: 4 },
   trackButtonText: { fontSize: 13, fontWeight: "600", color: "#5A3D7A" },
   viewDetailsButton: { position: "absolute", top: 16, right: 16 },
+  stateContainer: { alignItems: "center", paddingVertical: 40, gap: 12 },
+  stateText: { fontSize: 14, color: "#6B5B7F", textAlign: "center" },
+  retryButton: {
+    backgroundColor: "#5A3D7A",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryButtonText: { fontSize: 14, fontWeight: "600", color: "#fff" },
 });
 
 export default OrderHistoryScreen;
@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import {
+  cancelOrder,
+  getOrder,
+  Order,
+  OrderStatus,
+  StatusChange,
+  ORDER_PROGRESS,
+  ORDER_STATUS_COLORS,
+  ORDER_STATUS_LABELS,
+} from "../lib/orderService";
+
+interface TimelineStep {
+  status: OrderStatus;
+  change?: StatusChange;
+}
+
+const STEP_ICONS: Record<OrderStatus, React.ComponentProps<typeof Ionicons>["name"]> = {
+  pending: "receipt-outline",
+  confirmed: "checkmark-done-outline",
+  packed: "cube-outline",
+  out_for_delivery: "bicycle-outline",
+  delivered: "home-outline",
+  cancelled: "close-circle-outline",
+  refunded: "return-down-back-outline",
+};
+
+const CHANGED_BY: Record<StatusChange["role"], string> = {
+  customer: "by you",
+  admin: "by MealVista",
+  system: "automatically",
+};
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  });
+
+const formatDate = (value?: string) =>
+  value
+    ? new Date(value).toLocaleDateString("en-US", {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    })
+    : "";
+
+// Orders on their way show every delivery step, reached or not.
+// Cancelled and refunded orders show only the steps they actually went through.
+const buildTimeline = (order: Order): TimelineStep[] => {
+  const lastChange = (status: OrderStatus) =>
+    [...order.statusHistory].reverse().find((change) => change.status === status);
+
+  if (order.status === "cancelled" || order.status === "refunded") {
+    return order.statusHistory.map((change) => ({ status: change.status, change }));
+  }
+  return ORDER_PROGRESS.map((status) => ({ status, change: lastChange(status) }));
+};
+
+const OrderTrackingScreen: React.FC = () => {
+  const router = useRouter();
+  const { orderId } = useLocalSearchParams<{ orderId: string }>();
+  const [order, setOrder] = useState<Order | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadOrder = useCallback(async () => {
+    if (!orderId) {
+      setError("Order not found");
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await getOrder(orderId);
+      setOrder(response.order);
+    } catch (err: any) {
+      console.error("Failed to load order:", err);
+      setError(err.response?.data?.message || "Failed to load order");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    loadOrder();
+  }, [loadOrder]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadOrder();
+  };
+
+  const handleCancel = () => {
+    if (!order) return;
+    Alert.alert(
+      "Cancel Order",
+      `Cancel order ${order.orderNumber}?${order.paymentStatus === "paid" ? " Your payment will be refunded." : ""}`,
+      [
+        { text: "Keep Order", style: "cancel" },
+        {
+          text: "Cancel Order",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setCancelling(true);
+              const response = await cancelOrder(order.id);
+              setOrder(response.order);
+            } catch (err: any) {
+              Alert.alert("Error", err.response?.data?.message || "Could not cancel the order");
+              loadOrder();
+            } finally {
+              setCancelling(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderTimeline = (current: Order) => {
+    const steps = buildTimeline(current);
+    const currentIndex = steps.map((step) => !!step.change).lastIndexOf(true);
+    return steps.map((step, index) => {
+      const reached = !!step.change;
+      const isCurrent = index === currentIndex;
+      const color = reached ? ORDER_STATUS_COLORS[step.status] : "#D5CCE3";
+      const isLast = index === steps.length - 1;
+
+      return (
+        <View key={`${step.status}-${index}`} style={styles.timelineRow}>
+          <View style={styles.timelineMarker}>
+            <View style={[styles.timelineDot, { borderColor: color }, reached && { backgroundColor: color }]}>
+              <Ionicons name={STEP_ICONS[step.status]} size={14} color={reached ? "#fff" : "#B8AFCC"} />
+            </View>
+            {!isLast && (
+              <View
+                style={[
+                  styles.timelineLine,
+                  { backgroundColor: steps[index + 1].change ? color : "#E5DFF0" },
+                ]}
+              />
+            )}
+          </View>
+          <View style={styles.timelineContent}>
+            <Text style={[styles.timelineTitle, !reached && styles.timelineTitlePending, isCurrent && { color }]}>
+              {ORDER_STATUS_LABELS[step.status]}
+            </Text>
+            {step.change ? (
+              <Text style={styles.timelineMeta}>
+                {formatDateTime(step.change.at)} · {CHANGED_BY[step.change.role]}
+              </Text>
+            ) : (
+              <Text style={styles.timelineMeta}>Waiting</Text>
+            )}
+            {step.change?.note ? <Text style={styles.timelineNote}>{step.change.note}</Text> : null}
+          </View>
+        </View>
+      );
+    });
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Track Order</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#5A3D7A" />
+        </View>
+      ) : error || !order ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={40} color="#F44336" />
+          <Text style={styles.stateText}>{error || "Order not found"}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadOrder}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={["#5A3D7A"]} />
+          }
+        >
+          {/* Summary */}
+          <View style={styles.card}>
+            <View style={styles.summaryHeader}>
+              <Text style={styles.orderNumber}>{order.orderNumber}</Text>
+              <View style={[styles.statusPill, { backgroundColor: ORDER_STATUS_COLORS[order.status] }]}>
+                <Text style={styles.statusPillText}>{ORDER_STATUS_LABELS[order.status]}</Text>
+              </View>
+            </View>
+            {order.status === "delivered" && order.deliveredAt ? (
+              <Text style={styles.summaryText}>Delivered on {formatDate(order.deliveredAt)}</Text>
+            ) : order.status !== "cancelled" && order.status !== "refunded" ? (
+              <Text style={styles.summaryText}>
+                Expected delivery: {formatDate(order.estimatedDelivery)}
+              </Text>
+            ) : null}
+            <Text style={styles.summaryText}>
+              {order.paymentMethod === "cash" ? "Cash on delivery" : "Card"} · Rs. {order.total.toFixed(2)}
+            </Text>
+          </View>
+
+          {/* Timeline */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Order Status</Text>
+            {renderTimeline(order)}
+          </View>
+
+          {/* Items */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Items ({order.itemCount})</Text>
+            {order.items.map((item) => (
+              <View key={item.inventory} style={styles.itemRow}>
+                <Text style={styles.itemName}>
+                  {item.name} × {item.quantity}
+                </Text>
+                <Text style={styles.itemPrice}>Rs. {item.lineTotal.toFixed(2)}</Text>
+              </View>
+            ))}
+            <View style={styles.divider} />
+            <View style={styles.itemRow}>
+              <Text style={styles.itemName}>Delivery Fee</Text>
+              <Text style={styles.itemPrice}>Rs. {order.deliveryFee.toFixed(2)}</Text>
+            </View>
+            <View style={styles.itemRow}>
+              <Text style={styles.totalLabel}>Total</Text>
+              <Text style={styles.totalValue}>Rs. {order.total.toFixed(2)}</Text>
+            </View>
+          </View>
+
+          {order.canCancel && (
+            <TouchableOpacity
+              style={[styles.cancelButton, cancelling && styles.cancelButtonDisabled]}
+              onPress={handleCancel}
+              disabled={cancelling}
+            >
+              {cancelling ? (
+                <ActivityIndicator size="small" color="#F44336" />
+              ) : (
+                <Text style={styles.cancelButtonText}>Cancel Order</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#5A3D7A" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  backButton: { marginRight: 16 },
+  headerTitle: { fontSize: 20, color: "#fff", fontWeight: "600" },
+  scrollView: { flex: 1, backgroundColor: "#F5F3F7" },
+  scrollContent: { padding: 16, paddingBottom: 40 },
+  stateContainer: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#F5F3F7",
+    padding: 24,
+    gap: 12,
+  },
+  stateText: { fontSize: 14, color: "#6B5B7F", textAlign: "center" },
+  retryButton: {
+    backgroundColor: "#5A3D7A",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryButtonText: { fontSize: 14, fontWeight: "600", color: "#fff" },
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    elevation: 1,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+  },
+  cardTitle: { fontSize: 15, fontWeight: "700", color: "#2C1A3F", marginBottom: 16 },
+  summaryHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  orderNumber: { fontSize: 16, fontWeight: "700", color: "#2C1A3F" },
+  statusPill: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 12 },
+  statusPillText: { fontSize: 12, fontWeight: "600", color: "#fff" },
+  summaryText: { fontSize: 13, color: "#6B5B7F", marginTop: 4 },
+  timelineRow: { flexDirection: "row" },
+  timelineMarker: { alignItems: "center", width: 28, marginRight: 12 },
+  timelineDot: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+  },
+  timelineLine: { width: 2, flex: 1, minHeight: 24 },
+  timelineContent: { flex: 1, paddingBottom: 20 },
+  timelineTitle: { fontSize: 14, fontWeight: "600", color: "#2C1A3F" },
+  timelineTitlePending: { color: "#B8AFCC" },
+  timelineMeta: { fontSize: 12, color: "#8B7BA8", marginTop: 2 },
+  timelineNote: { fontSize: 12, color: "#6B5B7F", marginTop: 4, fontStyle: "italic" },
+  itemRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  itemName: { fontSize: 14, color: "#6B5B7F", flex: 1, marginRight: 12 },
+  itemPrice: { fontSize: 14, fontWeight: "600", color: "#2C1A3F" },
+  divider: { height: 1, backgroundColor: "#E5DFF0", marginVertical: 8 },
+  totalLabel: { fontSize: 15, fontWeight: "700", color: "#2C1A3F" },
+  totalValue: { fontSize: 16, fontWeight: "700", color: "#5A3D7A" },
+  cancelButton: {
+    borderWidth: 1.5,
+    borderColor: "#F44336",
+    borderRadius: 25,
+    paddingVertical: 14,
+    alignItems: "center",
+    marginTop: 4,
+  },
+  cancelButtonDisabled: { opacity: 0.6 },
+  cancelButtonText: { fontSize: 15, fontWeight: "600", color: "#F44336" },
+});
+
+export default OrderTrackingScreen;
@@ -0,0 +1,394 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  StatusBar,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useRouter } from "expo-router";
+import {
+  addPantryItem,
+  deletePantryItem,
+  getPantry,
+  PantryItem,
+  updatePantryItem,
+} from "../lib/pantryService";
+
+const UNITS = ["piece", "g", "kg", "ml", "l", "pack"];
+
+interface PantryForm {
+  name: string;
+  quantity: string;
+  unit: string;
+  expiresAt: string; // YYYY-MM-DD, or empty
+}
+
+const EMPTY_FORM: PantryForm = { name: "", quantity: "", unit: "piece", expiresAt: "" };
+
+const formatQuantity = (quantity: number) =>
+  Number.isInteger(quantity) ? quantity.toString() : quantity.toFixed(2).replace(/0+$/, "");
+
+const expiryLabel = (item: PantryItem) => {
+  if (item.daysLeft === null) return "No expiry date";
+  if (item.expired) return "Expired";
+  if (item.daysLeft === 1) return "Expires tomorrow";
+  return `Expires in ${item.daysLeft} days`;
+};
+
+export default function PantryScreen() {
+  const router = useRouter();
+  const [items, setItems] = useState<PantryItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState<PantryForm>(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadPantry = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getPantry();
+      setItems(response.items);
+    } catch (err: any) {
+      console.error("Failed to load pantry:", err);
+      setError(err.response?.data?.message || "Failed to load pantry");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  // Delivered orders fill the pantry, so refresh whenever the screen is shown
+  useFocusEffect(
+    useCallback(() => {
+      loadPantry();
+    }, [loadPantry])
+  );
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadPantry();
+  };
+
+  const openAddForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const openEditForm = (item: PantryItem) => {
+    setEditingId(item.id);
+    setForm({
+      name: item.name,
+      quantity: formatQuantity(item.quantity),
+      unit: item.unit,
+      expiresAt: item.expiresAt ? item.expiresAt.slice(0, 10) : "",
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    const quantity = parseFloat(form.quantity);
+    if (!form.name.trim()) {
+      Alert.alert("Missing Name", "Please enter what you have");
+      return;
+    }
+    if (Number.isNaN(quantity) || quantity < 0) {
+      Alert.alert("Invalid Quantity", "Please enter a quantity");
+      return;
+    }
+    if (form.expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(form.expiresAt)) {
+      Alert.alert("Invalid Date", "Enter the expiry date as YYYY-MM-DD");
+      return;
+    }
+
+    const input = {
+      name: form.name.trim(),
+      quantity,
+      unit: form.unit,
+      expiresAt: form.expiresAt || null,
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await updatePantryItem(editingId, input);
+      } else {
+        await addPantryItem(input);
+      }
+      closeForm();
+      loadPantry();
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to save pantry item");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (item: PantryItem) => {
+    Alert.alert("Remove Item", `Remove ${item.name} from your pantry?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await deletePantryItem(item.id);
+            setItems((prev) => prev.filter((entry) => entry.id !== item.id));
+          } catch (err: any) {
+            Alert.alert("Error", err.response?.data?.message || "Failed to remove item");
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderForm = () => (
+    <View style={styles.formCard}>
+      <Text style={styles.formTitle}>{editingId ? "Edit Item" : "Add to Pantry"}</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Item (e.g. Basmati Rice)"
+        placeholderTextColor="#9CA3AF"
+        value={form.name}
+        onChangeText={(name) => setForm((prev) => ({ ...prev, name }))}
+      />
+      <View style={styles.formRow}>
+        <TextInput
+          style={[styles.input, styles.quantityInput]}
+          placeholder="Quantity"
+          placeholderTextColor="#9CA3AF"
+          keyboardType="decimal-pad"
+          value={form.quantity}
+          onChangeText={(quantity) => setForm((prev) => ({ ...prev, quantity }))}
+        />
+        <TextInput
+          style={[styles.input, styles.dateInput]}
+          placeholder="Expires (YYYY-MM-DD)"
+          placeholderTextColor="#9CA3AF"
+          value={form.expiresAt}
+          onChangeText={(expiresAt) => setForm((prev) => ({ ...prev, expiresAt }))}
+        />
+      </View>
+      <View style={styles.unitRow}>
+        {UNITS.map((unit) => (
+          <TouchableOpacity
+            key={unit}
+            style={[styles.unitChip, form.unit === unit && styles.unitChipActive]}
+            onPress={() => setForm((prev) => ({ ...prev, unit }))}
+          >
+            <Text style={[styles.unitChipText, form.unit === unit && styles.unitChipTextActive]}>{unit}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.formActions}>
+        <TouchableOpacity style={styles.cancelButton} onPress={closeForm}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+          {saving ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <Text style={styles.saveButtonText}>{editingId ? "Save" : "Add"}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>My Pantry</Text>
+        {!showForm && (
+          <TouchableOpacity style={styles.addButton} onPress={openAddForm}>
+            <Ionicons name="add" size={24} color="#fff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading pantry...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadPantry}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.content}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          keyboardShouldPersistTaps="handled"
+        >
+          {showForm && renderForm()}
+
+          {items.length === 0 && !showForm ? (
+            <View style={styles.stateContainer}>
+              <Ionicons name="basket-outline" size={48} color="#8B7BA8" />
+              <Text style={styles.stateText}>
+                Your pantry is empty. Delivered orders are added automatically, or add what you have at home.
+              </Text>
+              <TouchableOpacity style={styles.retryButton} onPress={openAddForm}>
+                <Text style={styles.retryButtonText}>Add Item</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            items.map((item) => (
+              <TouchableOpacity
+                key={item.id}
+                style={[styles.itemCard, item.expired && styles.itemCardExpired]}
+                onPress={() => openEditForm(item)}
+              >
+                <View style={styles.itemInfo}>
+                  <Text style={styles.itemName}>{item.name}</Text>
+                  <Text style={styles.itemQuantity}>
+                    {formatQuantity(item.quantity)} {item.unit}
+                    {item.source === "order" ? " · from your order" : ""}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.itemExpiry,
+                      item.expiringSoon && styles.itemExpirySoon,
+                      item.expired && styles.itemExpired,
+                    ]}
+                  >
+                    {expiryLabel(item)}
+                  </Text>
+                </View>
+                <TouchableOpacity style={styles.deleteButton} onPress={() => handleDelete(item)}>
+                  <Ionicons name="trash-outline" size={20} color="#DC2626" />
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 16,
+    backgroundColor: "#3C2253",
+  },
+  backButton: { marginRight: 16 },
+  headerTitle: { flex: 1, fontSize: 20, color: "#fff", fontWeight: "600" },
+  addButton: { padding: 4 },
+  content: { padding: 16, paddingBottom: 40 },
+  stateContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  formCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: "#E5DFF0",
+  },
+  formTitle: { fontSize: 16, fontWeight: "600", color: "#3C2253", marginBottom: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: "#111827",
+    marginBottom: 10,
+  },
+  formRow: { flexDirection: "row", gap: 10 },
+  quantityInput: { flex: 1 },
+  dateInput: { flex: 2 },
+  unitRow: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginBottom: 12 },
+  unitChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  unitChipActive: { backgroundColor: "#3C2253", borderColor: "#3C2253" },
+  unitChipText: { fontSize: 12, color: "#374151", fontWeight: "600" },
+  unitChipTextActive: { color: "#fff" },
+  formActions: { flexDirection: "row", justifyContent: "flex-end", gap: 10 },
+  cancelButton: { paddingHorizontal: 16, paddingVertical: 10 },
+  cancelButtonText: { color: "#6B7280", fontSize: 14, fontWeight: "600" },
+  saveButton: {
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    minWidth: 80,
+    alignItems: "center",
+  },
+  saveButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  itemCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+  },
+  itemCardExpired: { opacity: 0.6 },
+  itemInfo: { flex: 1 },
+  itemName: { fontSize: 15, fontWeight: "600", color: "#111827" },
+  itemQuantity: { fontSize: 13, color: "#374151", marginTop: 2 },
+  itemExpiry: { fontSize: 12, color: "#6B7280", marginTop: 4 },
+  itemExpirySoon: { color: "#F59E0B", fontWeight: "600" },
+  itemExpired: { color: "#DC2626", fontWeight: "600" },
+  deleteButton: { padding: 8 },
+});
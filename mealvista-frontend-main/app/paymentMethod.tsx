@@ -6,15 +6,19 @@ import {
   ScrollView,
   TouchableOpacity,
   SafeAreaView,
+  Alert,
+  ActivityIndicator,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
 import { useCart } from "../contexts/CartContext";
+import { checkout, PaymentMethod } from "../lib/orderService";
 
 const PaymentMethodScreen = () => {
   const router = useRouter();
-  const { getTotalPrice } = useCart();
-  const [selectedPayment, setSelectedPayment] = useState("card");
+  const { getTotalPrice, refreshCart } = useCart();
+  const [selectedPayment, setSelectedPayment] = useState<PaymentMethod>("card");
+  const [placingOrder, setPlacingOrder] = useState(false);
 
   const orderSummary = {
     subtotal: getTotalPrice(),
@@ -22,7 +26,42 @@ const PaymentMethodScreen = () => {
     total: getTotalPrice() + 30,
   };
 
+  const placeCashOrder = async () => {
+    try {
+      setPlacingOrder(true);
+      const { order } = await checkout({ paymentMethod: "cash" });
+      await refreshCart();
+      router.replace({
+        pathname: "/paymentSuccessful",
+        params: {
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          total: order.total.toString(),
+          createdAt: order.createdAt,
+          estimatedDelivery: order.estimatedDelivery ?? "",
+          paymentMethod: order.paymentMethod,
+        },
+      });
+    } catch (err: any) {
+      if (err.response?.status === 401) {
+        Alert.alert("Sign In Required", "Please sign in to place your order.", [
+          { text: "Cancel", style: "cancel" },
+          { text: "Sign In", onPress: () => router.push("/signIn") },
+        ]);
+        return;
+      }
+      Alert.alert("Order Failed", err.response?.data?.message || "Could not place your order. Please try again.");
+      refreshCart();
+    } finally {
+      setPlacingOrder(false);
+    }
+  };
+
   const handleContinue = () => {
+    if (selectedPayment === "cash") {
+      placeCashOrder();
+      return;
+    }
     router.push("/cardDetails");
   };
 
@@ -86,6 +125,38 @@ const PaymentMethodScreen = () => {
               )}
             </View>
           </TouchableOpacity>
+
+          {/* Cash on Delivery Option */}
+          <TouchableOpacity
+            style={[
+              styles.paymentCard,
+              styles.paymentCardSpacing,
+              selectedPayment === "cash" && styles.paymentCardSelected,
+            ]}
+            onPress={() => setSelectedPayment("cash")}
+          >
+            <View style={styles.paymentCardHeader}>
+              <View style={styles.paymentCardLeft}>
+                <View style={styles.radioButton}>
+                  {selectedPayment === "cash" && (
+                    <View style={styles.radioButtonInner} />
+                  )}
+                </View>
+                <Ionicons
+                  name="cash-outline"
+                  size={24}
+                  color="#2C1A3F"
+                  style={styles.paymentIcon}
+                />
+                <View>
+                  <Text style={styles.paymentTitle}>Cash on Delivery</Text>
+                  <Text style={styles.paymentSubtitle}>
+                    Pay the rider when your order arrives
+                  </Text>
+                </View>
+              </View>
+            </View>
+          </TouchableOpacity>
         </View>
 
         {/* Payment Features */}
@@ -138,10 +209,20 @@ const PaymentMethodScreen = () => {
 
       {/* Continue Button */}
       <View style={styles.buttonContainer}>
-        <TouchableOpacity style={styles.continueButton} onPress={handleContinue}>
-          <Text style={styles.continueButtonText}>
-            Continue with Credit/Debit Card
-          </Text>
+        <TouchableOpacity
+          style={[styles.continueButton, placingOrder && styles.continueButtonDisabled]}
+          onPress={handleContinue}
+          disabled={placingOrder}
+        >
+          {placingOrder ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.continueButtonText}>
+              {selectedPayment === "cash"
+                ? `Place Order • Rs. ${orderSummary.total.toFixed(2)}`
+                : "Continue with Credit/Debit Card"}
+            </Text>
+          )}
         </TouchableOpacity>
       </View>
     </SafeAreaView>
@@ -202,6 +283,9 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.05,
     shadowRadius: 2,
   },
+  paymentCardSpacing: {
+    marginTop: 12,
+  },
   paymentCardSelected: {
     borderColor: "#5A3D7A",
     backgroundColor: "#FAF8FC",
@@ -366,6 +450,9 @@ const styles = StyleSheet.create({
     alignItems: "center",
     justifyContent: "center",
   },
+  continueButtonDisabled: {
+    opacity: 0.7,
+  },
   continueButtonText: {
     fontSize: 16,
     fontWeight: "600",
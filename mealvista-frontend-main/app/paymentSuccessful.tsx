@@ -8,28 +8,36 @@ import {
   SafeAreaView,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import { useRouter } from "expo-router";
-import { useCart } from "../contexts/CartContext";
+import { useRouter, useLocalSearchParams } from "expo-router";
 
 const PaymentSuccessScreen = () => {
   const router = useRouter();
-  const { getTotalPrice, clearCart } = useCart();
+  const params = useLocalSearchParams();
 
+  // The order was created by checkout; the cart has already been emptied on the server
+  const estimatedDelivery = params.estimatedDelivery as string;
+  // Cash on delivery orders are placed now and paid when they arrive
+  const payOnDelivery = params.paymentMethod === "cash";
   const orderDetails = {
-    orderId: `ORD-2024-${Math.floor(Math.random() * 100000)}`,
-    amountPaid: getTotalPrice() + 30,
-    transactionDate: new Date().toLocaleString("en-US", {
+    orderId: params.orderNumber as string || "",
+    amountPaid: Number(params.total) || 0,
+    transactionDate: new Date(params.createdAt as string || Date.now()).toLocaleString("en-US", {
       month: "long",
       day: "numeric",
       year: "numeric",
       hour: "numeric",
       minute: "numeric",
     }),
-    estimatedDelivery: "Tomorrow, 2-4 PM",
+    estimatedDelivery: estimatedDelivery
+      ? new Date(estimatedDelivery).toLocaleDateString("en-US", {
+        weekday: "long",
+        month: "long",
+        day: "numeric",
+      })
+      : "Tomorrow",
   };
 
   const handleViewOrderHistory = () => {
-    clearCart(); // Clear cart after successful payment
     router.push("/orderHistory");
   };
 
@@ -43,7 +51,9 @@ const PaymentSuccessScreen = () => {
         >
           <Ionicons name="arrow-back" size={24} color="#fff" />
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>Payment Successful</Text>
+        <Text style={styles.headerTitle}>
+          {payOnDelivery ? "Order Placed" : "Payment Successful"}
+        </Text>
       </View>
 
       <ScrollView
@@ -59,9 +69,13 @@ const PaymentSuccessScreen = () => {
         </View>
 
         {/* Success Message */}
-        <Text style={styles.successTitle}>Payment Successful!</Text>
+        <Text style={styles.successTitle}>
+          {payOnDelivery ? "Order Placed!" : "Payment Successful!"}
+        </Text>
         <Text style={styles.successMessage}>
-          Your order has been confirmed and payment processed successfully.
+          {payOnDelivery
+            ? "Your order has been confirmed. Please pay in cash when it arrives."
+            : "Your order has been confirmed and payment processed successfully."}
         </Text>
 
         {/* Order Details Card */}
@@ -80,10 +94,10 @@ const PaymentSuccessScreen = () => {
           {/* Amount Paid */}
           <View style={styles.detailRow}>
             <View style={styles.detailIconContainer}>
-              <Ionicons name="card-outline" size={20} color="#8B7BA8" />
+              <Ionicons name={payOnDelivery ? "cash-outline" : "card-outline"} size={20} color="#8B7BA8" />
             </View>
             <View style={styles.detailContent}>
-              <Text style={styles.detailLabel}>Amount Paid</Text>
+              <Text style={styles.detailLabel}>{payOnDelivery ? "Amount Due" : "Amount Paid"}</Text>
               <Text style={styles.detailValue}>
                 Rs. {orderDetails.amountPaid.toFixed(2)}
               </Text>
@@ -259,7 +259,7 @@ export default function ProfileScreen() {
           <TouchableOpacity style={styles.optionItem} onPress={() => router.push('/bmiCalculator')}>
             <View style={styles.optionLeft}>
               <Ionicons name="speedometer" size={20} color="#3C2253" />
-              <Text style={styles.optionText}>Update BMI</Text>
+              <Text style={styles.optionText}>Update BMI & Goals</Text>
             </View>
             <Ionicons name="chevron-forward" size={20} color="#6B7280" />
           </TouchableOpacity>
@@ -272,6 +272,38 @@ export default function ProfileScreen() {
             <Ionicons name="chevron-forward" size={20} color="#6B7280" />
           </TouchableOpacity>
 
+          <TouchableOpacity style={styles.optionItem} onPress={() => router.push('/mealPlanner')}>
+            <View style={styles.optionLeft}>
+              <Ionicons name="calendar" size={20} color="#3C2253" />
+              <Text style={styles.optionText}>Meal Planner</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.optionItem} onPress={() => router.push('/shoppingLists')}>
+            <View style={styles.optionLeft}>
+              <Ionicons name="list" size={20} color="#3C2253" />
+              <Text style={styles.optionText}>Shopping Lists</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.optionItem} onPress={() => router.push('/foodDiary')}>
+            <View style={styles.optionLeft}>
+              <Ionicons name="journal" size={20} color="#3C2253" />
+              <Text style={styles.optionText}>Food Diary</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.optionItem} onPress={() => router.push('/pantry')}>
+            <View style={styles.optionLeft}>
+              <Ionicons name="basket" size={20} color="#3C2253" />
+              <Text style={styles.optionText}>My Pantry</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+          </TouchableOpacity>
+
           <TouchableOpacity style={styles.optionItem} onPress={() => router.push('/editProfile')}>
             <View style={styles.optionLeft}>
               <Ionicons name="create" size={20} color="#3C2253" />
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,45 +8,223 @@ import {
   StyleSheet,
   StatusBar,
   Alert,
+  ActivityIndicator,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
-import { useRouter, useLocalSearchParams } from 'expo-router';
+import { useRouter, useLocalSearchParams, useFocusEffect } from 'expo-router';
 import { useCart } from '../contexts/CartContext';
-
-interface Ingredient {
-  id: string;
-  name: string;
-  category: string;
-  price: number;
-}
+import {
+  getRecipe,
+  getRecipeVariant,
+  getScaledRecipe,
+  deleteRecipeVariant,
+  MeasureSystem,
+  Recipe,
+  RecipeIngredient,
+  RecipeVariant,
+  ScaledIngredient,
+  ScaledRecipeResponse,
+} from '../lib/recipeService';
+import { getRecipePantry, cookRecipe, RecipePantryLine } from '../lib/pantryService';
+import { currentMealSlot, logFood } from '../lib/foodLogService';
+import { useAllergenWarnings } from '@/hooks/use-allergen-warnings';
 
 export default function RecipeDetails() {
   const router = useRouter();
   const params = useLocalSearchParams();
-  const { getTotalItems, addToCart, cartItems } = useCart();
+  const recipeId = params.recipeId as string;
+  const { getTotalItems, addToCart, updateQuantity, cartItems } = useCart();
   const [selectedIngredients, setSelectedIngredients] = useState<string[]>([]);
+  const [recipe, setRecipe] = useState<Recipe | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [variant, setVariant] = useState<RecipeVariant | null>(null);
+  // What the user has at home, by ingredient line id (null when signed out)
+  const [pantryLines, setPantryLines] = useState<Record<string, RecipePantryLine> | null>(null);
+  const [cooking, setCooking] = useState(false);
+  const [logging, setLogging] = useState(false);
+  // Servings and measures the ingredients are shown in (null: the recipe's own servings)
+  const [servings, setServings] = useState<number | null>(null);
+  const [units, setUnits] = useState<MeasureSystem | undefined>(undefined);
+  const [scaled, setScaled] = useState<ScaledRecipeResponse | null>(null);
+  // Once the user picks ingredients themselves, stop pre-selecting what is missing
+  const selectionTouched = useRef(false);
+  const recipeWarnings = useAllergenWarnings(recipeId ? [recipeId] : [])[recipeId] || [];
+  // The user's substitutions may remove some of the recipe's allergens
+  const allergenWarnings = variant
+    ? variant.allergens.filter((allergen) => allergen.declared)
+    : recipeWarnings;
+
+  const loadRecipe = useCallback(async () => {
+    if (!recipeId) {
+      setError('Recipe not found');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getRecipe(recipeId);
+      setRecipe(response.recipe);
+    } catch (err: any) {
+      console.error('Failed to load recipe:', err);
+      setError(err.response?.data?.message || 'Failed to load recipe');
+    } finally {
+      setLoading(false);
+    }
+  }, [recipeId]);
+
+  useEffect(() => {
+    loadRecipe();
+  }, [loadRecipe]);
+
+  const loadPantry = useCallback(async () => {
+    if (!recipeId) return;
+    try {
+      const response = await getRecipePantry(recipeId);
+      const byLine: Record<string, RecipePantryLine> = {};
+      response.lines.forEach((line) => {
+        byLine[line.line] = line;
+      });
+      setPantryLines(byLine);
+    } catch {
+      // Signed out: show the recipe without pantry details
+      setPantryLines(null);
+    }
+  }, [recipeId]);
+
+  // Substitutions are applied on another screen, so refresh the variant on focus
+  useFocusEffect(
+    useCallback(() => {
+      if (!recipeId) return;
+      let isActive = true;
 
+      loadPantry();
+      getRecipeVariant(recipeId)
+        .then((response) => {
+          if (isActive) setVariant(response.variant);
+        })
+        .catch(() => {
+          // 404 when the user has not applied substitutions (or is signed out)
+          if (isActive) setVariant(null);
+        });
+
+      return () => {
+        isActive = false;
+      };
+    }, [recipeId, loadPantry])
+  );
+
+  // Pre-select the ingredients the pantry does not cover so they can go straight to the cart
+  useEffect(() => {
+    if (!pantryLines || selectionTouched.current) return;
+    const lines = variant?.ingredients ?? recipe?.ingredients;
+    if (!lines) return;
+    setSelectedIngredients(
+      lines
+        .filter((ingredient) => {
+          const status = pantryLines[ingredient._id]?.status;
+          return !!ingredient.inventory
+            && ingredient.inventory.available !== false
+            && (status === 'missing' || status === 'partial');
+        })
+        .map((ingredient) => ingredient._id)
+    );
+  }, [pantryLines, recipe, variant]);
+
+  // Quantities, packs to buy and nutrition follow the chosen servings and measures
+  useEffect(() => {
+    if (!recipe) return;
+    let isActive = true;
+
+    getScaledRecipe(recipeId, { servings: servings ?? recipe.servings, units, variant: !!variant })
+      .then((response) => {
+        if (isActive) setScaled(response);
+      })
+      .catch((err) => {
+        console.error('Failed to scale recipe:', err);
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [recipeId, recipe, variant, servings, units]);
+
+  const scaledLines: Record<string, ScaledIngredient> = {};
+  (scaled?.ingredients ?? []).forEach((line) => {
+    scaledLines[line._id] = line;
+  });
+  const currentServings = servings ?? recipe?.servings ?? 1;
+
+  const changeServings = (change: number) => {
+    const next = currentServings + change;
+    if (next < 1 || next > 50) return;
+    setServings(next);
+  };
+
+  // Params from the list screen let the header render before the recipe loads
   const meal = {
-    title: params.mealTitle as string || 'Creamy Pumpkin Soup',
-    image: params.mealImage as string || 'https://images.unsplash.com/photo-1476718406336-bb5a9690ee2a?w=800',
-    time: params.mealTime as string || '35',
-    calories: params.mealCalories as string || '290',
-    difficulty: params.mealDifficulty as string || 'Medium',
-    rating: params.mealRating as string || '4.8',
+    title: recipe?.title || params.mealTitle as string || '',
+    image: recipe?.image || params.mealImage as string || undefined,
+    time: recipe ? recipe.time.toString() : params.mealTime as string || '',
+    calories: scaled
+      ? scaled.nutrition.calories.toString()
+      : variant
+      ? variant.nutrition.calories.toString()
+      : recipe ? recipe.calories.toString() : params.mealCalories as string || '',
+    difficulty: recipe?.difficulty || params.mealDifficulty as string || '',
+    rating: recipe ? recipe.rating.toString() : params.mealRating as string || '',
   };
 
-  const ingredientsList: Ingredient[] = [
-    { id: '1', name: 'Pumpkin Puree', category: 'Canned Goods', price: 3.99 },
-    { id: '2', name: 'Onion', category: 'Vegetables', price: 1.49 },
-    { id: '3', name: 'Garlic', category: 'Vegetables', price: 0.99 },
-    { id: '4', name: 'Vegetable Broth', category: 'Canned Goods', price: 2.99 },
-    { id: '5', name: 'Heavy Cream', category: 'Dairy', price: 4.99 },
-    { id: '6', name: 'Ground Cinnamon', category: 'Spices', price: 2.49 },
-    { id: '7', name: 'Nutmeg', category: 'Spices', price: 2.99 },
-    { id: '8', name: 'Olive Oil', category: 'Oils', price: 5.99 },
-  ];
+  const ingredientsList: RecipeIngredient[] = variant?.ingredients ?? recipe?.ingredients ?? [];
+
+  const handleResetVariant = () => {
+    Alert.alert(
+      'Remove Substitutions',
+      'Go back to the original recipe?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteRecipeVariant(recipeId);
+              setVariant(null);
+              setSelectedIngredients([]);
+              selectionTouched.current = false;
+              loadPantry();
+            } catch (err: any) {
+              Alert.alert('Error', err.response?.data?.message || 'Failed to remove substitutions');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Only ingredients linked to an available inventory item can be bought
+  const isPurchasable = (ingredient: RecipeIngredient) =>
+    !!ingredient.inventory && ingredient.inventory.available !== false;
+
+  // e.g. "In your pantry" or "Have 200 of 500 g"
+  const pantryLabel = (ingredient: RecipeIngredient) => {
+    const line = pantryLines?.[ingredient._id];
+    if (!line) return null;
+    switch (line.status) {
+      case 'covered':
+      case 'unmeasured':
+        return 'In your pantry';
+      case 'partial':
+        return `Have ${line.have} of ${line.needed} ${line.unit}`;
+      default:
+        return null;
+    }
+  };
 
   const handleToggleIngredient = (id: string) => {
+    selectionTouched.current = true;
     setSelectedIngredients((prev) =>
       prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
     );
@@ -60,17 +238,23 @@ export default function RecipeDetails() {
 
     let addedCount = 0;
     selectedIngredients.forEach((id) => {
-      const ingredient = ingredientsList.find((ing) => ing.id === id);
-      if (ingredient) {
-        const itemId = `ingredient-${ingredient.id}`;
-        const alreadyInCart = cartItems.some((c) => c.id === itemId);
-        if (!alreadyInCart) {
+      const ingredient = ingredientsList.find((ing) => ing._id === id);
+      if (ingredient?.inventory) {
+        const itemId = ingredient.inventory._id;
+        // Enough packs for the chosen servings
+        const packs = scaledLines[id]?.packs ?? 1;
+        const inCart = cartItems.find((c) => c.id === itemId);
+        if (!inCart) {
           addToCart({
             id: itemId,
-            name: ingredient.name,
-            price: ingredient.price,
-            category: ingredient.category,
-          });
+            name: ingredient.inventory.name,
+            image: ingredient.inventory.image,
+            price: ingredient.inventory.price,
+            category: ingredient.inventory.category,
+          }, packs);
+          addedCount += 1;
+        } else if (inCart.quantity < packs) {
+          updateQuantity(itemId, packs);
           addedCount += 1;
         }
       }
@@ -90,11 +274,76 @@ export default function RecipeDetails() {
     );
   };
 
+  const handleCooked = () => {
+    Alert.alert(
+      'Cooked It',
+      'Take this recipe\'s ingredients out of your pantry?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Update Pantry',
+          onPress: async () => {
+            try {
+              setCooking(true);
+              const response = await cookRecipe(recipeId, currentServings);
+              const used = response.consumed.length > 0
+                ? `Used ${response.consumed.length} ingredient(s) from your pantry.`
+                : 'Nothing for this recipe was in your pantry.';
+              const short = response.short.length > 0
+                ? `\n\nNot enough at home: ${response.short
+                    .map((line) => `${line.quantity} ${line.unit} ${line.name}`)
+                    .join(', ')}`
+                : '';
+              Alert.alert('Pantry Updated', used + short);
+              selectionTouched.current = false;
+              loadPantry();
+            } catch (err: any) {
+              Alert.alert('Error', err.response?.data?.message || 'Failed to update your pantry');
+            } finally {
+              setCooking(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const logServings = async (quantity: number) => {
+    try {
+      setLogging(true);
+      const response = await logFood({ source: 'recipe', recipeId, quantity, slot: currentMealSlot() });
+      Alert.alert(
+        'Meal Logged',
+        `${response.entry.name} (${Math.round(response.entry.nutrients.calories)} kcal) is in today's food diary.`,
+        [
+          { text: 'OK' },
+          { text: 'View Diary', onPress: () => router.push('/foodDiary') },
+        ]
+      );
+    } catch (err: any) {
+      Alert.alert('Error', err.response?.data?.message || 'Failed to log this meal');
+    } finally {
+      setLogging(false);
+    }
+  };
+
+  const handleLogMeal = () => {
+    Alert.alert('Log This Meal', 'How much of it did you eat?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: '1 serving', onPress: () => logServings(1) },
+      { text: '2 servings', onPress: () => logServings(2) },
+    ]);
+  };
+
   const handleViewInstructions = () => {
     router.push({
       pathname: '/instructions',
       params: {
+        recipeId,
         mealTitle: meal.title,
+        servings: currentServings.toString(),
+        units: units ?? '',
+        variant: variant ? '1' : '',
       },
     });
   };
@@ -103,7 +352,10 @@ export default function RecipeDetails() {
     router.push({
       pathname: '/nutritionalBreakdown',
       params: {
+        recipeId,
         mealTitle: meal.title,
+        servings: currentServings.toString(),
+        units: units ?? '',
       },
     });
   };
@@ -112,8 +364,11 @@ export default function RecipeDetails() {
     router.push({
       pathname: '/seeAllergens',
       params: {
+        recipeId,
         mealTitle: meal.title,
-        mealImage: meal.image,
+        mealImage: meal.image ?? '',
+        mealTime: meal.time,
+        servings: recipe ? currentServings.toString() : '',
       },
     });
   };
@@ -148,134 +403,270 @@ export default function RecipeDetails() {
         </TouchableOpacity>
       </View>
 
-      <ScrollView 
-        style={styles.scrollView}
-        showsVerticalScrollIndicator={false}
-      >
-        {/* Recipe Image */}
-        <Image 
-          source={{ uri: meal.image }} 
-          style={styles.recipeImage}
-          resizeMode="cover"
-        />
-
-        {/* Recipe Info */}
-        <View style={styles.content}>
-          <Text style={styles.recipeTitle}>{meal.title}</Text>
+      {loading && !recipe ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading recipe...</Text>
+        </View>
+      ) : error || !recipe ? (
+        <View style={styles.stateContainer}>
+          <Feather name="alert-circle" size={32} color="#DC2626" />
+          <Text style={styles.stateText}>{error || 'Recipe not found'}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadRecipe}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView 
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+        >
+          {/* Recipe Image */}
+          <Image 
+            source={{ uri: meal.image }} 
+            style={styles.recipeImage}
+            resizeMode="cover"
+          />
+
+          {/* Recipe Info */}
+          <View style={styles.content}>
+            <Text style={styles.recipeTitle}>{meal.title}</Text>
           
-          <View style={styles.recipeMeta}>
-            <View style={styles.metaBadge}>
-              <Feather name="clock" size={14} color="#666" />
-              <Text style={styles.metaText}>{meal.time} min</Text>
-            </View>
-            <View style={styles.metaBadge}>
-              <Feather name="zap" size={14} color="#666" />
-              <Text style={styles.metaText}>{meal.calories} kcal</Text>
-            </View>
-            <View
-              style={[
-                styles.difficultyBadge,
-                meal.difficulty === "Easy" && styles.easyBadge,
-                meal.difficulty === "Medium" && styles.mediumBadge,
-                meal.difficulty === "Hard" && styles.hardBadge,
-              ]}
-            >
-              <Text
+            <View style={styles.recipeMeta}>
+              <View style={styles.metaBadge}>
+                <Feather name="clock" size={14} color="#666" />
+                <Text style={styles.metaText}>{meal.time} min</Text>
+              </View>
+              <View style={styles.metaBadge}>
+                <Feather name="zap" size={14} color="#666" />
+                <Text style={styles.metaText}>{meal.calories} kcal</Text>
+              </View>
+              <View style={styles.metaBadge}>
+                <Feather name="users" size={14} color="#666" />
+                <Text style={styles.metaText}>{recipe.servings} servings</Text>
+              </View>
+              <View
                 style={[
-                  styles.difficultyText,
-                  meal.difficulty === "Easy" && styles.easyText,
-                  meal.difficulty === "Medium" && styles.mediumText,
-                  meal.difficulty === "Hard" && styles.hardText,
+                  styles.difficultyBadge,
+                  meal.difficulty === "Easy" && styles.easyBadge,
+                  meal.difficulty === "Medium" && styles.mediumBadge,
+                  meal.difficulty === "Hard" && styles.hardBadge,
                 ]}
               >
-                {meal.difficulty}
-              </Text>
+                <Text
+                  style={[
+                    styles.difficultyText,
+                    meal.difficulty === "Easy" && styles.easyText,
+                    meal.difficulty === "Medium" && styles.mediumText,
+                    meal.difficulty === "Hard" && styles.hardText,
+                  ]}
+                >
+                  {meal.difficulty}
+                </Text>
+              </View>
             </View>
-          </View>
 
-          {/* Action Buttons */}
-          <View style={styles.actionButtons}>
-            <TouchableOpacity 
-              style={styles.primaryButton}
-              onPress={handleViewInstructions}
-              activeOpacity={0.8}
-            >
-              <Feather name="book-open" size={18} color="#fff" />
-              <Text style={styles.primaryButtonText}>View Instructions</Text>
-            </TouchableOpacity>
-
-            <TouchableOpacity 
-              style={styles.secondaryButton}
-              onPress={handleViewNutrients}
-              activeOpacity={0.8}
-            >
-              <Feather name="pie-chart" size={18} color="#3C2253" />
-              <Text style={styles.secondaryButtonText}>View Nutrients</Text>
-            </TouchableOpacity>
-
-            <TouchableOpacity 
-              style={styles.tertiaryButton}
-              onPress={handleViewAllergens}
-              activeOpacity={0.8}
-            >
-              <Feather name="alert-triangle" size={18} color="#3C2253" />
-              <Text style={styles.tertiaryButtonText}>View Allergens</Text>
-            </TouchableOpacity>
-          </View>
+            {/* Allergen Warning */}
+            {allergenWarnings.length > 0 && (
+              <TouchableOpacity
+                style={styles.allergenWarning}
+                onPress={handleViewAllergens}
+                activeOpacity={0.8}
+              >
+                <Feather name="alert-triangle" size={16} color="#DC2626" />
+                <Text style={styles.allergenWarningText}>
+                  Contains {allergenWarnings.map((warning) => warning.name).join(', ')}, which you avoid
+                </Text>
+              </TouchableOpacity>
+            )}
 
-          {/* Description Section */}
-          <View style={styles.descriptionSection}>
-            <Text style={styles.sectionTitle}>Description</Text>
-            <Text style={styles.descriptionText}>
-              A warm and comforting soup perfect for autumn. This creamy pumpkin 
-              soup combines the natural sweetness of pumpkin with aromatic spices 
-              for a delightful culinary experience.
-            </Text>
-          </View>
+            {/* Substitutions applied by the user */}
+            {variant && (
+              <View style={styles.variantBanner}>
+                <Feather name="repeat" size={16} color="#3C2253" />
+                <Text style={styles.variantBannerText}>
+                  Your version: {variant.substitutions
+                    .map((item) => `${item.substitute} for ${item.original}`)
+                    .join(', ')}
+                </Text>
+                <TouchableOpacity onPress={handleResetVariant}>
+                  <Text style={styles.variantResetText}>Reset</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Action Buttons */}
+            <View style={styles.actionButtons}>
+              <TouchableOpacity 
+                style={styles.primaryButton}
+                onPress={handleViewInstructions}
+                activeOpacity={0.8}
+              >
+                <Feather name="book-open" size={18} color="#fff" />
+                <Text style={styles.primaryButtonText}>View Instructions</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity 
+                style={styles.secondaryButton}
+                onPress={handleViewNutrients}
+                activeOpacity={0.8}
+              >
+                <Feather name="pie-chart" size={18} color="#3C2253" />
+                <Text style={styles.secondaryButtonText}>View Nutrients</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity 
+                style={styles.tertiaryButton}
+                onPress={handleViewAllergens}
+                activeOpacity={0.8}
+              >
+                <Feather name="alert-triangle" size={18} color="#3C2253" />
+                <Text style={styles.tertiaryButtonText}>View Allergens</Text>
+              </TouchableOpacity>
+            </View>
 
-          {/* Ingredients Section */}
-          <View style={styles.ingredientsSection}>
-            <View style={styles.ingredientsHeader}>
-              <Text style={styles.sectionTitle}>Ingredients</Text>
-              {selectedIngredients.length > 0 && (
+            {/* Description Section */}
+            <View style={styles.descriptionSection}>
+              <Text style={styles.sectionTitle}>Description</Text>
+              <Text style={styles.descriptionText}>{recipe.description}</Text>
+            </View>
+
+            {/* Ingredients Section */}
+            <View style={styles.ingredientsSection}>
+              <View style={styles.ingredientsHeader}>
+                <Text style={styles.sectionTitle}>Ingredients</Text>
+                {selectedIngredients.length > 0 && (
+                  <TouchableOpacity
+                    style={styles.addToCartButton}
+                    onPress={handleAddToCart}
+                  >
+                    <Feather name="shopping-cart" size={16} color="#fff" />
+                    <Text style={styles.addToCartButtonText}>
+                      Add to Cart ({selectedIngredients.length})
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <View style={styles.scaleCard}>
+                <View style={styles.servingsRow}>
+                  <Text style={styles.scaleLabel}>Servings</Text>
+                  <View style={styles.stepper}>
+                    <TouchableOpacity
+                      style={styles.stepperButton}
+                      onPress={() => changeServings(-1)}
+                      disabled={currentServings <= 1}
+                    >
+                      <Feather name="minus" size={16} color="#3C2253" />
+                    </TouchableOpacity>
+                    <Text style={styles.stepperValue}>{currentServings}</Text>
+                    <TouchableOpacity
+                      style={styles.stepperButton}
+                      onPress={() => changeServings(1)}
+                      disabled={currentServings >= 50}
+                    >
+                      <Feather name="plus" size={16} color="#3C2253" />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                <View style={styles.unitChips}>
+                  {([
+                    { label: 'As written', value: undefined },
+                    { label: 'Metric', value: 'metric' },
+                    { label: 'Imperial', value: 'imperial' },
+                  ] as { label: string; value: MeasureSystem | undefined }[]).map((option) => (
+                    <TouchableOpacity
+                      key={option.label}
+                      style={[styles.unitChip, units === option.value && styles.unitChipActive]}
+                      onPress={() => setUnits(option.value)}
+                    >
+                      <Text style={[styles.unitChipText, units === option.value && styles.unitChipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+              {ingredientsList.map((ingredient) => {
+                const purchasable = isPurchasable(ingredient);
+                const isSelected = selectedIngredients.includes(ingredient._id);
+                return (
+                  <TouchableOpacity
+                    key={ingredient._id}
+                    style={[
+                      styles.ingredientCard,
+                      isSelected && styles.ingredientCardSelected,
+                      !purchasable && styles.ingredientCardDisabled,
+                    ]}
+                    onPress={() => handleToggleIngredient(ingredient._id)}
+                    disabled={!purchasable}
+                  >
+                    <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
+                      {isSelected && (
+                        <Feather name="check" size={14} color="#fff" />
+                      )}
+                    </View>
+                    <View style={styles.ingredientInfo}>
+                      <Text style={styles.ingredientName}>{ingredient.name}</Text>
+                      {!!scaledLines[ingredient._id] && (
+                        <Text style={styles.ingredientQuantity}>{scaledLines[ingredient._id].display}</Text>
+                      )}
+                      {!!ingredient.note && (
+                        <Text style={styles.ingredientNote}>{ingredient.note}</Text>
+                      )}
+                      <Text style={styles.ingredientCategory}>
+                        {ingredient.inventory?.category || 'Not sold in store'}
+                      </Text>
+                      {!!pantryLabel(ingredient) && (
+                        <Text style={styles.ingredientPantry}>{pantryLabel(ingredient)}</Text>
+                      )}
+                    </View>
+                    {ingredient.inventory && (
+                      <View style={styles.ingredientBuy}>
+                        <Text style={styles.ingredientPrice}>Rs {ingredient.inventory.price.toFixed(2)}</Text>
+                        {(scaledLines[ingredient._id]?.packs ?? 1) > 1 && (
+                          <Text style={styles.ingredientPacks}>× {scaledLines[ingredient._id].packs}</Text>
+                        )}
+                      </View>
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+              {!!pantryLines && (
                 <TouchableOpacity
-                  style={styles.addToCartButton}
-                  onPress={handleAddToCart}
+                  style={styles.cookedButton}
+                  onPress={handleCooked}
+                  disabled={cooking}
+                  activeOpacity={0.8}
                 >
-                  <Feather name="shopping-cart" size={16} color="#fff" />
-                  <Text style={styles.addToCartButtonText}>
-                    Add to Cart ({selectedIngredients.length})
-                  </Text>
+                  {cooking ? (
+                    <ActivityIndicator size="small" color="#3C2253" />
+                  ) : (
+                    <>
+                      <Feather name="check-circle" size={18} color="#3C2253" />
+                      <Text style={styles.cookedButtonText}>Cooked It</Text>
+                    </>
+                  )}
                 </TouchableOpacity>
               )}
+              <TouchableOpacity
+                style={styles.cookedButton}
+                onPress={handleLogMeal}
+                disabled={logging}
+                activeOpacity={0.8}
+              >
+                {logging ? (
+                  <ActivityIndicator size="small" color="#3C2253" />
+                ) : (
+                  <>
+                    <Feather name="book-open" size={18} color="#3C2253" />
+                    <Text style={styles.cookedButtonText}>Log This Meal</Text>
+                  </>
+                )}
+              </TouchableOpacity>
             </View>
-            {ingredientsList.map((ingredient) => {
-              const isSelected = selectedIngredients.includes(ingredient.id);
-              return (
-                <TouchableOpacity
-                  key={ingredient.id}
-                  style={[
-                    styles.ingredientCard,
-                    isSelected && styles.ingredientCardSelected,
-                  ]}
-                  onPress={() => handleToggleIngredient(ingredient.id)}
-                >
-                  <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
-                    {isSelected && (
-                      <Feather name="check" size={14} color="#fff" />
-                    )}
-                  </View>
-                  <View style={styles.ingredientInfo}>
-                    <Text style={styles.ingredientName}>{ingredient.name}</Text>
-                    <Text style={styles.ingredientCategory}>{ingredient.category}</Text>
-                  </View>
-                  <Text style={styles.ingredientPrice}>Rs {ingredient.price.toFixed(2)}</Text>
-                </TouchableOpacity>
-              );
-            })}
           </View>
-        </View>
-      </ScrollView>
+        </ScrollView>
+      )}
     </View>
   );
 }
@@ -329,6 +720,29 @@ const styles = StyleSheet.create({
   scrollView: {
     flex: 1,
   },
+  stateContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+    gap: 12,
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+  retryButton: {
+    backgroundColor: '#3C2253',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   recipeImage: {
     width: '100%',
     height: 280,
@@ -442,6 +856,45 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: '600',
   },
+  allergenWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#FEF2F2',
+    borderLeftWidth: 4,
+    borderLeftColor: '#DC2626',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  allergenWarningText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#991B1B',
+  },
+  variantBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#F0EFFF',
+    borderLeftWidth: 4,
+    borderLeftColor: '#3C2253',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  variantBannerText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#3C2253',
+  },
+  variantResetText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#DC2626',
+  },
   descriptionSection: {
     marginBottom: 32,
   },
@@ -498,6 +951,9 @@ const styles = StyleSheet.create({
     borderColor: '#3C2253',
     backgroundColor: '#F0EFFF',
   },
+  ingredientCardDisabled: {
+    opacity: 0.5,
+  },
   checkbox: {
     width: 22,
     height: 22,
@@ -521,13 +977,113 @@ const styles = StyleSheet.create({
     color: '#1F2937',
     marginBottom: 4,
   },
+  ingredientNote: {
+    fontSize: 12,
+    color: '#3C2253',
+    fontStyle: 'italic',
+    marginBottom: 2,
+  },
+  ingredientQuantity: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3C2253',
+    marginBottom: 2,
+  },
   ingredientCategory: {
     fontSize: 13,
     color: '#6B7280',
   },
+  ingredientPantry: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#059669',
+    marginTop: 2,
+  },
+  cookedButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#3C2253',
+    backgroundColor: '#fff',
+  },
+  cookedButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#3C2253',
+  },
+  ingredientBuy: {
+    alignItems: 'flex-end',
+  },
   ingredientPrice: {
     fontSize: 15,
     fontWeight: '600',
     color: '#3C2253',
   },
+  ingredientPacks: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  scaleCard: {
+    backgroundColor: '#F5F3F7',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  servingsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  scaleLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperValue: {
+    minWidth: 36,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3C2253',
+  },
+  unitChips: {
+    flexDirection: 'row',
+    marginTop: 12,
+    gap: 8,
+  },
+  unitChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+  },
+  unitChipActive: {
+    backgroundColor: '#3C2253',
+  },
+  unitChipText: {
+    fontSize: 13,
+    color: '#3C2253',
+    fontWeight: '500',
+  },
+  unitChipTextActive: {
+    color: '#fff',
+  },
 });
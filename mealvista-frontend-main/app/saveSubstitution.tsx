@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -8,100 +8,110 @@ import {
   StyleSheet,
   StatusBar,
   Alert,
+  ActivityIndicator,
 } from "react-native";
 import { Feather } from "@expo/vector-icons";
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { useCart } from '../contexts/CartContext';
-
-interface Substitution {
-  id: number;
-  image: string;
-  name: string;
-  tag: string;
-  description: string;
-  allergyInfo: string;
-  lactoseInfo: string;
-  action: string;
-  isSeparator?: boolean;
-}
+import {
+  getSubstitutions,
+  saveRecipeVariant,
+  SubstitutionGroup,
+  SubstitutionOption,
+  SubstitutionSelection,
+  RecipeIngredient,
+} from '../lib/recipeService';
 
 export default function SaveSubstitution() {
   const router = useRouter();
   const params = useLocalSearchParams();
+  const recipeId = params.recipeId as string;
   const mealTitle = params.mealTitle as string || "Recipe";
-  const [selectedSubstitutions, setSelectedSubstitutions] = useState<number[]>([]);
+  const [groups, setGroups] = useState<SubstitutionGroup[]>([]);
+  // Chosen substitution id per ingredient line id
+  const [selected, setSelected] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
   const { addToCart, cartItems, getTotalItems } = useCart();
 
-  const substitutions: Substitution[] = [
-    {
-      id: 1,
-      image: "https://images.unsplash.com/photo-1563636619-e9143da7973b?w=400",
-      name: "Almond Milk",
-      tag: "High in Vitamin E",
-      description: "Creamy, nutty alternative perfect for cereals and baking",
-      allergyInfo: "dairy-free",
-      lactoseInfo: "lactose-free",
-      action: "Replace",
-    },
-    {
-      id: 2,
-      image: "https://images.unsplash.com/photo-1628088062854-d1870b4553da?w=400",
-      name: "Oat Milk",
-      tag: "High in Fiber",
-      description: "Smooth and naturally sweet with fiber benefits",
-      allergyInfo: "dairy-free",
-      lactoseInfo: "lactose-free",
-      action: "Replace",
-    },
-    {
-      id: 3,
-      image: "https://images.unsplash.com/photo-1569288063643-5d29ad64df09?w=400",
-      name: "Replace Gluten (Wheat Flour)",
-      tag: "",
-      description: "",
-      allergyInfo: "dairy-free",
-      lactoseInfo: "",
-      action: "",
-      isSeparator: true,
-    },
-    {
-      id: 4,
-      image: "https://images.unsplash.com/photo-1574323347407-f5e1ad6d020b?w=400",
-      name: "Rice Flour",
-      tag: "Low in Gluten",
-      description: "Light, neutral flavor ideal for gluten-free baking",
-      allergyInfo: "gluten-free",
-      lactoseInfo: "wheat-free",
-      action: "Replace",
-    },
-    {
-      id: 5,
-      image: "https://images.unsplash.com/photo-1612783064162-0a1796ed4bfa?w=400",
-      name: "Coconut Flour",
-      tag: "High in Protein & Fiber",
-      description: "Low-carb, high-fiber flour with subtle coconut taste",
-      allergyInfo: "gluten-free",
-      lactoseInfo: "coconut-free",
-      action: "Replace",
-    },
-  ];
+  const loadSubstitutions = useCallback(async () => {
+    if (!recipeId) {
+      setError('Recipe not found');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getSubstitutions(recipeId);
+      setGroups(response.groups);
+      setSelected(
+        response.selected.reduce<Record<string, string>>((acc, item) => {
+          acc[item.line] = item.substitution;
+          return acc;
+        }, {})
+      );
+    } catch (err: any) {
+      console.error('Failed to load substitutions:', err);
+      setError(err.response?.data?.message || 'Failed to load substitutions');
+    } finally {
+      setLoading(false);
+    }
+  }, [recipeId]);
 
-  const handleToggleSubstitution = (id: number) => {
-    if (substitutions.find((s) => s.id === id)?.isSeparator) return;
-    setSelectedSubstitutions((prev) =>
-      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
-    );
+  useEffect(() => {
+    loadSubstitutions();
+  }, [loadSubstitutions]);
+
+  const selections: SubstitutionSelection[] = Object.keys(selected).map((line) => ({
+    line,
+    substitution: selected[line],
+  }));
+
+  const conflictCount = new Set(groups.flatMap((group) => group.conflicts)).size;
+  const optionCount = groups.reduce((sum, group) => sum + group.options.length, 0);
+
+  // One substitute per ingredient: picking another option replaces the choice
+  const handleToggleSubstitution = (lineId: string, optionId: string) => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (next[lineId] === optionId) {
+        delete next[lineId];
+      } else {
+        next[lineId] = optionId;
+      }
+      return next;
+    });
   };
 
-  const handleApplySubstitutions = () => {
-    if (selectedSubstitutions.length === 0) {
+  const saveVariant = async () => {
+    if (selections.length === 0) {
       Alert.alert("No Selection", "Please select at least one substitution");
-      return;
+      return null;
+    }
+
+    try {
+      setSaving(true);
+      const response = await saveRecipeVariant(recipeId, selections);
+      return response.variant;
+    } catch (err: any) {
+      console.error('Failed to apply substitutions:', err);
+      Alert.alert('Error', err.response?.data?.message || 'Failed to apply substitutions');
+      return null;
+    } finally {
+      setSaving(false);
     }
+  };
+
+  const handleApplySubstitutions = async () => {
+    const variant = await saveVariant();
+    if (!variant) return;
 
     Alert.alert(
       "Success",
-      "Substitutions are successfully added.",
+      `Substitutions applied to ${mealTitle}. Nutrition has been recalculated for your version.`,
       [
         {
           text: "OK",
@@ -114,31 +124,105 @@ export default function SaveSubstitution() {
     );
   };
 
-  const handleAddToCart = () => {
-    if (selectedSubstitutions.length === 0) {
-      Alert.alert('No Selection', 'Please select at least one substitution');
-      return;
-    }
+  const handleAddToCart = async () => {
+    const variant = await saveVariant();
+    if (!variant) return;
 
-    // Add selected substitutions to cart (avoid duplicates)
+    // Add the substitutes sold in the store (avoid duplicates)
+    const substitutedLines = variant.substitutions.map((item) => item.line);
     let added = 0;
-    selectedSubstitutions.forEach((id) => {
-      const substitution = substitutions.find((s) => s.id === id);
-      if (substitution) {
-        const itemId = `sub-${substitution.id}`;
-        const exists = cartItems.some((c) => c.id === itemId);
+    variant.ingredients
+      .filter((ingredient: RecipeIngredient) => substitutedLines.includes(ingredient._id))
+      .forEach((ingredient: RecipeIngredient) => {
+        const item = ingredient.inventory;
+        if (!item || item.available === false) return;
+        const exists = cartItems.some((c) => c.id === item._id);
         if (!exists) {
-          addToCart({ id: itemId, name: substitution.name, price: 0, image: substitution.image });
+          addToCart({
+            id: item._id,
+            name: item.name,
+            price: item.price,
+            image: item.image,
+            category: item.category,
+          });
           added += 1;
         }
-      }
-    });
+      });
 
-    Alert.alert('Added', added > 0 ? `${added} substitution(s) added to your cart` : 'Selected substitution(s) already in cart', [
+    Alert.alert('Added', added > 0 ? `${added} substitute(s) added to your cart` : 'Selected substitute(s) are already in your cart or not sold in store', [
       { text: 'OK', onPress: () => router.push('/viewCart') },
     ]);
   };
 
+  const renderOption = (group: SubstitutionGroup, option: SubstitutionOption) => {
+    const isSelected = selected[group.line._id] === option.id;
+    return (
+      <TouchableOpacity
+        key={option.id}
+        style={[
+          styles.substitutionCard,
+          isSelected && styles.substitutionCardSelected,
+        ]}
+        onPress={() => handleToggleSubstitution(group.line._id, option.id)}
+      >
+        {option.inventory?.image ? (
+          <Image
+            source={{ uri: option.inventory.image }}
+            style={styles.substitutionImage}
+          />
+        ) : (
+          <View style={[styles.substitutionImage, styles.substitutionImagePlaceholder]}>
+            <Feather name="refresh-cw" size={22} color="#9CA3AF" />
+          </View>
+        )}
+        <View style={styles.substitutionInfo}>
+          <View style={styles.substitutionHeader}>
+            <Text style={styles.substitutionName}>
+              {option.name}
+            </Text>
+            {!!option.tag && (
+              <View style={styles.tagBadge}>
+                <Feather name="zap" size={10} color="#DC2626" />
+                <Text style={styles.tagText}>{option.tag}</Text>
+              </View>
+            )}
+          </View>
+          <Text style={styles.substitutionQuantity}>
+            Use {option.quantity} {option.unit}
+            {option.inventory ? ` · Rs ${option.inventory.price.toFixed(2)}` : ' · Not sold in store'}
+          </Text>
+          {!!option.description && (
+            <Text style={styles.substitutionDescription}>
+              {option.description}
+            </Text>
+          )}
+          <View style={styles.badgesRow}>
+            {option.recommended && (
+              <View style={[styles.infoBadge, styles.recommendedBadge]}>
+                <Text style={[styles.infoBadgeText, styles.recommendedBadgeText]}>recommended</Text>
+              </View>
+            )}
+            {option.avoids.map((allergen) => (
+              <View key={allergen} style={styles.infoBadge}>
+                <Text style={styles.infoBadgeText}>{allergen}-free</Text>
+              </View>
+            ))}
+            {option.matchesDiet && (
+              <View style={[styles.infoBadge, styles.recommendedBadge]}>
+                <Text style={[styles.infoBadgeText, styles.recommendedBadgeText]}>fits your diet</Text>
+              </View>
+            )}
+          </View>
+        </View>
+        <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
+          {isSelected && (
+            <Feather name="check" size={16} color="#fff" />
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   return (
     <View style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
@@ -167,172 +251,95 @@ export default function SaveSubstitution() {
         </TouchableOpacity>
       </View>
 
-      <ScrollView
-        style={styles.scrollView}
-        showsVerticalScrollIndicator={false}
-        contentContainerStyle={styles.scrollContent}
-      >
-        {/* Alert Box */}
-        <View style={styles.alertBox}>
-          <View style={styles.alertHeader}>
-            <Feather name="alert-circle" size={18} color="#DC2626" />
-            <Text style={styles.alertTitle}>2 Allergens Found</Text>
-          </View>
-          <Text style={styles.alertText}>
-            We've found 4 safe alternatives to help you enjoy this recipe
-          </Text>
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Finding substitutions...</Text>
         </View>
-
-        {/* Replace Dairy Section */}
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <View style={styles.sectionIcon}>
-              <Text style={styles.sectionEmoji}>🥛</Text>
+      ) : error ? (
+        <View style={styles.stateContainer}>
+          <Feather name="alert-circle" size={32} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadSubstitutions}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+          contentContainerStyle={styles.scrollContent}
+        >
+          {/* Alert Box */}
+          <View style={[styles.alertBox, conflictCount === 0 && styles.alertBoxSafe]}>
+            <View style={styles.alertHeader}>
+              <Feather
+                name={conflictCount > 0 ? "alert-circle" : "check-circle"}
+                size={18}
+                color={conflictCount > 0 ? "#DC2626" : "#16A34A"}
+              />
+              <Text style={[styles.alertTitle, conflictCount === 0 && styles.alertTitleSafe]}>
+                {conflictCount > 0
+                  ? `${conflictCount} Allergen${conflictCount === 1 ? '' : 's'} Found`
+                  : 'No Allergen Conflicts'}
+              </Text>
             </View>
-            <Text style={styles.sectionTitle}>Replace Dairy (Milk)</Text>
+            <Text style={[styles.alertText, conflictCount === 0 && styles.alertTitleSafe]}>
+              {optionCount > 0
+                ? `We've found ${optionCount} alternative${optionCount === 1 ? '' : 's'} for ${mealTitle}`
+                : `There are no substitutions for ${mealTitle} yet`}
+            </Text>
           </View>
-          <Text style={styles.sectionSubtitle}>Safe alternatives below</Text>
 
-          {/* Substitution Cards */}
-          {substitutions
-            .filter((s) => !s.isSeparator && s.id <= 2)
-            .map((substitution) => {
-              const isSelected = selectedSubstitutions.includes(substitution.id);
-              return (
-                <TouchableOpacity
-                  key={substitution.id}
-                  style={[
-                    styles.substitutionCard,
-                    isSelected && styles.substitutionCardSelected,
-                  ]}
-                  onPress={() => handleToggleSubstitution(substitution.id)}
-                >
-                  <Image
-                    source={{ uri: substitution.image }}
-                    style={styles.substitutionImage}
-                  />
-                  <View style={styles.substitutionInfo}>
-                    <View style={styles.substitutionHeader}>
-                      <Text style={styles.substitutionName}>
-                        {substitution.name}
-                      </Text>
-                      {substitution.tag && (
-                        <View style={styles.tagBadge}>
-                          <Feather name="zap" size={10} color="#DC2626" />
-                          <Text style={styles.tagText}>{substitution.tag}</Text>
-                        </View>
-                      )}
-                    </View>
-                    <Text style={styles.substitutionDescription}>
-                      {substitution.description}
-                    </Text>
-                    <View style={styles.badgesRow}>
-                      <View style={styles.infoBadge}>
-                        <Text style={styles.infoBadgeText}>
-                          {substitution.allergyInfo}
-                        </Text>
-                      </View>
-                      <View style={styles.infoBadge}>
-                        <Text style={styles.infoBadgeText}>
-                          {substitution.lactoseInfo}
-                        </Text>
-                      </View>
-                    </View>
-                  </View>
-                  <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
-                    {isSelected && (
-                      <Feather name="check" size={16} color="#fff" />
-                    )}
-                  </View>
-                </TouchableOpacity>
-              );
-            })}
-        </View>
+          {/* One section per replaceable ingredient */}
+          {groups.map((group) => (
+            <View key={group.line._id} style={styles.section}>
+              <View style={styles.sectionHeader}>
+                <View style={styles.sectionIcon}>
+                  <Feather name="repeat" size={16} color="#DC2626" />
+                </View>
+                <Text style={styles.sectionTitle}>Replace {group.line.name}</Text>
+              </View>
+              <Text style={[styles.sectionSubtitle, group.conflicts.length === 0 && styles.sectionSubtitleNeutral]}>
+                {group.conflicts.length > 0
+                  ? `Contains ${group.conflicts.join(', ')} · safe alternatives below`
+                  : `${group.line.quantity} ${group.line.unit} in the recipe`}
+              </Text>
 
-        {/* Replace Gluten Section */}
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <View style={styles.sectionIcon}>
-              <Text style={styles.sectionEmoji}>🌾</Text>
+              {/* Substitution Cards */}
+              {group.options.map((option) => renderOption(group, option))}
             </View>
-            <Text style={styles.sectionTitle}>Replace Gluten (Wheat Flour)</Text>
-          </View>
-          <Text style={styles.sectionSubtitle}>Safe alternatives below</Text>
-
-          {/* Substitution Cards */}
-          {substitutions
-            .filter((s) => !s.isSeparator && s.id >= 4)
-            .map((substitution) => {
-              const isSelected = selectedSubstitutions.includes(substitution.id);
-              return (
-                <TouchableOpacity
-                  key={substitution.id}
-                  style={[
-                    styles.substitutionCard,
-                    isSelected && styles.substitutionCardSelected,
-                  ]}
-                  onPress={() => handleToggleSubstitution(substitution.id)}
-                >
-                  <Image
-                    source={{ uri: substitution.image }}
-                    style={styles.substitutionImage}
-                  />
-                  <View style={styles.substitutionInfo}>
-                    <View style={styles.substitutionHeader}>
-                      <Text style={styles.substitutionName}>
-                        {substitution.name}
-                      </Text>
-                      {substitution.tag && (
-                        <View style={styles.tagBadge}>
-                          <Feather name="zap" size={10} color="#DC2626" />
-                          <Text style={styles.tagText}>{substitution.tag}</Text>
-                        </View>
-                      )}
-                    </View>
-                    <Text style={styles.substitutionDescription}>
-                      {substitution.description}
-                    </Text>
-                    <View style={styles.badgesRow}>
-                      <View style={styles.infoBadge}>
-                        <Text style={styles.infoBadgeText}>
-                          {substitution.allergyInfo}
-                        </Text>
-                      </View>
-                      <View style={styles.infoBadge}>
-                        <Text style={styles.infoBadgeText}>
-                          {substitution.lactoseInfo}
-                        </Text>
-                      </View>
-                    </View>
-                  </View>
-                  <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
-                    {isSelected && (
-                      <Feather name="check" size={16} color="#fff" />
-                    )}
-                  </View>
-                </TouchableOpacity>
-              );
-            })}
-        </View>
+          ))}
 
-        {/* Apply Substitutions Button */}
-        <TouchableOpacity
-          style={styles.applyButton}
-          onPress={handleApplySubstitutions}
-        >
-          <Text style={styles.applyButtonText}>Apply Substitutions</Text>
-        </TouchableOpacity>
+          {groups.length > 0 && (
+            <>
+              {/* Apply Substitutions Button */}
+              <TouchableOpacity
+                style={[styles.applyButton, saving && styles.applyButtonDisabled]}
+                onPress={handleApplySubstitutions}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.applyButtonText}>Apply Substitutions</Text>
+                )}
+              </TouchableOpacity>
 
-        {/* Add to Cart Button (adds selected substitutions to cart) */}
-        <TouchableOpacity
-          style={[styles.applyButton, { marginTop: 12 }]}
-          onPress={handleAddToCart}
-        >
-          <Text style={styles.applyButtonText}>Add to Cart ({selectedSubstitutions.length})</Text>
-        </TouchableOpacity>
+              {/* Add to Cart Button (applies, then adds the substitutes to the cart) */}
+              <TouchableOpacity
+                style={[styles.applyButton, { marginTop: 12 }, saving && styles.applyButtonDisabled]}
+                onPress={handleAddToCart}
+                disabled={saving}
+              >
+                <Text style={styles.applyButtonText}>Add to Cart ({selections.length})</Text>
+              </TouchableOpacity>
+            </>
+          )}
 
-        <View style={styles.bottomSpacer} />
-      </ScrollView>
+          <View style={styles.bottomSpacer} />
+        </ScrollView>
+      )}
     </View>
   );
 }
@@ -391,6 +398,29 @@ const styles = StyleSheet.create({
   scrollContent: {
     paddingBottom: 24,
   },
+  stateContainer: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 24,
+    gap: 12,
+  },
+  stateText: {
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryButtonText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "600",
+  },
   alertBox: {
     backgroundColor: "#FEE2E2",
     margin: 16,
@@ -399,6 +429,10 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: "#DC2626",
   },
+  alertBoxSafe: {
+    backgroundColor: "#F0FDF4",
+    borderLeftColor: "#16A34A",
+  },
   alertHeader: {
     flexDirection: "row",
     alignItems: "center",
@@ -410,6 +444,9 @@ const styles = StyleSheet.create({
     fontWeight: "700",
     color: "#991B1B",
   },
+  alertTitleSafe: {
+    color: "#166534",
+  },
   alertText: {
     fontSize: 13,
     color: "#991B1B",
@@ -450,6 +487,9 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     fontWeight: "500",
   },
+  sectionSubtitleNeutral: {
+    color: "#6B7280",
+  },
   substitutionCard: {
     backgroundColor: "#fff",
     marginHorizontal: 16,
@@ -476,6 +516,10 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     backgroundColor: "#F3F4F6",
   },
+  substitutionImagePlaceholder: {
+    alignItems: "center",
+    justifyContent: "center",
+  },
   substitutionInfo: {
     flex: 1,
   },
@@ -491,6 +535,12 @@ const styles = StyleSheet.create({
     fontWeight: "700",
     color: "#111827",
   },
+  substitutionQuantity: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#3C2253",
+    marginBottom: 4,
+  },
   tagBadge: {
     flexDirection: "row",
     alignItems: "center",
@@ -527,6 +577,12 @@ const styles = StyleSheet.create({
     color: "#DC2626",
     fontWeight: "600",
   },
+  recommendedBadge: {
+    backgroundColor: "#DCFCE7",
+  },
+  recommendedBadgeText: {
+    color: "#166534",
+  },
   checkbox: {
     width: 24,
     height: 24,
@@ -553,6 +609,9 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 3,
   },
+  applyButtonDisabled: {
+    opacity: 0.6,
+  },
   applyButtonText: {
     color: "#fff",
     fontSize: 16,
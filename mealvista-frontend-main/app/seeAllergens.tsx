@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -7,83 +7,131 @@ import {
   TouchableOpacity,
   StyleSheet,
   StatusBar,
+  ActivityIndicator,
 } from "react-native";
 import { Feather } from "@expo/vector-icons";
 import { useRouter, useLocalSearchParams } from "expo-router";
 import { useCart } from "../contexts/CartContext";
+import { getRecipeAllergens, RecipeAllergen, RecipeAllergensResponse } from "../lib/recipeService";
 
-interface Ingredient {
-  id: string;
-  name: string;
-  category: string;
-  price: number;
-  image?: string;
-}
+const ALLERGEN_ICONS: Record<string, string> = {
+  eggs: "🥚",
+  dairy: "🧈",
+  gluten: "🌾",
+  peanuts: "🥜",
+  "tree-nuts": "🌰",
+  soy: "🫘",
+  fish: "🐟",
+  shellfish: "🦐",
+  sesame: "🫓",
+  sulfites: "🍃",
+  mustard: "🌭",
+  celery: "🥬",
+};
+
+// Explain where an allergen comes from in the recipe
+const describeAllergen = (allergen: RecipeAllergen) => {
+  const parts: string[] = [];
+  if (allergen.ingredients.length > 0) {
+    parts.push(`Found in ${allergen.ingredients.join(", ")}`);
+  }
+  if (allergen.traces.length > 0) {
+    parts.push(`May be present as a trace in ${allergen.traces.join(", ")}`);
+  }
+  return parts.join(". ");
+};
 
 export default function SeeAllergens() {
   const router = useRouter();
   const params = useLocalSearchParams();
-  const { addToCart, getTotalItems } = useCart();
-  const [selectedIngredients, setSelectedIngredients] = useState<string[]>([]);
+  const { getTotalItems } = useCart();
+  const recipeId = params.recipeId as string;
+  const [result, setResult] = useState<RecipeAllergensResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
 
-  const mealTitle = params.mealTitle as string || "Classic Pasta Carbonara";
-  const mealImage = params.mealImage as string || "https://images.unsplash.com/photo-1612874742237-6526221588e3?w=800";
+  const mealTitle = result?.title || params.mealTitle as string || "";
+  const mealImage = params.mealImage as string || undefined;
+  const mealTime = params.mealTime as string;
+  const servings = params.servings as string;
 
-  const allergens = [
-    {
-      id: 1,
-      icon: "🥚",
-      name: "Contains Eggs",
-      severity: "high",
-      description: "Raw eggs used in traditional carbonara sauce",
-    },
-    {
-      id: 2,
-      icon: "🧈",
-      name: "Contains Dairy",
-      severity: "high",
-      description: "Parmesan cheese and possible cream",
-    },
-  ];
+  const loadAllergens = useCallback(async () => {
+    if (!recipeId) {
+      setError("Recipe not found");
+      setLoading(false);
+      return;
+    }
 
-  const ingredients: Ingredient[] = [
-    { id: "1", name: "Eggs", category: "Dairy & Eggs", price: 4.99 },
-    { id: "2", name: "Parmesan Cheese", category: "Dairy", price: 8.99 },
-    { id: "3", name: "Pasta", category: "Grains", price: 3.99 },
-    { id: "4", name: "Bacon", category: "Meat", price: 6.99 },
-  ];
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getRecipeAllergens(recipeId);
+      setResult(response);
+    } catch (err: any) {
+      console.error("Failed to load allergens:", err);
+      setError(err.response?.data?.message || "Failed to load allergens");
+    } finally {
+      setLoading(false);
+    }
+  }, [recipeId]);
 
-  const handleToggleIngredient = (id: string) => {
-    setSelectedIngredients((prev) =>
-      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
-    );
-  };
+  useEffect(() => {
+    loadAllergens();
+  }, [loadAllergens]);
 
-  const handleAddToCart = () => {
-    selectedIngredients.forEach((id) => {
-      const ingredient = ingredients.find((ing) => ing.id === id);
-      if (ingredient) {
-        addToCart({
-          id: `ingredient-${ingredient.id}`,
-          name: ingredient.name,
-          price: ingredient.price,
-          category: ingredient.category,
-        });
-      }
-    });
-    // Navigate back or show success message
-    router.back();
-  };
+  const conflicts = result?.allergens.filter((allergen) => allergen.declared) ?? [];
+  const otherAllergens = result?.allergens.filter((allergen) => !allergen.declared) ?? [];
 
   const handleSeeSubstitutions = () => {
     router.push({
       pathname: "/saveSubstitution",
       params: {
+        recipeId,
         mealTitle: mealTitle,
       },
     });
   };
 
+  const renderAllergen = (allergen: RecipeAllergen) => {
+    const isConflict = allergen.declared;
+    return (
+      <View
+        key={allergen.id}
+        style={[styles.allergenCard, !isConflict && styles.allergenCardInfo]}
+      >
+        <View style={[styles.allergenIconContainer, !isConflict && styles.allergenIconContainerInfo]}>
+          <Text style={styles.allergenEmoji}>{ALLERGEN_ICONS[allergen.id] || "⚠️"}</Text>
+        </View>
+        <View style={styles.allergenContent}>
+          <View style={styles.allergenHeader}>
+            <Text style={[styles.allergenName, !isConflict && styles.allergenNameInfo]}>
+              Contains {allergen.name}
+            </Text>
+            <View
+              style={[
+                styles.severityBadge,
+                allergen.severity === "medium" && styles.severityBadgeMedium,
+                allergen.severity === "low" && styles.severityBadgeLow,
+              ]}
+            >
+              <Feather
+                name="alert-circle"
+                size={12}
+                color={SEVERITY_COLORS[allergen.severity]}
+              />
+              <Text style={[styles.severityText, { color: SEVERITY_COLORS[allergen.severity] }]}>
+                {allergen.severity}
+              </Text>
+            </View>
+          </View>
+          <Text style={[styles.allergenDescription, !isConflict && styles.allergenDescriptionInfo]}>
+            {describeAllergen(allergen)}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
@@ -107,76 +155,118 @@ export default function SeeAllergens() {
         </TouchableOpacity>
       </View>
 
-      <ScrollView
-        style={styles.scrollView}
-        showsVerticalScrollIndicator={false}
-        contentContainerStyle={styles.scrollContent}
-      >
-        {/* Recipe Card */}
-        <View style={styles.recipeCard}>
-          <Image source={{ uri: mealImage }} style={styles.recipeImage} />
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Checking allergens...</Text>
         </View>
-
-        {/* Recipe Info */}
-        <View style={styles.recipeInfo}>
-          <Text style={styles.recipeTitle}>{mealTitle}</Text>
-          <View style={styles.recipeDetails}>
-            <View style={styles.detailItem}>
-              <Feather name="clock" size={14} color="#6B7280" />
-              <Text style={styles.detailText}>20 min</Text>
-            </View>
-            <View style={styles.detailItem}>
-              <Feather name="users" size={14} color="#6B7280" />
-              <Text style={styles.detailText}>4 servings</Text>
-            </View>
-          </View>
+      ) : error || !result ? (
+        <View style={styles.stateContainer}>
+          <Feather name="alert-circle" size={32} color="#DC2626" />
+          <Text style={styles.stateText}>{error || "Recipe not found"}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadAllergens}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
         </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+          contentContainerStyle={styles.scrollContent}
+        >
+          {/* Recipe Card */}
+          {mealImage && (
+            <View style={styles.recipeCard}>
+              <Image source={{ uri: mealImage }} style={styles.recipeImage} />
+            </View>
+          )}
 
-        {/* Detected Allergens Alert */}
-        <View style={styles.allergenAlert}>
-          <View style={styles.allergenAlertHeader}>
-            <Feather name="alert-triangle" size={18} color="#DC2626" />
-            <Text style={styles.allergenAlertText}>Detected Allergens</Text>
+          {/* Recipe Info */}
+          <View style={styles.recipeInfo}>
+            <Text style={styles.recipeTitle}>{mealTitle}</Text>
+            <View style={styles.recipeDetails}>
+              {!!mealTime && (
+                <View style={styles.detailItem}>
+                  <Feather name="clock" size={14} color="#6B7280" />
+                  <Text style={styles.detailText}>{mealTime} min</Text>
+                </View>
+              )}
+              {!!servings && (
+                <View style={styles.detailItem}>
+                  <Feather name="users" size={14} color="#6B7280" />
+                  <Text style={styles.detailText}>{servings} servings</Text>
+                </View>
+              )}
+            </View>
           </View>
-        </View>
 
-        {/* Allergens List */}
-        <View style={styles.allergensList}>
-          {allergens.map((allergen) => (
-            <View key={allergen.id} style={styles.allergenCard}>
-              <View style={styles.allergenIconContainer}>
-                <Text style={styles.allergenEmoji}>{allergen.icon}</Text>
+          {/* Detected Allergens Alert */}
+          {conflicts.length > 0 ? (
+            <View style={styles.allergenAlert}>
+              <View style={styles.allergenAlertHeader}>
+                <Feather name="alert-triangle" size={18} color="#DC2626" />
+                <Text style={styles.allergenAlertText}>Conflicts with your allergens</Text>
               </View>
-              <View style={styles.allergenContent}>
-                <View style={styles.allergenHeader}>
-                  <Text style={styles.allergenName}>{allergen.name}</Text>
-                  <View style={styles.severityBadge}>
-                    <Feather name="alert-circle" size={12} color="#DC2626" />
-                    <Text style={styles.severityText}>high</Text>
-                  </View>
-                </View>
-                <Text style={styles.allergenDescription}>
-                  {allergen.description}
+            </View>
+          ) : (
+            <View style={[styles.allergenAlert, styles.allergenAlertSafe]}>
+              <View style={styles.allergenAlertHeader}>
+                <Feather name="check-circle" size={18} color="#16A34A" />
+                <Text style={[styles.allergenAlertText, styles.allergenAlertTextSafe]}>
+                  {result.declaredAllergens.length > 0
+                    ? "No conflicts with your allergens"
+                    : "You have not declared any allergens"}
                 </Text>
               </View>
+              {result.declaredAllergens.length === 0 && (
+                <TouchableOpacity onPress={() => router.push("/allergenPreference")}>
+                  <Text style={styles.allergenAlertLink}>Set your allergens</Text>
+                </TouchableOpacity>
+              )}
             </View>
-          ))}
-        </View>
+          )}
 
-        {/* Only show allergens and allow seeing substitutions */}
-        <TouchableOpacity
-          style={styles.substitutionsButton}
-          onPress={handleSeeSubstitutions}
-        >
-          <Text style={styles.substitutionsButtonText}>See Substitutions</Text>
-        </TouchableOpacity>
+          {/* Allergens List */}
+          {conflicts.length > 0 && (
+            <View style={styles.allergensList}>
+              {conflicts.map(renderAllergen)}
+            </View>
+          )}
+
+          {otherAllergens.length > 0 && (
+            <>
+              <Text style={styles.otherAllergensTitle}>Other allergens in this recipe</Text>
+              <View style={styles.allergensList}>
+                {otherAllergens.map(renderAllergen)}
+              </View>
+            </>
+          )}
+
+          {result.allergens.length === 0 && (
+            <Text style={styles.emptyText}>No common allergens were found in this recipe.</Text>
+          )}
+
+          {/* Only show allergens and allow seeing substitutions */}
+          <TouchableOpacity
+            style={styles.substitutionsButton}
+            onPress={handleSeeSubstitutions}
+          >
+            <Text style={styles.substitutionsButtonText}>See Substitutions</Text>
+          </TouchableOpacity>
 
-        <View style={styles.bottomSpacer} />
-      </ScrollView>
+          <View style={styles.bottomSpacer} />
+        </ScrollView>
+      )}
     </View>
   );
 }
 
+const SEVERITY_COLORS: Record<RecipeAllergen["severity"], string> = {
+  high: "#DC2626",
+  medium: "#D97706",
+  low: "#6B7280",
+};
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -232,6 +322,29 @@ const styles = StyleSheet.create({
   scrollContent: {
     paddingBottom: 24,
   },
+  stateContainer: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 24,
+    gap: 12,
+  },
+  stateText: {
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryButtonText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "600",
+  },
   recipeCard: {
     margin: 16,
     marginBottom: 0,
@@ -293,6 +406,20 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "#991B1B",
   },
+  allergenAlertSafe: {
+    backgroundColor: "#F0FDF4",
+    borderLeftColor: "#16A34A",
+  },
+  allergenAlertTextSafe: {
+    color: "#166534",
+  },
+  allergenAlertLink: {
+    marginTop: 8,
+    marginLeft: 26,
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3C2253",
+  },
   allergensList: {
     paddingHorizontal: 16,
     gap: 12,
@@ -307,6 +434,10 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: "#FECDD3",
   },
+  allergenCardInfo: {
+    backgroundColor: "#fff",
+    borderColor: "#E5E7EB",
+  },
   allergenIconContainer: {
     width: 48,
     height: 48,
@@ -315,6 +446,9 @@ const styles = StyleSheet.create({
     alignItems: "center",
     justifyContent: "center",
   },
+  allergenIconContainerInfo: {
+    backgroundColor: "#F3F4F6",
+  },
   allergenEmoji: {
     fontSize: 24,
   },
@@ -332,6 +466,9 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "#BE123C",
   },
+  allergenNameInfo: {
+    color: "#111827",
+  },
   severityBadge: {
     flexDirection: "row",
     alignItems: "center",
@@ -341,6 +478,12 @@ const styles = StyleSheet.create({
     paddingVertical: 4,
     borderRadius: 12,
   },
+  severityBadgeMedium: {
+    backgroundColor: "#FEF3C7",
+  },
+  severityBadgeLow: {
+    backgroundColor: "#F3F4F6",
+  },
   severityText: {
     fontSize: 11,
     fontWeight: "600",
@@ -351,6 +494,22 @@ const styles = StyleSheet.create({
     color: "#9F1239",
     lineHeight: 18,
   },
+  allergenDescriptionInfo: {
+    color: "#6B7280",
+  },
+  otherAllergensTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#111827",
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#6B7280",
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
   ingredientsSection: {
     paddingHorizontal: 16,
     marginBottom: 20,
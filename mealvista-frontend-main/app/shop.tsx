@@ -0,0 +1,622 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  Image,
+  TextInput,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  StatusBar,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import { useCart } from "../contexts/CartContext";
+import {
+  getProductCategories,
+  getProducts,
+  Product,
+  ProductCategory,
+  ProductFilters,
+  ProductSort,
+} from "../lib/productService";
+
+const PLACEHOLDER_IMAGE = "https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400";
+
+const SORT_OPTIONS: { key: ProductSort; label: string }[] = [
+  { key: "name", label: "A–Z" },
+  { key: "price_asc", label: "Price ↑" },
+  { key: "price_desc", label: "Price ↓" },
+  { key: "newest", label: "Newest" },
+];
+
+const PAGE_SIZE = 20;
+
+const ShopScreen: React.FC = () => {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ category?: string; search?: string }>();
+  const { cartItems, addToCart, updateQuantity, getTotalItems } = useCart();
+
+  const [categories, setCategories] = useState<ProductCategory[]>([]);
+  const [origins, setOrigins] = useState<string[]>([]);
+  const [category, setCategory] = useState<string | null>(params.category || null);
+  const [subcategory, setSubcategory] = useState<string | null>(null);
+  const [searchText, setSearchText] = useState(params.search || "");
+  const [search, setSearch] = useState(params.search || "");
+  const [sort, setSort] = useState<ProductSort>("name");
+  const [inStockOnly, setInStockOnly] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [minPrice, setMinPrice] = useState("");
+  const [maxPrice, setMaxPrice] = useState("");
+  const [origin, setOrigin] = useState<string | null>(null);
+  const [appliedPrices, setAppliedPrices] = useState<{ min?: number; max?: number }>({});
+
+  const [products, setProducts] = useState<Product[]>([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // Only the latest request may replace the list when filters change quickly
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    getProductCategories()
+      .then((response) => {
+        setCategories(response.categories);
+        setOrigins(response.origins);
+      })
+      .catch((err) => console.error("Failed to load categories:", err));
+  }, []);
+
+  const buildFilters = useCallback(
+    (cursor?: string): ProductFilters => ({
+      category: category || undefined,
+      subcategory: subcategory || undefined,
+      search: search.trim() || undefined,
+      origin: origin || undefined,
+      minPrice: appliedPrices.min,
+      maxPrice: appliedPrices.max,
+      inStock: inStockOnly || undefined,
+      sort,
+      cursor,
+      limit: PAGE_SIZE,
+    }),
+    [category, subcategory, search, origin, appliedPrices, inStockOnly, sort]
+  );
+
+  const loadProducts = useCallback(async () => {
+    const id = ++requestId.current;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getProducts(buildFilters());
+      if (id !== requestId.current) return;
+      setProducts(response.products);
+      setTotal(response.total);
+      setNextCursor(response.nextCursor);
+    } catch (err: any) {
+      if (id !== requestId.current) return;
+      console.error("Failed to load products:", err);
+      setError(err.response?.data?.message || "Failed to load products");
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  }, [buildFilters]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+    const id = requestId.current;
+    try {
+      setLoadingMore(true);
+      const response = await getProducts(buildFilters(nextCursor));
+      if (id !== requestId.current) return;
+      setProducts((prev) => [...prev, ...response.products]);
+      setNextCursor(response.nextCursor);
+    } catch (err: any) {
+      console.error("Failed to load more products:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const selectCategory = (name: string | null) => {
+    setCategory(name);
+    setSubcategory(null);
+  };
+
+  const applyPriceFilter = () => {
+    const min = parseFloat(minPrice);
+    const max = parseFloat(maxPrice);
+    setAppliedPrices({
+      min: Number.isNaN(min) ? undefined : min,
+      max: Number.isNaN(max) ? undefined : max,
+    });
+  };
+
+  const clearFilters = () => {
+    setMinPrice("");
+    setMaxPrice("");
+    setOrigin(null);
+    setInStockOnly(false);
+    setAppliedPrices({});
+  };
+
+  const quantityInCart = (id: string) => cartItems.find((item) => item.id === id)?.quantity || 0;
+
+  const handleAdd = (product: Product) => {
+    const quantity = quantityInCart(product.id);
+    if (quantity > 0) {
+      updateQuantity(product.id, quantity + 1);
+      return;
+    }
+    addToCart({
+      id: product.id,
+      name: product.name,
+      price: product.price,
+      image: product.image,
+      category: product.category,
+    });
+  };
+
+  const subcategories = categories.find((entry) => entry.name === category)?.subcategories || [];
+
+  const renderProduct = ({ item }: { item: Product }) => {
+    const soldOut = item.status === "out_of_stock";
+    const inCart = quantityInCart(item.id);
+    return (
+      <View style={styles.productCard}>
+        <Image source={{ uri: item.image || PLACEHOLDER_IMAGE }} style={styles.productImage} />
+        <View style={styles.productInfo}>
+          <Text style={styles.productName} numberOfLines={2}>
+            {item.name}
+          </Text>
+          <Text style={styles.productMeta} numberOfLines={1}>
+            {item.subcategory || item.category}
+            {item.origin ? ` · ${item.origin}` : ""}
+          </Text>
+          <View style={styles.productFooter}>
+            <Text style={styles.productPrice}>
+              Rs {item.price.toFixed(2)}
+              <Text style={styles.productUnit}> / {item.unit}</Text>
+            </Text>
+            {soldOut ? (
+              <Text style={styles.soldOutText}>Sold out</Text>
+            ) : (
+              <TouchableOpacity style={styles.addButton} onPress={() => handleAdd(item)}>
+                {inCart > 0 ? (
+                  <Text style={styles.addButtonText}>{inCart}</Text>
+                ) : (
+                  <Ionicons name="add" size={18} color="#fff" />
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+          {item.status === "low_stock" && <Text style={styles.lowStockText}>Only a few left</Text>}
+        </View>
+      </View>
+    );
+  };
+
+  const renderChip = (label: string, active: boolean, onPress: () => void, key?: string) => (
+    <TouchableOpacity
+      key={key || label}
+      style={[styles.chip, active && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const itemCount = getTotalItems();
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.iconButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Shop Groceries</Text>
+        <TouchableOpacity style={styles.iconButton} onPress={() => router.push("/viewCart")}>
+          <Ionicons name="cart-outline" size={24} color="#fff" />
+          {itemCount > 0 && (
+            <View style={styles.badge}>
+              <Text style={styles.badgeText}>{itemCount}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {/* Search */}
+      <View style={styles.searchRow}>
+        <View style={styles.searchContainer}>
+          <Ionicons name="search-outline" size={18} color="#9CA3AF" />
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search groceries..."
+            placeholderTextColor="#9CA3AF"
+            value={searchText}
+            onChangeText={setSearchText}
+            onSubmitEditing={() => setSearch(searchText)}
+            returnKeyType="search"
+          />
+          {searchText.length > 0 && (
+            <TouchableOpacity
+              onPress={() => {
+                setSearchText("");
+                setSearch("");
+              }}
+            >
+              <Ionicons name="close-circle" size={18} color="#9CA3AF" />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.filterButton, showFilters && styles.filterButtonActive]}
+          onPress={() => setShowFilters((prev) => !prev)}
+        >
+          <Ionicons name="options-outline" size={20} color={showFilters ? "#fff" : "#3C2253"} />
+        </TouchableOpacity>
+      </View>
+
+      {/* Categories */}
+      <View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {renderChip("All", category === null, () => selectCategory(null))}
+          {categories.map((entry) => renderChip(entry.name, category === entry.name, () => selectCategory(entry.name)))}
+        </ScrollView>
+        {subcategories.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {renderChip("All " + category, subcategory === null, () => setSubcategory(null), "all-subcategories")}
+            {subcategories.map((entry) =>
+              renderChip(entry.name, subcategory === entry.name, () => setSubcategory(entry.name))
+            )}
+          </ScrollView>
+        )}
+      </View>
+
+      {/* Sort and filters */}
+      {showFilters && (
+        <View style={styles.filtersPanel}>
+          <View style={styles.chipWrap}>
+            {SORT_OPTIONS.map((option) => renderChip(option.label, sort === option.key, () => setSort(option.key)))}
+            {renderChip("In stock only", inStockOnly, () => setInStockOnly((prev) => !prev))}
+          </View>
+          <View style={styles.priceRow}>
+            <TextInput
+              style={styles.priceInput}
+              placeholder="Min Rs"
+              placeholderTextColor="#9CA3AF"
+              value={minPrice}
+              onChangeText={setMinPrice}
+              keyboardType="decimal-pad"
+            />
+            <TextInput
+              style={styles.priceInput}
+              placeholder="Max Rs"
+              placeholderTextColor="#9CA3AF"
+              value={maxPrice}
+              onChangeText={setMaxPrice}
+              keyboardType="decimal-pad"
+            />
+            <TouchableOpacity style={styles.applyButton} onPress={applyPriceFilter}>
+              <Text style={styles.applyButtonText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+          {origins.length > 0 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+              {origins.map((name) =>
+                renderChip(name, origin === name, () => setOrigin((prev) => (prev === name ? null : name)))
+              )}
+            </ScrollView>
+          )}
+          <TouchableOpacity onPress={clearFilters}>
+            <Text style={styles.clearText}>Clear filters</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading products...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadProducts}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <FlatList
+          data={products}
+          keyExtractor={(item) => item.id}
+          renderItem={renderProduct}
+          numColumns={2}
+          columnWrapperStyle={styles.columnWrapper}
+          contentContainerStyle={styles.listContent}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListHeaderComponent={<Text style={styles.countText}>{total} products</Text>}
+          ListEmptyComponent={
+            <View style={styles.stateContainer}>
+              <Ionicons name="basket-outline" size={48} color="#8B7BA8" />
+              <Text style={styles.stateText}>No products match your filters</Text>
+            </View>
+          }
+          ListFooterComponent={
+            loadingMore ? <ActivityIndicator color="#3C2253" style={styles.footerLoader} /> : null
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+export default ShopScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F9FAFB",
+  },
+  header: {
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "#fff",
+  },
+  iconButton: {
+    padding: 8,
+    position: "relative",
+  },
+  badge: {
+    position: "absolute",
+    top: 2,
+    right: 2,
+    backgroundColor: "#FF6B6B",
+    borderRadius: 10,
+    minWidth: 18,
+    height: 18,
+    justifyContent: "center",
+    alignItems: "center",
+    paddingHorizontal: 4,
+  },
+  badgeText: {
+    color: "#fff",
+    fontSize: 10,
+    fontWeight: "bold",
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    gap: 8,
+  },
+  searchContainer: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 14,
+    color: "#111827",
+    paddingVertical: 10,
+  },
+  filterButton: {
+    padding: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#3C2253",
+    backgroundColor: "#fff",
+  },
+  filterButtonActive: {
+    backgroundColor: "#3C2253",
+  },
+  chipRow: {
+    paddingHorizontal: 16,
+    paddingTop: 10,
+    gap: 8,
+  },
+  chipWrap: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  chipActive: {
+    backgroundColor: "#3C2253",
+    borderColor: "#3C2253",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  chipTextActive: {
+    color: "#fff",
+  },
+  filtersPanel: {
+    marginHorizontal: 16,
+    marginTop: 10,
+    padding: 12,
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    gap: 10,
+  },
+  priceRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  priceInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 13,
+    color: "#111827",
+  },
+  applyButton: {
+    backgroundColor: "#3C2253",
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    justifyContent: "center",
+  },
+  applyButtonText: {
+    color: "#fff",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  clearText: {
+    color: "#3C2253",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  listContent: {
+    padding: 16,
+  },
+  columnWrapper: {
+    gap: 12,
+  },
+  countText: {
+    fontSize: 13,
+    color: "#6B7280",
+    marginBottom: 12,
+  },
+  productCard: {
+    flex: 1,
+    maxWidth: "50%",
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    marginBottom: 12,
+    overflow: "hidden",
+    elevation: 2,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 4,
+  },
+  productImage: {
+    width: "100%",
+    height: 110,
+    backgroundColor: "#F3F4F6",
+  },
+  productInfo: {
+    padding: 10,
+  },
+  productName: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+    minHeight: 36,
+  },
+  productMeta: {
+    fontSize: 11,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  productFooter: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginTop: 8,
+  },
+  productPrice: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#3C2253",
+  },
+  productUnit: {
+    fontSize: 11,
+    fontWeight: "normal",
+    color: "#6B7280",
+  },
+  addButton: {
+    backgroundColor: "#3C2253",
+    borderRadius: 16,
+    width: 32,
+    height: 32,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  addButtonText: {
+    color: "#fff",
+    fontSize: 13,
+    fontWeight: "bold",
+  },
+  soldOutText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#DC2626",
+  },
+  lowStockText: {
+    fontSize: 11,
+    color: "#F59E0B",
+    marginTop: 4,
+  },
+  stateContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  footerLoader: {
+    marginVertical: 16,
+  },
+});
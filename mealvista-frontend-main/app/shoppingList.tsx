@@ -0,0 +1,334 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  Alert,
+  StatusBar,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useLocalSearchParams, useRouter } from "expo-router";
+import { useCart } from "../contexts/CartContext";
+import { mergeCart } from "../lib/cartService";
+import {
+  checkShoppingListLine,
+  deleteShoppingList,
+  getShoppingList,
+  ShoppingList,
+  ShoppingListLine,
+} from "../lib/shoppingListService";
+
+const formatQuantity = (quantity: number) =>
+  Number.isInteger(quantity) ? quantity.toString() : quantity.toFixed(2).replace(/0+$/, "");
+
+export default function ShoppingListScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams();
+  const listId = params.listId as string;
+  const { refreshCart } = useCart();
+  const [list, setList] = useState<ShoppingList | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [addingToCart, setAddingToCart] = useState(false);
+
+  const loadList = useCallback(async () => {
+    if (!listId) {
+      setError("Shopping list not found");
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await getShoppingList(listId);
+      setList(response.list);
+    } catch (err: any) {
+      console.error("Failed to load shopping list:", err);
+      setError(err.response?.data?.message || "Failed to load shopping list");
+    } finally {
+      setLoading(false);
+    }
+  }, [listId]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadList();
+    }, [loadList])
+  );
+
+  // Tick off straight away; the server's copy replaces it when it answers
+  const handleToggle = async (line: ShoppingListLine) => {
+    setList((prev) =>
+      prev && {
+        ...prev,
+        checkedCount: prev.checkedCount + (line.checked ? -1 : 1),
+        categories: prev.categories.map((group) => ({
+          ...group,
+          lines: group.lines.map((entry) => (entry.id === line.id ? { ...entry, checked: !line.checked } : entry)),
+        })),
+      }
+    );
+
+    try {
+      const response = await checkShoppingListLine(listId, line.id, !line.checked);
+      setList(response.list);
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to update the list");
+      loadList();
+    }
+  };
+
+  // Lines still to buy that the store sells
+  const toBuy = list
+    ? list.categories.flatMap((group) => group.lines).filter((line) => !line.checked && line.inventory && line.packs)
+    : [];
+
+  const handleAddToCart = async () => {
+    if (toBuy.length === 0) return;
+
+    try {
+      setAddingToCart(true);
+      const response = await mergeCart(
+        toBuy.map((line) => ({ inventoryId: line.inventory as string, quantity: line.packs as number }))
+      );
+      await refreshCart();
+      const added = toBuy.length - response.skipped.length;
+      Alert.alert(
+        "Added to Cart",
+        response.skipped.length > 0
+          ? `${added} item(s) added. ${response.skipped.length} are no longer available.`
+          : `${added} item(s) added to your cart.`,
+        [
+          { text: "Keep Shopping", style: "cancel" },
+          { text: "View Cart", onPress: () => router.push("/viewCart") },
+        ]
+      );
+    } catch (err: any) {
+      Alert.alert("Error", err.response?.data?.message || "Failed to add items to your cart");
+    } finally {
+      setAddingToCart(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert("Delete List", "Delete this shopping list?", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await deleteShoppingList(listId);
+            router.back();
+          } catch (err: any) {
+            Alert.alert("Error", err.response?.data?.message || "Failed to delete the list");
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderLine = (line: ShoppingListLine) => (
+    <TouchableOpacity
+      key={line.id}
+      style={[styles.lineRow, line.checked && styles.lineRowChecked]}
+      onPress={() => handleToggle(line)}
+    >
+      <View style={[styles.checkbox, line.checked && styles.checkboxChecked]}>
+        {line.checked && <Ionicons name="checkmark" size={14} color="#fff" />}
+      </View>
+      <View style={styles.lineInfo}>
+        <Text style={[styles.lineName, line.checked && styles.lineNameChecked]}>
+          {line.name}
+          {line.optional ? " (optional)" : ""}
+        </Text>
+        <Text style={styles.lineDetail}>
+          {formatQuantity(line.quantity)} {line.unit}
+          {line.packs ? ` · buy ${line.packs} × ${line.packUnit}${line.estimated ? " (estimate)" : ""}` : " · not sold in store"}
+        </Text>
+        <Text style={styles.lineRecipes} numberOfLines={1}>
+          {line.recipes.join(", ")}
+        </Text>
+      </View>
+      {!!line.packs && line.price !== undefined && (
+        <Text style={styles.linePrice}>Rs {(line.packs * line.price).toFixed(2)}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>
+          {list?.title || "Shopping List"}
+        </Text>
+        {!!list && (
+          <TouchableOpacity style={styles.headerButton} onPress={handleDelete}>
+            <Ionicons name="trash-outline" size={22} color="#fff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading shopping list...</Text>
+        </View>
+      ) : error || !list ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadList}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          <ScrollView contentContainerStyle={styles.content}>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryText}>
+                {list.checkedCount} of {list.lineCount} items checked
+              </Text>
+              <Text style={styles.summaryTotal}>About Rs {list.estimatedTotal.toFixed(2)}</Text>
+              <Text style={styles.summaryRecipes}>
+                {list.recipes.map((recipe) => `${recipe.title} (${recipe.servings})`).join(", ")}
+              </Text>
+            </View>
+
+            {list.categories.map((group) => (
+              <View key={group.category} style={styles.categorySection}>
+                <Text style={styles.categoryTitle}>{group.category}</Text>
+                <View style={styles.categoryCard}>{group.lines.map(renderLine)}</View>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity
+              style={[styles.cartButton, toBuy.length === 0 && styles.cartButtonDisabled]}
+              onPress={handleAddToCart}
+              disabled={toBuy.length === 0 || addingToCart}
+            >
+              {addingToCart ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <>
+                  <Ionicons name="cart" size={18} color="#fff" />
+                  <Text style={styles.cartButtonText}>
+                    {toBuy.length > 0 ? `Add ${toBuy.length} to Cart` : "Nothing left to buy"}
+                  </Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 16,
+    backgroundColor: "#3C2253",
+  },
+  backButton: { marginRight: 16 },
+  headerTitle: { flex: 1, fontSize: 20, color: "#fff", fontWeight: "600" },
+  headerButton: { padding: 4 },
+  content: { padding: 16, paddingBottom: 24 },
+  stateContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  summaryCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  summaryText: { fontSize: 14, color: "#374151", fontWeight: "600" },
+  summaryTotal: { fontSize: 18, color: "#3C2253", fontWeight: "700", marginTop: 4 },
+  summaryRecipes: { fontSize: 12, color: "#6B7280", marginTop: 6 },
+  categorySection: { marginBottom: 16 },
+  categoryTitle: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "#8B7BA8",
+    textTransform: "uppercase",
+    marginBottom: 6,
+  },
+  categoryCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    overflow: "hidden",
+  },
+  lineRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F3F4F6",
+  },
+  lineRowChecked: { backgroundColor: "#F9FAFB" },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: "#D1D5DB",
+    alignItems: "center",
+    justifyContent: "center",
+    marginRight: 12,
+  },
+  checkboxChecked: { backgroundColor: "#3C2253", borderColor: "#3C2253" },
+  lineInfo: { flex: 1 },
+  lineName: { fontSize: 15, fontWeight: "600", color: "#111827" },
+  lineNameChecked: { color: "#9CA3AF", textDecorationLine: "line-through" },
+  lineDetail: { fontSize: 13, color: "#374151", marginTop: 2 },
+  lineRecipes: { fontSize: 11, color: "#9CA3AF", marginTop: 2 },
+  linePrice: { fontSize: 14, fontWeight: "600", color: "#3C2253", marginLeft: 8 },
+  footer: {
+    padding: 16,
+    backgroundColor: "#fff",
+    borderTopWidth: 1,
+    borderTopColor: "#E5E7EB",
+  },
+  cartButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "#3C2253",
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  cartButtonDisabled: { opacity: 0.5 },
+  cartButtonText: { color: "#fff", fontSize: 16, fontWeight: "600" },
+});
@@ -0,0 +1,160 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  RefreshControl,
+  StatusBar,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useRouter } from "expo-router";
+import { getShoppingLists, ShoppingListSummary } from "../lib/shoppingListService";
+
+export default function ShoppingListsScreen() {
+  const router = useRouter();
+  const [lists, setLists] = useState<ShoppingListSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadLists = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getShoppingLists();
+      setLists(response.lists);
+    } catch (err: any) {
+      console.error("Failed to load shopping lists:", err);
+      setError(err.response?.data?.message || "Failed to load shopping lists");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  // Lists are ticked off and deleted on the detail screen
+  useFocusEffect(
+    useCallback(() => {
+      loadLists();
+    }, [loadLists])
+  );
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadLists();
+  };
+
+  const renderList = ({ item }: { item: ShoppingListSummary }) => (
+    <TouchableOpacity
+      style={styles.listCard}
+      onPress={() => router.push({ pathname: "/shoppingList", params: { listId: item.id } })}
+    >
+      <View style={styles.listInfo}>
+        <Text style={styles.listTitle}>{item.title}</Text>
+        <Text style={styles.listMeta}>
+          {item.checkedCount}/{item.lineCount} checked · {item.recipeCount}{" "}
+          {item.recipeCount === 1 ? "recipe" : "recipes"} · {new Date(item.createdAt).toLocaleDateString()}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#3C2253" />
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Shopping Lists</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#3C2253" />
+          <Text style={styles.stateText}>Loading shopping lists...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.stateContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#DC2626" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadLists}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <FlatList
+          data={lists}
+          keyExtractor={(item) => item.id}
+          renderItem={renderList}
+          contentContainerStyle={styles.content}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          ListEmptyComponent={
+            <View style={styles.stateContainer}>
+              <Ionicons name="list-outline" size={48} color="#8B7BA8" />
+              <Text style={styles.stateText}>
+                No shopping lists yet. Plan your week and make one list for all its recipes.
+              </Text>
+              <TouchableOpacity style={styles.retryButton} onPress={() => router.push("/mealPlanner")}>
+                <Text style={styles.retryButtonText}>Open Meal Planner</Text>
+              </TouchableOpacity>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 16,
+    backgroundColor: "#3C2253",
+  },
+  backButton: { marginRight: 16 },
+  headerTitle: { flex: 1, fontSize: 20, color: "#fff", fontWeight: "600" },
+  content: { padding: 16, paddingBottom: 40 },
+  stateContainer: {
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 60,
+    paddingHorizontal: 24,
+  },
+  stateText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+  retryButton: {
+    marginTop: 16,
+    backgroundColor: "#3C2253",
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  listCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+  },
+  listInfo: { flex: 1 },
+  listTitle: { fontSize: 15, fontWeight: "600", color: "#111827" },
+  listMeta: { fontSize: 12, color: "#6B7280", marginTop: 4 },
+});
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useCallback } from "react";
 import {
   View,
   Text,
@@ -7,14 +7,22 @@ import {
   Image,
   TouchableOpacity,
   SafeAreaView,
+  ActivityIndicator,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import { useRouter } from "expo-router";
+import { useRouter, useFocusEffect } from "expo-router";
 import { useCart } from "../contexts/CartContext";
 
 const CartScreen: React.FC = () => {
   const router = useRouter();
-  const { cartItems, updateQuantity, removeFromCart, getTotalPrice, getTotalItems } = useCart();
+  const { cartItems, loading, updateQuantity, removeFromCart, refreshCart, getTotalPrice, getTotalItems } = useCart();
+
+  // Prices and availability come from inventory, so reload when the cart is opened
+  useFocusEffect(
+    useCallback(() => {
+      refreshCart();
+    }, [refreshCart])
+  );
 
   const deliveryFee = 0;
   const total = getTotalPrice() + deliveryFee;
@@ -63,13 +71,17 @@ const CartScreen: React.FC = () => {
         </View>
 
         {/* Cart Items */}
-        {cartItems.length === 0 ? (
+        {loading ? (
+          <View style={styles.emptyCart}>
+            <ActivityIndicator size="large" color="#5A3D7A" />
+          </View>
+        ) : cartItems.length === 0 ? (
           <View style={styles.emptyCart}>
             <Ionicons name="cart-outline" size={64} color="#8B7BA8" />
             <Text style={styles.emptyCartText}>Your cart is empty</Text>
             <TouchableOpacity
               style={styles.shopButton}
-              onPress={() => router.push("/home")}
+              onPress={() => router.push("/shop")}
             >
               <Text style={styles.shopButtonText}>Continue Shopping</Text>
             </TouchableOpacity>
@@ -0,0 +1,212 @@
+import { StyleSheet, Text, View } from 'react-native';
+
+import type { NutrientValue } from '@/lib/recipeService';
+
+const MACRO_COLORS: Record<string, string> = {
+  protein: '#3B82F6',
+  carbs: '#10B981',
+  fat: '#F59E0B',
+  fiber: '#8B5CF6',
+};
+
+export type MacroCardsProps = {
+  macros: NutrientValue[];
+  // 'calories': energy macros show their share of calories (a recipe's balance);
+  // 'target': every macro shows its share of the daily value (progress toward a target)
+  basis?: 'calories' | 'target';
+  dailyValueLabel?: string;
+};
+
+/**
+ * One card per macronutrient with a colored progress bar, as on the recipe
+ * macronutrients screen and the food diary.
+ */
+export function MacroCards({ macros, basis = 'calories', dailyValueLabel = 'of daily value' }: MacroCardsProps) {
+  const cards = macros
+    .filter((macro) => MACRO_COLORS[macro.key])
+    .map((macro) => {
+      const ofCalories = basis === 'calories' && macro.percentCalories !== undefined;
+      return {
+        ...macro,
+        color: MACRO_COLORS[macro.key],
+        percentage: ofCalories ? (macro.percentCalories as number) : macro.percentDailyValue,
+        percentageLabel: ofCalories ? 'of calories' : dailyValueLabel,
+      };
+    });
+
+  return (
+    <View style={styles.macrosList}>
+      {cards.map((macro) => (
+        <View key={macro.key} style={styles.macroCard}>
+          <View style={styles.macroHeader}>
+            <View style={[styles.macroColorIndicator, { backgroundColor: macro.color }]} />
+            <View style={styles.macroInfo}>
+              <Text style={styles.macroName}>{macro.name}</Text>
+              <Text style={styles.macroPercentage}>{macro.percentage}% {macro.percentageLabel}</Text>
+            </View>
+            <View style={styles.macroValueContainer}>
+              <Text style={styles.macroValue}>{macro.value}</Text>
+              <Text style={styles.macroUnit}>
+                {basis === 'target' ? `of ${macro.dailyValue} ${macro.unit}` : macro.unit}
+              </Text>
+            </View>
+          </View>
+          <View style={styles.macroProgressBar}>
+            <View
+              style={[
+                styles.progressFill,
+                { width: `${Math.min(macro.percentage, 100)}%`, backgroundColor: macro.color },
+              ]}
+            />
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+export type MicroCardsProps = {
+  micros: NutrientValue[];
+};
+
+/**
+ * One card per vitamin or mineral with its share of the daily value, as on the
+ * recipe micronutrients screen and the food diary.
+ */
+export function MicroCards({ micros }: MicroCardsProps) {
+  return (
+    <View style={styles.nutrientsList}>
+      {micros.map((nutrient) => (
+        <View key={nutrient.key} style={styles.nutrientCard}>
+          <View style={styles.nutrientHeader}>
+            <Text style={styles.nutrientName}>{nutrient.name}</Text>
+            <View style={styles.nutrientValues}>
+              <Text style={styles.nutrientValue}>
+                {nutrient.value} {nutrient.unit}
+              </Text>
+              <Text style={styles.nutrientPercentage}>{nutrient.percentDailyValue}% DV</Text>
+            </View>
+          </View>
+          <View style={styles.nutrientProgressBar}>
+            <View
+              style={[
+                styles.progressFill,
+                {
+                  width: `${Math.min(nutrient.percentDailyValue, 100)}%`,
+                  backgroundColor: nutrient.percentDailyValue >= 100 ? '#10B981' : '#3B82F6',
+                },
+              ]}
+            />
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  macrosList: {
+    gap: 16,
+    marginBottom: 24,
+  },
+  macroCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  macroHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  macroColorIndicator: {
+    width: 4,
+    height: 40,
+    borderRadius: 2,
+    marginRight: 12,
+  },
+  macroInfo: {
+    flex: 1,
+  },
+  macroName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  macroPercentage: {
+    fontSize: 12,
+    color: '#666',
+  },
+  macroValueContainer: {
+    alignItems: 'flex-end',
+  },
+  macroValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  macroUnit: {
+    fontSize: 12,
+    color: '#666',
+  },
+  macroProgressBar: {
+    height: 8,
+    backgroundColor: '#F3F4F6',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  nutrientsList: {
+    gap: 12,
+  },
+  nutrientCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  nutrientHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  nutrientName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    flex: 1,
+  },
+  nutrientValues: {
+    alignItems: 'flex-end',
+  },
+  nutrientValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 2,
+  },
+  nutrientPercentage: {
+    fontSize: 12,
+    color: '#666',
+  },
+  nutrientProgressBar: {
+    height: 6,
+    backgroundColor: '#F3F4F6',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+});
@@ -1,7 +1,20 @@
-import React, { createContext, useContext, useState, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, ReactNode } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { getStoredToken, onTokenChange } from '../lib/authStorage';
+import {
+  addCartItem,
+  clearServerCart,
+  getCart,
+  mergeCart,
+  removeCartItem,
+  updateCartItem,
+  CartResponse,
+  ServerCart,
+} from '../lib/cartService';
 
 export interface CartItem {
-  id: string;
+  id: string; // inventory item id
   name: string;
   image?: string;
   price: number;
@@ -13,33 +26,155 @@ export interface CartItem {
 
 interface CartContextType {
   cartItems: CartItem[];
-  addToCart: (item: Omit<CartItem, 'quantity'>) => void;
+  loading: boolean;
+  addToCart: (item: Omit<CartItem, 'quantity'>, quantity?: number) => void;
   removeFromCart: (id: string) => void;
   updateQuantity: (id: string, quantity: number) => void;
   clearCart: () => void;
+  refreshCart: () => Promise<void>;
   getTotalItems: () => number;
   getTotalPrice: () => number;
 }
 
+// Guests keep their cart on the device until they log in
+const GUEST_CART_STORAGE_KEY = 'mealvista:guestCart';
+
+const loadGuestCart = async (): Promise<CartItem[]> => {
+  try {
+    const stored = await AsyncStorage.getItem(GUEST_CART_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn('Failed to read guest cart', error);
+    return [];
+  }
+};
+
+const saveGuestCart = async (items: CartItem[]): Promise<void> => {
+  try {
+    if (items.length === 0) {
+      await AsyncStorage.removeItem(GUEST_CART_STORAGE_KEY);
+    } else {
+      await AsyncStorage.setItem(GUEST_CART_STORAGE_KEY, JSON.stringify(items));
+    }
+  } catch (error) {
+    console.warn('Failed to store guest cart', error);
+  }
+};
+
+const toCartItems = (cart: ServerCart): CartItem[] =>
+  cart.items.map(({ id, name, image, price, category, quantity }) => ({
+    id,
+    name,
+    image,
+    price,
+    category,
+    quantity,
+  }));
+
 const CartContext = createContext<CartContextType | undefined>(undefined);
 
 export const CartProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
   const [cartItems, setCartItems] = useState<CartItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const signedIn = useRef(false);
+  // Only the response to the latest change may overwrite the optimistic state
+  const latestRequest = useRef(0);
+
+  const refreshCart = useCallback(async () => {
+    if (!signedIn.current) return;
+    try {
+      const { cart } = await getCart();
+      setCartItems(toCartItems(cart));
+    } catch (error) {
+      console.warn('Failed to load cart', error);
+    }
+  }, []);
+
+  // Send a change to the server after updating local state; reload on failure
+  const syncWithServer = useCallback((request: () => Promise<CartResponse>) => {
+    if (!signedIn.current) return;
+    const requestId = ++latestRequest.current;
+
+    request()
+      .then(({ cart }) => {
+        if (requestId === latestRequest.current) {
+          setCartItems(toCartItems(cart));
+        }
+      })
+      .catch((error) => {
+        console.warn('Cart sync failed, reloading cart', error);
+        refreshCart();
+      });
+  }, [refreshCart]);
 
-  const addToCart = (item: Omit<CartItem, 'quantity'>) => {
+  // Hydrate on launch, and follow login/logout
+  useEffect(() => {
+    let isMounted = true;
+
+    const hydrate = async () => {
+      const token = await getStoredToken();
+      signedIn.current = !!token;
+      if (token) {
+        await refreshCart();
+      } else {
+        const guestItems = await loadGuestCart();
+        if (isMounted) setCartItems(guestItems);
+      }
+      if (isMounted) setLoading(false);
+    };
+
+    hydrate();
+
+    const unsubscribe = onTokenChange(async (token) => {
+      if (!token) {
+        signedIn.current = false;
+        setCartItems([]);
+        return;
+      }
+
+      signedIn.current = true;
+      try {
+        // Carry over whatever was added before logging in
+        const guestItems = await loadGuestCart();
+        const { cart } = guestItems.length > 0
+          ? await mergeCart(guestItems.map((item) => ({ inventoryId: item.id, quantity: item.quantity })))
+          : await getCart();
+        await saveGuestCart([]);
+        if (isMounted) setCartItems(toCartItems(cart));
+      } catch (error) {
+        console.warn('Failed to merge guest cart', error);
+      }
+    });
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, [refreshCart]);
+
+  // Persist the guest cart on the device
+  useEffect(() => {
+    if (!loading && !signedIn.current) {
+      saveGuestCart(cartItems);
+    }
+  }, [cartItems, loading]);
+
+  const addToCart = (item: Omit<CartItem, 'quantity'>, quantity = 1) => {
     setCartItems((prev) => {
       const existingItem = prev.find((i) => i.id === item.id);
       if (existingItem) {
         return prev.map((i) =>
-          i.id === item.id ? { ...i, quantity: i.quantity + 1 } : i
+          i.id === item.id ? { ...i, quantity: i.quantity + quantity } : i
         );
       }
-      return [...prev, { ...item, quantity: 1 }];
+      return [...prev, { ...item, quantity }];
     });
+    syncWithServer(() => addCartItem(item.id, quantity));
   };
 
   const removeFromCart = (id: string) => {
     setCartItems((prev) => prev.filter((item) => item.id !== id));
+    syncWithServer(() => removeCartItem(id));
   };
 
   const updateQuantity = (id: string, quantity: number) => {
@@ -50,10 +185,12 @@ export const CartProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     setCartItems((prev) =>
       prev.map((item) => (item.id === id ? { ...item, quantity } : item))
     );
+    syncWithServer(() => updateCartItem(id, quantity));
   };
 
   const clearCart = () => {
     setCartItems([]);
+    syncWithServer(() => clearServerCart());
   };
 
   const getTotalItems = () => {
@@ -68,10 +205,12 @@ export const CartProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     <CartContext.Provider
       value={{
         cartItems,
+        loading,
         addToCart,
         removeFromCart,
         updateQuantity,
         clearCart,
+        refreshCart,
         getTotalItems,
         getTotalPrice,
       }}
@@ -88,4 +227,3 @@ export const useCart = () => {
   }
   return context;
 };
-
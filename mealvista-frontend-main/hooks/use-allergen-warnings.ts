@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+import { AllergenWarning, getAllergenWarnings } from '@/lib/recipeService';
+
+/**
+ * Loads the user's allergen conflicts for a set of recipes, keyed by recipe id.
+ * Warnings are best-effort: failures (e.g. not signed in) leave the map empty.
+ */
+export function useAllergenWarnings(recipeIds: string[]) {
+  const [warnings, setWarnings] = useState<Record<string, AllergenWarning[]>>({});
+  const idsKey = recipeIds.join(',');
+
+  useEffect(() => {
+    if (!idsKey) {
+      setWarnings({});
+      return;
+    }
+
+    let isMounted = true;
+
+    getAllergenWarnings(idsKey.split(','))
+      .then((response) => {
+        if (isMounted) setWarnings(response.warnings);
+      })
+      .catch((err) => {
+        if (__DEV__) console.warn('Failed to load allergen warnings:', err);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [idsKey]);
+
+  return warnings;
+}
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { getRecipeNutrition, MeasureSystem, RecipeNutrition } from '@/lib/recipeService';
+
+/**
+ * Loads the nutrition computed by the backend for the recipe that is open,
+ * following the servings and measures picked on the recipe screen.
+ */
+export function useRecipeNutrition(recipeId?: string, servings?: number, units?: MeasureSystem) {
+  const [nutrition, setNutrition] = useState<RecipeNutrition | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const reload = useCallback(async () => {
+    if (!recipeId) {
+      setError('Recipe not found');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getRecipeNutrition(recipeId, servings, units);
+      setNutrition(response.nutrition);
+    } catch (err: any) {
+      console.error('Failed to load nutrition:', err);
+      setError(err.response?.data?.message || 'Failed to load nutrition');
+    } finally {
+      setLoading(false);
+    }
+  }, [recipeId, servings, units]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { nutrition, loading, error, reload };
+}
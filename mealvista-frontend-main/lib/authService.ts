@@ -34,11 +34,185 @@ export interface UsersResponse {
   count?: number;
 }
 
+export type StockStatus = 'in_stock' | 'low_stock' | 'out_of_stock';
+
+export interface InventoryItem {
+  _id?: string;
+  id?: string;
+  name: string;
+  category: string;
+  subcategory?: string;
+  unit: string;
+  stock: number;
+  minStock?: number;
+  maxStock?: number;
+  price: number;
+  // What one unit cost on the latest purchase order delivery
+  unitCost?: number;
+  // Percentage of price left after unitCost; null until a cost is recorded
+  margin?: number | null;
+  status: StockStatus;
+  description?: string;
+  origin?: string;
+  image?: string;
+  available?: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
 export interface InventoryResponse {
-  items?: any[];
+  items?: InventoryItem[];
+  categories?: string[];
   count?: number;
 }
 
+export interface InventoryItemResponse {
+  success: boolean;
+  message?: string;
+  item: InventoryItem;
+}
+
+export type ImportFormat = 'csv' | 'json';
+
+export type ImportAction = 'create' | 'update' | 'unchanged' | 'invalid' | 'failed';
+
+export interface ImportRow {
+  row: number;
+  name: string;
+  category: string;
+  action: ImportAction;
+  id?: string;
+  changes?: Record<string, { from: string | number | boolean | null; to: string | number | boolean }>;
+  errors?: string[];
+}
+
+export interface InventoryImportResponse {
+  success: boolean;
+  dryRun: boolean;
+  message: string;
+  format: ImportFormat;
+  summary: Record<ImportAction, number> & { total: number };
+  rows: ImportRow[];
+}
+
+export type StockMovementType = 'receive' | 'sale' | 'adjustment' | 'spoilage' | 'return';
+
+export interface StockMovement {
+  id: string;
+  inventory: string;
+  type: StockMovementType;
+  // Signed change to stock: positive adds, negative removes
+  quantity: number;
+  balanceAfter: number;
+  user?: { _id: string; name: string } | null;
+  role: 'admin' | 'customer' | 'system';
+  reason?: string;
+  order?: { _id: string; orderNumber: string } | null;
+  // Lots the movement added to or drew from
+  lots?: { lot: string; quantity: number }[];
+  createdAt: string;
+}
+
+export interface StockLot {
+  id: string;
+  inventory: string | Pick<InventoryItem, '_id' | 'name' | 'unit' | 'category' | 'stock' | 'image'>;
+  lotNumber: string;
+  quantity: number;
+  remaining: number;
+  receivedAt: string;
+  expiresAt: string | null;
+  supplier?: string;
+  status: 'active' | 'written_off';
+  // Whole days until expiry, negative once expired; null if the lot never expires
+  daysLeft: number | null;
+  expired: boolean;
+}
+
+export interface ExpiringLotsResponse {
+  success: boolean;
+  days: number;
+  count: number;
+  expiredCount: number;
+  lots: StockLot[];
+}
+
+export interface InventoryLotsResponse {
+  success: boolean;
+  item: Pick<InventoryItem, '_id' | 'name' | 'unit' | 'stock'>;
+  // Stock covered by lots, and stock from before lots were tracked
+  tracked: number;
+  untracked: number;
+  lots: StockLot[];
+}
+
+export interface WriteOffResponse {
+  success: boolean;
+  message: string;
+  // Lots written off, and units recorded as spoilage
+  lots: number;
+  quantity: number;
+}
+
+export interface LotDetails {
+  expiresAt?: string;
+  supplier?: string;
+  lotNumber?: string;
+}
+
+export interface StockMovementsResponse {
+  success: boolean;
+  item: Pick<InventoryItem, '_id' | 'name' | 'unit' | 'stock' | 'minStock' | 'status'>;
+  movements: StockMovement[];
+  count: number;
+  total: number;
+  page: number;
+  pages: number;
+}
+
+export interface StockMovementResponse {
+  success: boolean;
+  message: string;
+  item: InventoryItem;
+  movement: StockMovement;
+}
+
+export type PriceChangeStatus = 'scheduled' | 'active' | 'ended' | 'cancelled';
+
+export interface PriceChange {
+  id: string;
+  inventory: string;
+  price: number;
+  // Price the item had when this change took effect
+  previousPrice?: number;
+  effectiveFrom: string;
+  // Open-ended when null; otherwise the regular price returns after this date
+  effectiveTo: string | null;
+  status: PriceChangeStatus;
+  reason?: string;
+  user?: { _id: string; name: string } | null;
+  activatedAt?: string;
+  endedAt?: string;
+  cancelledAt?: string;
+  createdAt: string;
+}
+
+export interface PriceHistoryResponse {
+  success: boolean;
+  item: Pick<InventoryItem, '_id' | 'name' | 'unit' | 'price'>;
+  // Present when the history was requested with `at`
+  at?: string;
+  priceAt?: number;
+  changeAt?: string | null;
+  changes: PriceChange[];
+}
+
+export interface PriceChangeResponse {
+  success: boolean;
+  message: string;
+  item?: InventoryItem;
+  change: PriceChange;
+}
+
 // Signup
 export const signup = async (data: { name: string; email: string; password: string }): Promise<AuthResponse> => {
   try {
@@ -138,9 +312,183 @@ export const deleteUser = async (userId: string): Promise<void> => {
 };
 
 // Get inventory (admin only)
-export const getInventory = async (): Promise<InventoryResponse> => {
+export const getInventory = async (category?: string, search?: string): Promise<InventoryResponse> => {
+  try {
+    const response = await api.get<InventoryResponse>('/api/admin/inventory', {
+      params: { category, search },
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Export inventory as CSV or JSON text, filtered like getInventory (admin only)
+export const exportInventory = async (
+  format: ImportFormat = 'csv',
+  category?: string,
+  search?: string
+): Promise<string> => {
+  try {
+    const response = await api.get<string>('/api/admin/inventory/export', {
+      params: { format, category, search },
+      responseType: 'text',
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Bulk import CSV or JSON, matching items by name + category. With dryRun (the default)
+// only a preview is returned; a real import fails with 422 while any row is invalid (admin only)
+export const importInventory = async (
+  data: string,
+  options: { dryRun?: boolean; format?: ImportFormat } = {}
+): Promise<InventoryImportResponse> => {
+  try {
+    const response = await api.post<InventoryImportResponse>('/api/admin/inventory/import', {
+      data,
+      format: options.format,
+      dryRun: options.dryRun ?? true,
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get a single inventory item (admin only)
+export const getInventoryItem = async (id: string): Promise<InventoryItemResponse> => {
+  try {
+    const response = await api.get<InventoryItemResponse>(`/api/admin/inventory/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Create an inventory item; a starting stock is recorded as a 'receive' movement (admin only)
+export const createInventoryItem = async (data: Partial<InventoryItem>): Promise<InventoryItemResponse> => {
+  try {
+    const response = await api.post<InventoryItemResponse>('/api/admin/inventory', data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Update an inventory item's details. Stock changes go through recordStockMovement (admin only)
+export const updateInventoryItem = async (
+  id: string,
+  data: Partial<Omit<InventoryItem, 'stock' | 'status'>>
+): Promise<InventoryItemResponse> => {
+  try {
+    const response = await api.patch<InventoryItemResponse>(`/api/admin/inventory/${id}`, data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Delete an inventory item (admin only)
+export const deleteInventoryItem = async (id: string): Promise<{ success: boolean; message: string }> => {
+  try {
+    const response = await api.delete<{ success: boolean; message: string }>(`/api/admin/inventory/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get an item's stock movements, newest first (admin only)
+export const getStockMovements = async (
+  id: string,
+  params: { type?: StockMovementType; page?: number; limit?: number } = {}
+): Promise<StockMovementsResponse> => {
+  try {
+    const response = await api.get<StockMovementsResponse>(`/api/admin/inventory/${id}/movements`, { params });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Record a stock movement. quantity is positive; an adjustment may be negative.
+// A receive opens a lot with the given expiry date, supplier and lot number (admin only)
+export const recordStockMovement = async (
+  id: string,
+  data: { type: StockMovementType; quantity: number; reason?: string } & LotDetails
+): Promise<StockMovementResponse> => {
+  try {
+    const response = await api.post<StockMovementResponse>(`/api/admin/inventory/${id}/movements`, data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get an item's open lots in picking order (admin only)
+export const getInventoryLots = async (id: string): Promise<InventoryLotsResponse> => {
+  try {
+    const response = await api.get<InventoryLotsResponse>(`/api/admin/inventory/${id}/lots`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get an item's price history, newest first, and optionally the price in effect at `at` (admin only)
+export const getPriceHistory = async (id: string, at?: string): Promise<PriceHistoryResponse> => {
+  try {
+    const response = await api.get<PriceHistoryResponse>(`/api/admin/inventory/${id}/prices`, {
+      params: { at },
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Change an item's price now, or from effectiveFrom; with effectiveTo it is a promotion (admin only)
+export const schedulePriceChange = async (
+  id: string,
+  data: { price: number; effectiveFrom?: string; effectiveTo?: string; reason?: string }
+): Promise<PriceChangeResponse> => {
+  try {
+    const response = await api.post<PriceChangeResponse>(`/api/admin/inventory/${id}/prices`, data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Cancel a price change that has not taken effect yet (admin only)
+export const cancelPriceChange = async (id: string, changeId: string): Promise<PriceChangeResponse> => {
+  try {
+    const response = await api.delete<PriceChangeResponse>(`/api/admin/inventory/${id}/prices/${changeId}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get lots expiring within `days` days, expired ones included (admin only)
+export const getExpiringLots = async (days?: number): Promise<ExpiringLotsResponse> => {
+  try {
+    const response = await api.get<ExpiringLotsResponse>('/api/admin/inventory/lots/expiring', {
+      params: { days },
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Write off expired lots now, recording their stock as spoilage (admin only)
+export const writeOffExpiredLots = async (): Promise<WriteOffResponse> => {
   try {
-    const response = await api.get<InventoryResponse>('/api/admin/inventory');
+    const response = await api.post<WriteOffResponse>('/api/admin/inventory/lots/write-off');
     return response.data;
   } catch (error: any) {
     throw error;
@@ -2,6 +2,22 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const TOKEN_STORAGE_KEY = 'mealvista:authToken';
 
+type TokenListener = (token: string | null) => void;
+
+const tokenListeners = new Set<TokenListener>();
+
+// Let app state (e.g. the cart) react to login and logout
+export const onTokenChange = (listener: TokenListener): (() => void) => {
+  tokenListeners.add(listener);
+  return () => {
+    tokenListeners.delete(listener);
+  };
+};
+
+const notifyTokenChange = (token: string | null) => {
+  tokenListeners.forEach((listener) => listener(token));
+};
+
 export const getStoredToken = async (): Promise<string | null> => {
   try {
     return await AsyncStorage.getItem(TOKEN_STORAGE_KEY);
@@ -17,6 +33,7 @@ export const storeToken = async (token: string): Promise<void> => {
   } catch (error) {
     console.warn('Failed to store token', error);
   }
+  notifyTokenChange(token);
 };
 
 export const clearToken = async (): Promise<void> => {
@@ -25,6 +42,7 @@ export const clearToken = async (): Promise<void> => {
   } catch (error) {
     console.warn('Failed to clear token', error);
   }
+  notifyTokenChange(null);
 };
 
 export const getTokenStorageKey = () => TOKEN_STORAGE_KEY;
@@ -0,0 +1,93 @@
+import api from './api';
+
+export interface ServerCartItem {
+  id: string; // inventory item id
+  name: string;
+  image?: string;
+  price: number;
+  category?: string;
+  unit?: string;
+  status?: 'in_stock' | 'low_stock' | 'out_of_stock';
+  available?: boolean;
+  quantity: number;
+  addedAt: string;
+}
+
+export interface ServerCart {
+  items: ServerCartItem[];
+  totalItems: number;
+  subtotal: number;
+  updatedAt: string;
+}
+
+export interface CartResponse {
+  success: boolean;
+  message?: string;
+  cart: ServerCart;
+}
+
+export interface MergeCartResponse extends CartResponse {
+  skipped: string[];
+}
+
+// Get the logged-in user's cart
+export const getCart = async (): Promise<CartResponse> => {
+  try {
+    const response = await api.get<CartResponse>('/api/cart');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Add units of an inventory item to the cart
+export const addCartItem = async (inventoryId: string, quantity: number = 1): Promise<CartResponse> => {
+  try {
+    const response = await api.post<CartResponse>('/api/cart/items', { inventoryId, quantity });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Set the quantity of a cart line (0 removes it)
+export const updateCartItem = async (inventoryId: string, quantity: number): Promise<CartResponse> => {
+  try {
+    const response = await api.patch<CartResponse>(`/api/cart/items/${inventoryId}`, { quantity });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Remove a line from the cart
+export const removeCartItem = async (inventoryId: string): Promise<CartResponse> => {
+  try {
+    const response = await api.delete<CartResponse>(`/api/cart/items/${inventoryId}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Empty the cart
+export const clearServerCart = async (): Promise<CartResponse> => {
+  try {
+    const response = await api.delete<CartResponse>('/api/cart');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Merge a guest cart into the logged-in user's cart
+export const mergeCart = async (
+  items: { inventoryId: string; quantity: number }[]
+): Promise<MergeCartResponse> => {
+  try {
+    const response = await api.post<MergeCartResponse>('/api/cart/merge', { items });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,126 @@
+import api from './api';
+import { todayString, NutrientTargets } from './goalService';
+import { MealSlot } from './mealPlanService';
+import { NutrientValue } from './recipeService';
+
+export type FoodLogSource = 'recipe' | 'product' | 'custom';
+
+// Calories plus every nutrient the nutrition screens show, for the whole portion
+export type FoodLogNutrients = Record<string, number> & { calories: number };
+
+export interface FoodLogEntry {
+  id: string;
+  _id: string;
+  date: string; // YYYY-MM-DD
+  slot: MealSlot;
+  source: FoodLogSource;
+  recipe?: string;
+  inventory?: string;
+  name: string;
+  quantity: number; // servings for recipes
+  unit: string;
+  nutrients: FoodLogNutrients;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface FoodLogInput {
+  source: FoodLogSource;
+  date?: string; // default today
+  slot?: MealSlot;
+  quantity?: number; // default 1
+  recipeId?: string; // recipe
+  inventoryId?: string; // product
+  unit?: string; // product (default the product's unit) and custom
+  name?: string; // custom
+  nutrients?: Partial<FoodLogNutrients>; // custom; calories required
+}
+
+// Totals described like a recipe's nutrition, against the user's targets where set
+export interface DiaryTotals {
+  calories: number;
+  caloriesPercentDailyValue: number;
+  macros: NutrientValue[];
+  micros: NutrientValue[];
+}
+
+export interface DiaryDay {
+  date: string;
+  entryCount: number;
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+}
+
+export interface DiaryResponse {
+  success: boolean;
+  date: string;
+  targets: NutrientTargets;
+  entries: FoodLogEntry[];
+  totals: DiaryTotals;
+  week: {
+    weekStart: string; // a Monday
+    loggedDays: number;
+    days: DiaryDay[];
+    totals: FoodLogNutrients;
+    average: DiaryTotals; // per logged day
+  };
+}
+
+export interface FoodLogEntryResponse {
+  success: boolean;
+  entry: FoodLogEntry;
+}
+
+// Get the diary for a day (YYYY-MM-DD, default today) with its week
+export const getDiary = async (date: string = todayString()): Promise<DiaryResponse> => {
+  try {
+    const response = await api.get<DiaryResponse>('/api/food-log', { params: { date } });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Log a recipe serving, a catalog product or a custom entry
+export const logFood = async (input: FoodLogInput): Promise<FoodLogEntryResponse> => {
+  try {
+    const response = await api.post<FoodLogEntryResponse>('/api/food-log', { date: todayString(), ...input });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Change an entry's portion, slot or day; its nutrients follow the portion
+export const updateFoodLogEntry = async (
+  id: string,
+  changes: { quantity?: number; slot?: MealSlot; date?: string }
+): Promise<FoodLogEntryResponse> => {
+  try {
+    const response = await api.patch<FoodLogEntryResponse>(`/api/food-log/${id}`, changes);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Remove an entry from the diary
+export const deleteFoodLogEntry = async (id: string): Promise<{ success: boolean; message: string }> => {
+  try {
+    const response = await api.delete(`/api/food-log/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// The meal a log made now most likely belongs to
+export const currentMealSlot = (): MealSlot => {
+  const hour = new Date().getHours();
+  if (hour < 11) return 'breakfast';
+  if (hour < 16) return 'lunch';
+  if (hour < 21) return 'dinner';
+  return 'snack';
+};
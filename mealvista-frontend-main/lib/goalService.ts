@@ -0,0 +1,138 @@
+import api from './api';
+import { RecipeSummary } from './recipeService';
+import { MealSlot } from './mealPlanService';
+
+export type Sex = 'female' | 'male';
+
+export type ActivityLevel = 'sedentary' | 'light' | 'moderate' | 'active' | 'very_active';
+
+export type Goal = 'lose' | 'maintain' | 'gain';
+
+export const ACTIVITY_LEVELS: { id: ActivityLevel; name: string; description: string }[] = [
+  { id: 'sedentary', name: 'Sedentary', description: 'Desk job, little exercise' },
+  { id: 'light', name: 'Light', description: 'Exercise 1-3 days a week' },
+  { id: 'moderate', name: 'Moderate', description: 'Exercise 3-5 days a week' },
+  { id: 'active', name: 'Active', description: 'Hard exercise 6-7 days a week' },
+  { id: 'very_active', name: 'Very Active', description: 'Physical job or training twice a day' },
+];
+
+export const GOALS: { id: Goal; name: string }[] = [
+  { id: 'lose', name: 'Lose weight' },
+  { id: 'maintain', name: 'Maintain' },
+  { id: 'gain', name: 'Gain weight' },
+];
+
+export interface DailyTargets {
+  bmr: number; // kcal burned at rest
+  tdee: number; // kcal burned with activity
+  calories: number;
+  protein: number; // g
+  carbs: number; // g
+  fat: number; // g
+  fiber: number; // g
+}
+
+export interface Goals {
+  age: number;
+  sex: Sex;
+  activityLevel: ActivityLevel;
+  goal: Goal;
+  targets: DailyTargets | null;
+  heightCm: number | null;
+  weightKg: number | null;
+  updatedAt: string | null;
+}
+
+export interface GoalsInput {
+  age: number;
+  sex: Sex;
+  activityLevel: ActivityLevel;
+  goal: Goal;
+}
+
+export interface Nutrients {
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  fiber: number;
+}
+
+// Macro targets are null until the user has set their goals
+export type NutrientTargets = { calories: number } & { [K in Exclude<keyof Nutrients, 'calories'>]: number | null };
+
+// A food diary entry of the day
+export interface DayMeal {
+  id: string;
+  slot: MealSlot;
+  name: string;
+  calories: number;
+}
+
+export interface DayProgress {
+  date: string; // YYYY-MM-DD
+  meals: DayMeal[];
+  consumed: Nutrients;
+  targets: NutrientTargets;
+  remaining: NutrientTargets; // negative once over the target
+  mealsLeft: number;
+}
+
+export interface GoalsResponse {
+  success: boolean;
+  goals: Goals | null;
+  progress: DayProgress;
+}
+
+export interface RecommendedRecipe extends RecipeSummary {
+  nutrition: Nutrients; // per serving
+  fitScore: number; // lower fits better
+}
+
+export interface RecommendationsResponse {
+  success: boolean;
+  progress: DayProgress;
+  budget: NutrientTargets; // what the next meal should aim for
+  count: number;
+  recipes: RecommendedRecipe[];
+}
+
+// The device's date, which is the user's day whatever the server's timezone
+export const todayString = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().slice(0, 10);
+};
+
+// Get the user's goals and their progress on a day (YYYY-MM-DD, default today)
+export const getGoals = async (date: string = todayString()): Promise<GoalsResponse> => {
+  try {
+    const response = await api.get<GoalsResponse>('/api/goals', { params: { date } });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Save the user's goals; targets are computed from their saved height and weight
+export const setGoals = async (goals: GoalsInput, date: string = todayString()): Promise<GoalsResponse> => {
+  try {
+    const response = await api.put<GoalsResponse>('/api/goals', { ...goals, date });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Recipes ranked by how well they fit what is left of today's targets
+export const getRecommendations = async (
+  options: { date?: string; limit?: number } = {}
+): Promise<RecommendationsResponse> => {
+  try {
+    const response = await api.get<RecommendationsResponse>('/api/goals/recommendations', {
+      params: { date: todayString(), ...options },
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
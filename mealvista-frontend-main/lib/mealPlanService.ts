@@ -0,0 +1,91 @@
+import api from './api';
+import { Difficulty } from './recipeService';
+
+export type MealSlot = 'breakfast' | 'lunch' | 'dinner' | 'snack';
+
+export const MEAL_SLOTS: MealSlot[] = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+export interface PlannedRecipe {
+  id: string;
+  title: string;
+  image?: string;
+  time: number;
+  calories: number; // per serving
+  difficulty: Difficulty;
+}
+
+export interface PlannedMeal {
+  recipe: PlannedRecipe;
+  servings: number;
+  calories: number;
+}
+
+export interface MealPlanDay {
+  day: number; // 0 = Monday
+  date: string; // YYYY-MM-DD
+  meals: Record<MealSlot, PlannedMeal | null>;
+  calories: number;
+}
+
+export interface MealPlan {
+  id: string | null; // null until something is planned for the week
+  weekStart: string; // YYYY-MM-DD, a Monday
+  calorieTarget: number | null;
+  plannedCount: number;
+  days: MealPlanDay[];
+}
+
+export interface MealPlanResponse {
+  success: boolean;
+  plan: MealPlan;
+}
+
+export interface MealSlotUpdate {
+  day: number;
+  slot: MealSlot;
+  recipeId: string | null; // null empties the slot
+  servings?: number;
+}
+
+// Get the plan for the week containing `week` (YYYY-MM-DD, default this week)
+export const getMealPlan = async (week?: string): Promise<MealPlanResponse> => {
+  try {
+    const response = await api.get<MealPlanResponse>('/api/meal-plans', { params: { week } });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Set or empty one slot of a week
+export const setMealPlanSlot = async (week: string, update: MealSlotUpdate): Promise<MealPlanResponse> => {
+  try {
+    const response = await api.put<MealPlanResponse>('/api/meal-plans/slots', { week, ...update });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Auto-fill a week from the user's diets, allergens and calorie target
+export const generateMealPlan = async (
+  week: string,
+  options: { calorieTarget?: number; overwrite?: boolean } = {}
+): Promise<MealPlanResponse> => {
+  try {
+    const response = await api.post<MealPlanResponse>('/api/meal-plans/generate', { week, ...options });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Copy a week's plan to the next week; resolves to the next week's plan
+export const copyMealPlan = async (week: string, overwrite = false): Promise<MealPlanResponse> => {
+  try {
+    const response = await api.post<MealPlanResponse>('/api/meal-plans/copy', { week, overwrite });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
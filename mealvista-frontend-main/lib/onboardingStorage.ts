@@ -1,13 +1,29 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
+import { getPreferences } from './profileService';
+
 const ONBOARDING_COMPLETE_KEY = 'mealvista:onboardingComplete';
 
+// The local flag is a cache; the user's profile on the server is the source of truth,
+// so onboarding survives reinstalls and device switches.
 export const getOnboardingStatus = async (): Promise<boolean> => {
   try {
     const value = await AsyncStorage.getItem(ONBOARDING_COMPLETE_KEY);
-    return value === 'true';
+    if (value === 'true') {
+      return true;
+    }
   } catch (error) {
     console.warn('Failed to read onboarding status from storage', error);
+  }
+
+  try {
+    const { preferences } = await getPreferences();
+    if (preferences.onboardingComplete) {
+      await setOnboardingComplete();
+    }
+    return preferences.onboardingComplete;
+  } catch (error) {
+    console.warn('Failed to read onboarding status from server', error);
     return false;
   }
 };
@@ -0,0 +1,268 @@
+import api from './api';
+
+export type OrderStatus =
+  | 'pending'
+  | 'confirmed'
+  | 'packed'
+  | 'out_for_delivery'
+  | 'delivered'
+  | 'cancelled'
+  | 'refunded';
+
+export type StatusChangeRole = 'customer' | 'admin' | 'system';
+
+// Steps of a delivery in the order they happen
+export const ORDER_PROGRESS: OrderStatus[] = ['pending', 'confirmed', 'packed', 'out_for_delivery', 'delivered'];
+
+export const ORDER_STATUS_LABELS: Record<OrderStatus, string> = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  packed: 'Packed',
+  out_for_delivery: 'Out for Delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+};
+
+export const ORDER_STATUS_COLORS: Record<OrderStatus, string> = {
+  pending: '#8B7BA8',
+  confirmed: '#2196F3',
+  packed: '#FF9800',
+  out_for_delivery: '#FF9800',
+  delivered: '#4CAF50',
+  cancelled: '#F44336',
+  refunded: '#607D8B',
+};
+
+export type PaymentMethod = 'card' | 'cash';
+
+export type PaymentStatus = 'pending' | 'requires_action' | 'authorized' | 'paid' | 'failed' | 'refunding' | 'refunded';
+
+export interface OrderItem {
+  inventory: string;
+  name: string;
+  image?: string;
+  category?: string;
+  unit?: string;
+  price: number;
+  quantity: number;
+  lineTotal: number;
+}
+
+export interface DeliveryAddress {
+  address: string;
+  city: string;
+}
+
+export interface OrderPayment {
+  provider?: string;
+  reference?: string;
+  card?: {
+    brand?: string;
+    last4?: string;
+  };
+  failureReason?: string;
+  authorizedAt?: string;
+  paidAt?: string;
+  refundedAt?: string;
+}
+
+export interface StatusChange {
+  status: OrderStatus;
+  at: string;
+  by?: string | { _id: string; name: string };
+  role: StatusChangeRole;
+  note?: string;
+}
+
+export interface Order {
+  id: string;
+  _id: string;
+  orderNumber: string;
+  items: OrderItem[];
+  itemCount: number;
+  subtotal: number;
+  deliveryFee: number;
+  total: number;
+  status: OrderStatus;
+  statusHistory: StatusChange[];
+  canCancel: boolean;
+  paymentMethod: PaymentMethod;
+  paymentStatus: PaymentStatus;
+  payment?: OrderPayment;
+  deliveryAddress?: DeliveryAddress;
+  estimatedDelivery?: string;
+  deliveredAt?: string;
+  cancelledAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface OrderStats {
+  totalOrders: number;
+  delivered: number;
+  totalSpent: number;
+}
+
+export interface OrdersResponse {
+  success: boolean;
+  count: number;
+  total: number;
+  page: number;
+  pages: number;
+  stats: OrderStats;
+  orders: Order[];
+}
+
+export interface OrderResponse {
+  success: boolean;
+  message?: string;
+  order: Order;
+}
+
+export interface CheckoutRequest {
+  paymentMethod?: PaymentMethod;
+  // Token from createCardToken; required for card payments
+  paymentToken?: string;
+  deliveryAddress?: DeliveryAddress;
+}
+
+export interface OrderFilters {
+  // One status, several joined with commas, or 'active' for orders still on their way
+  status?: string;
+  page?: number;
+  limit?: number;
+}
+
+// Place an order from the logged-in user's cart
+export const checkout = async (data: CheckoutRequest = {}): Promise<OrderResponse> => {
+  try {
+    const response = await api.post<OrderResponse>('/api/orders/checkout', data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get the logged-in user's orders, newest first
+export const getOrders = async (filters: OrderFilters = {}): Promise<OrdersResponse> => {
+  try {
+    const response = await api.get<OrdersResponse>('/api/orders', { params: filters });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get a single order
+export const getOrder = async (id: string): Promise<OrderResponse> => {
+  try {
+    const response = await api.get<OrderResponse>(`/api/orders/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Cancel one of the user's orders (only before it is packed)
+export const cancelOrder = async (id: string, reason?: string): Promise<OrderResponse> => {
+  try {
+    const response = await api.post<OrderResponse>(`/api/orders/${id}/cancel`, { reason });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Order line in the admin detail view, with the item's list price from the price
+// history when the order was placed and now
+export interface AdminOrderItem extends OrderItem {
+  listPrice?: number | null;
+  currentPrice?: number | null;
+}
+
+export interface AdminOrder extends Omit<Order, 'items'> {
+  items: AdminOrderItem[];
+  user: { _id: string; name: string; email: string } | null;
+  nextStatuses: OrderStatus[];
+}
+
+export interface AdminOrderFilters {
+  status?: string;
+  from?: string; // YYYY-MM-DD
+  to?: string; // YYYY-MM-DD, inclusive
+  customer?: string; // user id, or part of a name or email
+  search?: string; // order number
+  page?: number;
+  limit?: number;
+}
+
+export interface AdminOrdersResponse {
+  success: boolean;
+  count: number;
+  total: number;
+  page: number;
+  pages: number;
+  statusCounts: Record<OrderStatus, number>;
+  orders: AdminOrder[];
+}
+
+export interface AdminOrderResponse {
+  success: boolean;
+  message?: string;
+  order: AdminOrder;
+}
+
+// Get all customers' orders (admin only)
+export const getAdminOrders = async (filters: AdminOrderFilters = {}): Promise<AdminOrdersResponse> => {
+  try {
+    const response = await api.get<AdminOrdersResponse>('/api/admin/orders', { params: filters });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get an order with its customer and status history (admin only)
+export const getAdminOrder = async (id: string): Promise<AdminOrderResponse> => {
+  try {
+    const response = await api.get<AdminOrderResponse>(`/api/admin/orders/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Move an order to one of its next statuses (admin only)
+export const updateOrderStatus = async (
+  id: string,
+  status: OrderStatus,
+  note?: string
+): Promise<AdminOrderResponse> => {
+  try {
+    const response = await api.patch<AdminOrderResponse>(`/api/admin/orders/${id}/status`, { status, note });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Cancel an order, refunding it if it was paid (admin only)
+export const adminCancelOrder = async (id: string, reason?: string): Promise<AdminOrderResponse> => {
+  try {
+    const response = await api.post<AdminOrderResponse>(`/api/admin/orders/${id}/cancel`, { reason });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Refund a paid order (admin only)
+export const refundOrder = async (id: string, reason?: string): Promise<AdminOrderResponse> => {
+  try {
+    const response = await api.post<AdminOrderResponse>(`/api/admin/orders/${id}/refund`, { reason });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
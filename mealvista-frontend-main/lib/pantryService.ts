@@ -0,0 +1,135 @@
+import api from './api';
+
+export type PantrySource = 'manual' | 'order';
+
+export interface PantryItem {
+  id: string;
+  _id?: string;
+  inventory?: string;
+  name: string;
+  quantity: number;
+  unit: string;
+  expiresAt: string | null;
+  source: PantrySource;
+  order?: string;
+  daysLeft: number | null; // whole days until it expires, negative once expired
+  expired: boolean;
+  expiringSoon: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PantryResponse {
+  success: boolean;
+  count: number;
+  expiringCount: number;
+  items: PantryItem[];
+}
+
+export interface PantryItemInput {
+  name?: string;
+  quantity?: number;
+  unit?: string;
+  expiresAt?: string | null;
+  inventory?: string;
+}
+
+export interface PantryItemResponse {
+  success: boolean;
+  item: PantryItem | null; // null once a quantity of 0 removed it
+}
+
+// covered: enough at home; partial: some; unmeasured: at home in a unit that cannot be
+// compared with the recipe's; missing: none at home
+export type PantryLineStatus = 'covered' | 'partial' | 'unmeasured' | 'missing';
+
+export interface RecipePantryLine {
+  line: string; // ingredient line id
+  name: string;
+  needed: number;
+  unit: string;
+  have: number;
+  status: PantryLineStatus;
+}
+
+export interface RecipePantryResponse {
+  success: boolean;
+  recipeId: string;
+  servings: number;
+  missingCount: number;
+  lines: RecipePantryLine[];
+}
+
+export interface CookedLine {
+  line: string;
+  name: string;
+  quantity: number;
+  unit: string;
+}
+
+export interface CookRecipeResponse {
+  success: boolean;
+  servings: number;
+  consumed: CookedLine[];
+  short: CookedLine[]; // what the pantry did not have enough of
+}
+
+// Get the logged-in user's pantry, soonest to expire first
+export const getPantry = async (): Promise<PantryResponse> => {
+  try {
+    const response = await api.get<PantryResponse>('/api/pantry');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Add an item to the pantry (tops up an entry for the same item and expiry day)
+export const addPantryItem = async (item: PantryItemInput): Promise<PantryItemResponse> => {
+  try {
+    const response = await api.post<PantryItemResponse>('/api/pantry', item);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Change a pantry item; a quantity of 0 removes it
+export const updatePantryItem = async (id: string, changes: PantryItemInput): Promise<PantryItemResponse> => {
+  try {
+    const response = await api.patch<PantryItemResponse>(`/api/pantry/${id}`, changes);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Remove a pantry item
+export const deletePantryItem = async (id: string): Promise<{ success: boolean; message: string }> => {
+  try {
+    const response = await api.delete(`/api/pantry/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// How much of each of a recipe's ingredients is already at home
+export const getRecipePantry = async (recipeId: string): Promise<RecipePantryResponse> => {
+  try {
+    const response = await api.get<RecipePantryResponse>(`/api/pantry/recipes/${recipeId}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Mark a recipe as cooked, using up its ingredients from the pantry
+export const cookRecipe = async (recipeId: string, servings?: number): Promise<CookRecipeResponse> => {
+  try {
+    const response = await api.post<CookRecipeResponse>(`/api/pantry/recipes/${recipeId}/cook`, { servings });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,47 @@
+import api from './api';
+import { OrderResponse } from './orderService';
+
+export interface CardDetails {
+  number: string;
+  expiryMonth: number;
+  expiryYear: number;
+  cvv: string;
+  name: string;
+}
+
+type MockOutcome = 'succeed' | 'decline' | 'insufficient_funds' | 'three_d_secure';
+
+// Test cards understood by the backend's mock payment provider.
+// Any other number is approved.
+export const MOCK_TEST_CARDS: Record<string, MockOutcome> = {
+  '424242424242': 'succeed',
+  '400000000002': 'decline',
+  '400000009995': 'insufficient_funds',
+  '400000003220': 'three_d_secure',
+};
+
+const getCardBrand = (number: string) => {
+  if (number.startsWith('4')) return 'visa';
+  if (number.startsWith('5')) return 'mastercard';
+  if (number.startsWith('3')) return 'amex';
+  return 'card';
+};
+
+// Exchange card details for a single-use payment token.
+// This is the device-side half of the mock provider; a real gateway's SDK would send the
+// card to the gateway here. Either way the card number never reaches our backend.
+export const createCardToken = async (card: CardDetails): Promise<string> => {
+  const number = card.number.replace(/\D/g, '');
+  const outcome = MOCK_TEST_CARDS[number] ?? 'succeed';
+  return `tok_mock_${outcome}_${getCardBrand(number)}_${number.slice(-4)}`;
+};
+
+// Answer the mock 3-D Secure check for an order whose payment needs verification
+export const confirmThreeDSecure = async (orderId: string, approved: boolean): Promise<OrderResponse> => {
+  try {
+    const response = await api.post<OrderResponse>(`/api/payments/mock/3ds/${orderId}`, { approved });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,89 @@
+import api from './api';
+
+export type ProductSort = 'name' | 'price_asc' | 'price_desc' | 'newest';
+
+export interface Product {
+  id: string;
+  _id: string;
+  name: string;
+  category: string;
+  subcategory?: string;
+  unit: string;
+  price: number;
+  image?: string;
+  status: 'in_stock' | 'low_stock' | 'out_of_stock';
+  description?: string;
+  origin?: string;
+  allergens?: string[];
+  mayContainAllergens?: string[];
+  createdAt: string;
+}
+
+export interface ProductFilters {
+  category?: string;
+  subcategory?: string;
+  search?: string;
+  origin?: string; // comma-separated
+  minPrice?: number;
+  maxPrice?: number;
+  inStock?: boolean;
+  sort?: ProductSort;
+  cursor?: string; // nextCursor from the previous page
+  limit?: number;
+}
+
+export interface ProductsResponse {
+  success: boolean;
+  count: number;
+  total: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+  products: Product[];
+}
+
+export interface ProductResponse {
+  success: boolean;
+  product: Product;
+}
+
+export interface ProductCategory {
+  name: string;
+  count: number;
+  subcategories: { name: string; count: number }[];
+}
+
+export interface ProductCategoriesResponse {
+  success: boolean;
+  categories: ProductCategory[];
+  origins: string[];
+}
+
+// Get a page of products (public catalog)
+export const getProducts = async (filters: ProductFilters = {}): Promise<ProductsResponse> => {
+  try {
+    const response = await api.get<ProductsResponse>('/api/products', { params: filters });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get product categories with their subcategories, and the origins to filter by
+export const getProductCategories = async (): Promise<ProductCategoriesResponse> => {
+  try {
+    const response = await api.get<ProductCategoriesResponse>('/api/products/categories');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get a single product
+export const getProduct = async (id: string): Promise<ProductResponse> => {
+  try {
+    const response = await api.get<ProductResponse>(`/api/products/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
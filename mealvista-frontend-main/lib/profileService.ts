@@ -0,0 +1,69 @@
+import api from './api';
+
+export interface BmiEntry {
+  bmi: number;
+  category: 'Underweight' | 'Normal' | 'Overweight' | 'Obese';
+  heightCm: number;
+  weightKg: number;
+  recordedAt: string;
+}
+
+export interface Preferences {
+  diets: string[];
+  allergens: string[];
+  heightCm: number | null;
+  weightKg: number | null;
+  latestBmi: BmiEntry | null;
+  bmiHistory: BmiEntry[];
+  calorieTarget: number | null; // daily calories from the user's goals, else suggested from the latest BMI
+  onboardingComplete: boolean;
+  onboardingCompletedAt: string | null;
+  updatedAt: string | null;
+}
+
+export interface PreferencesResponse {
+  message?: string;
+  preferences: Preferences;
+}
+
+export interface RecordBmiResponse extends PreferencesResponse {
+  entry: BmiEntry;
+}
+
+export interface PreferencesUpdate {
+  diets?: string[];
+  allergens?: string[];
+  heightCm?: number;
+  weightKg?: number;
+  onboardingComplete?: boolean;
+}
+
+// Get the logged-in user's onboarding preferences
+export const getPreferences = async (): Promise<PreferencesResponse> => {
+  try {
+    const response = await api.get<PreferencesResponse>('/api/profile/preferences');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Update dietary preferences, allergens or measurements
+export const updatePreferences = async (data: PreferencesUpdate): Promise<PreferencesResponse> => {
+  try {
+    const response = await api.put<PreferencesResponse>('/api/profile/preferences', data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Record a BMI reading (computed on the server from height and weight)
+export const recordBmi = async (data: { heightCm: number; weightKg: number }): Promise<RecordBmiResponse> => {
+  try {
+    const response = await api.post<RecordBmiResponse>('/api/profile/preferences/bmi', data);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,233 @@
+import api from './api';
+import { InventoryItem } from './authService';
+
+export type PurchaseOrderStatus = 'ordered' | 'partially_received' | 'received' | 'cancelled';
+
+export interface Supplier {
+  _id: string;
+  id: string;
+  name: string;
+  contactName?: string;
+  email?: string;
+  phone?: string;
+  address?: string;
+  leadTimeDays?: number;
+  notes?: string;
+  active: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type SupplierInput = Partial<
+  Pick<Supplier, 'name' | 'contactName' | 'email' | 'phone' | 'address' | 'leadTimeDays' | 'notes' | 'active'>
+>;
+
+export interface PurchaseOrderLine {
+  _id: string;
+  id: string;
+  inventory: string;
+  // Snapshot of the item when the order was placed
+  name: string;
+  unit?: string;
+  quantity: number;
+  receivedQuantity: number;
+  outstanding: number;
+  unitCost?: number;
+  // Current selling price and the margin over this line's cost
+  price: number | null;
+  margin: number | null;
+}
+
+export interface PurchaseOrderReceipt {
+  _id: string;
+  at: string;
+  by?: { _id: string; name: string } | null;
+  lines: { line: string; quantity: number; unitCost?: number; movement?: string }[];
+}
+
+export interface PurchaseOrder {
+  _id: string;
+  id: string;
+  poNumber: string;
+  supplier: Pick<Supplier, '_id' | 'name' | 'contactName' | 'email' | 'phone' | 'leadTimeDays'> | null;
+  status: PurchaseOrderStatus;
+  lines: PurchaseOrderLine[];
+  receipts: PurchaseOrderReceipt[];
+  expectedAt?: string;
+  notes?: string;
+  createdBy?: { _id: string; name: string } | null;
+  receivedAt?: string;
+  cancelledAt?: string;
+  cancelReason?: string;
+  totalCost: number;
+  receivedCost: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface LowStockItem
+  extends Pick<InventoryItem, 'name' | 'category' | 'unit' | 'stock' | 'minStock' | 'maxStock' | 'price' | 'unitCost' | 'status'> {
+  _id: string;
+  id: string;
+  // Outstanding quantity already on open purchase orders
+  onOrder: number;
+  suggestedQuantity: number;
+  margin: number | null;
+}
+
+export interface SuppliersResponse {
+  success: boolean;
+  count: number;
+  suppliers: Supplier[];
+}
+
+export interface SupplierResponse {
+  success: boolean;
+  message?: string;
+  supplier: Supplier;
+}
+
+export interface PurchaseOrdersResponse {
+  success: boolean;
+  count: number;
+  purchaseOrders: PurchaseOrder[];
+}
+
+export interface PurchaseOrderResponse {
+  success: boolean;
+  message?: string;
+  purchaseOrder: PurchaseOrder;
+}
+
+export interface LowStockItemsResponse {
+  success: boolean;
+  count: number;
+  items: LowStockItem[];
+}
+
+export interface PurchaseOrderInput {
+  supplier: string;
+  lines: { inventory: string; quantity: number; unitCost?: number }[];
+  // YYYY-MM-DD; defaults to today plus the supplier's lead time
+  expectedAt?: string;
+  notes?: string;
+}
+
+export interface ReceiptLineInput {
+  line: string;
+  quantity: number;
+  unitCost?: number;
+  expiresAt?: string;
+  lotNumber?: string;
+}
+
+// Get active suppliers by name (admin only)
+export const getSuppliers = async (search?: string, includeInactive = false): Promise<SuppliersResponse> => {
+  try {
+    const params: Record<string, string> = {};
+    if (search) params.search = search;
+    if (includeInactive) params.includeInactive = 'true';
+    const response = await api.get<SuppliersResponse>('/api/admin/suppliers', { params });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Add a supplier (admin only)
+export const createSupplier = async (supplier: SupplierInput): Promise<SupplierResponse> => {
+  try {
+    const response = await api.post<SupplierResponse>('/api/admin/suppliers', supplier);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Update a supplier (admin only)
+export const updateSupplier = async (id: string, supplier: SupplierInput): Promise<SupplierResponse> => {
+  try {
+    const response = await api.patch<SupplierResponse>(`/api/admin/suppliers/${id}`, supplier);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Delete a supplier; one with purchase orders is deactivated instead (admin only)
+export const deleteSupplier = async (id: string): Promise<{ success: boolean; message: string; supplier?: Supplier }> => {
+  try {
+    const response = await api.delete(`/api/admin/suppliers/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get purchase orders, newest first; 'open' means ordered or partially received (admin only)
+export const getPurchaseOrders = async (
+  status: 'open' | 'all' | PurchaseOrderStatus = 'all',
+  supplier?: string
+): Promise<PurchaseOrdersResponse> => {
+  try {
+    const response = await api.get<PurchaseOrdersResponse>('/api/admin/purchase-orders', {
+      params: { status, supplier },
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get one purchase order with its lines and deliveries (admin only)
+export const getPurchaseOrder = async (id: string): Promise<PurchaseOrderResponse> => {
+  try {
+    const response = await api.get<PurchaseOrderResponse>(`/api/admin/purchase-orders/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get items at or below their minimum stock, with a quantity to order (admin only)
+export const getLowStockItems = async (): Promise<LowStockItemsResponse> => {
+  try {
+    const response = await api.get<LowStockItemsResponse>('/api/admin/purchase-orders/low-stock');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Place a purchase order with a supplier (admin only)
+export const createPurchaseOrder = async (order: PurchaseOrderInput): Promise<PurchaseOrderResponse> => {
+  try {
+    const response = await api.post<PurchaseOrderResponse>('/api/admin/purchase-orders', order);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Receive a delivery; received quantities are added to stock (admin only)
+export const receivePurchaseOrder = async (
+  id: string,
+  lines: ReceiptLineInput[]
+): Promise<PurchaseOrderResponse> => {
+  try {
+    const response = await api.post<PurchaseOrderResponse>(`/api/admin/purchase-orders/${id}/receive`, { lines });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Cancel whatever is still outstanding on a purchase order (admin only)
+export const cancelPurchaseOrder = async (id: string, reason?: string): Promise<PurchaseOrderResponse> => {
+  try {
+    const response = await api.post<PurchaseOrderResponse>(`/api/admin/purchase-orders/${id}/cancel`, { reason });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,353 @@
+import api from './api';
+
+export type Difficulty = 'Easy' | 'Medium' | 'Hard';
+
+export interface RecipeInventoryItem {
+  _id: string;
+  name: string;
+  category: string;
+  subcategory?: string;
+  unit: string;
+  price: number;
+  image?: string;
+  status?: 'in_stock' | 'low_stock' | 'out_of_stock';
+  available?: boolean;
+}
+
+export interface RecipeIngredient {
+  _id: string;
+  name: string;
+  quantity: number;
+  unit: string;
+  note?: string;
+  optional?: boolean;
+  inventory?: RecipeInventoryItem | null;
+}
+
+export interface RecipeStep {
+  text: string;
+  time?: string;
+  note?: string;
+  details?: string[];
+}
+
+export interface RecipeSummary {
+  id: string;
+  _id?: string;
+  title: string;
+  description?: string;
+  image?: string;
+  images?: string[];
+  category?: string;
+  cuisine?: string;
+  tags?: string[];
+  time: number;
+  difficulty: Difficulty;
+  servings: number;
+  calories: number;
+  rating: number;
+  trending?: boolean;
+  featured?: boolean;
+}
+
+export interface Recipe extends RecipeSummary {
+  ingredients: RecipeIngredient[];
+  steps: RecipeStep[];
+}
+
+export interface RecipeFilters {
+  search?: string;
+  category?: string;
+  cuisine?: string;
+  difficulty?: Difficulty;
+  tag?: string;
+  maxTime?: number;
+  trending?: boolean;
+  featured?: boolean;
+  page?: number;
+  limit?: number;
+}
+
+export interface RecipesResponse {
+  success: boolean;
+  count: number;
+  total: number;
+  page: number;
+  pages: number;
+  recipes: RecipeSummary[];
+}
+
+export interface RecipeResponse {
+  success: boolean;
+  recipe: Recipe;
+}
+
+// Get recipes (public catalog)
+export const getRecipes = async (filters: RecipeFilters = {}): Promise<RecipesResponse> => {
+  try {
+    const response = await api.get<RecipesResponse>('/api/recipes', { params: filters });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get a single recipe with ingredients and steps
+export const getRecipe = async (id: string): Promise<RecipeResponse> => {
+  try {
+    const response = await api.get<RecipeResponse>(`/api/recipes/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+export interface NutrientValue {
+  key: string;
+  name: string;
+  unit: string;
+  value: number;
+  dailyValue: number;
+  percentDailyValue: number;
+  percentCalories?: number;
+}
+
+export interface RecipeNutrition {
+  servings: number;
+  calories: number;
+  caloriesPercentDailyValue: number;
+  perServing: Record<string, number>;
+  total: Record<string, number>;
+  macros: NutrientValue[];
+  micros: NutrientValue[];
+  missing: string[];
+}
+
+export interface RecipeNutritionResponse {
+  success: boolean;
+  recipeId: string;
+  title: string;
+  nutrition: RecipeNutrition;
+}
+
+// Get nutrition computed from the recipe's ingredients (per serving). With `servings`
+// it follows the scaled, kitchen-rounded amounts of getScaledRecipe.
+export const getRecipeNutrition = async (
+  id: string,
+  servings?: number,
+  units?: MeasureSystem
+): Promise<RecipeNutritionResponse> => {
+  try {
+    const response = await api.get<RecipeNutritionResponse>(`/api/recipes/${id}/nutrition`, {
+      params: servings ? { servings, units } : undefined,
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+export type MeasureSystem = 'metric' | 'imperial';
+
+export interface ScaledIngredient extends RecipeIngredient {
+  originalQuantity: number;
+  originalUnit: string;
+  display: string; // e.g. '1 1/2 cup'
+  packs: number | null; // units of the inventory item to buy; null when not purchasable
+  estimated: boolean; // packs could not be worked out from the quantity
+}
+
+export interface ScaledRecipeResponse {
+  success: boolean;
+  recipeId: string;
+  title: string;
+  servings: number;
+  baseServings: number;
+  factor: number;
+  units: MeasureSystem | 'original';
+  ingredients: ScaledIngredient[];
+  nutrition: RecipeNutrition;
+}
+
+// Get a recipe's ingredients for N servings, rounded to kitchen measures in a measure
+// system (default: as written). `variant` scales the user's substituted version.
+export const getScaledRecipe = async (
+  id: string,
+  options: { servings?: number; units?: MeasureSystem; variant?: boolean } = {}
+): Promise<ScaledRecipeResponse> => {
+  try {
+    const { variant, ...params } = options;
+    const path = variant ? `/api/recipes/${id}/variant/scale` : `/api/recipes/${id}/scale`;
+    const response = await api.get<ScaledRecipeResponse>(path, { params });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+export type AllergenSeverity = 'high' | 'medium' | 'low';
+
+export interface RecipeAllergen {
+  id: string;
+  name: string;
+  declared: boolean;
+  severity: AllergenSeverity;
+  ingredients: string[];
+  traces: string[];
+}
+
+export interface RecipeAllergensResponse {
+  success: boolean;
+  recipeId: string;
+  title: string;
+  declaredAllergens: string[];
+  allergens: RecipeAllergen[];
+  conflicts: string[];
+  hasConflict: boolean;
+}
+
+export interface AllergenWarning {
+  id: string;
+  name: string;
+  severity: AllergenSeverity;
+}
+
+export interface AllergenWarningsResponse {
+  success: boolean;
+  declaredAllergens: string[];
+  warnings: Record<string, AllergenWarning[]>;
+}
+
+// Get the allergens in a recipe, rated against the user's declared allergens
+export const getRecipeAllergens = async (id: string): Promise<RecipeAllergensResponse> => {
+  try {
+    const response = await api.get<RecipeAllergensResponse>(`/api/recipes/${id}/allergens`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get allergen warnings for several recipes, keyed by recipe id
+export const getAllergenWarnings = async (ids: string[]): Promise<AllergenWarningsResponse> => {
+  try {
+    const response = await api.get<AllergenWarningsResponse>('/api/recipes/allergen-warnings', {
+      params: { ids: ids.join(',') },
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+export interface SubstitutionOption {
+  id: string;
+  name: string;
+  quantity: number;
+  unit: string;
+  ratio: number;
+  avoids: string[];
+  diets: string[];
+  description: string;
+  tag: string;
+  inventory: RecipeInventoryItem | null;
+  recommended: boolean;
+  matchesDiet: boolean;
+}
+
+export interface SubstitutionGroup {
+  line: {
+    _id: string;
+    name: string;
+    quantity: number;
+    unit: string;
+  };
+  allergens: string[];
+  conflicts: string[];
+  options: SubstitutionOption[];
+}
+
+export interface SubstitutionSelection {
+  line: string;
+  substitution: string;
+}
+
+export interface SubstitutionsResponse {
+  success: boolean;
+  recipeId: string;
+  title: string;
+  declaredAllergens: string[];
+  diets: string[];
+  groups: SubstitutionGroup[];
+  selected: SubstitutionSelection[];
+}
+
+export interface AppliedSubstitution {
+  line: string;
+  original: string;
+  substitution: string;
+  substitute: string;
+}
+
+export interface RecipeVariant {
+  id: string;
+  recipeId: string;
+  title: string;
+  servings: number;
+  substitutions: AppliedSubstitution[];
+  ingredients: RecipeIngredient[];
+  nutrition: RecipeNutrition;
+  allergens: RecipeAllergen[];
+  conflicts: string[];
+  hasConflict: boolean;
+  updatedAt: string;
+}
+
+export interface RecipeVariantResponse {
+  success: boolean;
+  message?: string;
+  variant: RecipeVariant;
+}
+
+// Get substitution options for a recipe's ingredients
+export const getSubstitutions = async (id: string): Promise<SubstitutionsResponse> => {
+  try {
+    const response = await api.get<SubstitutionsResponse>(`/api/recipes/${id}/substitutions`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get the user's own version of a recipe (404 when no substitutions are applied)
+export const getRecipeVariant = async (id: string): Promise<RecipeVariantResponse> => {
+  try {
+    const response = await api.get<RecipeVariantResponse>(`/api/recipes/${id}/variant`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Apply substitutions, replacing any previous variant of the recipe
+export const saveRecipeVariant = async (
+  id: string,
+  substitutions: SubstitutionSelection[]
+): Promise<RecipeVariantResponse> => {
+  try {
+    const response = await api.put<RecipeVariantResponse>(`/api/recipes/${id}/variant`, { substitutions });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Remove the user's substitutions for a recipe
+export const deleteRecipeVariant = async (id: string): Promise<{ success: boolean; message: string }> => {
+  try {
+    const response = await api.delete<{ success: boolean; message: string }>(`/api/recipes/${id}/variant`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
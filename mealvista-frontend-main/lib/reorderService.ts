@@ -0,0 +1,114 @@
+import api from './api';
+import { InventoryItem, LotDetails, StockMovement } from './authService';
+
+export type ReorderStatus = 'open' | 'approved' | 'received' | 'dismissed';
+
+export interface ReorderSuggestion {
+  id: string;
+  inventory: Pick<
+    InventoryItem,
+    '_id' | 'name' | 'unit' | 'image' | 'stock' | 'minStock' | 'maxStock' | 'status'
+  > | null;
+  status: ReorderStatus;
+  // Stock levels when the suggestion was last refreshed
+  stock: number;
+  minStock?: number;
+  maxStock?: number;
+  dailyUsage: number;
+  daysOfStockLeft: number | null;
+  suggestedQuantity: number;
+  approvedQuantity?: number;
+  receivedQuantity?: number;
+  approvedBy?: { _id: string; name: string } | null;
+  approvedAt?: string;
+  receivedBy?: { _id: string; name: string } | null;
+  receivedAt?: string;
+  // Set when the reorder was placed on a purchase order; it is received from there
+  purchaseOrder?: { _id: string; poNumber: string; status: string; expectedAt?: string } | null;
+  dismissedAt?: string;
+  note?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ReorderSuggestionsResponse {
+  success: boolean;
+  count: number;
+  statusCounts: Record<ReorderStatus, number>;
+  suggestions: ReorderSuggestion[];
+}
+
+export interface ReorderSuggestionResponse {
+  success: boolean;
+  message: string;
+  suggestion: ReorderSuggestion;
+  movement?: StockMovement;
+}
+
+export interface LowStockCheckResponse {
+  success: boolean;
+  message: string;
+  created: number;
+  refreshed: number;
+  dismissed: number;
+  alerted: number;
+}
+
+// Get reorder suggestions; 'active' (default) means open or approved (admin only)
+export const getReorderSuggestions = async (
+  status: 'active' | 'all' | ReorderStatus = 'active'
+): Promise<ReorderSuggestionsResponse> => {
+  try {
+    const response = await api.get<ReorderSuggestionsResponse>('/api/admin/reorders', { params: { status } });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Run the low-stock check now (admin only)
+export const runLowStockCheck = async (): Promise<LowStockCheckResponse> => {
+  try {
+    const response = await api.post<LowStockCheckResponse>('/api/admin/reorders/run');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Approve a suggestion, optionally ordering a different quantity (admin only)
+export const approveReorder = async (id: string, quantity?: number): Promise<ReorderSuggestionResponse> => {
+  try {
+    const response = await api.post<ReorderSuggestionResponse>(`/api/admin/reorders/${id}/approve`, { quantity });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Record the delivery for an approved suggestion as a 'receive' movement, opening a lot (admin only)
+export const receiveReorder = async (
+  id: string,
+  quantity?: number,
+  lot: LotDetails = {}
+): Promise<ReorderSuggestionResponse> => {
+  try {
+    const response = await api.post<ReorderSuggestionResponse>(`/api/admin/reorders/${id}/receive`, {
+      quantity,
+      ...lot,
+    });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Dismiss a suggestion that will not be ordered (admin only)
+export const dismissReorder = async (id: string, note?: string): Promise<ReorderSuggestionResponse> => {
+  try {
+    const response = await api.post<ReorderSuggestionResponse>(`/api/admin/reorders/${id}/dismiss`, { note });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,31 @@
+import api from './api';
+import { Product } from './productService';
+import { RecipeSummary } from './recipeService';
+
+export type SearchType = 'all' | 'recipes' | 'products';
+
+export interface SearchGroup<T> {
+  total: number;
+  hits: T[];
+}
+
+export interface SearchResponse {
+  success: boolean;
+  query: string;
+  corrected: string | null; // the query with typos fixed, when any were
+  recipes?: SearchGroup<RecipeSummary>;
+  products?: SearchGroup<Product>;
+}
+
+// Search recipes and groceries at once, best matches first (public)
+export const search = async (
+  q: string,
+  options: { type?: SearchType; limit?: number } = {}
+): Promise<SearchResponse> => {
+  try {
+    const response = await api.get<SearchResponse>('/api/search', { params: { q, ...options } });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
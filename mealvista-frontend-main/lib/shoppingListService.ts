@@ -0,0 +1,127 @@
+import api from './api';
+
+export interface ShoppingListLine {
+  id: string;
+  inventory?: string; // catalog item bought for the line
+  name: string;
+  category: string;
+  quantity: number; // summed across the list's recipes
+  unit: string;
+  packs: number | null; // units of the catalog item to buy; null when not sold in store
+  packUnit?: string;
+  price?: number; // per pack, when the list was made
+  estimated: boolean; // quantity could not be converted to packs; one is suggested
+  optional: boolean;
+  recipes: string[];
+  checked: boolean;
+}
+
+export interface ShoppingListCategory {
+  category: string;
+  lines: ShoppingListLine[];
+}
+
+export interface ShoppingListRecipe {
+  recipe: string;
+  title: string;
+  servings: number;
+}
+
+export interface ShoppingList {
+  id: string;
+  title: string;
+  weekStart: string | null;
+  recipes: ShoppingListRecipe[];
+  categories: ShoppingListCategory[];
+  lineCount: number;
+  checkedCount: number;
+  estimatedTotal: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ShoppingListSummary {
+  id: string;
+  title: string;
+  weekStart: string | null;
+  recipeCount: number;
+  lineCount: number;
+  checkedCount: number;
+  createdAt: string;
+}
+
+export interface ShoppingListsResponse {
+  success: boolean;
+  count: number;
+  lists: ShoppingListSummary[];
+}
+
+export interface ShoppingListResponse {
+  success: boolean;
+  list: ShoppingList;
+}
+
+export interface CreateShoppingListResponse extends ShoppingListResponse {
+  skippedRecipes: string[]; // planned recipes no longer available, left out of the list
+}
+
+// Make a list from recipes (servings default to each recipe's) or a meal plan week
+export interface ShoppingListSource {
+  recipes?: { recipeId: string; servings?: number }[];
+  week?: string; // any date in the week, YYYY-MM-DD
+  title?: string;
+}
+
+// Get the logged-in user's shopping lists, newest first
+export const getShoppingLists = async (): Promise<ShoppingListsResponse> => {
+  try {
+    const response = await api.get<ShoppingListsResponse>('/api/shopping-lists');
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Generate a shopping list with each ingredient summed across the recipes
+export const createShoppingList = async (source: ShoppingListSource): Promise<CreateShoppingListResponse> => {
+  try {
+    const response = await api.post<CreateShoppingListResponse>('/api/shopping-lists', source);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Get one shopping list
+export const getShoppingList = async (id: string): Promise<ShoppingListResponse> => {
+  try {
+    const response = await api.get<ShoppingListResponse>(`/api/shopping-lists/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Tick a line off (or back on)
+export const checkShoppingListLine = async (
+  id: string,
+  lineId: string,
+  checked: boolean
+): Promise<ShoppingListResponse> => {
+  try {
+    const response = await api.patch<ShoppingListResponse>(`/api/shopping-lists/${id}/lines/${lineId}`, { checked });
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
+
+// Delete a shopping list
+export const deleteShoppingList = async (id: string): Promise<{ success: boolean; message: string }> => {
+  try {
+    const response = await api.delete(`/api/shopping-lists/${id}`);
+    return response.data;
+  } catch (error: any) {
+    throw error;
+  }
+};
@@ -0,0 +1,32 @@
+// Dietary preference and allergen ids shared by the user profile and the catalog.
+// Ids match the options offered by the app's onboarding screens.
+
+const DIETS = [
+  'keto',
+  'vegetarian',
+  'vegan',
+  'gluten-free',
+  'low-carb',
+  'high-protein',
+  'dairy-free',
+];
+
+const ALLERGENS = [
+  'eggs',
+  'dairy',
+  'gluten',
+  'peanuts',
+  'tree-nuts',
+  'soy',
+  'fish',
+  'shellfish',
+  'sesame',
+  'sulfites',
+  'mustard',
+  'celery',
+];
+
+module.exports = {
+  DIETS,
+  ALLERGENS,
+};
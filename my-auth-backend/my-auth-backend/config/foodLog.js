@@ -0,0 +1,16 @@
+// Food diary settings shared by the diary endpoints and daily goal progress.
+
+// What a diary entry was logged from
+const FOOD_LOG_SOURCES = [
+  'recipe',  // servings of a recipe, as the user cooks it
+  'product', // a portion of a catalog item
+  'custom',  // anything else, with nutrients typed in by the user
+];
+
+// Portion unit of recipe entries, and the default for custom ones
+const SERVING_UNIT = 'serving';
+
+module.exports = {
+  FOOD_LOG_SOURCES,
+  SERVING_UNIT,
+};
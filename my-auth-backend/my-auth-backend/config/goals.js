@@ -0,0 +1,51 @@
+// Goal settings shared by the goals endpoints, the meal planner and recommendations.
+
+// Sexes the BMR formula has constants for
+const SEXES = ['female', 'male'];
+
+// Activity levels and the factor that turns BMR into daily energy expenditure (TDEE)
+const ACTIVITY_LEVELS = {
+  sedentary: 1.2,    // desk job, little exercise
+  light: 1.375,      // exercise 1-3 days a week
+  moderate: 1.55,    // exercise 3-5 days a week
+  active: 1.725,     // hard exercise 6-7 days a week
+  very_active: 1.9,  // physical job or training twice a day
+};
+
+// Daily calories added to TDEE for each goal (about 0.5 kg a week lost, 0.25 kg gained)
+const GOAL_CALORIE_ADJUSTMENTS = {
+  lose: -500,
+  maintain: 0,
+  gain: 300,
+};
+
+const GOALS = Object.keys(GOAL_CALORIE_ADJUSTMENTS);
+
+// Protein per kg of body weight; higher while losing to keep muscle
+const PROTEIN_PER_KG = {
+  lose: 2,
+  maintain: 1.6,
+  gain: 1.8,
+};
+
+// Share of the calorie target from fat; carbs make up what protein and fat leave
+const FAT_CALORIE_SHARE = 0.3;
+
+// Fiber grams per 1000 kcal eaten
+const FIBER_PER_1000_KCAL = 14;
+
+// Adult formulas; the app is not meant for children
+const MIN_AGE = 16;
+const MAX_AGE = 100;
+
+module.exports = {
+  SEXES,
+  ACTIVITY_LEVELS,
+  GOAL_CALORIE_ADJUSTMENTS,
+  GOALS,
+  PROTEIN_PER_KG,
+  FAT_CALORIE_SHARE,
+  FIBER_PER_1000_KCAL,
+  MIN_AGE,
+  MAX_AGE,
+};
@@ -0,0 +1,86 @@
+// Stock movement, lot and reorder settings shared by the ledger, checkout, the
+// background jobs and the admin screens.
+
+const path = require('path');
+
+// Kinds of stock movement and which way each moves stock:
+// 1 adds stock, -1 removes it, 0 either way (the quantity carries the sign)
+const STOCK_MOVEMENT_DIRECTIONS = {
+  receive: 1,     // delivery from a supplier, or opening stock
+  sale: -1,       // sold through checkout
+  adjustment: 0,  // stock count correction
+  spoilage: -1,   // expired, damaged or thrown away
+  return: 1,      // back on the shelf from a cancelled order or a customer
+};
+
+const STOCK_MOVEMENT_TYPES = Object.keys(STOCK_MOVEMENT_DIRECTIONS);
+
+// Movement types that need a reason when recorded by hand
+const REASON_REQUIRED_MOVEMENTS = ['adjustment', 'spoilage'];
+
+// A lot is active until it expires and is written off
+const LOT_STATUSES = ['active', 'written_off'];
+
+// How often expired lots are written off; 0 turns it off
+const EXPIRY_CHECK_INTERVAL_MINUTES = Number(process.env.EXPIRY_CHECK_INTERVAL_MINUTES ?? 60);
+
+// Default window of the expiring-lots report
+const EXPIRY_REPORT_DAYS = 7;
+
+// Lifecycle of a price change: scheduled -> active -> ended, or scheduled -> cancelled.
+// An active change ends at its effectiveTo date or when a later open-ended change replaces it.
+const PRICE_CHANGE_STATUSES = ['scheduled', 'active', 'ended', 'cancelled'];
+
+// How often scheduled price changes are checked for activation, so a change takes effect
+// within this many minutes of its start; 0 turns it off
+const PRICE_CHECK_INTERVAL_MINUTES = Number(process.env.PRICE_CHECK_INTERVAL_MINUTES ?? 60);
+
+// Fields of an inventory item shoppers may see. Stock levels, reorder thresholds
+// and costs stay internal; `status` says whether it can be bought.
+const PRODUCT_PUBLIC_FIELDS = 'name category subcategory unit price image status description origin nutrition allergens mayContainAllergens';
+
+// Where groceryStore.js keeps items: 'file' (a JSON file, for offline development
+// and tests) or 'mongo' (the Inventory collection)
+const GROCERY_STORE = process.env.GROCERY_STORE || 'file';
+
+// File used by the 'file' grocery store
+const GROCERY_STORE_FILE = process.env.GROCERY_STORE_FILE || path.join(__dirname, '..', 'data', 'groceries.json');
+
+// Lifecycle of a reorder suggestion:
+// open -> approved -> received, or open/approved -> dismissed
+const REORDER_STATUSES = ['open', 'approved', 'received', 'dismissed'];
+
+// Suggestions that still need someone to act on them
+const ACTIVE_REORDER_STATUSES = ['open', 'approved'];
+
+// How often the low-stock job runs; 0 turns it off
+const LOW_STOCK_CHECK_INTERVAL_MINUTES = Number(process.env.LOW_STOCK_CHECK_INTERVAL_MINUTES ?? 60);
+
+// Consumption velocity is averaged over this many days of movements
+const REORDER_VELOCITY_DAYS = 14;
+
+// Days a delivery usually takes; what sells meanwhile is added to the suggestion
+const REORDER_LEAD_TIME_DAYS = 3;
+
+// Where low-stock alerts go. Falls back to every admin account when unset.
+const LOW_STOCK_ALERT_EMAIL = process.env.LOW_STOCK_ALERT_EMAIL || '';
+
+module.exports = {
+  STOCK_MOVEMENT_DIRECTIONS,
+  STOCK_MOVEMENT_TYPES,
+  REASON_REQUIRED_MOVEMENTS,
+  LOT_STATUSES,
+  EXPIRY_CHECK_INTERVAL_MINUTES,
+  EXPIRY_REPORT_DAYS,
+  PRICE_CHANGE_STATUSES,
+  PRICE_CHECK_INTERVAL_MINUTES,
+  PRODUCT_PUBLIC_FIELDS,
+  GROCERY_STORE,
+  GROCERY_STORE_FILE,
+  REORDER_STATUSES,
+  ACTIVE_REORDER_STATUSES,
+  LOW_STOCK_CHECK_INTERVAL_MINUTES,
+  REORDER_VELOCITY_DAYS,
+  REORDER_LEAD_TIME_DAYS,
+  LOW_STOCK_ALERT_EMAIL,
+};
@@ -0,0 +1,41 @@
+// Meal planner settings shared by the planner endpoints and auto-fill.
+
+// Slots of a planned day, in the order the app shows them
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const PLAN_DAYS = 7;
+
+// Share of the day's calorie target each slot aims for when auto-filling
+const SLOT_CALORIE_SHARES = {
+  breakfast: 0.25,
+  lunch: 0.35,
+  dinner: 0.3,
+  snack: 0.1,
+};
+
+// Recipe tags that mark a recipe as suited to a slot. Recipes tagged for no slot
+// are used for the main meals when a slot has no tagged recipes of its own.
+const SLOT_TAGS = {
+  breakfast: ['breakfast'],
+  lunch: ['lunch'],
+  dinner: ['dinner'],
+  snack: ['snack', 'dessert'],
+};
+
+// Recipe tags that satisfy a diet besides the diet's own id (DIETS in config/dietary.js)
+const DIET_TAGS = {
+  vegetarian: ['vegan'],
+  'dairy-free': ['vegan'],
+};
+
+// Calorie target when the user has not recorded their measurements
+const DEFAULT_CALORIE_TARGET = 2000;
+
+module.exports = {
+  MEAL_SLOTS,
+  PLAN_DAYS,
+  SLOT_CALORIE_SHARES,
+  SLOT_TAGS,
+  DIET_TAGS,
+  DEFAULT_CALORIE_TARGET,
+};
@@ -0,0 +1,53 @@
+// Order settings shared by checkout, order history and the admin screens.
+
+// Status ids, in the order an order normally moves through them
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'packed',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+// Allowed next statuses for each status. Anything else is rejected.
+// Orders can be cancelled until they leave the store; refunds apply to paid orders only.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// Statuses from which customers may cancel their own order
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+// Statuses of orders that are still on their way
+const ACTIVE_ORDER_STATUSES = ['pending', 'confirmed', 'packed', 'out_for_delivery'];
+
+// Who changed an order's status
+const STATUS_CHANGE_ROLES = ['customer', 'admin', 'system'];
+
+// Flat delivery fee (Rs) added to every order
+const DELIVERY_FEE = 30;
+
+// Orders are expected to arrive the day after they are placed
+const DELIVERY_DAYS = 1;
+
+// How long a checkout holds the cart at most, so one that crashed cannot lock it for good
+const CHECKOUT_LOCK_SECONDS = 120;
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  ACTIVE_ORDER_STATUSES,
+  STATUS_CHANGE_ROLES,
+  DELIVERY_FEE,
+  DELIVERY_DAYS,
+  CHECKOUT_LOCK_SECONDS,
+};
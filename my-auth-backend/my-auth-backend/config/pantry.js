@@ -0,0 +1,15 @@
+// Pantry settings shared by the pantry screens, recipe details and order delivery.
+
+// Where a pantry entry came from
+const PANTRY_SOURCES = [
+  'manual', // added by the user
+  'order',  // a delivered order
+];
+
+// Entries expiring within this many days are flagged on the pantry screen
+const PANTRY_EXPIRING_DAYS = 3;
+
+module.exports = {
+  PANTRY_SOURCES,
+  PANTRY_EXPIRING_DAYS,
+};
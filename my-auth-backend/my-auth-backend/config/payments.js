@@ -0,0 +1,32 @@
+// Payment settings shared by checkout and the payment providers.
+
+// Card payments go through this provider; cash on delivery always uses 'cash'
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+
+// Payment states of an order, separate from its delivery status
+const PAYMENT_STATUSES = [
+  'pending',         // not paid yet (cash on delivery, or card not yet authorized)
+  'requires_action', // the card issuer asked for a 3-D Secure check
+  'authorized',      // funds held, not captured yet
+  'paid',
+  'failed',
+  'refunding',       // a refund has been claimed and is with the provider
+  'refunded',
+];
+
+const PAYMENT_METHODS = ['card', 'cash'];
+
+const CURRENCY = 'PKR';
+
+// Shared secret used to sign provider webhooks. Only development gets a fallback:
+// in production webhooks are refused until PAYMENT_WEBHOOK_SECRET is set.
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET
+  || (process.env.NODE_ENV !== 'production' ? 'mealvista-dev-webhook-secret' : null);
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  PAYMENT_STATUSES,
+  PAYMENT_METHODS,
+  CURRENCY,
+  PAYMENT_WEBHOOK_SECRET,
+};
@@ -0,0 +1,22 @@
+// Purchase order settings shared by the purchasing routes and the admin screens.
+
+// A purchase order is placed as 'ordered', and moves to 'partially_received' and
+// 'received' as deliveries arrive. Anything not yet received can be cancelled.
+const PURCHASE_ORDER_STATUSES = [
+  'ordered',
+  'partially_received',
+  'received',
+  'cancelled',
+];
+
+// Purchase orders still waiting for (part of) their delivery
+const OPEN_PURCHASE_ORDER_STATUSES = ['ordered', 'partially_received'];
+
+// Expected delivery when the supplier has no lead time on file
+const DEFAULT_LEAD_TIME_DAYS = 3;
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  OPEN_PURCHASE_ORDER_STATUSES,
+  DEFAULT_LEAD_TIME_DAYS,
+};
@@ -0,0 +1,69 @@
+// Search settings shared by the unified search endpoint and the catalog filters.
+
+// Words that mean the same thing to our shoppers. Each group lists English names
+// alongside the Urdu/Hindi names common in the Pakistani catalog; searching for any
+// entry finds the others. Entries may be phrases ('kali mirch').
+const SEARCH_SYNONYMS = [
+  ['turmeric', 'haldi'],
+  ['coriander', 'dhania', 'cilantro'],
+  ['cumin', 'zeera', 'jeera'],
+  ['chili', 'chilli', 'mirch'],
+  ['black pepper', 'kali mirch'],
+  ['red chili', 'lal mirch'],
+  ['green chili', 'hari mirch'],
+  ['garlic', 'lehsan', 'lahsun'],
+  ['ginger', 'adrak'],
+  ['onion', 'pyaz', 'piyaz'],
+  ['tomato', 'tamatar'],
+  ['potato', 'aloo', 'alu'],
+  ['spinach', 'palak'],
+  ['cauliflower', 'gobi'],
+  ['okra', 'bhindi', 'ladyfinger'],
+  ['peas', 'matar'],
+  ['eggplant', 'baingan', 'brinjal', 'aubergine'],
+  ['bitter gourd', 'karela'],
+  ['fenugreek', 'methi'],
+  ['mint', 'pudina', 'podina'],
+  ['cardamom', 'elaichi'],
+  ['clove', 'laung'],
+  ['cinnamon', 'dalchini'],
+  ['mustard', 'sarson'],
+  ['lentils', 'daal', 'dal'],
+  ['chickpeas', 'chana', 'chole'],
+  ['rice', 'chawal'],
+  ['flour', 'atta'],
+  ['yogurt', 'dahi', 'curd'],
+  ['milk', 'doodh'],
+  ['butter', 'makhan'],
+  ['ghee', 'clarified butter'],
+  ['salt', 'namak'],
+  ['sugar', 'cheeni'],
+  ['chicken', 'murgh', 'murghi'],
+  ['mutton', 'gosht'],
+  ['fish', 'machli'],
+  ['egg', 'anda'],
+];
+
+// Words left out of search queries
+const SEARCH_STOP_WORDS = ['a', 'an', 'and', 'the', 'of', 'with', 'for', 'in', 'to', 'or'];
+
+// Typos tolerated per word, by word length: none below 4 letters, one up to 7, two beyond
+const maxTyposFor = (length) => {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+};
+
+// Words of a query looked at; the rest are ignored
+const SEARCH_MAX_TERMS = 8;
+
+// How long the list of known catalog words is reused before it is rebuilt
+const SEARCH_VOCABULARY_TTL_MINUTES = Number(process.env.SEARCH_VOCABULARY_TTL_MINUTES ?? 10);
+
+module.exports = {
+  SEARCH_SYNONYMS,
+  SEARCH_STOP_WORDS,
+  SEARCH_MAX_TERMS,
+  SEARCH_VOCABULARY_TTL_MINUTES,
+  maxTyposFor,
+};
@@ -0,0 +1,18 @@
+const { writeOffExpiredLots } = require('../services/stockService');
+const { singleRun, startIntervalJob } = require('./intervalJob');
+
+// Write off expired lots once
+const runExpiryCheck = singleRun('Expiry check', async () => {
+  const result = await writeOffExpiredLots();
+  if (result.lots) {
+    console.log(`🗑️  Expiry check: wrote off ${result.lots} lot(s), ${result.quantity} unit(s)`);
+  }
+  return result;
+});
+
+const startExpiryJob = () => startIntervalJob('Expiry', 'EXPIRY_CHECK_INTERVAL_MINUTES', runExpiryCheck);
+
+module.exports = {
+  runExpiryCheck,
+  startExpiryJob,
+};
@@ -0,0 +1,41 @@
+const inventoryConfig = require('../config/inventory');
+
+// Wrap a job's task so a run starting while the previous one is still going is
+// skipped, and a failed run is logged instead of thrown.
+// The returned function resolves to the task's result, or null when skipped or failed.
+const singleRun = (name, task) => {
+  let running = false;
+  return async () => {
+    if (running) return null;
+    running = true;
+    try {
+      return await task();
+    } catch (error) {
+      console.error(`❌ ${name} failed:`, error.message);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+};
+
+// Call `run` every `intervalSetting` minutes (a config/inventory.js setting, named after
+// its environment variable) for as long as the server runs; 0 turns the job off.
+// Returns the timer, or null when the job is off.
+const startIntervalJob = (name, intervalSetting, run) => {
+  const minutes = inventoryConfig[intervalSetting];
+  if (!(minutes > 0)) {
+    console.log(`⏸️  ${name} job disabled (${intervalSetting}=0)`);
+    return null;
+  }
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  // Don't keep the process alive just for a job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  singleRun,
+  startIntervalJob,
+};
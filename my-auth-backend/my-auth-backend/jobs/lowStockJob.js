@@ -0,0 +1,21 @@
+const { generateReorderSuggestions } = require('../services/reorderService');
+const { singleRun, startIntervalJob } = require('./intervalJob');
+
+// Run one low-stock check
+const runLowStockCheck = singleRun('Low-stock check', async () => {
+  const result = await generateReorderSuggestions();
+  if (result.created || result.dismissed || result.alerted) {
+    console.log(
+      `📦 Low-stock check: ${result.created} new, ${result.refreshed} refreshed, ` +
+      `${result.dismissed} dismissed, ${result.alerted} alerted`
+    );
+  }
+  return result;
+});
+
+const startLowStockJob = () => startIntervalJob('Low-stock', 'LOW_STOCK_CHECK_INTERVAL_MINUTES', runLowStockCheck);
+
+module.exports = {
+  runLowStockCheck,
+  startLowStockJob,
+};
@@ -0,0 +1,18 @@
+const { applyDuePriceChanges } = require('../services/priceService');
+const { singleRun, startIntervalJob } = require('./intervalJob');
+
+// Apply due price changes once
+const runPriceCheck = singleRun('Price check', async () => {
+  const result = await applyDuePriceChanges();
+  if (result.activated || result.ended) {
+    console.log(`🏷️  Price check: ${result.activated} change(s) started, ${result.ended} ended, ${result.repriced} item(s) repriced`);
+  }
+  return result;
+});
+
+const startPriceJob = () => startIntervalJob('Price', 'PRICE_CHECK_INTERVAL_MINUTES', runPriceCheck);
+
+module.exports = {
+  runPriceCheck,
+  startPriceJob,
+};
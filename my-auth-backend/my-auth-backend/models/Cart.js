@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Most units of one item a cart line can hold
+const MAX_LINE_QUANTITY = 99;
+
+const cartItemSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_LINE_QUANTITY,
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One cart per user; lines are keyed by inventory item
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema],
+  // Set while an order is being placed from the cart, so a double-tapped or retried
+  // checkout cannot place it twice
+  checkoutStartedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+cartSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Find the user's cart, creating an empty one on first use
+cartSchema.statics.findOrCreate = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+cartSchema.statics.MAX_LINE_QUANTITY = MAX_LINE_QUANTITY;
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { FOOD_LOG_SOURCES, SERVING_UNIT } = require('../config/foodLog');
+const { MEAL_SLOTS } = require('../config/mealPlans');
+const { NUTRIENTS } = require('../services/nutritionService');
+
+// Nutrients of the whole portion, worked out when it is logged so later recipe or
+// catalog changes do not rewrite the diary
+const nutrientFields = { calories: { type: Number, min: 0, default: 0 } };
+NUTRIENTS.forEach(({ key }) => {
+  nutrientFields[key] = { type: Number, min: 0, default: 0 };
+});
+const nutrientsSchema = new mongoose.Schema(nutrientFields, { _id: false });
+
+// Something a user ate, on the day they ate it
+const foodLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC of the user's local day
+  date: {
+    type: Date,
+    required: true
+  },
+  slot: {
+    type: String,
+    enum: MEAL_SLOTS,
+    default: 'snack'
+  },
+  source: {
+    type: String,
+    enum: FOOD_LOG_SOURCES,
+    required: true
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Servings for recipes; any measure for products and custom entries
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: SERVING_UNIT
+  },
+  nutrients: {
+    type: nutrientsSchema,
+    default: () => ({})
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+foodLogSchema.index({ user: 1, date: 1 });
+
+foodLogSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('FoodLog', foodLogSchema);
@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const { ALLERGENS } = require('../config/dietary');
+
+// Nutrient values per 100g of the item (USDA-style). Micronutrient units:
+// sodium, vitaminC, calcium, iron, potassium, magnesium, zinc in mg;
+// vitaminA and vitaminD in mcg.
+const nutritionSchema = new mongoose.Schema({
+  calories: { type: Number, min: 0, default: 0 },
+  protein: { type: Number, min: 0, default: 0 },
+  carbs: { type: Number, min: 0, default: 0 },
+  fat: { type: Number, min: 0, default: 0 },
+  fiber: { type: Number, min: 0, default: 0 },
+  sugar: { type: Number, min: 0, default: 0 },
+  sodium: { type: Number, min: 0, default: 0 },
+  vitaminA: { type: Number, min: 0, default: 0 },
+  vitaminC: { type: Number, min: 0, default: 0 },
+  vitaminD: { type: Number, min: 0, default: 0 },
+  calcium: { type: Number, min: 0, default: 0 },
+  iron: { type: Number, min: 0, default: 0 },
+  potassium: { type: Number, min: 0, default: 0 },
+  magnesium: { type: Number, min: 0, default: 0 },
+  zinc: { type: Number, min: 0, default: 0 },
+  // Grams per ml, used to weigh volume measures (tsp, cup, ml)
+  density: { type: Number, min: 0, default: 1 },
+  // Grams per piece/slice/clove, used to weigh counted measures
+  pieceWeight: { type: Number, min: 0 }
+}, { _id: false });
 
 const inventorySchema = new mongoose.Schema({
   name: {
@@ -37,6 +63,11 @@ const inventorySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // What one unit cost us on the latest purchase order delivery
+  unitCost: {
+    type: Number,
+    min: 0
+  },
   status: {
     type: String,
     enum: ['in_stock', 'low_stock', 'out_of_stock'],
@@ -58,6 +89,19 @@ const inventorySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  nutrition: {
+    type: nutritionSchema,
+    default: undefined
+  },
+  // Allergens the item contains, and those it may contain as traces
+  allergens: [{
+    type: String,
+    enum: ALLERGENS
+  }],
+  mayContainAllergens: [{
+    type: String,
+    enum: ALLERGENS
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,19 +112,39 @@ const inventorySchema = new mongoose.Schema({
   }
 });
 
+// Stock status for a stock level, also used by stores that keep items outside Mongo
+inventorySchema.statics.statusFor = (stock, minStock) => {
+  if (stock <= 0) return 'out_of_stock';
+  if (stock <= minStock) return 'low_stock';
+  return 'in_stock';
+};
+
 // Update status based on stock
 inventorySchema.pre('save', function(next) {
-  if (this.stock <= 0) {
-    this.status = 'out_of_stock';
-  } else if (this.stock <= this.minStock) {
-    this.status = 'low_stock';
-  } else {
-    this.status = 'in_stock';
+  // After creation, stock only changes through stockService.recordMovement
+  if (!this.isNew && this.isModified('stock')) {
+    return next(new Error('Stock can only be changed by recording a stock movement'));
+  }
+  // ...and price only through priceService, which keeps its history
+  if (!this.isNew && this.isModified('price')) {
+    return next(new Error('Price can only be changed by recording a price change'));
   }
+
+  this.status = inventorySchema.statics.statusFor(this.stock, this.minStock);
   this.updatedAt = Date.now();
   next();
 });
 
+// Indexes for the public product catalog, browsed by category or sorted by price
+inventorySchema.index({ available: 1, category: 1, subcategory: 1, name: 1 });
+inventorySchema.index({ available: 1, price: 1 });
+
+// Text index for search; a match in the name counts most
+inventorySchema.index(
+  { name: 'text', subcategory: 'text', category: 'text', origin: 'text', description: 'text' },
+  { name: 'inventory_search', weights: { name: 10, subcategory: 4, category: 3, origin: 2, description: 1 } }
+);
+
 module.exports = mongoose.model('Inventory', inventorySchema);
 
 
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { MEAL_SLOTS, PLAN_DAYS } = require('../config/mealPlans');
+
+// One planned meal: a recipe in a slot of a day of the week
+const plannedMealSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: PLAN_DAYS - 1 // 0 = Monday
+  },
+  slot: {
+    type: String,
+    enum: MEAL_SLOTS,
+    required: true
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  servings: {
+    type: Number,
+    min: 0.5,
+    default: 1
+  }
+}, { _id: false });
+
+// A user's plan for one week; empty slots have no entry
+const mealPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Monday 00:00 UTC of the planned week
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  // Daily calories auto-fill aimed for
+  calorieTarget: {
+    type: Number,
+    min: 0
+  },
+  meals: [plannedMealSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mealPlanSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+
+mealPlanSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('MealPlan', mealPlanSchema);
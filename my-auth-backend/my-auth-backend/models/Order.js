@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { ORDER_STATUSES, STATUS_CHANGE_ROLES } = require('../config/orders');
+const { PAYMENT_STATUSES, PAYMENT_METHODS } = require('../config/payments');
+
+// A cart line frozen at checkout: later price or name changes do not affect it
+const orderItemSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  image: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// One entry per status change, oldest first
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: STATUS_CHANGE_ROLES,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true // e.g., 'ORD-2025-48213907'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [(items) => items.length > 0, 'An order needs at least one item']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'card'
+  },
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  // What the payment provider reported; never holds card numbers
+  payment: {
+    provider: { type: String, trim: true },
+    reference: { type: String, trim: true }, // provider's id for the payment
+    card: {
+      brand: { type: String, trim: true },
+      last4: { type: String, trim: true }
+    },
+    failureReason: { type: String, trim: true },
+    authorizedAt: { type: Date },
+    paidAt: { type: Date },
+    refundedAt: { type: Date }
+  },
+  deliveryAddress: {
+    address: { type: String, trim: true },
+    city: { type: String, trim: true }
+  },
+  estimatedDelivery: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for a user's order history, newest first
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ user: 1, status: 1 });
+// Index for the admin order list
+orderSchema.index({ status: 1, createdAt: -1 });
+// Index for matching provider webhooks to orders
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true });
+
+orderSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate a human-readable order number
+orderSchema.statics.generateOrderNumber = function() {
+  const year = new Date().getFullYear();
+  const serial = `${Date.now() % 1000000}`.padStart(6, '0');
+  const random = Math.floor(Math.random() * 90 + 10);
+  return `ORD-${year}-${serial}${random}`;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
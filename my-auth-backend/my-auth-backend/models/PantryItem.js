@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { PANTRY_SOURCES } = require('../config/pantry');
+
+// Something a user has at home. Entries for the same item are kept apart when they
+// expire on different days, so the oldest can be used up first.
+const pantryItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The catalog item, when known; recipe lines are matched on it before the name
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'piece'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: PANTRY_SOURCES,
+    default: 'manual'
+  },
+  // Delivered order the entry was filled from
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pantryItemSchema.index({ user: 1, expiresAt: 1, name: 1 });
+pantryItemSchema.index({ user: 1, inventory: 1 });
+
+pantryItemSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('PantryItem', pantryItemSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { PRICE_CHANGE_STATUSES } = require('../config/inventory');
+
+// One price for an inventory item over a period of time. The price in effect at a
+// moment is the one from the latest change whose period covers it, so a dated
+// promotion overrides the regular price and the regular price returns when it ends.
+const priceChangeSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price the item had when this change took effect
+  previousPrice: {
+    type: Number,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  // Open-ended when unset
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: PRICE_CHANGE_STATUSES,
+    default: 'scheduled'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  endedAt: Date,
+  cancelledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+priceChangeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for an item's price history and the price at a given time
+priceChangeSchema.index({ inventory: 1, effectiveFrom: -1 });
+// Index for the scheduler
+priceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
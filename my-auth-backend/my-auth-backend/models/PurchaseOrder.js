@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { PURCHASE_ORDER_STATUSES } = require('../config/purchasing');
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  // Snapshot of the item when the order was placed
+  name: {
+    type: String,
+    required: true
+  },
+  unit: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What one unit costs us; can be set when ordering and corrected on receipt
+  unitCost: {
+    type: Number,
+    min: 0
+  }
+});
+
+// One delivery against the order
+const receiptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: [{
+    _id: false,
+    line: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    unitCost: Number,
+    // The 'receive' movement that added the delivery to stock
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement'
+    }
+  }]
+}, { _id: false });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'ordered'
+  },
+  lines: [purchaseOrderLineSchema],
+  receipts: [receiptSchema],
+  expectedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+purchaseOrderSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for the admin list, newest first
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'lines.inventory': 1, status: 1 });
+
+// Generate a human-readable purchase order number
+purchaseOrderSchema.statics.generatePONumber = function() {
+  const year = new Date().getFullYear();
+  const serial = `${Date.now() % 1000000}`.padStart(6, '0');
+  const random = Math.floor(Math.random() * 90 + 10);
+  return `PO-${year}-${serial}${random}`;
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
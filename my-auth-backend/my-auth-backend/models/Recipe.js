@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const ingredientLineSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'piece'
+  },
+  note: {
+    type: String,
+    trim: true // e.g., 'finely chopped'
+  },
+  optional: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: true });
+
+const stepSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  time: {
+    type: String,
+    trim: true // e.g., '8-10 minutes'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  details: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const recipeSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  image: {
+    type: String,
+    trim: true
+  },
+  images: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    trim: true // e.g., 'Soup', 'Salad', 'Dessert'
+  },
+  cuisine: {
+    type: String,
+    trim: true // e.g., 'Pakistani', 'Mediterranean'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  time: {
+    type: Number,
+    required: true,
+    min: 0 // minutes
+  },
+  difficulty: {
+    type: String,
+    enum: ['Easy', 'Medium', 'Hard'],
+    default: 'Medium'
+  },
+  servings: {
+    type: Number,
+    min: 1,
+    default: 2
+  },
+  calories: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  trending: {
+    type: Boolean,
+    default: false
+  },
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  ingredients: [ingredientLineSchema],
+  steps: [stepSchema],
+  published: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster catalog queries
+recipeSchema.index({ published: 1, trending: 1, createdAt: -1 });
+recipeSchema.index({ tags: 1 });
+
+// Text index for search; a match in the title counts most, then tags and ingredients
+recipeSchema.index(
+  { title: 'text', tags: 'text', 'ingredients.name': 'text', category: 'text', cuisine: 'text', description: 'text' },
+  {
+    name: 'recipe_search',
+    weights: { title: 10, tags: 5, 'ingredients.name': 3, category: 3, cuisine: 2, description: 1 }
+  }
+);
+
+// Keep the primary image in sync with the gallery
+recipeSchema.pre('save', function(next) {
+  if (!this.image && this.images && this.images.length > 0) {
+    this.image = this.images[0];
+  }
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Recipe', recipeSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Recipe = require('./Recipe');
+
+const appliedSubstitutionSchema = new mongoose.Schema({
+  line: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true // _id of the replaced ingredient line in the recipe
+  },
+  original: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  substitution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Substitution',
+    required: true
+  },
+  substitute: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// A user's own version of a recipe with substitutions applied.
+// Each user keeps at most one variant per recipe.
+const recipeVariantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  substitutions: [appliedSubstitutionSchema],
+  // Full ingredient list with the substitutions applied, in the recipe's line format
+  ingredients: [Recipe.schema.path('ingredients').schema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recipeVariantSchema.index({ user: 1, recipe: 1 }, { unique: true });
+
+recipeVariantSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('RecipeVariant', recipeVariantSchema);
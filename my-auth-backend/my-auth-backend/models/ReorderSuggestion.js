@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { REORDER_STATUSES, ACTIVE_REORDER_STATUSES } = require('../config/inventory');
+
+// A suggested restock for an item that fell to or below its minStock.
+// Created by the low-stock job; an admin approves it and marks it received
+// when the delivery arrives, which records a 'receive' stock movement.
+const reorderSuggestionSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: REORDER_STATUSES,
+    default: 'open'
+  },
+  // Stock levels when the suggestion was last refreshed
+  stock: {
+    type: Number,
+    required: true
+  },
+  minStock: Number,
+  maxStock: Number,
+  // Average units consumed per day over the velocity window
+  dailyUsage: {
+    type: Number,
+    default: 0
+  },
+  // Days until the item runs out at that rate (null when nothing is selling)
+  daysOfStockLeft: {
+    type: Number,
+    default: null
+  },
+  suggestedQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Amount the admin approved, and the amount that actually arrived
+  approvedQuantity: Number,
+  receivedQuantity: Number,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  // The 'receive' movement that closed this suggestion
+  movement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockMovement'
+  },
+  // Purchase order the restock was placed on; it is then received through that order
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  dismissedAt: Date,
+  note: {
+    type: String,
+    trim: true
+  },
+  // Set once the suggestion has been included in an alert email
+  alertedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+reorderSuggestionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// At most one active suggestion per item, so the job never doubles up
+reorderSuggestionSchema.index(
+  { inventory: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_REORDER_STATUSES } } }
+);
+reorderSuggestionSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReorderSuggestion', reorderSuggestionSchema);
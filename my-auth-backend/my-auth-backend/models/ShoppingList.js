@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// A recipe the list was generated from, and for how many servings
+const listRecipeSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  servings: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// One ingredient to buy, summed across the list's recipes
+const listLineSchema = new mongoose.Schema({
+  // The catalog item bought for the line; unset when no available item matches
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'Other'
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Units of the catalog item (its pack size) covering the quantity
+  packs: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  packUnit: {
+    type: String,
+    trim: true
+  },
+  // Price of one pack when the list was made
+  price: {
+    type: Number,
+    min: 0
+  },
+  // The quantity could not be converted to the pack unit; one pack is suggested
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  // Optional in every recipe that uses it
+  optional: {
+    type: Boolean,
+    default: false
+  },
+  recipes: [{
+    type: String,
+    trim: true
+  }],
+  checked: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: true });
+
+const shoppingListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Monday of the meal plan week the list was made from, if any
+  weekStart: {
+    type: Date,
+    default: null
+  },
+  recipes: [listRecipeSchema],
+  lines: [listLineSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shoppingListSchema.index({ user: 1, createdAt: -1 });
+
+shoppingListSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ShoppingList', shoppingListSchema);
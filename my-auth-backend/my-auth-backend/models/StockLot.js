@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { LOT_STATUSES } = require('../config/inventory');
+
+// One delivery of an inventory item. Every 'receive' movement opens a lot; sales,
+// spoilage and stock reductions draw from lots first-expiry-first-out. Stock not
+// covered by any lot (from before lots were tracked, or a positive adjustment) is
+// treated as non-perishable and drawn last.
+const stockLotSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Amount received, and what is left of it
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lots without an expiry date never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  status: {
+    type: String,
+    enum: LOT_STATUSES,
+    default: 'active'
+  },
+  writtenOffAt: Date,
+  // The 'receive' movement that opened the lot
+  movement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockMovement'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+stockLotSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for picking an item's open lots, and for the expiry report and write-off
+stockLotSchema.index({ inventory: 1, status: 1, expiresAt: 1 });
+stockLotSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
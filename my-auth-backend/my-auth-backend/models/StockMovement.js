@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { STOCK_MOVEMENT_TYPES } = require('../config/inventory');
+
+// One change to an inventory item's stock. Entries are only ever appended.
+const stockMovementSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: STOCK_MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change to stock: positive adds, negative removes
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock right after this movement
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'customer', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Lots the movement added to or drew from, with the unsigned amount for each.
+  // Whatever is not covered here came from (or went to) untracked stock.
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    quantity: Number
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for an item's history, newest first
+stockMovementSchema.index({ inventory: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 }, { sparse: true });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { ALLERGENS, DIETS } = require('../config/dietary');
+
+// One edge of the substitution graph: `ingredient` can be replaced by `substitute`.
+// The substitute quantity is the original quantity x `ratio`, in `unit` when set
+// (e.g. 1 tbsp flax per egg) or in the original line's unit otherwise.
+const substitutionSchema = new mongoose.Schema({
+  ingredient: {
+    type: String,
+    required: true,
+    trim: true // matches recipe ingredient line names, case-insensitively
+  },
+  substitute: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory' // the substitute as sold in the store, if it is
+  },
+  ratio: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Allergens that the swap removes, and diets the substitute suits
+  avoids: [{
+    type: String,
+    enum: ALLERGENS
+  }],
+  diets: [{
+    type: String,
+    enum: DIETS
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  tag: {
+    type: String,
+    trim: true // e.g., 'High in Fiber'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+substitutionSchema.index({ ingredient: 1, substitute: 1 }, { unique: true });
+
+substitutionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Substitution', substitutionSchema);
@@ -1,4 +1,102 @@
 const mongoose = require('mongoose');
+const { DIETS, ALLERGENS } = require('../config/dietary');
+const { SEXES, ACTIVITY_LEVELS, GOALS, MIN_AGE, MAX_AGE } = require('../config/goals');
+
+const bmiEntrySchema = new mongoose.Schema({
+  bmi: {
+    type: Number,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['Underweight', 'Normal', 'Overweight', 'Obese']
+  },
+  heightCm: {
+    type: Number,
+    required: true
+  },
+  weightKg: {
+    type: Number,
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Goal settings and the daily targets computed from them with the latest measurements
+const goalsSchema = new mongoose.Schema({
+  age: {
+    type: Number,
+    required: true,
+    min: MIN_AGE,
+    max: MAX_AGE
+  },
+  sex: {
+    type: String,
+    enum: SEXES,
+    required: true
+  },
+  activityLevel: {
+    type: String,
+    enum: Object.keys(ACTIVITY_LEVELS),
+    required: true
+  },
+  goal: {
+    type: String,
+    enum: GOALS,
+    default: 'maintain'
+  },
+  targets: {
+    bmr: Number,
+    tdee: Number,
+    calories: Number,
+    protein: Number,
+    carbs: Number,
+    fat: Number,
+    fiber: Number
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Onboarding answers (dietary preferences, allergens, body measurements)
+const profileSchema = new mongoose.Schema({
+  diets: [{
+    type: String,
+    enum: DIETS
+  }],
+  allergens: [{
+    type: String,
+    enum: ALLERGENS
+  }],
+  heightCm: {
+    type: Number,
+    min: 50,
+    max: 300
+  },
+  weightKg: {
+    type: Number,
+    min: 10,
+    max: 500
+  },
+  bmiHistory: [bmiEntrySchema],
+  goals: {
+    type: goalsSchema,
+    default: null
+  },
+  onboardingCompletedAt: {
+    type: Date,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -63,6 +161,10 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  profile: {
+    type: profileSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,272 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const adminAuth = require('../middleware/adminAuth');
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = require('../config/orders');
+const { toOrderJSON, parseStatusFilter } = require('../services/orderService');
+const { changeOrderStatus } = require('../services/orderStatusService');
+const { pricesAt } = require('../services/priceService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A customer filter that is a user id rather than part of a name or email
+const USER_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a from/to query value. A bare date in `to` covers that whole day.
+const parseDateFilter = (value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+// Order as the admin screens see it: who placed it and where it can go next
+const toAdminOrderJSON = (order) => ({
+  ...toOrderJSON(order),
+  nextStatuses: ORDER_TRANSITIONS[order.status] || []
+});
+
+// Order detail, with each item's price from the price history when the order was
+// placed (listPrice) and now (currentPrice), next to the price that was charged
+const toAdminOrderDetailJSON = async (order) => {
+  const data = toAdminOrderJSON(order);
+  const ids = data.items.map((item) => item.inventory);
+  const [then, now] = await Promise.all([pricesAt(ids, order.createdAt), pricesAt(ids)]);
+  const priceOf = (prices, id) => (prices.has(String(id)) ? prices.get(String(id)).price : null);
+  return {
+    ...data,
+    items: data.items.map((item) => ({
+      ...item,
+      listPrice: priceOf(then, item.inventory),
+      currentPrice: priceOf(now, item.inventory)
+    }))
+  };
+};
+
+const findOrder = (id) => Order.findById(id)
+  .populate('user', 'name email')
+  .populate('statusHistory.by', 'name');
+
+// GET ORDERS, newest first (Admin only)
+// Query: status (comma-separated or 'active'), from, to (dates, inclusive),
+// customer (user id, or part of a name or email), search (order number), page, limit
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const { from, to, customer, search } = req.query;
+    const query = {};
+
+    if (from || to) {
+      const fromDate = from ? parseDateFilter(String(from), false) : null;
+      const toDate = to ? parseDateFilter(String(to), true) : null;
+      if ((from && !fromDate) || (to && !toDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be dates (YYYY-MM-DD)'
+        });
+      }
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt[DATE_ONLY_PATTERN.test(String(to)) ? '$lt' : '$lte'] = toDate;
+    }
+
+    if (customer) {
+      if (USER_ID_PATTERN.test(String(customer))) {
+        query.user = customer;
+      } else {
+        const pattern = escapeRegex(customer);
+        const users = await User.find({
+          $or: [
+            { name: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } }
+          ]
+        }).select('_id');
+        query.user = { $in: users.map((user) => user._id) };
+      }
+    }
+
+    if (search) {
+      query.orderNumber = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+    }
+
+    // Counts per status for the filter chips, before the status filter is applied
+    const statusCounts = await Order.aggregate([
+      { $match: query },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    if (req.query.status && req.query.status !== 'all') {
+      const statuses = parseStatusFilter(req.query.status);
+      if (!statuses) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be 'active' or one of: ${ORDER_STATUSES.join(', ')}`
+        });
+      }
+      query.status = { $in: statuses };
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      statusCounts: Object.fromEntries(
+        ORDER_STATUSES.map((status) => [
+          status,
+          (statusCounts.find((entry) => entry._id === status) || { count: 0 }).count
+        ])
+      ),
+      orders: orders.map(toAdminOrderJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// GET ORDER with customer and status history (Admin only)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await findOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: await toAdminOrderDetailJSON(order)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Apply a status change requested by an admin and send the updated order
+const updateStatus = async (req, res, status, note) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const result = await changeOrderStatus(order, status, {
+    by: req.userId,
+    role: 'admin',
+    note: typeof note === 'string' && note.trim() ? note.trim() : undefined
+  });
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error,
+      nextStatuses: ORDER_TRANSITIONS[order.status] || []
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Order ${result.order.orderNumber} is now ${result.order.status.replace(/_/g, ' ')}`,
+    order: await toAdminOrderDetailJSON(await findOrder(result.order._id))
+  });
+};
+
+// ADVANCE ORDER to its next status (Admin only)
+// Body: { status, note? }. Transitions not allowed from the current status are rejected with 409.
+router.patch('/:id/status', adminAuth, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    await updateStatus(req, res, status, note);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// CANCEL ORDER (Admin only). Paid orders are refunded as part of the cancellation.
+// Body: { reason? }
+router.post('/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    await updateStatus(req, res, 'cancelled', req.body.reason);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// REFUND a paid order that was delivered or cancelled (Admin only)
+// Body: { reason? }
+router.post('/:id/refund', adminAuth, async (req, res) => {
+  try {
+    await updateStatus(req, res, 'refunded', req.body.reason);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
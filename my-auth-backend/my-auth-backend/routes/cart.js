@@ -0,0 +1,259 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Inventory = require('../models/Inventory');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields of the inventory item shown for each cart line
+const INVENTORY_CART_FIELDS = 'name category subcategory unit price image status available';
+
+// Helper: Shape a cart for the app, with prices read live from inventory.
+// Lines whose inventory item was deleted are dropped.
+const toCartJSON = async (cart) => {
+  await cart.populate('items.inventory', INVENTORY_CART_FIELDS);
+
+  const items = cart.items
+    .filter((line) => line.inventory)
+    .map((line) => ({
+      id: line.inventory._id.toString(),
+      name: line.inventory.name,
+      image: line.inventory.image,
+      price: line.inventory.price,
+      category: line.inventory.category,
+      unit: line.inventory.unit,
+      status: line.inventory.status,
+      available: line.inventory.available,
+      quantity: line.quantity,
+      addedAt: line.addedAt
+    }));
+
+  return {
+    items,
+    totalItems: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100,
+    updatedAt: cart.updatedAt
+  };
+};
+
+// Helper: Validate a requested quantity (whole number within the line limit)
+const parseQuantity = (value, { allowZero = false } = {}) => {
+  const quantity = Number(value);
+  const min = allowZero ? 0 : 1;
+  if (!Number.isInteger(quantity) || quantity < min || quantity > Cart.MAX_LINE_QUANTITY) {
+    return null;
+  }
+  return quantity;
+};
+
+// Helper: Find an inventory item that can be added to a cart
+const findSellableItem = async (inventoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(inventoryId)) return null;
+  return Inventory.findOne({ _id: inventoryId, available: true }).select('_id');
+};
+
+// Helper: Add units of an item to the cart, capped at the line limit
+const addToCart = (cart, inventoryId, quantity) => {
+  const line = cart.items.find((item) => item.inventory.toString() === inventoryId.toString());
+  if (line) {
+    line.quantity = Math.min(line.quantity + quantity, Cart.MAX_LINE_QUANTITY);
+  } else {
+    cart.items.push({ inventory: inventoryId, quantity });
+  }
+};
+
+// GET CART
+router.get('/', auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.userId);
+
+    res.json({
+      success: true,
+      cart: await toCartJSON(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// ADD ITEM
+// Body: { inventoryId, quantity = 1 }
+router.post('/items', auth, async (req, res) => {
+  try {
+    const { inventoryId } = req.body;
+    const quantity = parseQuantity(req.body.quantity ?? 1);
+    if (quantity === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be a whole number between 1 and ${Cart.MAX_LINE_QUANTITY}`
+      });
+    }
+
+    const item = await findSellableItem(inventoryId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found or not available'
+      });
+    }
+
+    const cart = await Cart.findOrCreate(req.userId);
+    addToCart(cart, item._id, quantity);
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      cart: await toCartJSON(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// UPDATE QUANTITY (0 removes the line)
+// Body: { quantity }
+router.patch('/items/:inventoryId', auth, async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity, { allowZero: true });
+    if (quantity === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be a whole number between 0 and ${Cart.MAX_LINE_QUANTITY}`
+      });
+    }
+
+    const cart = await Cart.findOrCreate(req.userId);
+    const line = cart.items.find((item) => item.inventory.toString() === req.params.inventoryId);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item is not in your cart'
+      });
+    }
+
+    if (quantity === 0) {
+      cart.items = cart.items.filter((item) => item !== line);
+    } else {
+      line.quantity = quantity;
+    }
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      cart: await toCartJSON(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// REMOVE ITEM
+router.delete('/items/:inventoryId', auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.userId);
+    cart.items = cart.items.filter((item) => item.inventory.toString() !== req.params.inventoryId);
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      cart: await toCartJSON(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// CLEAR CART
+router.delete('/', auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.userId);
+    cart.items = [];
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      cart: await toCartJSON(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// MERGE GUEST CART (after login)
+// Body: { items: [{ inventoryId, quantity }] }. Quantities are added to the
+// saved cart; items that no longer exist or are unavailable are skipped.
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'items must be an array'
+      });
+    }
+
+    const requested = items
+      .map((item) => ({
+        inventoryId: item && item.inventoryId,
+        quantity: parseQuantity(item && item.quantity)
+      }))
+      .filter((item) => item.quantity !== null && mongoose.Types.ObjectId.isValid(item.inventoryId));
+
+    const sellable = await Inventory.find({
+      _id: { $in: requested.map((item) => item.inventoryId) },
+      available: true
+    }).select('_id');
+    const sellableIds = new Set(sellable.map((item) => item._id.toString()));
+
+    const cart = await Cart.findOrCreate(req.userId);
+    const skipped = [];
+    requested.forEach((item) => {
+      if (sellableIds.has(String(item.inventoryId))) {
+        addToCart(cart, item.inventoryId, item.quantity);
+      } else {
+        skipped.push(item.inventoryId);
+      }
+    });
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart merged',
+      skipped,
+      cart: await toCartJSON(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
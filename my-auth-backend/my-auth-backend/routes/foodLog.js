@@ -0,0 +1,210 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const FoodLog = require('../models/FoodLog');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { PLAN_DAYS } = require('../config/mealPlans');
+const { describeNutrients } = require('../services/nutritionService');
+const { weekStartFor } = require('../services/mealPlanService');
+const { profileTargets } = require('../services/goalService');
+const {
+  dayFor,
+  roundNutrients,
+  sumNutrients,
+  logFood,
+  updateFoodLog,
+  entriesBetween
+} = require('../services/foodLogService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Helper: Map a diary entry to the shape the app expects
+const toFoodLogJSON = (entry) => {
+  const data = entry.toObject ? entry.toObject() : entry;
+  return {
+    ...data,
+    id: data._id.toString(),
+    date: toDateString(data.date),
+    nutrients: roundNutrients(data.nutrients)
+  };
+};
+
+// Helper: The user's targets as daily values for describeNutrients (macros without a
+// target keep the FDA values)
+const targetDailyValues = (targets) => Object.keys(targets).reduce((acc, key) => {
+  if (targets[key] !== null) acc[key] = targets[key];
+  return acc;
+}, {});
+
+// Get the diary for a day, with the day's totals and the week's against the user's targets
+// Query: date (YYYY-MM-DD, default today)
+router.get('/', auth, async (req, res) => {
+  try {
+    const day = dayFor(req.query.date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.userId, isDeleted: { $ne: true } }).select('profile');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const weekStart = weekStartFor(toDateString(day));
+    const weekEntries = await entriesBetween(req.userId, weekStart, PLAN_DAYS);
+    const entries = weekEntries.filter((entry) => entry.date.getTime() === day.getTime());
+
+    const targets = profileTargets(user.profile || {});
+    const dailyValues = targetDailyValues(targets);
+
+    const days = Array.from({ length: PLAN_DAYS }, (_, index) => {
+      const date = new Date(weekStart.getTime() + index * DAY_MS);
+      const dayEntries = weekEntries.filter((entry) => entry.date.getTime() === date.getTime());
+      const totals = sumNutrients(dayEntries);
+      return {
+        date: toDateString(date),
+        entryCount: dayEntries.length,
+        calories: Math.round(totals.calories),
+        protein: totals.protein,
+        carbs: totals.carbs,
+        fat: totals.fat
+      };
+    });
+
+    // The week is averaged over the days something was logged, so an unfinished week
+    // compares fairly with daily targets
+    const loggedDays = days.filter((entry) => entry.entryCount > 0).length;
+    const weekTotals = sumNutrients(weekEntries);
+    const weekAverage = {};
+    Object.keys(weekTotals).forEach((key) => {
+      weekAverage[key] = loggedDays > 0 ? weekTotals[key] / loggedDays : 0;
+    });
+
+    res.json({
+      success: true,
+      date: toDateString(day),
+      targets,
+      entries: entries.map(toFoodLogJSON),
+      totals: describeNutrients(sumNutrients(entries), dailyValues),
+      week: {
+        weekStart: toDateString(weekStart),
+        loggedDays,
+        days,
+        totals: weekTotals,
+        average: describeNutrients(weekAverage, dailyValues)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Log something the user ate
+// Body: source (recipe | product | custom), date, slot, quantity (servings for recipes),
+// and recipeId (recipe), inventoryId and unit (product) or name, unit and nutrients (custom)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { source, recipeId, inventoryId, name, quantity, unit, nutrients, date, slot } = req.body;
+    const result = await logFood(req.userId, {
+      source,
+      recipeId,
+      inventoryId,
+      name,
+      quantity,
+      unit,
+      nutrients,
+      date,
+      slot
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      entry: toFoodLogJSON(result.entry)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Change an entry's portion, slot or day
+// Body: quantity, slot, date
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { quantity, slot, date } = req.body;
+    const result = await updateFoodLog(req.userId, req.params.id, { quantity, slot, date });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: toFoodLogJSON(result.entry)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Remove an entry from the diary
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Diary entry not found'
+      });
+    }
+
+    const entry = await FoodLog.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Diary entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Diary entry removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
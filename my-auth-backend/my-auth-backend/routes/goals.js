@@ -0,0 +1,121 @@
+const express = require('express');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { setGoals, dayProgress, recommendRecipes } = require('../services/goalService');
+
+const router = express.Router();
+
+const DEFAULT_RECOMMENDATIONS = 10;
+const MAX_RECOMMENDATIONS = 30;
+
+// Helper: Shape a profile's goal settings and targets for the app (null when not set)
+const toGoalsJSON = (profile = {}) => {
+  const goals = profile.goals;
+  if (!goals) return null;
+  return {
+    age: goals.age,
+    sex: goals.sex,
+    activityLevel: goals.activityLevel,
+    goal: goals.goal,
+    targets: goals.targets || null,
+    heightCm: profile.heightCm ?? null,
+    weightKg: profile.weightKg ?? null,
+    updatedAt: goals.updatedAt || null
+  };
+};
+
+// Helper: Answer with the user's goals and their progress on a day
+const sendGoals = async (res, userId, profile, date) => {
+  const result = await dayProgress(userId, date);
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error
+    });
+  }
+  res.json({
+    success: true,
+    goals: toGoalsJSON(profile),
+    progress: result.progress
+  });
+};
+
+// Get the user's goals and progress toward their daily targets
+// Query: date (YYYY-MM-DD, default today)
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.userId, isDeleted: { $ne: true } }).select('profile');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await sendGoals(res, req.userId, user.profile || {}, req.query.date);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Set the user's goals; daily targets are computed from them and the saved height and weight
+// Body: age, sex, activityLevel, goal (lose | maintain | gain, default maintain), date
+router.put('/', auth, async (req, res) => {
+  try {
+    const { age, sex, activityLevel, goal, date } = req.body;
+    const result = await setGoals(req.userId, { age, sex, activityLevel, goal });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await sendGoals(res, req.userId, result.profile, date);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Recipes ranked by how well they fit what is left of the day's targets
+// Query: date (YYYY-MM-DD, default today), limit
+router.get('/recommendations', auth, async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATIONS, 1),
+      MAX_RECOMMENDATIONS
+    );
+
+    const result = await recommendRecipes(req.userId, { date: req.query.date, limit });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      progress: result.progress,
+      budget: result.budget,
+      count: result.recipes.length,
+      recipes: result.recipes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
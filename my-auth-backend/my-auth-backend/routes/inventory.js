@@ -1,38 +1,98 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
+const PriceChange = require('../models/PriceChange');
 const adminAuth = require('../middleware/adminAuth');
+const {
+  STOCK_MOVEMENT_TYPES,
+  REASON_REQUIRED_MOVEMENTS,
+  EXPIRY_REPORT_DAYS
+} = require('../config/inventory');
+const { recordMovement, createStockedItem } = require('../services/stockService');
+const { findExpiringLots } = require('../services/lotService');
+const { runExpiryCheck } = require('../jobs/expiryJob');
+const { marginPercent } = require('../services/purchaseOrderService');
+const {
+  priceAt,
+  parsePrice,
+  schedulePriceChange,
+  cancelPriceChange
+} = require('../services/priceService');
+const {
+  INVENTORY_FIELDS,
+  parseImport,
+  planImport,
+  applyImport
+} = require('../services/inventoryImportService');
+const { toCsv } = require('../services/csv');
+const { searchInventory } = require('../services/searchService');
 
 const router = express.Router();
 
-// Get all inventory items with optional category filter
-router.get('/', adminAuth, async (req, res) => {
-  try {
-    const { category, search } = req.query;
-    const query = {};
+// Fields that are derived or only change through stock movements
+const PROTECTED_FIELDS = ['stock', 'status', '_id', 'createdAt', 'updatedAt'];
 
-    if (category && category !== 'all') {
-      query.category = category;
-    }
+const DEFAULT_HISTORY_SIZE = 20;
+const MAX_HISTORY_SIZE = 100;
+const MAX_EXPIRY_REPORT_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { category: { $regex: search, $options: 'i' } },
-        { subcategory: { $regex: search, $options: 'i' } }
-      ];
-    }
+const omitProtectedFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => !PROTECTED_FIELDS.includes(key))
+);
+
+// Items for the category/search filter shared by the list and the export, as plain
+// documents. Searches are ranked by relevance and tolerate typos and synonyms;
+// otherwise items are ordered by category and name.
+const findInventory = ({ category, search }) => {
+  const filter = {};
+
+  if (category && category !== 'all') {
+    filter.category = category;
+  }
+
+  if (search) {
+    return searchInventory(search, filter);
+  }
+
+  return Inventory.find(filter).sort({ category: 1, name: 1 }).lean();
+};
+
+// Lot as the admin screens see it, with whole days until it expires (negative once expired)
+const toLotJSON = (lot) => {
+  const daysLeft = lot.expiresAt
+    ? Math.ceil((new Date(lot.expiresAt).getTime() - Date.now()) / DAY_MS)
+    : null;
+  return {
+    ...lot.toObject(),
+    id: lot._id.toString(),
+    daysLeft,
+    expired: daysLeft !== null && daysLeft <= 0
+  };
+};
+
+// Item with its margin over the latest unit cost (null until a cost is recorded)
+const toInventoryJSON = (item) => ({
+  ...(item.toObject ? item.toObject() : item),
+  id: item._id.toString(),
+  margin: marginPercent(item.price, item.unitCost)
+});
 
-    const items = await Inventory.find(query)
-      .sort({ category: 1, name: 1 });
+// Import rows as the admin screen shows them (the parsed fields stay server-side)
+const toImportRows = (rows) => rows.map(({ fields, ...row }) => row);
+
+// Get all inventory items with optional category filter
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const items = await findInventory(req.query);
 
     // Get unique categories
     const categories = await Inventory.distinct('category');
 
     // Map items to include id field for compatibility
-    const itemsWithId = items.map(item => ({
-      ...item.toObject(),
-      id: item._id.toString()
-    }));
+    const itemsWithId = items.map(toInventoryJSON);
 
     res.json({
       success: true,
@@ -49,6 +109,138 @@ router.get('/', adminAuth, async (req, res) => {
   }
 });
 
+// Export inventory as CSV or JSON, using the same category/search filter as the list
+// Query: format ('csv' default, or 'json'), category, search
+router.get('/export', adminAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be 'csv' or 'json'"
+      });
+    }
+
+    const items = await findInventory(req.query);
+    const records = items.map((item) => Object.fromEntries(
+      INVENTORY_FIELDS.map((field) => [field, item[field]])
+    ));
+    const filename = `inventory-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json({ count: records.length, items: records });
+    }
+    res.type('text/csv').send(toCsv(INVENTORY_FIELDS, records));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Report of lots expiring in the next `days` days, soonest first.
+// Expired lots that have not been written off yet are included.
+// Query: days (default EXPIRY_REPORT_DAYS)
+router.get('/lots/expiring', adminAuth, async (req, res) => {
+  try {
+    const days = Math.min(
+      Math.max(parseInt(req.query.days, 10) || EXPIRY_REPORT_DAYS, 0),
+      MAX_EXPIRY_REPORT_DAYS
+    );
+    const lots = (await findExpiringLots(days)).map(toLotJSON);
+
+    res.json({
+      success: true,
+      days,
+      count: lots.length,
+      expiredCount: lots.filter((lot) => lot.expired).length,
+      lots
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Write off expired lots now instead of waiting for the schedule
+router.post('/lots/write-off', adminAuth, async (req, res) => {
+  try {
+    const result = await runExpiryCheck();
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'An expiry check is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Wrote off ${result.lots} expired lot${result.lots === 1 ? '' : 's'}`,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Bulk import items from CSV or JSON, matching existing items by name + category
+// Body: { data, format?, dryRun? }. data is CSV text, JSON text or an array of items;
+// format is detected when left out. dryRun defaults to true and only returns the
+// preview; nothing is written while any row is invalid.
+router.post('/import', adminAuth, async (req, res) => {
+  try {
+    const parsed = parseImport(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const plan = await planImport(parsed.records, parsed.firstRow);
+    const dryRun = req.body.dryRun !== false;
+
+    if (dryRun || plan.summary.invalid > 0) {
+      return res.status(dryRun ? 200 : 422).json({
+        success: dryRun,
+        dryRun: true,
+        message: plan.summary.invalid > 0
+          ? `${plan.summary.invalid} row${plan.summary.invalid === 1 ? '' : 's'} must be fixed before importing`
+          : 'Preview only, nothing was saved',
+        format: parsed.format,
+        summary: plan.summary,
+        rows: toImportRows(plan.rows)
+      });
+    }
+
+    const result = await applyImport(plan, { by: req.userId });
+    res.json({
+      success: result.summary.failed === 0,
+      dryRun: false,
+      message: `Imported ${result.summary.create} new and ${result.summary.update} updated item${result.summary.create + result.summary.update === 1 ? '' : 's'}`,
+      format: parsed.format,
+      summary: result.summary,
+      rows: toImportRows(result.rows)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // Get single inventory item
 router.get('/:id', adminAuth, async (req, res) => {
   try {
@@ -63,7 +255,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 
     res.json({
       success: true,
-      item: item
+      item: toInventoryJSON(item)
     });
   } catch (error) {
     res.status(500).json({
@@ -75,14 +267,31 @@ router.get('/:id', adminAuth, async (req, res) => {
 });
 
 // Create inventory item
+// A starting `stock` is recorded as a 'receive' movement so the ledger explains every unit.
 router.post('/', adminAuth, async (req, res) => {
   try {
-    const item = new Inventory(req.body);
-    await item.save();
+    const openingStock = Number(req.body.stock) || 0;
+    if (openingStock < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: 'stock cannot be negative'
+      });
+    }
+
+    const result = await createStockedItem(omitProtectedFields(req.body), openingStock, {
+      actor: { by: req.userId, role: 'admin' }
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.status(201).json({
       success: true,
-      item: item
+      item: result.item
     });
   } catch (error) {
     res.status(400).json({
@@ -94,13 +303,13 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update inventory item
+// Stock cannot be edited here: record a movement instead. Saving the document
+// (rather than a raw update) keeps status in line with a changed minStock.
+// A new price takes effect immediately and is added to the price history; use
+// POST /:id/prices to schedule one.
 router.patch('/:id', adminAuth, async (req, res) => {
   try {
-    const item = await Inventory.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    let item = await Inventory.findById(req.params.id);
 
     if (!item) {
       return res.status(404).json({
@@ -109,6 +318,42 @@ router.patch('/:id', adminAuth, async (req, res) => {
       });
     }
 
+    if (req.body.stock !== undefined && Number(req.body.stock) !== item.stock) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock changes must be recorded as stock movements',
+        error: `POST /api/admin/inventory/${item._id}/movements`
+      });
+    }
+
+    const { price, ...fields } = omitProtectedFields(req.body);
+    // Check the price before saving anything, so a bad one doesn't leave the other fields changed
+    if (price !== undefined) {
+      const parsed = parsePrice(price);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Update error',
+          error: parsed.error
+        });
+      }
+    }
+
+    item.set(fields);
+    await item.save();
+
+    if (price !== undefined && Number(price) !== item.price) {
+      const result = await schedulePriceChange(item._id, { price, reason: 'Price updated' }, { by: req.userId });
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: 'Update error',
+          error: result.error
+        });
+      }
+      item = result.item;
+    }
+
     res.json({
       success: true,
       item: item
@@ -147,5 +392,299 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Get an item's stock movements, newest first
+// Query: type, page, limit
+router.get('/:id/movements', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const item = await Inventory.findById(req.params.id).select('name unit stock minStock status');
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_SIZE, 1),
+      MAX_HISTORY_SIZE
+    );
+    const query = { inventory: item._id };
+    if (req.query.type && STOCK_MOVEMENT_TYPES.includes(req.query.type)) {
+      query.type = req.query.type;
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('user', 'name')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      item,
+      count: movements.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      movements: movements.map((movement) => ({
+        ...movement.toObject(),
+        id: movement._id.toString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get an item's open lots in picking order (first expiry first), and how much of its
+// stock is not covered by any lot
+router.get('/:id/lots', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const item = await Inventory.findById(req.params.id).select('name unit stock');
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const lots = await StockLot.find({ inventory: item._id, status: 'active', remaining: { $gt: 0 } })
+      .sort({ receivedAt: 1 });
+    // Lots without an expiry date are picked last
+    lots.sort((a, b) => (a.expiresAt ? a.expiresAt.getTime() : Infinity) - (b.expiresAt ? b.expiresAt.getTime() : Infinity));
+    const tracked = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+    res.json({
+      success: true,
+      item,
+      tracked,
+      untracked: Math.max(item.stock - tracked, 0),
+      lots: lots.map(toLotJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Record a stock movement for an item
+// Body: { type, quantity, reason?, expiresAt?, supplier?, lotNumber? }. quantity is
+// positive, except for an adjustment, where a negative quantity lowers stock.
+// Adjustments and spoilage need a reason. A receive opens a lot with the given
+// expiry date, supplier and lot number.
+router.post('/:id/movements', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const { type, quantity } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (REASON_REQUIRED_MOVEMENTS.includes(type) && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason is required for ${type} movements`
+      });
+    }
+
+    const { expiresAt, supplier, lotNumber } = req.body;
+    const result = await recordMovement(req.params.id, {
+      type,
+      quantity,
+      actor: { by: req.userId, role: 'admin' },
+      reason: reason || undefined,
+      lot: type === 'receive' ? { expiresAt, supplier, lotNumber } : undefined
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded',
+      item: result.item,
+      movement: {
+        ...result.movement.toObject(),
+        id: result.movement._id.toString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+const toPriceChangeJSON = (change) => ({
+  ...change.toObject(),
+  id: change._id.toString()
+});
+
+// Get an item's price history, newest first, including scheduled changes
+// Query: at (date) to also get the price that was in effect at that time
+router.get('/:id/prices', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const item = await Inventory.findById(req.params.id).select('name unit price');
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    let at = null;
+    if (req.query.at) {
+      at = new Date(String(req.query.at));
+      if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'at must be a date'
+        });
+      }
+    }
+
+    const [changes, priceThen] = await Promise.all([
+      PriceChange.find({ inventory: item._id })
+        .populate('user', 'name')
+        .sort({ effectiveFrom: -1, createdAt: -1 })
+        .limit(MAX_HISTORY_SIZE),
+      at ? priceAt(item._id, at) : null
+    ]);
+
+    res.json({
+      success: true,
+      item,
+      ...(priceThen && {
+        at,
+        priceAt: priceThen.price,
+        changeAt: priceThen.change ? priceThen.change._id : null
+      }),
+      changes: changes.map(toPriceChangeJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Change an item's price, now or from a future date
+// Body: { price, effectiveFrom?, effectiveTo?, reason? }. With effectiveTo the price is a
+// promotion: the regular price comes back when it ends.
+router.post('/:id/prices', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const result = await schedulePriceChange(req.params.id, req.body, { by: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.change.status === 'scheduled' ? 'Price change scheduled' : 'Price updated',
+      item: toInventoryJSON(result.item),
+      change: toPriceChangeJSON(result.change)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a scheduled price change before it takes effect
+router.delete('/:id/prices/:changeId', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.changeId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price change not found'
+      });
+    }
+
+    const result = await cancelPriceChange(req.params.id, req.params.changeId);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Price change cancelled',
+      change: toPriceChangeJSON(result.change)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,182 @@
+const express = require('express');
+const MealPlan = require('../models/MealPlan');
+const auth = require('../middleware/auth');
+const { MEAL_SLOTS, PLAN_DAYS } = require('../config/mealPlans');
+const {
+  weekStartFor,
+  loadPlannerProfile,
+  setPlanSlot,
+  generatePlan,
+  copyPlanToNextWeek
+} = require('../services/mealPlanService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a planned recipe the planner shows
+const PLAN_RECIPE_FIELDS = 'title image time calories difficulty';
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Helper: Shape a week for the app, one entry per day with every slot (null when
+// empty). `plan` may be null for a week nothing has been planned for;
+// `plan.meals[].recipe` must be populated with PLAN_RECIPE_FIELDS.
+const toMealPlanJSON = (plan, weekStart, calorieTarget) => {
+  const meals = plan ? plan.meals.filter((meal) => meal.recipe) : [];
+
+  const days = Array.from({ length: PLAN_DAYS }, (_, day) => {
+    const slots = {};
+    MEAL_SLOTS.forEach((slot) => {
+      slots[slot] = null;
+    });
+
+    let calories = 0;
+    meals.filter((meal) => meal.day === day).forEach((meal) => {
+      const { _id, title, image, time, calories: recipeCalories, difficulty } = meal.recipe;
+      const mealCalories = Math.round((recipeCalories || 0) * meal.servings);
+      slots[meal.slot] = {
+        recipe: { id: _id.toString(), title, image, time, calories: recipeCalories, difficulty },
+        servings: meal.servings,
+        calories: mealCalories
+      };
+      calories += mealCalories;
+    });
+
+    return {
+      day,
+      date: toDateString(new Date(weekStart.getTime() + day * DAY_MS)),
+      meals: slots,
+      calories
+    };
+  });
+
+  return {
+    id: plan && plan._id ? plan._id.toString() : null,
+    weekStart: toDateString(weekStart),
+    calorieTarget: (plan && plan.calorieTarget) || calorieTarget,
+    plannedCount: meals.length,
+    days
+  };
+};
+
+// Helper: Resolve the `week` of a request (any date in it) or answer 400
+const requireWeek = (value, res) => {
+  const weekStart = weekStartFor(value);
+  if (!weekStart) {
+    res.status(400).json({
+      success: false,
+      message: 'week must be a date (YYYY-MM-DD)'
+    });
+  }
+  return weekStart;
+};
+
+// Helper: Answer with a plan, populated and shaped, plus the user's calorie target
+const sendPlan = async (res, userId, plan, weekStart, status = 200) => {
+  const profile = await loadPlannerProfile(userId);
+  if (plan) {
+    await plan.populate('meals.recipe', PLAN_RECIPE_FIELDS);
+  }
+  res.status(status).json({
+    success: true,
+    plan: toMealPlanJSON(plan, weekStart, profile ? profile.calorieTarget : null)
+  });
+};
+
+// Get the user's plan for a week
+// Query: week (any date in the week, default this week)
+router.get('/', auth, async (req, res) => {
+  try {
+    const weekStart = requireWeek(req.query.week, res);
+    if (!weekStart) return;
+
+    const plan = await MealPlan.findOne({ user: req.userId, weekStart });
+    await sendPlan(res, req.userId, plan, weekStart);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Set one slot of a week, or empty it with recipeId null
+// Body: week, day (0 = Monday), slot, recipeId, servings (default 1)
+router.put('/slots', auth, async (req, res) => {
+  try {
+    const weekStart = requireWeek(req.body.week, res);
+    if (!weekStart) return;
+
+    const { day, slot, recipeId, servings } = req.body;
+    const result = await setPlanSlot(req.userId, weekStart, { day, slot, recipeId, servings });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await sendPlan(res, req.userId, result.plan, weekStart);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Auto-fill a week with recipes that suit the user's diets, allergens and calorie target
+// Body: week, calorieTarget (default: the user's daily target), overwrite (replan filled slots too)
+router.post('/generate', auth, async (req, res) => {
+  try {
+    const weekStart = requireWeek(req.body.week, res);
+    if (!weekStart) return;
+
+    const { calorieTarget, overwrite } = req.body;
+    const result = await generatePlan(req.userId, weekStart, { calorieTarget, overwrite: overwrite === true });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await sendPlan(res, req.userId, result.plan, weekStart);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Copy a week's plan to the following week; answers with the following week
+// Body: week, overwrite (replace meals already planned next week)
+router.post('/copy', auth, async (req, res) => {
+  try {
+    const weekStart = requireWeek(req.body.week, res);
+    if (!weekStart) return;
+
+    const result = await copyPlanToNextWeek(req.userId, weekStart, { overwrite: req.body.overwrite === true });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await sendPlan(res, req.userId, result.plan, result.plan.weekStart, 201);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const { ORDER_STATUSES, CUSTOMER_CANCELLABLE_STATUSES } = require('../config/orders');
+const { PAYMENT_METHODS } = require('../config/payments');
+const { placeOrder, toOrderJSON, getOrderStats, parseStatusFilter } = require('../services/orderService');
+const { changeOrderStatus } = require('../services/orderStatusService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Fields that would only be present if the app sent card details instead of a token
+const CARD_FIELDS = ['cardNumber', 'number', 'cvv', 'cvc', 'expiryDate'];
+const CARD_NUMBER_PATTERN = /^[\d\s-]{12,19}$/;
+
+const CHECKOUT_MESSAGES = {
+  paid: 'Order placed successfully',
+  pending: 'Order placed successfully. Pay on delivery',
+  requires_action: 'Verify the payment with your bank to complete the order'
+};
+
+// CHECKOUT: place an order from the user's cart
+// Body: { paymentMethod?: 'card' | 'cash', paymentToken?: string, deliveryAddress?: { address, city } }
+// Card payments need a token created on the device by the payment provider's SDK.
+router.post('/checkout', auth, async (req, res) => {
+  try {
+    const { paymentMethod = 'card', paymentToken, deliveryAddress } = req.body;
+
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    if (CARD_FIELDS.some((field) => field in req.body) ||
+      (typeof paymentToken === 'string' && CARD_NUMBER_PATTERN.test(paymentToken))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Card details must not be sent to the server. Send a payment token instead'
+      });
+    }
+
+    if (paymentMethod === 'card' && (typeof paymentToken !== 'string' || !paymentToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'paymentToken is required for card payments'
+      });
+    }
+
+    const address = deliveryAddress && typeof deliveryAddress === 'object'
+      ? { address: String(deliveryAddress.address || ''), city: String(deliveryAddress.city || '') }
+      : undefined;
+
+    const result = await placeOrder(req.userId, {
+      paymentMethod,
+      paymentToken: paymentMethod === 'card' ? paymentToken : undefined,
+      deliveryAddress: address
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        unavailable: result.unavailable,
+        order: result.order ? toOrderJSON(result.order) : undefined
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: CHECKOUT_MESSAGES[result.order.paymentStatus] || CHECKOUT_MESSAGES.paid,
+      order: toOrderJSON(result.order)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// GET ORDERS for the logged-in user, newest first
+// Query: status (one or more comma-separated statuses, or 'active' for orders still on their way), page, limit
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const query = { user: userId };
+
+    if (req.query.status && req.query.status !== 'all') {
+      const statuses = parseStatusFilter(req.query.status);
+      if (!statuses) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be 'active' or one of: ${ORDER_STATUSES.join(', ')}`
+        });
+      }
+      query.status = { $in: statuses };
+    }
+
+    const [orders, total, stats] = await Promise.all([
+      Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(query),
+      getOrderStats(userId)
+    ]);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      stats,
+      orders: orders.map(toOrderJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// GET ORDER (own orders only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: toOrderJSON(order)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// CANCEL ORDER (own orders, before they are packed)
+// Body: { reason?: string }
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order can no longer be cancelled'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const result = await changeOrderStatus(order, 'cancelled', {
+      by: req.userId,
+      role: 'customer',
+      note: reason || undefined
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        order: result.order ? toOrderJSON(result.order) : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order cancelled',
+      order: toOrderJSON(result.order)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PantryItem = require('../models/PantryItem');
+const auth = require('../middleware/auth');
+const { PANTRY_EXPIRING_DAYS } = require('../config/pantry');
+const {
+  loadRecipeIngredients,
+  pantryCoverage,
+  cookFromPantry,
+  addToPantry,
+  updatePantryItem
+} = require('../services/pantryService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pantry entry as the app sees it, with whole days until it expires (negative once expired)
+const toPantryJSON = (item) => {
+  const data = item.toObject ? item.toObject() : item;
+  const daysLeft = data.expiresAt
+    ? Math.ceil((new Date(data.expiresAt).getTime() - Date.now()) / DAY_MS)
+    : null;
+  const expired = daysLeft !== null && daysLeft <= 0;
+  return {
+    ...data,
+    id: data._id.toString(),
+    daysLeft,
+    expired,
+    expiringSoon: !expired && daysLeft !== null && daysLeft <= PANTRY_EXPIRING_DAYS
+  };
+};
+
+// Get the user's pantry, soonest to expire first (entries without a date last)
+router.get('/', auth, async (req, res) => {
+  try {
+    const items = (await PantryItem.find({ user: req.userId }).sort({ name: 1 }))
+      .map(toPantryJSON)
+      .sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity));
+
+    res.json({
+      success: true,
+      count: items.length,
+      expiringCount: items.filter((item) => item.expiringSoon || item.expired).length,
+      items
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Add an item to the pantry
+// Body: name, quantity, unit, expiresAt (optional), inventory (optional catalog item id)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, quantity, unit, expiresAt, inventory } = req.body;
+    const result = await addToPantry(req.userId, {
+      name,
+      quantity,
+      unit,
+      expiresAt,
+      inventory,
+      source: 'manual'
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      item: toPantryJSON(result.item)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Change a pantry item's name, quantity, unit or expiry; quantity 0 removes it
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { name, quantity, unit, expiresAt } = req.body;
+    const result = await updatePantryItem(req.userId, req.params.id, { name, quantity, unit, expiresAt });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      item: result.item ? toPantryJSON(result.item) : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Remove a pantry item
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const item = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PantryItem.findOneAndDelete({ _id: req.params.id, user: req.userId })
+      : null;
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pantry item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pantry item removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// How much of each ingredient of a recipe (the user's variant, if any) is at home.
+// Lines are keyed by ingredient line id; see pantryCoverage for the statuses.
+router.get('/recipes/:recipeId', auth, async (req, res) => {
+  try {
+    const loaded = await loadRecipeIngredients(req.userId, req.params.recipeId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+
+    const lines = await pantryCoverage(req.userId, loaded.ingredients);
+
+    res.json({
+      success: true,
+      recipeId: loaded.recipe._id.toString(),
+      servings: loaded.recipe.servings,
+      missingCount: lines.filter((line) => line.status === 'missing' || line.status === 'partial').length,
+      lines
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Mark a recipe as cooked: its ingredients are taken out of the pantry, oldest first
+// Body: servings (default: the recipe's servings)
+router.post('/recipes/:recipeId/cook', auth, async (req, res) => {
+  try {
+    const loaded = await loadRecipeIngredients(req.userId, req.params.recipeId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+
+    const servings = req.body.servings === undefined ? loaded.recipe.servings : Number(req.body.servings);
+    if (!Number.isFinite(servings) || servings <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'servings must be a positive number'
+      });
+    }
+
+    const { consumed, short } = await cookFromPantry(
+      req.userId,
+      loaded.ingredients,
+      servings / loaded.recipe.servings
+    );
+
+    res.json({
+      success: true,
+      servings,
+      consumed,
+      short
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
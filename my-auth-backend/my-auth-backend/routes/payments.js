@@ -0,0 +1,108 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const mockProvider = require('../services/payments/mockProvider');
+const { PAYMENT_PROVIDER } = require('../config/payments');
+const { handleWebhook } = require('../services/paymentService');
+const { toOrderJSON } = require('../services/orderService');
+
+const router = express.Router();
+
+// Header carrying the HMAC-SHA256 of the raw webhook body
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+// PROVIDER WEBHOOK
+// server.js gives this path a raw body parser, so req.body is the Buffer that was signed.
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.body, req.header(SIGNATURE_HEADER));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      received: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// MOCK 3-D SECURE: stands in for the card issuer's verification page.
+// The outcome is delivered as a signed webhook, just as a real gateway would send it.
+// Body: { approved: boolean }
+router.post('/mock/3ds/:orderId', auth, async (req, res) => {
+  try {
+    if (PAYMENT_PROVIDER !== mockProvider.name || !mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      user: req.userId,
+      'payment.provider': mockProvider.name
+    });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.paymentStatus !== 'requires_action') {
+      return res.status(409).json({
+        success: false,
+        message: 'This payment does not need verification'
+      });
+    }
+
+    const approved = req.body.approved === true;
+    const { body, signature } = mockProvider.createWebhook({
+      type: approved ? 'payment.authorized' : 'payment.failed',
+      reference: order.payment.reference,
+      failureReason: approved ? undefined : 'Card verification failed'
+    });
+
+    const result = await handleWebhook(mockProvider.name, body, signature);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (result.order.paymentStatus === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: result.order.payment.failureReason || 'Payment failed',
+        order: toOrderJSON(result.order)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order placed successfully',
+      order: toOrderJSON(result.order)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const { PRODUCT_PUBLIC_FIELDS } = require('../config/inventory');
+const { expandQuery, termsFilter } = require('../services/searchService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Sort options: the field to order by and its direction. _id breaks ties so the
+// cursor always points at a single position.
+const PRODUCT_SORTS = {
+  name: { field: 'name', direction: 1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 }
+};
+
+// Helper: Escape user input before using it in a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: Map an inventory item to the product shape the app expects
+const toProductJSON = (item) => {
+  const data = item.toObject ? item.toObject() : item;
+  return {
+    ...data,
+    id: data._id.toString()
+  };
+};
+
+// Helper: Cursors are the sort value and id of the last product on the page,
+// base64url-encoded so clients treat them as opaque
+const encodeCursor = (item, sort) => Buffer.from(JSON.stringify({
+  v: sort.field === 'createdAt' ? new Date(item.createdAt).toISOString() : item[sort.field],
+  id: item._id.toString()
+})).toString('base64url');
+
+// Cursor values must have the sort field's type, or they would match the wrong products
+const CURSOR_VALUE_CHECKS = {
+  name: (v) => typeof v === 'string',
+  price: (v) => typeof v === 'number' && Number.isFinite(v),
+  createdAt: (v) => typeof v === 'string' && !Number.isNaN(new Date(v).getTime())
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) return null;
+    if (!CURSOR_VALUE_CHECKS[sort.field](v)) return null;
+    const value = sort.field === 'createdAt' ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper: Condition for "after the cursor" in the given sort order
+const afterCursor = ({ value, id }, sort) => {
+  const beyond = sort.direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sort.field]: { [beyond]: value } },
+      { [sort.field]: value, _id: { $gt: id } }
+    ]
+  };
+};
+
+const parsePrice = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+// Get products (public): available inventory items with filters and cursor pagination
+// Query: category, subcategory, search, origin (comma-separated), minPrice, maxPrice,
+// inStock ('true' hides sold-out items), sort (name, price_asc, price_desc, newest),
+// cursor (nextCursor from the previous page), limit
+router.get('/', async (req, res) => {
+  try {
+    const { category, subcategory, search, origin, inStock, cursor } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const sortKey = String(req.query.sort || 'name');
+    const sort = PRODUCT_SORTS[sortKey];
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`
+      });
+    }
+
+    const minPrice = parsePrice(req.query.minPrice);
+    const maxPrice = parsePrice(req.query.maxPrice);
+    if (minPrice === null || maxPrice === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'minPrice and maxPrice must be positive numbers'
+      });
+    }
+
+    const conditions = [{ available: { $ne: false } }];
+
+    if (category && category !== 'all') {
+      conditions.push({ category: String(category) });
+    }
+
+    if (subcategory) {
+      conditions.push({ subcategory: String(subcategory) });
+    }
+
+    if (origin) {
+      const origins = String(origin).split(',').map((value) => value.trim()).filter(Boolean);
+      conditions.push({
+        origin: { $in: origins.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i')) }
+      });
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const price = {};
+      if (minPrice !== undefined) price.$gte = minPrice;
+      if (maxPrice !== undefined) price.$lte = maxPrice;
+      conditions.push({ price });
+    }
+
+    if (inStock === 'true') {
+      conditions.push({ status: { $ne: 'out_of_stock' } });
+    }
+
+    // Search tolerates typos and knows synonyms ('haldi' finds turmeric)
+    if (search) {
+      const { groups } = await expandQuery(search);
+      if (groups.length > 0) {
+        conditions.push(termsFilter(['name', 'category', 'subcategory', 'origin'], groups));
+      }
+    }
+
+    // Counted before the cursor narrows the query
+    const total = await Inventory.countDocuments({ $and: conditions });
+
+    if (cursor) {
+      const position = decodeCursor(cursor, sort);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      conditions.push(afterCursor(position, sort));
+    }
+
+    // One extra row tells whether there is another page
+    const items = await Inventory.find({ $and: conditions })
+      .select(`${PRODUCT_PUBLIC_FIELDS} createdAt`)
+      .sort({ [sort.field]: sort.direction, _id: 1 })
+      .limit(limit + 1);
+    const hasMore = items.length > limit;
+    const page = hasMore ? items.slice(0, limit) : items;
+
+    res.json({
+      success: true,
+      count: page.length,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+      products: page.map(toProductJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get product categories (public), each with its subcategories and product counts
+router.get('/categories', async (req, res) => {
+  try {
+    const groups = await Inventory.aggregate([
+      { $match: { available: { $ne: false } } },
+      {
+        $group: {
+          _id: { category: '$category', subcategory: '$subcategory' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.category': 1, '_id.subcategory': 1 } }
+    ]);
+
+    const categories = [];
+    for (const { _id, count } of groups) {
+      let category = categories[categories.length - 1];
+      if (!category || category.name !== _id.category) {
+        category = { name: _id.category, count: 0, subcategories: [] };
+        categories.push(category);
+      }
+      category.count += count;
+      if (_id.subcategory) {
+        category.subcategories.push({ name: _id.subcategory, count });
+      }
+    }
+
+    const origins = (await Inventory.distinct('origin', { available: { $ne: false } }))
+      .filter(Boolean)
+      .sort();
+
+    res.json({
+      success: true,
+      categories,
+      origins
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get a product (public). Unavailable items are not found.
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const item = await Inventory.findOne({ _id: req.params.id, available: { $ne: false } })
+      .select(PRODUCT_PUBLIC_FIELDS);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      product: toProductJSON(item)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { DIETS, ALLERGENS } = require('../config/dietary');
+const { calculateBmi, bmiCategory, profileCalorieTarget } = require('../services/bodyMetrics');
+const { applyGoalTargets } = require('../services/goalService');
+
+const router = express.Router();
+
+// Keep the stored history bounded; the app only charts recent entries
+const MAX_BMI_HISTORY = 100;
+
+// Helper: Shape the profile sub-document for the app
+const toPreferencesJSON = (profile = {}) => {
+  const history = profile.bmiHistory || [];
+  const latest = history.length > 0 ? history[history.length - 1] : null;
+  return {
+    diets: profile.diets || [],
+    allergens: profile.allergens || [],
+    heightCm: profile.heightCm ?? null,
+    weightKg: profile.weightKg ?? null,
+    latestBmi: latest,
+    bmiHistory: history,
+    // Daily calories from the user's goals, else suggested from the latest BMI
+    calorieTarget: profileCalorieTarget(profile),
+    onboardingComplete: !!profile.onboardingCompletedAt,
+    onboardingCompletedAt: profile.onboardingCompletedAt || null,
+    updatedAt: profile.updatedAt || null
+  };
+};
+
+// Helper: Validate a list of ids against the allowed values
+const validateIdList = (value, allowed, field) => {
+  if (!Array.isArray(value)) {
+    return `${field} must be an array`;
+  }
+  const invalid = value.filter((id) => !allowed.includes(id));
+  if (invalid.length > 0) {
+    return `Unknown ${field}: ${invalid.join(', ')}`;
+  }
+  return null;
+};
+
+// Helper: Validate height/weight input
+const validateMeasurements = (heightCm, weightKg) => {
+  if (heightCm !== undefined && (!Number.isFinite(Number(heightCm)) || heightCm < 50 || heightCm > 300)) {
+    return 'Height must be between 50 and 300 cm';
+  }
+  if (weightKg !== undefined && (!Number.isFinite(Number(weightKg)) || weightKg < 10 || weightKg > 500)) {
+    return 'Weight must be between 10 and 500 kg';
+  }
+  return null;
+};
+
+const findActiveUser = (userId) => User.findOne({ _id: userId, isDeleted: { $ne: true } });
+
+// GET PREFERENCES
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await findActiveUser(req.userId).select('profile');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ preferences: toPreferencesJSON(user.profile) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// UPDATE PREFERENCES
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const { diets, allergens, heightCm, weightKg, onboardingComplete } = req.body;
+
+    if (diets !== undefined) {
+      const dietError = validateIdList(diets, DIETS, 'diets');
+      if (dietError) {
+        return res.status(400).json({ message: dietError });
+      }
+    }
+
+    if (allergens !== undefined) {
+      const allergenError = validateIdList(allergens, ALLERGENS, 'allergens');
+      if (allergenError) {
+        return res.status(400).json({ message: allergenError });
+      }
+    }
+
+    const measurementError = validateMeasurements(heightCm, weightKg);
+    if (measurementError) {
+      return res.status(400).json({ message: measurementError });
+    }
+
+    const user = await findActiveUser(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.profile) {
+      user.profile = {};
+    }
+
+    if (diets !== undefined) user.profile.diets = [...new Set(diets)];
+    if (allergens !== undefined) user.profile.allergens = [...new Set(allergens)];
+    if (heightCm !== undefined) user.profile.heightCm = Number(heightCm);
+    if (weightKg !== undefined) user.profile.weightKg = Number(weightKg);
+    if (heightCm !== undefined || weightKg !== undefined) applyGoalTargets(user.profile);
+    if (onboardingComplete === true && !user.profile.onboardingCompletedAt) {
+      user.profile.onboardingCompletedAt = new Date();
+    }
+    user.profile.updatedAt = new Date();
+
+    await user.save();
+
+    res.json({
+      message: 'Preferences updated successfully',
+      preferences: toPreferencesJSON(user.profile)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// RECORD BMI - computes BMI from height and weight and appends it to the history
+router.post('/preferences/bmi', auth, async (req, res) => {
+  try {
+    const { heightCm, weightKg } = req.body;
+
+    if (heightCm === undefined || weightKg === undefined) {
+      return res.status(400).json({ message: 'Height and weight are required' });
+    }
+
+    const measurementError = validateMeasurements(Number(heightCm), Number(weightKg));
+    if (measurementError) {
+      return res.status(400).json({ message: measurementError });
+    }
+
+    const user = await findActiveUser(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const bmi = calculateBmi(heightCm, weightKg);
+    const entry = {
+      bmi: Math.round(bmi * 10) / 10,
+      category: bmiCategory(bmi),
+      heightCm: Number(heightCm),
+      weightKg: Number(weightKg),
+      recordedAt: new Date()
+    };
+
+    if (!user.profile) {
+      user.profile = {};
+    }
+    user.profile.heightCm = entry.heightCm;
+    user.profile.weightKg = entry.weightKg;
+    user.profile.bmiHistory.push(entry);
+    if (user.profile.bmiHistory.length > MAX_BMI_HISTORY) {
+      user.profile.bmiHistory.splice(0, user.profile.bmiHistory.length - MAX_BMI_HISTORY);
+    }
+    // Targets follow the new weight
+    applyGoalTargets(user.profile);
+    user.profile.updatedAt = new Date();
+
+    await user.save();
+
+    res.status(201).json({
+      message: 'BMI recorded successfully',
+      entry,
+      preferences: toPreferencesJSON(user.profile)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ReorderSuggestion = require('../models/ReorderSuggestion');
+const adminAuth = require('../middleware/adminAuth');
+const { ACTIVE_REORDER_STATUSES } = require('../config/inventory');
+const {
+  PURCHASE_ORDER_STATUSES,
+  OPEN_PURCHASE_ORDER_STATUSES
+} = require('../config/purchasing');
+const {
+  marginPercent,
+  toPurchaseOrderJSON,
+  findPurchaseOrder,
+  createPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+} = require('../services/purchaseOrderService');
+
+const router = express.Router();
+
+// GET LOW-STOCK ITEMS to build a purchase order from (Admin only)
+// Each item comes with the quantity to order (the reorder suggestion's, or enough to
+// refill to maxStock), what is already on open purchase orders, and its last unit cost.
+router.get('/low-stock', adminAuth, async (req, res) => {
+  try {
+    const items = await Inventory.find({ $expr: { $lte: ['$stock', '$minStock'] } })
+      .select('name category unit stock minStock maxStock price unitCost status')
+      .sort({ stock: 1, name: 1 });
+    const ids = items.map((item) => item._id);
+
+    const [suggestions, onOrder] = await Promise.all([
+      ReorderSuggestion.find({ inventory: { $in: ids }, status: { $in: ACTIVE_REORDER_STATUSES } })
+        .select('inventory suggestedQuantity approvedQuantity'),
+      PurchaseOrder.aggregate([
+        { $match: { status: { $in: OPEN_PURCHASE_ORDER_STATUSES }, 'lines.inventory': { $in: ids } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.inventory': { $in: ids } } },
+        {
+          $group: {
+            _id: '$lines.inventory',
+            quantity: { $sum: { $subtract: ['$lines.quantity', '$lines.receivedQuantity'] } }
+          }
+        }
+      ])
+    ]);
+    const suggestionByItem = new Map(suggestions.map((suggestion) => [suggestion.inventory.toString(), suggestion]));
+    const onOrderByItem = new Map(onOrder.map((entry) => [entry._id.toString(), entry.quantity]));
+
+    const lowStock = items.map((item) => {
+      const suggestion = suggestionByItem.get(item._id.toString());
+      const ordered = onOrderByItem.get(item._id.toString()) || 0;
+      const refill = Math.max(item.maxStock - item.stock - ordered, 0);
+      return {
+        ...item.toObject(),
+        id: item._id.toString(),
+        onOrder: ordered,
+        suggestedQuantity: suggestion
+          ? suggestion.approvedQuantity || suggestion.suggestedQuantity
+          : refill,
+        margin: marginPercent(item.price, item.unitCost)
+      };
+    });
+
+    res.json({
+      success: true,
+      count: lowStock.length,
+      items: lowStock
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// GET PURCHASE ORDERS, newest first (Admin only)
+// Query: status (comma-separated, 'open' for ordered and partially received, or 'all'), supplier (id)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const query = {};
+    const filter = String(req.query.status || 'all');
+    if (filter === 'open') {
+      query.status = { $in: OPEN_PURCHASE_ORDER_STATUSES };
+    } else if (filter !== 'all') {
+      const statuses = filter.split(',').map((status) => status.trim());
+      if (statuses.some((status) => !PURCHASE_ORDER_STATUSES.includes(status))) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be 'open', 'all' or one of: ${PURCHASE_ORDER_STATUSES.join(', ')}`
+        });
+      }
+      query.status = { $in: statuses };
+    }
+
+    if (req.query.supplier) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.supplier)) {
+        return res.status(400).json({
+          success: false,
+          message: 'supplier must be a supplier id'
+        });
+      }
+      query.supplier = req.query.supplier;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name contactName email phone leadTimeDays')
+      .populate('lines.inventory', 'name unit price stock minStock')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      count: purchaseOrders.length,
+      purchaseOrders: purchaseOrders.map(toPurchaseOrderJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// GET PURCHASE ORDER with its lines and deliveries (Admin only)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const purchaseOrder = await findPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      purchaseOrder: toPurchaseOrderJSON(purchaseOrder)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// PLACE PURCHASE ORDER (Admin only)
+// Body: { supplier, lines: [{ inventory, quantity, unitCost? }], expectedAt?, notes? }
+// expectedAt defaults to today plus the supplier's lead time.
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const result = await createPurchaseOrder(req.body, { by: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${result.purchaseOrder.poNumber} placed`,
+      purchaseOrder: toPurchaseOrderJSON(await findPurchaseOrder(result.purchaseOrder._id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// RECEIVE a delivery against a purchase order (Admin only)
+// Body: { lines: [{ line, quantity, unitCost?, expiresAt?, lotNumber? }] }
+// Received quantities are added to stock; the order is partially received until every line is in.
+router.post('/:id/receive', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const result = await receivePurchaseOrder(req.params.id, req.body, { by: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Purchase order ${result.purchaseOrder.poNumber} is now ${result.purchaseOrder.status.replace(/_/g, ' ')}`,
+      purchaseOrder: toPurchaseOrderJSON(await findPurchaseOrder(result.purchaseOrder._id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// CANCEL what is still outstanding on a purchase order (Admin only)
+// Body: { reason? }
+router.post('/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const result = await cancelPurchaseOrder(req.params.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Purchase order ${result.purchaseOrder.poNumber} cancelled`,
+      purchaseOrder: toPurchaseOrderJSON(await findPurchaseOrder(result.purchaseOrder._id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,675 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const RecipeVariant = require('../models/RecipeVariant');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { computeRecipeNutrition } = require('../services/nutritionService');
+const { detectRecipeAllergens } = require('../services/allergenService');
+const { expandQuery, termsFilter } = require('../services/searchService');
+const {
+  loadRecipeSubstitutions,
+  getSubstitutionOptions,
+  applySubstitutions
+} = require('../services/substitutionService');
+const { MAX_SCALED_SERVINGS, scaleRecipe } = require('../services/scalingService');
+const { MEASURE_SYSTEMS } = require('../services/units');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Fields of the referenced inventory item that are safe to expose publicly
+const INVENTORY_PUBLIC_FIELDS = 'name category subcategory unit price image status available';
+
+// Fields needed to detect a recipe's allergens
+const INVENTORY_ALLERGEN_FIELDS = 'name allergens mayContainAllergens';
+
+// Fields needed to price, weigh and allergen-check a variant's ingredients
+const INVENTORY_VARIANT_FIELDS = `${INVENTORY_PUBLIC_FIELDS} nutrition ${INVENTORY_ALLERGEN_FIELDS}`;
+
+// Most recipes a single allergen-warnings request may ask about
+const MAX_WARNING_IDS = 50;
+
+// Helper: Map a recipe document to the shape the app expects
+const toRecipeJSON = (recipe) => {
+  const data = recipe.toObject ? recipe.toObject() : recipe;
+  return {
+    ...data,
+    id: data._id.toString()
+  };
+};
+
+// Helper: Allergens and diets the logged-in user declared during onboarding
+const getUserPreferences = async (userId) => {
+  const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } })
+    .select('profile.allergens profile.diets');
+  if (!user) return null;
+  return {
+    allergens: (user.profile && user.profile.allergens) || [],
+    diets: (user.profile && user.profile.diets) || []
+  };
+};
+
+// Helper: Shape a user's recipe variant, with nutrition and allergens recalculated
+// from its ingredients. `variant.ingredients[].inventory` must be populated with
+// INVENTORY_VARIANT_FIELDS.
+const toVariantJSON = (variant, recipe, declaredAllergens) => {
+  const nutrition = computeRecipeNutrition({ servings: recipe.servings, ingredients: variant.ingredients });
+  const { allergens, conflicts, hasConflict } = detectRecipeAllergens(variant, declaredAllergens);
+
+  // Nutrition and allergen tags are summarised above; keep the lines light
+  const ingredients = variant.ingredients.map((line) => {
+    if (!line.inventory) return line;
+    const { nutrition: _nutrition, allergens: _allergens, mayContainAllergens, ...inventory } = line.inventory;
+    return { ...line, inventory };
+  });
+
+  return {
+    id: variant._id.toString(),
+    recipeId: recipe._id.toString(),
+    title: recipe.title,
+    servings: recipe.servings,
+    substitutions: variant.substitutions,
+    ingredients,
+    nutrition,
+    allergens,
+    conflicts,
+    hasConflict,
+    updatedAt: variant.updatedAt
+  };
+};
+
+// Helper: Load a user's variant of a recipe, ready for toVariantJSON
+const findVariant = (userId, recipeId) => RecipeVariant.findOne({ user: userId, recipe: recipeId })
+  .populate('ingredients.inventory', INVENTORY_VARIANT_FIELDS)
+  .lean();
+
+// Helper: Read the servings and measure system of a scale request.
+// Returns { servings, system } or { error }.
+const parseScaleQuery = (query, recipeServings) => {
+  const servings = query.servings !== undefined ? Number(query.servings) : recipeServings;
+  if (!Number.isInteger(servings) || servings < 1 || servings > MAX_SCALED_SERVINGS) {
+    return { error: `servings must be a whole number from 1 to ${MAX_SCALED_SERVINGS}` };
+  }
+  const system = query.units || undefined;
+  if (system !== undefined && !MEASURE_SYSTEMS.includes(system)) {
+    return { error: `units must be one of: ${MEASURE_SYSTEMS.join(', ')}` };
+  }
+  return { servings, system };
+};
+
+// Helper: Shape a scaled recipe, keeping inventory items to their public fields
+const toScaledJSON = (recipe, scaled, system) => ({
+  recipeId: recipe._id.toString(),
+  title: recipe.title,
+  servings: scaled.servings,
+  baseServings: scaled.baseServings,
+  factor: scaled.factor,
+  units: system || 'original',
+  ingredients: scaled.ingredients.map((line) => {
+    if (!line.inventory) return line;
+    const { nutrition: _nutrition, allergens: _allergens, mayContainAllergens: _mayContain, ...inventory } = line.inventory;
+    return { ...line, inventory };
+  }),
+  nutrition: scaled.nutrition
+});
+
+// Get recipes (public) with filters and pagination
+router.get('/', async (req, res) => {
+  try {
+    const {
+      search,
+      category,
+      cuisine,
+      difficulty,
+      tag,
+      maxTime,
+      trending,
+      featured,
+    } = req.query;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const query = { published: true };
+
+    if (category && category !== 'all') {
+      query.category = category;
+    }
+
+    if (cuisine) {
+      query.cuisine = cuisine;
+    }
+
+    if (difficulty) {
+      query.difficulty = difficulty;
+    }
+
+    if (tag) {
+      query.tags = String(tag).toLowerCase();
+    }
+
+    if (maxTime !== undefined) {
+      const minutes = Number(maxTime);
+      if (Number.isNaN(minutes) || minutes < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'maxTime must be a positive number of minutes'
+        });
+      }
+      query.time = { $lte: minutes };
+    }
+
+    if (trending !== undefined) {
+      query.trending = trending === 'true';
+    }
+
+    if (featured !== undefined) {
+      query.featured = featured === 'true';
+    }
+
+    // Search tolerates typos and knows synonyms, and looks at ingredients too
+    if (search) {
+      const { groups } = await expandQuery(search);
+      Object.assign(query, termsFilter(['title', 'category', 'tags', 'ingredients.name'], groups));
+    }
+
+    const [recipes, total] = await Promise.all([
+      Recipe.find(query)
+        .select('-steps -ingredients')
+        .sort({ featured: -1, rating: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Recipe.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: recipes.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      recipes: recipes.map(toRecipeJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get allergen warnings for several recipes for the logged-in user (used by recipe cards)
+// Query: ids=<id>,<id>,...
+router.get('/allergen-warnings', auth, async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter((id) => mongoose.Types.ObjectId.isValid(id))
+      .slice(0, MAX_WARNING_IDS);
+
+    const preferences = await getUserPreferences(req.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    const declaredAllergens = preferences.allergens;
+
+    const warnings = {};
+    if (ids.length > 0 && declaredAllergens.length > 0) {
+      const recipes = await Recipe.find({ _id: { $in: ids }, published: true })
+        .select('ingredients')
+        .populate('ingredients.inventory', INVENTORY_ALLERGEN_FIELDS)
+        .lean();
+
+      recipes.forEach((recipe) => {
+        const { allergens } = detectRecipeAllergens(recipe, declaredAllergens);
+        const conflicts = allergens.filter((allergen) => allergen.declared);
+        if (conflicts.length > 0) {
+          warnings[recipe._id.toString()] = conflicts.map(({ id, name, severity }) => ({ id, name, severity }));
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      declaredAllergens,
+      warnings
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get single recipe (public) with ingredients resolved against inventory
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, published: true })
+      .populate('ingredients.inventory', INVENTORY_PUBLIC_FIELDS);
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      recipe: toRecipeJSON(recipe)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get computed nutrition for a recipe (public), optionally for N servings. Scaled
+// nutrition follows the kitchen-rounded amounts of GET /:id/scale (same `units` query).
+router.get('/:id/nutrition', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const servings = req.query.servings !== undefined ? Number(req.query.servings) : undefined;
+    if (servings !== undefined && (!Number.isFinite(servings) || servings < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'servings must be a number greater than 0'
+      });
+    }
+
+    const system = req.query.units || undefined;
+    if (system !== undefined && !MEASURE_SYSTEMS.includes(system)) {
+      return res.status(400).json({
+        success: false,
+        message: `units must be one of: ${MEASURE_SYSTEMS.join(', ')}`
+      });
+    }
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, published: true })
+      .select('title servings ingredients')
+      .populate('ingredients.inventory', 'name unit available nutrition')
+      .lean();
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      recipeId: recipe._id.toString(),
+      title: recipe.title,
+      nutrition: servings !== undefined
+        ? scaleRecipe(recipe, recipe.ingredients, servings, system).nutrition
+        : computeRecipeNutrition(recipe)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get a recipe's ingredients scaled to N servings (public), rounded to kitchen measures,
+// with the packs to buy and nutrition following the scaled amounts
+// Query: servings (default: the recipe's), units (metric | imperial; default as written)
+router.get('/:id/scale', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, published: true })
+      .select('title servings ingredients')
+      .populate('ingredients.inventory', INVENTORY_VARIANT_FIELDS)
+      .lean();
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const { servings, system, error } = parseScaleQuery(req.query, recipe.servings);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...toScaledJSON(recipe, scaleRecipe(recipe, recipe.ingredients, servings, system), system)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get the allergens in a recipe, rated against the logged-in user's declared allergens
+router.get('/:id/allergens', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const preferences = await getUserPreferences(req.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    const declaredAllergens = preferences.allergens;
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, published: true })
+      .select('title ingredients')
+      .populate('ingredients.inventory', INVENTORY_ALLERGEN_FIELDS)
+      .lean();
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      recipeId: recipe._id.toString(),
+      title: recipe.title,
+      declaredAllergens,
+      ...detectRecipeAllergens(recipe, declaredAllergens)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get substitution options for a recipe's ingredients, ranked for the logged-in user
+router.get('/:id/substitutions', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const preferences = await getUserPreferences(req.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, published: true })
+      .select('title ingredients')
+      .populate('ingredients.inventory', INVENTORY_ALLERGEN_FIELDS)
+      .lean();
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const [edges, variant] = await Promise.all([
+      loadRecipeSubstitutions(recipe, INVENTORY_PUBLIC_FIELDS),
+      RecipeVariant.findOne({ user: req.userId, recipe: recipe._id }).select('substitutions').lean()
+    ]);
+
+    res.json({
+      success: true,
+      recipeId: recipe._id.toString(),
+      title: recipe.title,
+      declaredAllergens: preferences.allergens,
+      diets: preferences.diets,
+      groups: getSubstitutionOptions(recipe, edges, preferences),
+      // Substitutions already applied in the user's variant, if any
+      selected: variant
+        ? variant.substitutions.map((item) => ({
+          line: item.line.toString(),
+          substitution: item.substitution.toString()
+        }))
+        : []
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get the logged-in user's variant of a recipe
+router.get('/:id/variant', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const [recipe, variant, preferences] = await Promise.all([
+      Recipe.findOne({ _id: req.params.id, published: true }).select('title servings').lean(),
+      findVariant(req.userId, req.params.id),
+      getUserPreferences(req.userId)
+    ]);
+
+    if (!recipe || !variant) {
+      return res.status(404).json({
+        success: false,
+        message: recipe ? 'No substitutions applied to this recipe' : 'Recipe not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      variant: toVariantJSON(variant, recipe, preferences ? preferences.allergens : [])
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get the logged-in user's variant of a recipe scaled to N servings (see GET /:id/scale)
+router.get('/:id/variant/scale', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const [recipe, variant] = await Promise.all([
+      Recipe.findOne({ _id: req.params.id, published: true }).select('title servings').lean(),
+      findVariant(req.userId, req.params.id)
+    ]);
+    if (!recipe || !variant) {
+      return res.status(404).json({
+        success: false,
+        message: recipe ? 'No substitutions applied to this recipe' : 'Recipe not found'
+      });
+    }
+
+    const { servings, system, error } = parseScaleQuery(req.query, recipe.servings);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...toScaledJSON(recipe, scaleRecipe(recipe, variant.ingredients, servings, system), system)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Apply substitutions, creating or replacing the logged-in user's variant of a recipe
+// Body: { substitutions: [{ line, substitution }] }
+router.put('/:id/variant', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const { substitutions } = req.body;
+    if (!Array.isArray(substitutions) || substitutions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one substitution'
+      });
+    }
+
+    const preferences = await getUserPreferences(req.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, published: true })
+      .select('title servings ingredients')
+      .lean();
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const edges = await loadRecipeSubstitutions(recipe, '_id');
+    const result = applySubstitutions(recipe, edges, substitutions);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await RecipeVariant.findOneAndUpdate(
+      { user: req.userId, recipe: recipe._id },
+      {
+        $set: {
+          substitutions: result.substitutions,
+          ingredients: result.ingredients,
+          updatedAt: Date.now()
+        },
+        $setOnInsert: { createdAt: Date.now() }
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    const variant = await findVariant(req.userId, recipe._id);
+
+    res.json({
+      success: true,
+      message: 'Substitutions applied',
+      variant: toVariantJSON(variant, recipe, preferences.allergens)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Remove the logged-in user's variant, going back to the original recipe
+router.delete('/:id/variant', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    await RecipeVariant.deleteOne({ user: req.userId, recipe: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Substitutions removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ReorderSuggestion = require('../models/ReorderSuggestion');
+const adminAuth = require('../middleware/adminAuth');
+const { REORDER_STATUSES, ACTIVE_REORDER_STATUSES } = require('../config/inventory');
+const {
+  approveSuggestion,
+  receiveSuggestion,
+  dismissSuggestion
+} = require('../services/reorderService');
+const { runLowStockCheck } = require('../jobs/lowStockJob');
+
+const router = express.Router();
+
+const populateSuggestion = (query) => query
+  .populate('inventory', 'name unit image stock minStock maxStock status')
+  .populate('approvedBy', 'name')
+  .populate('receivedBy', 'name')
+  .populate('purchaseOrder', 'poNumber status expectedAt');
+
+const toSuggestionJSON = (suggestion) => ({
+  ...suggestion.toObject(),
+  id: suggestion._id.toString()
+});
+
+// GET REORDER SUGGESTIONS (Admin only)
+// Query: status (comma-separated, 'active' for open and approved, or 'all'; default 'active')
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const filter = String(req.query.status || 'active');
+    let statuses;
+    if (filter === 'active') {
+      statuses = ACTIVE_REORDER_STATUSES;
+    } else if (filter === 'all') {
+      statuses = REORDER_STATUSES;
+    } else {
+      statuses = filter.split(',').map((status) => status.trim());
+      if (statuses.some((status) => !REORDER_STATUSES.includes(status))) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be 'active', 'all' or one of: ${REORDER_STATUSES.join(', ')}`
+        });
+      }
+    }
+
+    const [suggestions, statusCounts] = await Promise.all([
+      populateSuggestion(ReorderSuggestion.find({ status: { $in: statuses } }))
+        .sort({ status: -1, stock: 1, createdAt: -1 })
+        .limit(100),
+      ReorderSuggestion.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      statusCounts: Object.fromEntries(
+        REORDER_STATUSES.map((status) => [
+          status,
+          (statusCounts.find((entry) => entry._id === status) || { count: 0 }).count
+        ])
+      ),
+      suggestions: suggestions.map(toSuggestionJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// RUN THE LOW-STOCK CHECK now instead of waiting for the schedule (Admin only)
+router.post('/run', adminAuth, async (req, res) => {
+  try {
+    const result = await runLowStockCheck();
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A low-stock check is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.created} new reorder suggestion${result.created === 1 ? '' : 's'}`,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Apply an action to a suggestion and send back the updated suggestion
+const updateSuggestion = async (req, res, action, message) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Suggestion not found'
+    });
+  }
+
+  const result = await action(req.params.id, req.body, { by: req.userId });
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  const suggestion = await populateSuggestion(ReorderSuggestion.findById(result.suggestion._id));
+  res.json({
+    success: true,
+    message,
+    suggestion: toSuggestionJSON(suggestion),
+    ...(result.movement && { movement: result.movement })
+  });
+};
+
+// APPROVE a suggestion (Admin only)
+// Body: { quantity? } - defaults to the suggested quantity
+router.post('/:id/approve', adminAuth, async (req, res) => {
+  try {
+    await updateSuggestion(req, res, approveSuggestion, 'Reorder approved');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// RECEIVE the delivery for an approved suggestion, adding it to stock (Admin only)
+// Body: { quantity?, expiresAt?, supplier?, lotNumber? } - quantity is what actually
+// arrived (defaults to the approved quantity); the rest describe the delivery's lot
+router.post('/:id/receive', adminAuth, async (req, res) => {
+  try {
+    await updateSuggestion(req, res, receiveSuggestion, 'Delivery received and added to stock');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// DISMISS a suggestion that will not be ordered (Admin only)
+// Body: { note? }
+router.post('/:id/dismiss', adminAuth, async (req, res) => {
+  try {
+    await updateSuggestion(req, res, dismissSuggestion, 'Suggestion dismissed');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const {
+  expandQuery,
+  searchRecipes,
+  searchProducts
+} = require('../services/searchService');
+
+const router = express.Router();
+
+const DEFAULT_GROUP_SIZE = 5;
+const MAX_GROUP_SIZE = 20;
+
+// What each search type covers
+const SEARCH_TYPES = {
+  all: ['recipes', 'products'],
+  recipes: ['recipes'],
+  products: ['products']
+};
+
+// Helper: Map a hit to the shape the app expects
+const toHitJSON = (doc) => ({
+  ...doc,
+  id: doc._id.toString()
+});
+
+// Search recipes and groceries at once (public), best matches first.
+// Tolerates typos ('tumeric') and knows local names ('haldi' finds turmeric).
+// Query: q, type ('all' default, 'recipes' or 'products'), limit (hits per group)
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        message: 'q is required'
+      });
+    }
+
+    const type = String(req.query.type || 'all');
+    const groups = SEARCH_TYPES[type];
+    if (!groups) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(SEARCH_TYPES).join(', ')}`
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_GROUP_SIZE, 1),
+      MAX_GROUP_SIZE
+    );
+
+    const expansion = await expandQuery(q);
+    const [recipes, products] = await Promise.all([
+      groups.includes('recipes') ? searchRecipes(expansion, { limit }) : null,
+      groups.includes('products') ? searchProducts(expansion, { limit }) : null
+    ]);
+
+    const result = {
+      success: true,
+      query: q,
+      corrected: expansion.corrected
+    };
+    if (recipes) {
+      result.recipes = { total: recipes.total, hits: recipes.hits.map(toHitJSON) };
+    }
+    if (products) {
+      result.products = { total: products.total, hits: products.hits.map(toHitJSON) };
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ShoppingList = require('../models/ShoppingList');
+const auth = require('../middleware/auth');
+const { weekStartFor } = require('../services/mealPlanService');
+const { createShoppingList } = require('../services/shoppingListService');
+
+const router = express.Router();
+
+// Most lists returned by the list endpoint
+const MAX_LISTS = 20;
+
+// Helper: Shape a shopping list for the app, its lines grouped by inventory category
+const toShoppingListJSON = (list) => {
+  const data = list.toObject ? list.toObject() : list;
+  const categories = [];
+  data.lines.forEach((line) => {
+    let group = categories.find((entry) => entry.category === line.category);
+    if (!group) {
+      group = { category: line.category, lines: [] };
+      categories.push(group);
+    }
+    group.lines.push({ ...line, id: line._id.toString() });
+  });
+
+  const purchasable = data.lines.filter((line) => line.packs);
+  return {
+    id: data._id.toString(),
+    title: data.title,
+    weekStart: data.weekStart,
+    recipes: data.recipes,
+    categories,
+    lineCount: data.lines.length,
+    checkedCount: data.lines.filter((line) => line.checked).length,
+    // What the purchasable lines cost at the prices when the list was made
+    estimatedTotal: Math.round(purchasable.reduce((sum, line) => sum + line.packs * line.price, 0) * 100) / 100,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt
+  };
+};
+
+// Helper: Find one of the user's lists
+const findUserList = (userId, id) => (mongoose.Types.ObjectId.isValid(id)
+  ? ShoppingList.findOne({ _id: id, user: userId })
+  : null);
+
+// Get the user's shopping lists, newest first (without their lines)
+router.get('/', auth, async (req, res) => {
+  try {
+    const lists = await ShoppingList.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(MAX_LISTS)
+      .lean();
+
+    res.json({
+      success: true,
+      count: lists.length,
+      lists: lists.map(({ _id, title, weekStart, recipes, lines, createdAt }) => ({
+        id: _id.toString(),
+        title,
+        weekStart,
+        recipeCount: recipes.length,
+        lineCount: lines.length,
+        checkedCount: lines.filter((line) => line.checked).length,
+        createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Generate a shopping list, summing the ingredients of several recipes
+// Body: recipes ([{ recipeId, servings }]) or week (a date in a meal plan week), title (optional)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { recipes, week, title } = req.body;
+
+    let weekStart = null;
+    if (week !== undefined) {
+      weekStart = weekStartFor(week);
+      if (!weekStart) {
+        return res.status(400).json({
+          success: false,
+          message: 'week must be a date (YYYY-MM-DD)'
+        });
+      }
+    }
+
+    const result = await createShoppingList(req.userId, { recipes, weekStart, title });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      list: toShoppingListJSON(result.list),
+      skippedRecipes: result.skipped
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get one shopping list
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const list = await findUserList(req.userId, req.params.id);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      list: toShoppingListJSON(list)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Tick a line off (or back on) while shopping
+// Body: checked
+router.patch('/:id/lines/:lineId', auth, async (req, res) => {
+  try {
+    if (typeof req.body.checked !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'checked must be true or false'
+      });
+    }
+
+    const list = await findUserList(req.userId, req.params.id);
+    const line = list && mongoose.Types.ObjectId.isValid(req.params.lineId)
+      ? list.lines.id(req.params.lineId)
+      : null;
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list line not found'
+      });
+    }
+
+    line.checked = req.body.checked;
+    await list.save();
+
+    res.json({
+      success: true,
+      list: toShoppingListJSON(list)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete a shopping list
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const list = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ShoppingList.findOneAndDelete({ _id: req.params.id, user: req.userId })
+      : null;
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shopping list deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
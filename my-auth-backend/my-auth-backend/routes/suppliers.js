@@ -0,0 +1,202 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'leadTimeDays', 'notes', 'active'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pickSupplierFields = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => SUPPLIER_FIELDS.includes(key))
+);
+
+const toSupplierJSON = (supplier) => ({
+  ...supplier.toObject(),
+  id: supplier._id.toString()
+});
+
+// Send a 400 for validation failures and a 409 for a duplicate name
+const sendSaveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A supplier with that name already exists'
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+// GET SUPPLIERS by name (Admin only)
+// Query: search (name or contact), includeInactive ('true' to list deactivated suppliers too)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.includeInactive !== 'true') {
+      query.active = true;
+    }
+    if (req.query.search) {
+      const pattern = escapeRegex(String(req.query.search).trim());
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { contactName: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: suppliers.length,
+      suppliers: suppliers.map(toSupplierJSON)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// GET SUPPLIER with their most recent purchase orders (Admin only)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const purchaseOrders = await PurchaseOrder.find({ supplier: supplier._id })
+      .select('poNumber status expectedAt receivedAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      supplier: toSupplierJSON(supplier),
+      purchaseOrders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// CREATE SUPPLIER (Admin only)
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier added successfully',
+      supplier: toSupplierJSON(supplier)
+    });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// UPDATE SUPPLIER (Admin only)
+router.patch('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    supplier.set(pickSupplierFields(req.body));
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      supplier: toSupplierJSON(supplier)
+    });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// DELETE SUPPLIER (Admin only)
+// Suppliers with purchase orders are deactivated instead, so their order history stays intact.
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    if (await PurchaseOrder.exists({ supplier: supplier._id })) {
+      supplier.active = false;
+      await supplier.save();
+      return res.json({
+        success: true,
+        message: 'Supplier has purchase orders, so it was deactivated instead',
+        supplier: toSupplierJSON(supplier)
+      });
+    }
+
+    await supplier.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
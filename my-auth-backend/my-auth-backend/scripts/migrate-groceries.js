@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const { getGroceryStore } = require('../services/groceryStores');
+const { normalizeUnit } = require('../services/units');
+const { GROCERY_STORE_FILE } = require('../config/inventory');
+require('dotenv').config();
+
+// Import the file grocery store (data/groceries.json by default) into the Inventory
+// collection. Items already in the inventory (same name and category, any case) are
+// skipped, so the migration can be run again safely. Stock arrives as an opening-stock
+// movement and the price starts the item's price history.
+//
+//   node scripts/migrate-groceries.js [--file path/to/groceries.json] [--dry-run]
+
+const args = process.argv.slice(2);
+const fileArg = args.indexOf('--file');
+const filePath = fileArg !== -1 ? args[fileArg + 1] : GROCERY_STORE_FILE;
+const dryRun = args.includes('--dry-run');
+
+// Helper: Escape user input before using it in a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/authDB';
+    await mongoose.connect(mongoURI);
+    console.log('✅ MongoDB Connected\n');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+async function migrateGroceries() {
+  try {
+    const source = getGroceryStore('file', { filePath });
+    const target = getGroceryStore('mongo');
+    const items = await source.list();
+    console.log(`📦 ${items.length} item(s) in ${filePath}${dryRun ? ' (dry run)' : ''}\n`);
+
+    await connectDB();
+
+    let imported = 0;
+    let skipped = 0;
+    for (const { id, status, createdAt, updatedAt, ...item } of items) {
+      const existing = await Inventory.findOne({
+        name: new RegExp(`^${escapeRegex(item.name)}$`, 'i'),
+        category: new RegExp(`^${escapeRegex(item.category)}$`, 'i')
+      }).select('_id');
+      if (existing) {
+        console.log(`   ⏭️  ${item.name} (${item.category}): already in inventory`);
+        skipped += 1;
+        continue;
+      }
+
+      if (!dryRun) {
+        await target.add({ ...item, unit: normalizeUnit(item.unit) });
+      }
+      console.log(`   ✅ ${item.name} (${item.category}): ${item.stock} ${normalizeUnit(item.unit)} at ${item.price}`);
+      imported += 1;
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would import' : 'Imported'} ${imported} item(s), skipped ${skipped}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating groceries:', error);
+    process.exit(1);
+  }
+}
+
+migrateGroceries();
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const Inventory = require('../models/Inventory');
+require('dotenv').config();
+
+// Allergen tags keyed by inventory item name
+const allergenData = require(path.join(__dirname, '..', 'data', 'allergens.json'));
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/authDB';
+    await mongoose.connect(mongoURI);
+    console.log('✅ MongoDB Connected\n');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+async function seedAllergens() {
+  try {
+    await connectDB();
+
+    const names = Object.keys(allergenData);
+    console.log(`🥜 Tagging allergens for ${names.length} ingredient names...`);
+
+    let updated = 0;
+    for (const name of names) {
+      const { contains = [], mayContain = [] } = allergenData[name];
+      const result = await Inventory.updateMany(
+        { name },
+        {
+          $set: {
+            allergens: contains,
+            mayContainAllergens: mayContain,
+            updatedAt: Date.now()
+          }
+        },
+        { runValidators: true }
+      );
+      if (result.matchedCount === 0) {
+        console.log(`   ⚠️  No inventory item named "${name}"`);
+      }
+      updated += result.modifiedCount;
+    }
+
+    console.log(`✅ ${updated} inventory items tagged`);
+    console.log('\n✅ Allergens seeded successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding allergens:', error);
+    process.exit(1);
+  }
+}
+
+seedAllergens();
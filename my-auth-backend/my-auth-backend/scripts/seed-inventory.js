@@ -1,7 +1,19 @@
 const mongoose = require('mongoose');
 const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
+const PriceChange = require('../models/PriceChange');
 require('dotenv').config();
 
+// Shelf life of perishable categories, used to date the opening lots
+const SHELF_LIFE_DAYS = {
+  'Vegetables': 10,
+  'Fruits': 10,
+  'Dairy Products': 14,
+  'Meat & Protein': 5,
+  'Frozen Foods': 90
+};
+
 const connectDB = async () => {
   try {
     const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/authDB';
@@ -682,9 +694,61 @@ async function seedInventory() {
     console.log('✅ Inventory cleared\n');
 
     console.log(`📦 Seeding ${inventoryData.length} inventory items...`);
-    await Inventory.insertMany(inventoryData);
+    const items = await Inventory.insertMany(inventoryData);
     console.log('✅ Inventory seeded successfully!\n');
 
+    // Every unit on the shelf must be explained by the stock ledger, and each
+    // opening delivery is a lot; perishables get an expiry date from their shelf life
+    console.log('📒 Recording opening stock movements and lots...');
+    await StockMovement.deleteMany({});
+    await StockLot.deleteMany({});
+    const openingStock = items
+      .filter(item => item.stock > 0)
+      .map(item => {
+        const shelfLife = SHELF_LIFE_DAYS[item.category];
+        const movementId = new mongoose.Types.ObjectId();
+        const lot = {
+          _id: new mongoose.Types.ObjectId(),
+          inventory: item._id,
+          lotNumber: `LOT-OPENING-${item._id.toString().slice(-6).toUpperCase()}`,
+          quantity: item.stock,
+          remaining: item.stock,
+          expiresAt: shelfLife
+            ? new Date(Date.now() + (Math.floor(Math.random() * shelfLife) + 1) * 24 * 60 * 60 * 1000)
+            : null,
+          movement: movementId
+        };
+        return {
+          lot,
+          movement: {
+            _id: movementId,
+            inventory: item._id,
+            type: 'receive',
+            quantity: item.stock,
+            balanceAfter: item.stock,
+            role: 'system',
+            reason: 'Opening stock',
+            lots: [{ lot: lot._id, quantity: item.stock }]
+          }
+        };
+      });
+    await StockLot.insertMany(openingStock.map(entry => entry.lot));
+    await StockMovement.insertMany(openingStock.map(entry => entry.movement));
+    console.log('✅ Stock movements and lots recorded\n');
+
+    // The seeded prices start each item's price history
+    console.log('🏷️  Recording initial prices...');
+    await PriceChange.deleteMany({});
+    await PriceChange.insertMany(items.map(item => ({
+      inventory: item._id,
+      price: item.price,
+      effectiveFrom: item.createdAt,
+      status: 'active',
+      activatedAt: new Date(),
+      reason: 'Initial price'
+    })));
+    console.log('✅ Price history recorded\n');
+
     const categories = await Inventory.distinct('category');
     console.log(`📊 Categories created: ${categories.length}`);
     categories.forEach(cat => {
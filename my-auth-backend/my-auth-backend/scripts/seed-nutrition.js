@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const Inventory = require('../models/Inventory');
+const Recipe = require('../models/Recipe');
+const { computeRecipeNutrition } = require('../services/nutritionService');
+require('dotenv').config();
+
+// Per-100g nutrient data keyed by inventory item name
+const nutritionData = require(path.join(__dirname, '..', 'data', 'nutrition.json'));
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/authDB';
+    await mongoose.connect(mongoURI);
+    console.log('✅ MongoDB Connected\n');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+async function seedNutrition() {
+  try {
+    await connectDB();
+
+    const names = Object.keys(nutritionData);
+    console.log(`🥗 Updating nutrition for ${names.length} ingredient names...`);
+
+    let updated = 0;
+    for (const name of names) {
+      // updateMany: the seed catalog lists some names (e.g. Ghee) in more than one category
+      const result = await Inventory.updateMany(
+        { name },
+        { $set: { nutrition: nutritionData[name], updatedAt: Date.now() } }
+      );
+      if (result.matchedCount === 0) {
+        console.log(`   ⚠️  No inventory item named "${name}"`);
+      }
+      updated += result.modifiedCount;
+    }
+    console.log(`✅ ${updated} inventory items updated\n`);
+
+    // Refresh the calorie figure shown on recipe cards
+    console.log('🔁 Recomputing recipe calories...');
+    const recipes = await Recipe.find()
+      .populate('ingredients.inventory', 'name nutrition')
+      .lean();
+
+    for (const recipe of recipes) {
+      const nutrition = computeRecipeNutrition(recipe);
+      await Recipe.updateOne({ _id: recipe._id }, { $set: { calories: nutrition.calories } });
+      const note = nutrition.missing.length > 0 ? ` (missing: ${nutrition.missing.join(', ')})` : '';
+      console.log(`   - ${recipe.title}: ${nutrition.calories} kcal/serving${note}`);
+    }
+
+    console.log('\n✅ Nutrition seeded successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding nutrition:', error);
+    process.exit(1);
+  }
+}
+
+seedNutrition();
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const Inventory = require('../models/Inventory');
+require('dotenv').config();
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/authDB';
+    await mongoose.connect(mongoURI);
+    console.log('✅ MongoDB Connected\n');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Recipes that used to be hardcoded in the app (home, recipeDetails, instructions).
+// Ingredient lines are linked to Inventory items by name when seeding.
+const recipeData = [
+  {
+    title: 'Avocado Toast Deluxe',
+    description: 'Crunchy sourdough topped with smashed avocado, a squeeze of lime and a poached egg.',
+    image: 'https://images.unsplash.com/photo-1687276287139-88f7333c8ca4?w=400',
+    category: 'Breakfast',
+    cuisine: 'International',
+    tags: ['breakfast', 'vegetarian', 'quick'],
+    time: 10,
+    difficulty: 'Easy',
+    servings: 2,
+    calories: 320,
+    rating: 4.7,
+    ingredients: [
+      { name: 'Sourdough Bread', quantity: 4, unit: 'slice' },
+      { name: 'Avocado', quantity: 2, unit: 'piece' },
+      { name: 'Eggs', quantity: 2, unit: 'piece' },
+      { name: 'Lime', quantity: 1, unit: 'piece' },
+      { name: 'Extra Virgin Olive Oil', quantity: 1, unit: 'tbsp' },
+      { name: 'Black Pepper', quantity: 0.5, unit: 'tsp', optional: true },
+    ],
+    steps: [
+      { text: 'Toast the sourdough slices until golden and crisp.', time: '3 minutes' },
+      { text: 'Halve the avocados, scoop out the flesh and mash with lime juice, olive oil and a pinch of salt.' },
+      { text: 'Poach the eggs in gently simmering water until the whites are set.', time: '3-4 minutes' },
+      { text: 'Spread the avocado over the toast, top with an egg and finish with black pepper.' },
+    ],
+  },
+  {
+    title: 'Mediterranean Bowl',
+    description: 'A bright bowl of quinoa, chickpeas, crisp vegetables and feta with a lemon dressing.',
+    image: 'https://images.unsplash.com/photo-1609461098241-8f259e32bdb9?w=400',
+    category: 'Bowl',
+    cuisine: 'Mediterranean',
+    tags: ['lunch', 'vegetarian', 'high-fiber'],
+    time: 15,
+    difficulty: 'Medium',
+    servings: 2,
+    calories: 450,
+    rating: 4.9,
+    ingredients: [
+      { name: 'Quinoa', quantity: 150, unit: 'g' },
+      { name: 'Chickpeas', quantity: 200, unit: 'g' },
+      { name: 'Cucumber', quantity: 1, unit: 'piece' },
+      { name: 'Tomato', quantity: 2, unit: 'piece' },
+      { name: 'Olives', quantity: 50, unit: 'g' },
+      { name: 'Feta Cheese', quantity: 80, unit: 'g' },
+      { name: 'Lemon Juice', quantity: 2, unit: 'tbsp' },
+      { name: 'Extra Virgin Olive Oil', quantity: 2, unit: 'tbsp' },
+    ],
+    steps: [
+      { text: 'Rinse the quinoa and simmer in salted water until fluffy.', time: '12 minutes' },
+      { text: 'Dice the cucumber and tomatoes, and drain the chickpeas.' },
+      { text: 'Whisk the lemon juice and olive oil with a pinch of salt.' },
+      { text: 'Divide the quinoa between bowls, top with the vegetables, olives and crumbled feta, and drizzle with dressing.' },
+    ],
+  },
+  {
+    title: 'Quinoa Power Salad',
+    description: 'Protein-packed quinoa with spinach, crunchy seeds and a honey-lemon vinaigrette.',
+    image: 'https://images.unsplash.com/photo-1623428187969-5da2dcea5ebf?w=400',
+    category: 'Salad',
+    cuisine: 'International',
+    tags: ['lunch', 'vegan', 'high-protein'],
+    time: 20,
+    difficulty: 'Easy',
+    servings: 2,
+    calories: 380,
+    rating: 4.5,
+    ingredients: [
+      { name: 'Quinoa', quantity: 150, unit: 'g' },
+      { name: 'Spinach', quantity: 100, unit: 'g' },
+      { name: 'Bell Pepper Red', quantity: 1, unit: 'piece' },
+      { name: 'Carrot', quantity: 1, unit: 'piece' },
+      { name: 'Pumpkin Seeds', quantity: 30, unit: 'g' },
+      { name: 'Lemon Juice', quantity: 2, unit: 'tbsp' },
+      { name: 'Extra Virgin Olive Oil', quantity: 2, unit: 'tbsp' },
+    ],
+    steps: [
+      { text: 'Cook the quinoa and spread it on a tray to cool.', time: '15 minutes' },
+      { text: 'Slice the pepper and grate the carrot.' },
+      { text: 'Toss the quinoa with spinach, vegetables, seeds and the lemon dressing.' },
+    ],
+  },
+  {
+    title: 'Chicken Broccoli Pasta',
+    description: 'Golden chicken and tender-crisp broccoli tossed with pasta and parmesan.',
+    image: 'https://images.unsplash.com/photo-1612152328178-4a6c83d96429?w=400',
+    category: 'Pasta',
+    cuisine: 'Italian',
+    tags: ['dinner', 'high-protein'],
+    time: 25,
+    difficulty: 'Medium',
+    servings: 4,
+    calories: 520,
+    rating: 4.8,
+    ingredients: [
+      { name: 'Pasta', quantity: 400, unit: 'g' },
+      { name: 'Chicken Breast', quantity: 500, unit: 'g' },
+      { name: 'Broccoli', quantity: 300, unit: 'g' },
+      { name: 'Olive Oil', quantity: 2, unit: 'tbsp' },
+      { name: 'Garlic', quantity: 3, unit: 'clove' },
+      { name: 'Parmesan Cheese', quantity: 50, unit: 'g' },
+      { name: 'Black Pepper', quantity: 0.5, unit: 'tsp' },
+    ],
+    steps: [
+      {
+        text: 'Bring a large pot of salted water to boil and add pasta. Cook according to package directions until al dente.',
+        time: '8-10 minutes',
+        note: 'Use salt the water generously - it should taste like sea water',
+      },
+      {
+        text: 'Heat olive oil in a large skillet and cook chicken breast until golden brown.',
+        details: [
+          'Heat olive oil in a large skillet or pan over medium high heat',
+          'Season chicken breast with salt and pepper and add to the hot pan. Cook and golden brown on both sides',
+        ],
+      },
+      { text: 'Add broccoli florets to the pan with chicken. Stir and cook until broccoli is tender crisp' },
+      { text: 'Drain pasta and add it to the pan. Toss everything together and season with more salt, pepper, and parmesan cheese' },
+      { text: 'Serve immediately while hot, garnished with fresh herbs and extra parmesan if desired.' },
+    ],
+  },
+  {
+    title: 'Creamy Pumpkin Soup',
+    description: 'A warm and comforting soup perfect for autumn. This creamy pumpkin soup combines the natural sweetness of pumpkin with aromatic spices for a delightful culinary experience.',
+    image: 'https://images.unsplash.com/photo-1476718406336-bb5a9690ee2a?w=800',
+    category: 'Soup',
+    cuisine: 'International',
+    tags: ['seasonal', 'vegetarian', 'comfort'],
+    time: 35,
+    difficulty: 'Medium',
+    servings: 4,
+    calories: 290,
+    rating: 4.8,
+    trending: true,
+    featured: true,
+    ingredients: [
+      { name: 'Pumpkin', quantity: 800, unit: 'g' },
+      { name: 'Onion', quantity: 1, unit: 'piece' },
+      { name: 'Garlic', quantity: 2, unit: 'clove' },
+      { name: 'Canned Soup', quantity: 750, unit: 'ml', note: 'vegetable broth' },
+      { name: 'Heavy Cream', quantity: 120, unit: 'ml' },
+      { name: 'Cinnamon', quantity: 0.5, unit: 'tsp' },
+      { name: 'Nutmeg', quantity: 0.25, unit: 'tsp' },
+      { name: 'Olive Oil', quantity: 2, unit: 'tbsp' },
+    ],
+    steps: [
+      { text: 'Heat the olive oil in a large pot and soften the chopped onion and garlic.', time: '5 minutes' },
+      { text: 'Add the diced pumpkin, cinnamon and nutmeg and stir to coat.' },
+      { text: 'Pour in the broth, bring to a boil and simmer until the pumpkin is tender.', time: '20 minutes' },
+      { text: 'Blend until smooth, stir in the cream and season to taste.' },
+    ],
+  },
+  {
+    title: 'Winter Beef Stew',
+    description: 'Slow-simmered beef with root vegetables in a rich, savory gravy.',
+    image: 'https://images.unsplash.com/photo-1664741662725-bd131742b7b7?w=400',
+    category: 'Stew',
+    cuisine: 'International',
+    tags: ['seasonal', 'dinner', 'comfort', 'high-protein'],
+    time: 45,
+    difficulty: 'Hard',
+    servings: 4,
+    calories: 465,
+    rating: 4.6,
+    trending: true,
+    ingredients: [
+      { name: 'Beef Cubes', quantity: 700, unit: 'g' },
+      { name: 'Potato', quantity: 3, unit: 'piece' },
+      { name: 'Carrot', quantity: 2, unit: 'piece' },
+      { name: 'Onion', quantity: 1, unit: 'piece' },
+      { name: 'Canned Tomatoes', quantity: 400, unit: 'g' },
+      { name: 'Bay Leaves', quantity: 2, unit: 'piece' },
+      { name: 'Cooking Oil', quantity: 2, unit: 'tbsp' },
+    ],
+    steps: [
+      { text: 'Brown the beef in batches in hot oil and set aside.', time: '8 minutes' },
+      { text: 'Soften the onion in the same pot, then return the beef with the tomatoes and bay leaves.' },
+      { text: 'Add water to cover, then simmer gently until the beef is tender.', time: '25 minutes' },
+      { text: 'Add the potatoes and carrots and cook until soft. Season and serve.', time: '10 minutes' },
+    ],
+  },
+  {
+    title: 'Chocolate Layer Cake',
+    description: 'Moist chocolate sponge layered with a silky chocolate frosting.',
+    image: 'https://images.unsplash.com/photo-1606890737304-57a1ca8a5b62?w=400',
+    category: 'Dessert',
+    cuisine: 'International',
+    tags: ['seasonal', 'dessert', 'baking'],
+    time: 60,
+    difficulty: 'Hard',
+    servings: 8,
+    calories: 380,
+    rating: 4.8,
+    trending: true,
+    ingredients: [
+      { name: 'Cake Flour', quantity: 250, unit: 'g' },
+      { name: 'Cocoa Powder', quantity: 75, unit: 'g' },
+      { name: 'Sugar White', quantity: 300, unit: 'g' },
+      { name: 'Eggs', quantity: 3, unit: 'piece' },
+      { name: 'Butter', quantity: 200, unit: 'g' },
+      { name: 'Whole Milk', quantity: 240, unit: 'ml' },
+      { name: 'Baking Powder', quantity: 2, unit: 'tsp' },
+      { name: 'Chocolate Chips', quantity: 150, unit: 'g' },
+    ],
+    steps: [
+      { text: 'Preheat the oven to 180°C and line two cake tins.' },
+      { text: 'Whisk the flour, cocoa, sugar and baking powder, then beat in the eggs, milk and half of the melted butter.' },
+      { text: 'Divide between the tins and bake until a skewer comes out clean.', time: '30 minutes' },
+      { text: 'Melt the chocolate chips with the remaining butter, cool until spreadable and frost the cooled layers.' },
+    ],
+  },
+];
+
+// Link each ingredient line to the Inventory item with the same name, if any
+async function linkIngredients(recipe) {
+  const ingredients = [];
+  for (const line of recipe.ingredients) {
+    const item = await Inventory.findOne({
+      name: { $regex: `^${line.name}$`, $options: 'i' }
+    }).select('_id');
+
+    if (!item) {
+      console.log(`   ⚠️  No inventory item for "${line.name}" (${recipe.title})`);
+    }
+
+    ingredients.push({ ...line, inventory: item ? item._id : undefined });
+  }
+  return { ...recipe, ingredients };
+}
+
+async function seedRecipes() {
+  try {
+    await connectDB();
+
+    console.log('🗑️  Clearing existing recipes...');
+    await Recipe.deleteMany({});
+    console.log('✅ Recipes cleared\n');
+
+    console.log(`🍲 Seeding ${recipeData.length} recipes...`);
+    const linked = [];
+    for (const recipe of recipeData) {
+      linked.push(await linkIngredients(recipe));
+    }
+    await Recipe.insertMany(linked);
+    console.log('✅ Recipes seeded successfully!\n');
+
+    const totalRecipes = await Recipe.countDocuments();
+    console.log(`✅ Total recipes: ${totalRecipes}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding recipes:', error);
+    process.exit(1);
+  }
+}
+
+seedRecipes();
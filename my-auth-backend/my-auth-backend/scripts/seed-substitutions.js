@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const Inventory = require('../models/Inventory');
+const Substitution = require('../models/Substitution');
+require('dotenv').config();
+
+// Substitution graph edges: ingredient -> substitute with ratio, allergens and diets
+const substitutionData = require(path.join(__dirname, '..', 'data', 'substitutions.json'));
+
+const connectDB = async () => {
+  try {
+    const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/authDB';
+    await mongoose.connect(mongoURI);
+    console.log('✅ MongoDB Connected\n');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Link each substitute to the Inventory item with the same name, if any
+async function linkSubstitute(edge) {
+  const item = await Inventory.findOne({
+    name: { $regex: `^${edge.substitute}$`, $options: 'i' }
+  }).select('_id');
+
+  if (!item) {
+    console.log(`   ⚠️  No inventory item for substitute "${edge.substitute}"`);
+  }
+
+  return { ...edge, inventory: item ? item._id : undefined };
+}
+
+async function seedSubstitutions() {
+  try {
+    await connectDB();
+
+    console.log('🗑️  Clearing existing substitutions...');
+    await Substitution.deleteMany({});
+    console.log('✅ Substitutions cleared\n');
+
+    console.log(`🔄 Seeding ${substitutionData.length} substitutions...`);
+    const linked = [];
+    for (const edge of substitutionData) {
+      linked.push(await linkSubstitute(edge));
+    }
+    await Substitution.insertMany(linked);
+    console.log('✅ Substitutions seeded successfully!\n');
+
+    const total = await Substitution.countDocuments();
+    console.log(`✅ Total substitutions: ${total}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding substitutions:', error);
+    process.exit(1);
+  }
+}
+
+seedSubstitutions();
@@ -1,6 +1,8 @@
 const store = require('../groceryStore');
 
 async function run() {
+  console.log(`Using the ${store.name} store`);
+
   console.log('Initial list:');
   console.log(await store.list());
 
@@ -15,6 +17,9 @@ async function run() {
   const updated = await store.update(added.id, { quantity: 10 });
   console.log(updated);
 
+  console.log('\nProduce in stock, cheapest first:');
+  console.log(await store.query({ category: 'Produce', inStock: true, sort: 'price_asc' }));
+
   console.log('\nRemoving the new item:');
   const removed = await store.remove(added.id);
   console.log('removed?', removed);
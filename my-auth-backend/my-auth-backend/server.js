@@ -21,14 +21,32 @@ if (!process.env.MONGO_URI) {
   process.exit(1);
 }
 
+if (process.env.NODE_ENV === 'production' && !process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.warn('⚠️  Warning: PAYMENT_WEBHOOK_SECRET is not set, payment webhooks will be refused');
+}
+
 const connectDB = require('./config/db');
+const { startLowStockJob } = require('./jobs/lowStockJob');
+const { startExpiryJob } = require('./jobs/expiryJob');
+const { startPriceJob } = require('./jobs/priceJob');
 
 // Connect to database
 connectDB();
 
+// Reorder suggestions and alerts for items at or below their minimum stock
+startLowStockJob();
+// Write-off of lots past their expiry date
+startExpiryJob();
+// Scheduled price changes and the end of promotions
+startPriceJob();
+
 const app = express();
 
 // Middleware
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+// Bulk inventory imports carry a whole spreadsheet
+app.use('/api/admin/inventory/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Add request logging middleware
@@ -55,13 +73,45 @@ const googleAuth = require('./routes/google');
 const adminRoutes = require('./routes/admin');
 const inventoryRoutes = require('./routes/inventory');
 const otpAuthRoutes = require('./routes/otp-auth');
+const recipeRoutes = require('./routes/recipes');
+const productRoutes = require('./routes/products');
+const searchRoutes = require('./routes/search');
+const pantryRoutes = require('./routes/pantry');
+const mealPlanRoutes = require('./routes/mealPlans');
+const goalRoutes = require('./routes/goals');
+const foodLogRoutes = require('./routes/foodLog');
+const shoppingListRoutes = require('./routes/shoppingLists');
+const profileRoutes = require('./routes/profile');
+const cartRoutes = require('./routes/cart');
+const orderRoutes = require('./routes/orders');
+const paymentRoutes = require('./routes/payments');
+const adminOrderRoutes = require('./routes/adminOrders');
+const reorderRoutes = require('./routes/reorders');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/auth/google', googleAuth);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/inventory', inventoryRoutes);
+app.use('/api/admin/orders', adminOrderRoutes); // Order lifecycle for the admin panel
+app.use('/api/admin/reorders', reorderRoutes); // Low-stock alerts and reorder suggestions
+app.use('/api/admin/suppliers', supplierRoutes);
+app.use('/api/admin/purchase-orders', purchaseOrderRoutes); // Ordering from suppliers and receiving deliveries
 app.use('/api/otp-auth', otpAuthRoutes); // New OTP-based auth routes
+app.use('/api/recipes', recipeRoutes); // Public recipe catalog
+app.use('/api/products', productRoutes); // Public grocery catalog over inventory
+app.use('/api/search', searchRoutes); // Recipes and groceries in one search
+app.use('/api/profile', profileRoutes); // Onboarding preferences, allergens and BMI
+app.use('/api/pantry', pantryRoutes); // What users have at home
+app.use('/api/meal-plans', mealPlanRoutes); // Weekly meal planner
+app.use('/api/goals', goalRoutes); // Calorie and macro targets, progress and recommendations
+app.use('/api/food-log', foodLogRoutes); // Food diary
+app.use('/api/shopping-lists', shoppingListRoutes); // Ingredients of several recipes, summed
+app.use('/api/cart', cartRoutes); // Logged-in user's cart
+app.use('/api/orders', orderRoutes); // Checkout and order history
+app.use('/api/payments', paymentRoutes); // Provider webhooks and 3-D Secure
 
 app.get('/', (req, res) => {
   res.json({ 
@@ -0,0 +1,100 @@
+const path = require('path');
+
+// Fallback allergen data keyed by ingredient name, for recipe lines that are
+// not linked to an inventory item or whose item has not been tagged yet
+const allergenData = require(path.join(__dirname, '..', 'data', 'allergens.json'));
+
+const ALLERGEN_NAMES = {
+  eggs: 'Eggs',
+  dairy: 'Dairy',
+  gluten: 'Gluten',
+  peanuts: 'Peanuts',
+  'tree-nuts': 'Tree Nuts',
+  soy: 'Soy',
+  fish: 'Fish',
+  shellfish: 'Shellfish',
+  sesame: 'Sesame',
+  sulfites: 'Sulfites',
+  mustard: 'Mustard',
+  celery: 'Celery',
+};
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const dataByName = Object.keys(allergenData).reduce((acc, name) => {
+  acc[name.toLowerCase()] = allergenData[name];
+  return acc;
+}, {});
+
+// Allergen tags for one ingredient line: { contains: [], mayContain: [] }
+const getLineAllergens = (line) => {
+  const item = line.inventory;
+  const contains = (item && item.allergens) || [];
+  const mayContain = (item && item.mayContainAllergens) || [];
+  if (contains.length > 0 || mayContain.length > 0) {
+    return { contains, mayContain };
+  }
+
+  const fallback = dataByName[String(line.name || '').toLowerCase()] || {};
+  return {
+    contains: fallback.contains || [],
+    mayContain: fallback.mayContain || [],
+  };
+};
+
+// Detect the allergens in a recipe and rate them against the user's declared allergens.
+// `recipe.ingredients[].inventory` should be populated with `allergens mayContainAllergens`.
+//
+// Severity: high when a declared allergen is in a required ingredient, medium when it
+// is only in optional ingredients or present as a trace, low when not declared.
+const detectRecipeAllergens = (recipe, declaredAllergens = []) => {
+  const found = {};
+
+  const record = (id, line, trace) => {
+    if (!found[id]) {
+      found[id] = { id, ingredients: [], traces: [], required: false };
+    }
+    const entry = found[id];
+    const list = trace ? entry.traces : entry.ingredients;
+    if (!list.includes(line.name)) list.push(line.name);
+    if (!trace && !line.optional) entry.required = true;
+  };
+
+  (recipe.ingredients || []).forEach((line) => {
+    const { contains, mayContain } = getLineAllergens(line);
+    contains.forEach((id) => record(id, line, false));
+    mayContain.forEach((id) => record(id, line, true));
+  });
+
+  const allergens = Object.values(found).map((entry) => {
+    const declared = declaredAllergens.includes(entry.id);
+    let severity = 'low';
+    if (declared) {
+      severity = entry.required ? 'high' : 'medium';
+    }
+    return {
+      id: entry.id,
+      name: ALLERGEN_NAMES[entry.id] || entry.id,
+      declared,
+      severity,
+      ingredients: entry.ingredients,
+      traces: entry.traces,
+    };
+  });
+
+  allergens.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  const conflicts = allergens.filter((allergen) => allergen.declared).map((allergen) => allergen.id);
+
+  return {
+    allergens,
+    conflicts,
+    hasConflict: conflicts.length > 0,
+  };
+};
+
+module.exports = {
+  ALLERGEN_NAMES,
+  getLineAllergens,
+  detectRecipeAllergens,
+};
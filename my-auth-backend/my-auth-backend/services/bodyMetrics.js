@@ -0,0 +1,89 @@
+// Body measurement calculations used by the profile and goals endpoints
+const {
+  ACTIVITY_LEVELS,
+  GOAL_CALORIE_ADJUSTMENTS,
+  PROTEIN_PER_KG,
+  FAT_CALORIE_SHARE,
+  FIBER_PER_1000_KCAL
+} = require('../config/goals');
+
+// BMI = weight (kg) / (height (m))^2
+const calculateBmi = (heightCm, weightKg) => {
+  const heightInMeters = Number(heightCm) / 100;
+  return Number(weightKg) / (heightInMeters * heightInMeters);
+};
+
+// WHO adult BMI categories
+const bmiCategory = (bmi) => {
+  if (bmi < 18.5) return 'Underweight';
+  if (bmi < 25) return 'Normal';
+  if (bmi < 30) return 'Overweight';
+  return 'Obese';
+};
+
+// Rough daily calories from weight alone: about 30 kcal per kg keeps weight steady,
+// adjusted towards a healthy BMI. Used until the user gives more to go on.
+const CALORIES_PER_KG = 30;
+const BMI_CALORIE_ADJUSTMENTS = {
+  Underweight: 300,
+  Normal: 0,
+  Overweight: -300,
+  Obese: -500
+};
+const MIN_CALORIE_TARGET = 1200;
+
+// Daily calorie target for a weight and BMI, rounded to 50 kcal
+const estimateCalorieTarget = (weightKg, bmi) => {
+  const calories = Number(weightKg) * CALORIES_PER_KG + BMI_CALORIE_ADJUSTMENTS[bmiCategory(bmi)];
+  return Math.max(MIN_CALORIE_TARGET, Math.round(calories / 50) * 50);
+};
+
+// Basal metabolic rate (kcal/day), Mifflin-St Jeor
+const calculateBmr = ({ sex, age, heightCm, weightKg }) => {
+  const base = 10 * Number(weightKg) + 6.25 * Number(heightCm) - 5 * Number(age);
+  return sex === 'male' ? base + 5 : base - 161;
+};
+
+// Daily targets for a user's goal settings and measurements: BMR, TDEE, the calorie
+// target (rounded to 50 kcal) and grams of protein, carbs, fat and fiber
+const calculateDailyTargets = ({ sex, age, activityLevel, goal }, heightCm, weightKg) => {
+  const bmr = calculateBmr({ sex, age, heightCm, weightKg });
+  const tdee = bmr * ACTIVITY_LEVELS[activityLevel];
+  const calories = Math.max(
+    MIN_CALORIE_TARGET,
+    Math.round((tdee + GOAL_CALORIE_ADJUSTMENTS[goal]) / 50) * 50
+  );
+
+  const protein = Math.round(Number(weightKg) * PROTEIN_PER_KG[goal]);
+  const fat = Math.round((calories * FAT_CALORIE_SHARE) / 9);
+  const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    calories,
+    protein,
+    carbs,
+    fat,
+    fiber: Math.round((calories / 1000) * FIBER_PER_1000_KCAL)
+  };
+};
+
+// The daily calorie target of a stored profile: from the user's goals when set,
+// otherwise estimated from their latest BMI entry; null when neither is known
+const profileCalorieTarget = (profile = {}) => {
+  if (profile.goals && profile.goals.targets && profile.goals.targets.calories) {
+    return profile.goals.targets.calories;
+  }
+  const history = profile.bmiHistory || [];
+  const latest = history.length > 0 ? history[history.length - 1] : null;
+  return latest ? estimateCalorieTarget(latest.weightKg, latest.bmi) : null;
+};
+
+module.exports = {
+  calculateBmi,
+  bmiCategory,
+  estimateCalorieTarget,
+  calculateBmr,
+  calculateDailyTargets,
+  profileCalorieTarget,
+};
@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV reading and writing for the inventory import/export.
+// Fields may be quoted; quotes inside a quoted field are doubled ("").
+
+// Parse CSV text into rows of string fields. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      if (row.some((value) => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some((value) => value !== '')) rows.push(row);
+  return rows;
+};
+
+// Undo the ' escapeField puts before formula-like text, so exports import unchanged
+const unescapeFormula = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// Parse CSV with a header row into objects keyed by the trimmed header names
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+  return {
+    columns,
+    records: rows.map((values) => Object.fromEntries(
+      columns.map((column, index) => [column, values[index] === undefined ? '' : unescapeFormula(values[index])])
+    ))
+  };
+};
+
+// Text cells a spreadsheet would run as a formula get a leading ' (shown as plain text);
+// numbers stay as they are, so negative values still read as numbers
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write objects as CSV with the given columns, header row first
+const toCsv = (columns, records) => [
+  columns.map(escapeField).join(','),
+  ...records.map((record) => columns.map((column) => escapeField(record[column])).join(','))
+].join('\r\n');
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv,
+};
@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// Helper: Escape a value for an HTML email body (item names come from admin input and CSV imports)
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Create transporter
 const createTransporter = () => {
   // For development, you can use ethereal email (fake SMTP)
@@ -157,6 +165,62 @@ const emailTemplates = {
       If you didn't request this, please ignore this email.
     `,
   }),
+
+  lowStockAlert: (items) => ({
+    subject: `Low Stock Alert: ${items.length} item${items.length === 1 ? '' : 's'} to reorder - MealVista`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f6d365 0%, #fda085 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          table { width: 100%; border-collapse: collapse; background: white; margin: 20px 0; }
+          th, td { padding: 10px; border-bottom: 1px solid #eee; text-align: left; font-size: 14px; }
+          th { color: #666; }
+          .footer { text-align: center; color: #999; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📦 MealVista</h1>
+            <p>Low Stock Alert</p>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p>The following items are at or below their minimum stock. A reorder suggestion is waiting for approval on the admin dashboard.</p>
+
+            <table>
+              <tr><th>Item</th><th>Stock</th><th>Min</th><th>Days left</th><th>Reorder</th></tr>
+              ${items.map((item) => `
+              <tr>
+                <td>${escapeHtml(item.name)}</td>
+                <td>${escapeHtml(item.stock)} ${escapeHtml(item.unit)}</td>
+                <td>${escapeHtml(item.minStock)}</td>
+                <td>${item.daysOfStockLeft === null ? '-' : escapeHtml(item.daysOfStockLeft)}</td>
+                <td><strong>${escapeHtml(item.suggestedQuantity)} ${escapeHtml(item.unit)}</strong></td>
+              </tr>`).join('')}
+            </table>
+          </div>
+          <div class="footer">
+            <p>© 2025 MealVista. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      MealVista - Low Stock Alert
+
+      These items are at or below their minimum stock:
+${items.map((item) => `      - ${item.name}: ${item.stock} ${item.unit} left (min ${item.minStock}), reorder ${item.suggestedQuantity} ${item.unit}`).join('\n')}
+
+      Approve the reorder suggestions on the admin dashboard.
+    `,
+  }),
 };
 
 // Send email function
@@ -169,7 +233,7 @@ const sendEmail = async (to, template, data) => {
     console.log('To:', to);
     console.log('Subject:', template.subject);
     console.log('Data:', data);
-    console.log('OTP:', data.otp);
+    if (data.otp) console.log('OTP:', data.otp);
     console.log('==========================================\n');
     return { success: true, message: 'Email logged to console (development mode)' };
   }
@@ -217,4 +281,9 @@ module.exports = {
     const template = emailTemplates.resetPassword(otp, expiryMinutes);
     return sendEmail(email, template, { otp, expiryMinutes });
   },
+
+  sendLowStockAlertEmail: async (email, items) => {
+    const template = emailTemplates.lowStockAlert(items);
+    return sendEmail(email, template, { items: items.map((item) => item.name) });
+  },
 };
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const FoodLog = require('../models/FoodLog');
+const Inventory = require('../models/Inventory');
+const { NUTRIENTS, computeRecipeNutrition, servingCalories } = require('./nutritionService');
+const { loadRecipeIngredients } = require('./pantryService');
+const { toGrams } = require('./units');
+const { FOOD_LOG_SOURCES, SERVING_UNIT } = require('../config/foodLog');
+const { MEAL_SLOTS } = require('../config/mealPlans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Everything a diary entry records, calories first
+const NUTRIENT_KEYS = ['calories', ...NUTRIENTS.map(({ key }) => key)];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Midnight UTC of a day ('YYYY-MM-DD', today when empty), or null when invalid
+const dayFor = (value) => {
+  if (value === undefined || value === null || value === '') {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  if (!DATE_PATTERN.test(String(value))) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  // Days that don't exist (2026-02-30) would roll over into the next month
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === String(value) ? date : null;
+};
+
+// Nutrient values times `factor`, with every NUTRIENT_KEYS key present. Entries store
+// them unrounded, so a changed portion rescales the exact values.
+const scaleNutrients = (values = {}, factor = 1) => NUTRIENT_KEYS.reduce((acc, key) => {
+  acc[key] = (Number(values[key]) || 0) * factor;
+  return acc;
+}, {});
+
+// Nutrient values as the app shows them, to one decimal
+const roundNutrients = (values = {}) => NUTRIENT_KEYS.reduce((acc, key) => {
+  acc[key] = round(Number(values[key]) || 0);
+  return acc;
+}, {});
+
+// Nutrients of several diary entries added up
+const sumNutrients = (entries) => {
+  const totals = {};
+  NUTRIENT_KEYS.forEach((key) => {
+    totals[key] = entries.reduce((sum, entry) => sum + ((entry.nutrients && entry.nutrients[key]) || 0), 0);
+  });
+  return roundNutrients(totals);
+};
+
+const parsePortion = (quantity) => {
+  const amount = quantity === undefined || quantity === null || quantity === '' ? 1 : Number(quantity);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+// What a new entry is and the nutrients of its portion.
+// Resolves to { fields } or { error, status }.
+const resolveEntry = async (userId, { source, recipeId, inventoryId, name, quantity, unit, nutrients }) => {
+  const amount = parsePortion(quantity);
+  if (amount === null) {
+    return { error: 'quantity must be a positive number', status: 400 };
+  }
+
+  switch (source) {
+    case 'recipe': {
+      // Nutrition of the recipe as the user cooks it, their variant included, with the
+      // calories recommendations ranked it on
+      const result = await loadRecipeIngredients(userId, recipeId);
+      if (result.error) return result;
+
+      const { perServing } = computeRecipeNutrition({
+        servings: result.recipe.servings,
+        ingredients: result.ingredients
+      });
+      const serving = { ...perServing, calories: servingCalories(result.recipe, perServing) };
+      return {
+        fields: {
+          recipe: result.recipe._id,
+          name: result.recipe.title,
+          quantity: amount,
+          unit: SERVING_UNIT,
+          nutrients: scaleNutrients(serving, amount)
+        }
+      };
+    }
+    case 'product': {
+      const item = mongoose.Types.ObjectId.isValid(inventoryId)
+        ? await Inventory.findById(inventoryId).select('name unit nutrition').lean()
+        : null;
+      if (!item) {
+        return { error: 'Product not found', status: 404 };
+      }
+
+      const portionUnit = unit || item.unit;
+      const grams = item.nutrition ? toGrams(amount, portionUnit, item.nutrition) : null;
+      if (grams === null) {
+        return {
+          error: `Nutrition for ${amount} ${portionUnit} of ${item.name} is unknown; log it as a custom entry`,
+          status: 400
+        };
+      }
+      return {
+        fields: {
+          inventory: item._id,
+          name: item.name,
+          quantity: amount,
+          unit: portionUnit,
+          nutrients: scaleNutrients(item.nutrition, grams / 100)
+        }
+      };
+    }
+    case 'custom': {
+      const entryName = typeof name === 'string' ? name.trim() : '';
+      if (!entryName) {
+        return { error: 'name is required', status: 400 };
+      }
+
+      // Values typed in are for the whole portion
+      const values = nutrients || {};
+      if (values.calories === undefined) {
+        return { error: 'nutrients.calories is required', status: 400 };
+      }
+      const invalid = NUTRIENT_KEYS.filter((key) => values[key] !== undefined
+        && (!Number.isFinite(Number(values[key])) || Number(values[key]) < 0));
+      if (invalid.length > 0) {
+        return { error: `Nutrients must be zero or more: ${invalid.join(', ')}`, status: 400 };
+      }
+      return {
+        fields: {
+          name: entryName,
+          quantity: amount,
+          unit: unit || SERVING_UNIT,
+          nutrients: scaleNutrients(values)
+        }
+      };
+    }
+    default:
+      return { error: `source must be one of: ${FOOD_LOG_SOURCES.join(', ')}`, status: 400 };
+  }
+};
+
+// Check the day and slot of an entry; resolves to an error message or null
+const validatePlacement = ({ date, slot }) => {
+  if (date !== undefined && !dayFor(date)) {
+    return 'date must be a date (YYYY-MM-DD)';
+  }
+  if (slot !== undefined && !MEAL_SLOTS.includes(slot)) {
+    return `slot must be one of: ${MEAL_SLOTS.join(', ')}`;
+  }
+  return null;
+};
+
+// Add something the user ate to their diary.
+// Resolves to { entry } or { error, status }.
+const logFood = async (userId, input) => {
+  const placementError = validatePlacement(input);
+  if (placementError) {
+    return { error: placementError, status: 400 };
+  }
+
+  const result = await resolveEntry(userId, input);
+  if (result.error) return result;
+
+  const entry = await FoodLog.create({
+    user: userId,
+    date: dayFor(input.date),
+    slot: input.slot,
+    source: input.source,
+    ...result.fields
+  });
+  return { entry };
+};
+
+// Change the portion, slot or day of a diary entry; nutrients follow the portion.
+// Resolves to { entry } or { error, status }.
+const updateFoodLog = async (userId, entryId, { quantity, slot, date }) => {
+  const placementError = validatePlacement({ date, slot });
+  if (placementError) {
+    return { error: placementError, status: 400 };
+  }
+
+  const entry = mongoose.Types.ObjectId.isValid(entryId)
+    ? await FoodLog.findOne({ _id: entryId, user: userId })
+    : null;
+  if (!entry) {
+    return { error: 'Diary entry not found', status: 404 };
+  }
+
+  if (quantity !== undefined) {
+    const amount = parsePortion(quantity);
+    if (amount === null) {
+      return { error: 'quantity must be a positive number', status: 400 };
+    }
+    entry.nutrients = scaleNutrients(entry.nutrients, amount / entry.quantity);
+    entry.quantity = amount;
+  }
+  if (slot !== undefined) entry.slot = slot;
+  if (date !== undefined) entry.date = dayFor(date);
+
+  await entry.save();
+  return { entry };
+};
+
+// Diary entries of the days from `from` (a dayFor date), oldest first
+const entriesBetween = (userId, from, days = 1) => FoodLog.find({
+  user: userId,
+  date: { $gte: from, $lt: new Date(from.getTime() + days * DAY_MS) }
+}).sort({ date: 1, createdAt: 1 });
+
+module.exports = {
+  NUTRIENT_KEYS,
+  dayFor,
+  roundNutrients,
+  sumNutrients,
+  logFood,
+  updateFoodLog,
+  entriesBetween,
+};
@@ -0,0 +1,212 @@
+const Recipe = require('../models/Recipe');
+const User = require('../models/User');
+const { computeRecipeNutrition, servingCalories } = require('./nutritionService');
+const { calculateDailyTargets, profileCalorieTarget } = require('./bodyMetrics');
+const { dayFor, sumNutrients, entriesBetween } = require('./foodLogService');
+const { MEAL_SLOTS, DEFAULT_CALORIE_TARGET } = require('../config/mealPlans');
+const { SEXES, ACTIVITY_LEVELS, GOALS, MIN_AGE, MAX_AGE } = require('../config/goals');
+
+// Nutrients with a daily target besides calories
+const MACRO_KEYS = ['protein', 'carbs', 'fat', 'fiber'];
+
+// A recommended recipe is shown as a card; its ingredients are only needed for ranking
+const RECOMMENDATION_FIELDS = '-steps';
+
+// Recommendation scoring, lower is better. Missing the meal's calories by 100% costs 1;
+// falling short on protein or going over on carbs or fat costs less.
+const PROTEIN_SHORTFALL_WEIGHT = 0.5;
+const CARBS_EXCESS_WEIGHT = 0.25;
+const FAT_EXCESS_WEIGHT = 0.25;
+// Smallest calorie budget a meal is ranked against, so a spent day still favours light meals
+const MIN_MEAL_CALORIES = 200;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Check goal settings; resolves to an error message or null
+const validateGoals = ({ age, sex, activityLevel, goal }) => {
+  const ageNumber = Number(age);
+  if (!Number.isInteger(ageNumber) || ageNumber < MIN_AGE || ageNumber > MAX_AGE) {
+    return `age must be a whole number from ${MIN_AGE} to ${MAX_AGE}`;
+  }
+  if (!SEXES.includes(sex)) {
+    return `sex must be one of: ${SEXES.join(', ')}`;
+  }
+  if (!Object.keys(ACTIVITY_LEVELS).includes(activityLevel)) {
+    return `activityLevel must be one of: ${Object.keys(ACTIVITY_LEVELS).join(', ')}`;
+  }
+  if (goal !== undefined && !GOALS.includes(goal)) {
+    return `goal must be one of: ${GOALS.join(', ')}`;
+  }
+  return null;
+};
+
+// Recompute the daily targets of a profile's goals from its current measurements.
+// Called whenever the goals or the height and weight change; leaves profiles
+// without goals alone.
+const applyGoalTargets = (profile) => {
+  if (!profile || !profile.goals || !profile.heightCm || !profile.weightKg) return profile;
+  profile.goals.targets = calculateDailyTargets(profile.goals, profile.heightCm, profile.weightKg);
+  profile.goals.updatedAt = new Date();
+  return profile;
+};
+
+// Save a user's goal settings and compute their daily targets.
+// Resolves to { profile } or { error, status }.
+const setGoals = async (userId, { age, sex, activityLevel, goal }) => {
+  const validationError = validateGoals({ age, sex, activityLevel, goal });
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } });
+  if (!user) {
+    return { error: 'User not found', status: 404 };
+  }
+  if (!user.profile || !user.profile.heightCm || !user.profile.weightKg) {
+    return { error: 'Record your height and weight before setting goals', status: 400 };
+  }
+
+  user.profile.goals = {
+    age: Number(age),
+    sex,
+    activityLevel,
+    goal: goal || 'maintain'
+  };
+  applyGoalTargets(user.profile);
+  user.profile.updatedAt = new Date();
+  await user.save();
+  return { profile: user.profile };
+};
+
+// Daily targets of a profile. Without goals only calories are known (estimated from
+// the latest BMI, or the default) and the macro targets are null.
+const profileTargets = (profile = {}) => {
+  const targets = profile.goals && profile.goals.targets;
+  const result = { calories: profileCalorieTarget(profile) || DEFAULT_CALORIE_TARGET };
+  MACRO_KEYS.forEach((key) => {
+    result[key] = targets && targets[key] !== undefined ? targets[key] : null;
+  });
+  return result;
+};
+
+// Calories and macros per serving of a recipe whose lines have inventory nutrition
+// populated, counted as a diary entry for the recipe would count them
+const servingNutrition = (recipe) => {
+  const { perServing } = computeRecipeNutrition(recipe);
+  const nutrition = { calories: servingCalories(recipe, perServing) };
+  MACRO_KEYS.forEach((key) => {
+    nutrition[key] = round(perServing[key] || 0);
+  });
+  return nutrition;
+};
+
+// What the user ate on a day ('YYYY-MM-DD', today when empty), from their food diary.
+// Resolves to null when the date is invalid.
+const dayIntake = async (userId, date) => {
+  const day = dayFor(date);
+  if (!day) return null;
+
+  const entries = await entriesBetween(userId, day);
+  const totals = sumNutrients(entries);
+  const consumed = { calories: Math.round(totals.calories) };
+  MACRO_KEYS.forEach((key) => {
+    consumed[key] = totals[key];
+  });
+
+  return {
+    date: day.toISOString().slice(0, 10),
+    meals: entries.map((entry) => ({
+      id: entry._id.toString(),
+      slot: entry.slot,
+      name: entry.name,
+      calories: Math.round(entry.nutrients.calories)
+    })),
+    consumed,
+    // Slots of the day nothing is logged for yet; the rest of the budget is spread over them
+    mealsLeft: MEAL_SLOTS.filter((slot) => !entries.some((entry) => entry.slot === slot)).length
+  };
+};
+
+// A user's progress toward their daily targets on a day.
+// Resolves to { progress } or { error, status }.
+const dayProgress = async (userId, date) => {
+  const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } }).select('profile');
+  if (!user) {
+    return { error: 'User not found', status: 404 };
+  }
+
+  const intake = await dayIntake(userId, date);
+  if (!intake) {
+    return { error: 'date must be a date (YYYY-MM-DD)', status: 400 };
+  }
+
+  const targets = profileTargets(user.profile || {});
+  const remaining = {};
+  Object.keys(targets).forEach((key) => {
+    remaining[key] = targets[key] === null ? null : round(targets[key] - intake.consumed[key]);
+  });
+  return { progress: { ...intake, targets, remaining } };
+};
+
+// How far a serving is from a meal's share of the remaining budget; lower is better
+const fitScore = (nutrition, budget) => {
+  const calorieBudget = Math.max(budget.calories, MIN_MEAL_CALORIES);
+  let score = Math.abs(nutrition.calories - Math.max(budget.calories, 0)) / calorieBudget;
+  if (budget.protein > 0) {
+    score += PROTEIN_SHORTFALL_WEIGHT * Math.max(0, budget.protein - nutrition.protein) / budget.protein;
+  }
+  if (budget.carbs > 0) {
+    score += CARBS_EXCESS_WEIGHT * Math.max(0, nutrition.carbs - budget.carbs) / budget.carbs;
+  }
+  if (budget.fat > 0) {
+    score += FAT_EXCESS_WEIGHT * Math.max(0, nutrition.fat - budget.fat) / budget.fat;
+  }
+  return score;
+};
+
+// Published, non-trending recipes ranked by how well a serving fits the next meal:
+// what is left of the day's targets split over the meals still to eat.
+// Resolves to { progress, budget, recipes } or { error, status }.
+const recommendRecipes = async (userId, { date, limit = 10 } = {}) => {
+  const result = await dayProgress(userId, date);
+  if (result.error) return result;
+
+  const { progress } = result;
+  const meals = Math.max(progress.mealsLeft, 1);
+  const budget = {};
+  Object.keys(progress.remaining).forEach((key) => {
+    const left = progress.remaining[key];
+    budget[key] = left === null ? null : Math.round(Math.max(left, 0) / meals);
+  });
+
+  const recipes = await Recipe.find({ published: true, trending: false })
+    .select(RECOMMENDATION_FIELDS)
+    .populate('ingredients.inventory', 'nutrition')
+    .lean();
+
+  const ranked = recipes
+    .map((recipe) => {
+      const nutrition = servingNutrition(recipe);
+      return { recipe, nutrition, score: fitScore(nutrition, budget) };
+    })
+    .sort((a, b) => a.score - b.score || (b.recipe.rating || 0) - (a.recipe.rating || 0))
+    .slice(0, limit)
+    .map(({ recipe: { ingredients: _ingredients, ...recipe }, nutrition, score }) => ({
+      ...recipe,
+      id: recipe._id.toString(),
+      nutrition,
+      fitScore: Math.round(score * 100) / 100
+    }));
+
+  return { progress, budget, recipes: ranked };
+};
+
+module.exports = {
+  validateGoals,
+  applyGoalTargets,
+  setGoals,
+  profileTargets,
+  dayIntake,
+  dayProgress,
+  recommendRecipes,
+};
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Inventory = require('../../models/Inventory');
+const { GROCERY_STORE_FILE } = require('../../config/inventory');
+const {
+  SEARCH_FIELDS,
+  ITEM_SORTS,
+  toStoredFields,
+  validateCriteria
+} = require('./items');
+
+const compare = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+// Item from stored fields, with the Inventory schema's defaults and validation applied
+// without touching the database, so items look the same as the Mongo store's.
+// Throws the schema's ValidationError on bad input.
+const toItem = (id, fields) => {
+  const doc = new Inventory(fields);
+  const error = doc.validateSync();
+  if (error) throw error;
+
+  const { _id, __v, ...data } = doc.toObject();
+  return {
+    id: String(id ?? _id),
+    ...data,
+    status: Inventory.statusFor(data.stock, data.minStock)
+  };
+};
+
+// Grocery store kept in a JSON file, for offline development and tests.
+// Items written by the old groceryStore (numeric ids, `quantity`) are read as they are;
+// new items get ObjectId-style ids, so they can be imported into Mongo unchanged.
+const createFileStore = ({ filePath = GROCERY_STORE_FILE } = {}) => {
+  // Writes are queued so concurrent updates do not overwrite each other
+  let pending = Promise.resolve();
+  const exclusive = (task) => {
+    const run = pending.then(task, task);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  const readAll = async () => {
+    try {
+      const [raw, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+      // Old rows have no dates: give them the file's, so they read the same every time
+      // until the next write saves them
+      return JSON.parse(raw).map(({ id, quantity, status, ...record }) => toItem(id, {
+        createdAt: stats.mtime,
+        updatedAt: stats.mtime,
+        ...record,
+        stock: record.stock ?? quantity
+      }));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  const writeAll = async (items) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(items, null, 2), 'utf8');
+  };
+
+  const list = () => readAll();
+
+  const findById = async (id) => {
+    const items = await readAll();
+    return items.find((item) => item.id === String(id)) || null;
+  };
+
+  const add = (input) => exclusive(async () => {
+    const items = await readAll();
+    const item = toItem(null, { stock: 0, ...toStoredFields(input) });
+    items.push(item);
+    await writeAll(items);
+    return item;
+  });
+
+  const update = (id, updates) => exclusive(async () => {
+    const items = await readAll();
+    const index = items.findIndex((item) => item.id === String(id));
+    if (index === -1) return null;
+
+    const { id: _id, status, ...current } = items[index];
+    items[index] = toItem(items[index].id, {
+      ...current,
+      ...toStoredFields(updates),
+      updatedAt: new Date()
+    });
+    await writeAll(items);
+    return items[index];
+  });
+
+  const remove = (id) => exclusive(async () => {
+    const items = await readAll();
+    const remaining = items.filter((item) => item.id !== String(id));
+    if (remaining.length === items.length) return false; // nothing removed
+    await writeAll(remaining);
+    return true;
+  });
+
+  const query = async (criteria = {}) => {
+    const error = validateCriteria(criteria);
+    if (error) throw new Error(error);
+
+    const {
+      category,
+      subcategory,
+      search,
+      inStock,
+      includeUnavailable,
+      minPrice,
+      maxPrice,
+      sort = 'name',
+      limit,
+      skip = 0
+    } = criteria;
+    const needle = search ? String(search).trim().toLowerCase() : '';
+    const { field, direction } = ITEM_SORTS[sort];
+
+    const items = (await readAll()).filter((item) => (
+      (includeUnavailable || item.available !== false)
+      && (!category || category === 'all' || item.category === category)
+      && (!subcategory || item.subcategory === subcategory)
+      && (!needle || SEARCH_FIELDS.some((key) => String(item[key] || '').toLowerCase().includes(needle)))
+      && (!inStock || item.status !== 'out_of_stock')
+      && (minPrice === undefined || item.price >= Number(minPrice))
+      && (maxPrice === undefined || item.price <= Number(maxPrice))
+    ));
+    items.sort((a, b) => compare(a[field], b[field]) * direction || compare(a.id, b.id));
+    return items.slice(skip, limit ? skip + limit : undefined);
+  };
+
+  return {
+    name: 'file',
+    list,
+    findById,
+    add,
+    update,
+    remove,
+    query,
+  };
+};
+
+module.exports = {
+  createFileStore,
+};
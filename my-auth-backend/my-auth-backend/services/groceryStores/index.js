@@ -0,0 +1,35 @@
+const { GROCERY_STORE } = require('../../config/inventory');
+const { createFileStore } = require('./fileStore');
+const { createMongoStore } = require('./mongoStore');
+
+// Every grocery store implements the same interface over Inventory-shaped items
+// ({ id, name, category, subcategory, unit, price, stock, status, ... }, `id` a string):
+//
+//   list()                 -> every item
+//   findById(id)           -> item or null
+//   add(fields)            -> the new item
+//   update(id, fields)     -> the updated item, or null if there is no such item
+//   remove(id)             -> true, or false if there was no such item
+//   query(criteria)        -> matching items; criteria: category, subcategory, search,
+//                             inStock, includeUnavailable, minPrice, maxPrice,
+//                             sort ('name', 'price_asc', 'price_desc', 'newest'), limit, skip
+//
+// `fields` may give stock as `quantity`, the old groceries.json name. Invalid fields
+// and criteria throw. To add a store, implement these methods and register it below.
+const STORES = {
+  file: createFileStore,
+  mongo: createMongoStore,
+};
+
+// Store by name; `options` go to its factory (e.g. { filePath } for 'file')
+const getGroceryStore = (name = GROCERY_STORE, options = {}) => {
+  const createStore = STORES[name];
+  if (!createStore) {
+    throw new Error(`Unknown grocery store: ${name}`);
+  }
+  return createStore(options);
+};
+
+module.exports = {
+  getGroceryStore,
+};
@@ -0,0 +1,56 @@
+// Item shape and query rules shared by the grocery stores, so every store takes
+// the same input and answers a query the same way.
+
+// Fields a caller cannot set: ids are assigned, status follows stock, dates are kept
+const PROTECTED_FIELDS = ['id', '_id', '__v', 'status', 'createdAt', 'updatedAt'];
+
+// Fields query() looks for the search text in
+const SEARCH_FIELDS = ['name', 'category', 'subcategory'];
+
+// Sort options for query(): the field to order by and its direction
+const ITEM_SORTS = {
+  name: { field: 'name', direction: 1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 },
+};
+
+// Input fields as stored: `quantity` (the old groceries.json name for stock) is
+// accepted as `stock`, and protected fields are dropped. Throws on negative stock.
+const toStoredFields = (input = {}) => {
+  const { quantity, ...fields } = input;
+  if (fields.stock === undefined && quantity !== undefined) {
+    fields.stock = quantity;
+  }
+  if (fields.stock !== undefined) {
+    fields.stock = Number(fields.stock);
+    if (!(fields.stock >= 0)) {
+      throw new Error('stock must be a positive number');
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(fields).filter(([key]) => !PROTECTED_FIELDS.includes(key))
+  );
+};
+
+// Check query criteria; returns an error message, or null when they are fine.
+// Criteria: category, subcategory, search, inStock, includeUnavailable,
+// minPrice, maxPrice, sort, limit, skip
+const validateCriteria = ({ sort, minPrice, maxPrice } = {}) => {
+  if (sort !== undefined && !ITEM_SORTS[sort]) {
+    return `sort must be one of: ${Object.keys(ITEM_SORTS).join(', ')}`;
+  }
+  for (const price of [minPrice, maxPrice]) {
+    if (price !== undefined && !(Number(price) >= 0)) {
+      return 'minPrice and maxPrice must be positive numbers';
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  ITEM_SORTS,
+  toStoredFields,
+  validateCriteria,
+};
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Inventory = require('../../models/Inventory');
+const { recordMovement, createStockedItem } = require('../stockService');
+const { parsePrice, schedulePriceChange } = require('../priceService');
+const {
+  SEARCH_FIELDS,
+  ITEM_SORTS,
+  toStoredFields,
+  validateCriteria
+} = require('./items');
+
+// Recorded on the stock movements and price changes the store makes
+const STORE_REASON = 'Updated through the grocery store';
+
+// Helper: Escape user input before using it in a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Item as the stores return it: the document's fields with a string id
+const toItem = (doc) => {
+  const { _id, __v, ...data } = doc;
+  return {
+    id: _id.toString(),
+    ...data
+  };
+};
+
+// Grocery store over the Inventory collection. Stock and price changes go through
+// the stock ledger and price history, as they do from the admin screens.
+// The caller connects to MongoDB.
+const createMongoStore = () => {
+  const list = async () => (await Inventory.find().sort({ _id: 1 }).lean()).map(toItem);
+
+  const findById = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const item = await Inventory.findById(id).lean();
+    return item ? toItem(item) : null;
+  };
+
+  const add = async (input) => {
+    const { stock = 0, ...fields } = toStoredFields(input);
+    const result = await createStockedItem(fields, stock);
+    if (result.error) throw new Error(result.error);
+    return findById(result.item._id);
+  };
+
+  const update = async (id, updates) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const { stock, price, ...changes } = toStoredFields(updates);
+    const item = await Inventory.findById(id);
+    if (!item) return null;
+
+    if (price !== undefined) {
+      const parsed = parsePrice(price);
+      if (parsed.error) throw new Error(parsed.error);
+    }
+    if (Object.keys(changes).length > 0) {
+      item.set(changes);
+      await item.save();
+    }
+    if (price !== undefined && Number(price) !== item.price) {
+      const result = await schedulePriceChange(item._id, { price, reason: STORE_REASON });
+      if (result.error) throw new Error(result.error);
+    }
+    if (stock !== undefined && stock !== item.stock) {
+      const result = await recordMovement(item._id, {
+        type: 'adjustment',
+        quantity: stock - item.stock,
+        reason: STORE_REASON
+      });
+      if (result.error) throw new Error(result.error);
+    }
+    return findById(item._id);
+  };
+
+  const remove = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    return Boolean(await Inventory.findByIdAndDelete(id));
+  };
+
+  const query = async (criteria = {}) => {
+    const error = validateCriteria(criteria);
+    if (error) throw new Error(error);
+
+    const {
+      category,
+      subcategory,
+      search,
+      inStock,
+      includeUnavailable,
+      minPrice,
+      maxPrice,
+      sort = 'name',
+      limit,
+      skip = 0
+    } = criteria;
+    const { field, direction } = ITEM_SORTS[sort];
+    const filter = {};
+
+    if (!includeUnavailable) {
+      filter.available = { $ne: false };
+    }
+    if (category && category !== 'all') {
+      filter.category = category;
+    }
+    if (subcategory) {
+      filter.subcategory = subcategory;
+    }
+    if (search && String(search).trim()) {
+      const pattern = escapeRegex(String(search).trim());
+      filter.$or = SEARCH_FIELDS.map((key) => ({ [key]: { $regex: pattern, $options: 'i' } }));
+    }
+    if (inStock) {
+      filter.status = { $ne: 'out_of_stock' };
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filter.price = {};
+      if (minPrice !== undefined) filter.price.$gte = Number(minPrice);
+      if (maxPrice !== undefined) filter.price.$lte = Number(maxPrice);
+    }
+
+    const items = await Inventory.find(filter)
+      .sort({ [field]: direction, _id: 1 })
+      .skip(skip)
+      .limit(limit || 0)
+      .lean();
+    return items.map(toItem);
+  };
+
+  return {
+    name: 'mongo',
+    list,
+    findById,
+    add,
+    update,
+    remove,
+    query,
+  };
+};
+
+module.exports = {
+  createMongoStore,
+};
@@ -0,0 +1,251 @@
+const Inventory = require('../models/Inventory');
+const { parseCsvRecords } = require('./csv');
+const { recordMovement, createStockedItem } = require('./stockService');
+const { schedulePriceChange } = require('./priceService');
+
+// Columns that can be imported and exported, in spreadsheet order.
+// Items are matched by name + category (case-insensitive); everything else is updated.
+const INVENTORY_FIELDS = [
+  'name',
+  'category',
+  'subcategory',
+  'unit',
+  'stock',
+  'minStock',
+  'maxStock',
+  'price',
+  'available',
+  'origin',
+  'description',
+  'image'
+];
+
+const NUMBER_FIELDS = ['stock', 'minStock', 'maxStock', 'price'];
+const MAX_IMPORT_ROWS = 5000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const IMPORT_REASON = 'Bulk import';
+
+const itemKey = (name, category) => `${String(name).trim().toLowerCase()}|${String(category).trim().toLowerCase()}`;
+
+// Read the uploaded text (or an already-parsed JSON array) into plain records.
+// JSON may be an array of items or an export file ({ items: [...] }).
+// Resolves to { records, firstRow } or { error }; firstRow is the line/index of the
+// first record so errors can point at the right row.
+const parseImport = ({ format, data }) => {
+  if (data === undefined || data === null || data === '') {
+    return { error: 'data is required' };
+  }
+
+  const detected = format || (typeof data !== 'string' || /^\s*[[{]/.test(data) ? 'json' : 'csv');
+  let records;
+  let firstRow;
+
+  if (detected === 'json') {
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+    }
+    records = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+    if (!Array.isArray(records) || records.some((record) => !record || typeof record !== 'object')) {
+      return { error: 'JSON must be an array of items, or an object with an items array' };
+    }
+    firstRow = 1;
+  } else if (detected === 'csv') {
+    const { columns, records: csvRecords } = parseCsvRecords(String(data));
+    const missing = ['name', 'category'].filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+      return { error: `CSV header is missing: ${missing.join(', ')}` };
+    }
+    records = csvRecords;
+    // Line 1 is the header
+    firstRow = 2;
+  } else {
+    return { error: "format must be 'csv' or 'json'" };
+  }
+
+  if (records.length === 0) {
+    return { error: 'No rows to import' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Too many rows: import at most ${MAX_IMPORT_ROWS} at a time` };
+  }
+
+  return { records, firstRow, format: detected };
+};
+
+// Keep the known fields of a record and convert them to their schema types.
+// Empty cells are left out, so an update leaves those fields as they are.
+const normalizeRecord = (record) => {
+  const fields = {};
+  const errors = [];
+
+  for (const field of INVENTORY_FIELDS) {
+    let value = record[field];
+    if (typeof value === 'string') value = value.trim();
+    if (value === undefined || value === null || value === '') continue;
+
+    if (NUMBER_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        errors.push(`${field} must be a number`);
+      } else if (number < 0) {
+        errors.push(`${field} cannot be negative`);
+      } else {
+        fields[field] = number;
+      }
+    } else if (field === 'available') {
+      const text = String(value).toLowerCase();
+      if (TRUE_VALUES.includes(text)) {
+        fields.available = true;
+      } else if (FALSE_VALUES.includes(text)) {
+        fields.available = false;
+      } else {
+        errors.push('available must be true or false');
+      }
+    } else {
+      fields[field] = String(value);
+    }
+  }
+
+  if (!fields.name) errors.push('name is required');
+  if (!fields.category) errors.push('category is required');
+
+  return { fields, errors };
+};
+
+const validationMessages = (error) => (error ? Object.values(error.errors).map((entry) => entry.message) : []);
+
+// Work out what importing the records would do, without writing anything.
+// Each row is 'create', 'update' (with the changed fields), 'unchanged' or 'invalid'
+// (with per-row errors from parsing and the Inventory schema).
+const planImport = async (records, firstRow = 1) => {
+  const existing = await Inventory.find({}).select(INVENTORY_FIELDS.join(' '));
+  const existingByKey = new Map(existing.map((item) => [itemKey(item.name, item.category), item]));
+  const seen = new Map();
+
+  const rows = records.map((record, index) => {
+    const row = firstRow + index;
+    const { fields, errors } = normalizeRecord(record);
+    const plan = { row, name: fields.name || '', category: fields.category || '', fields };
+
+    if (fields.name && fields.category) {
+      const key = itemKey(fields.name, fields.category);
+      if (seen.has(key)) {
+        errors.push(`Duplicate of row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row);
+      }
+
+      const item = existingByKey.get(key);
+      if (item) {
+        plan.id = item._id.toString();
+        plan.changes = {};
+        for (const [field, value] of Object.entries(fields)) {
+          // Name and category only match case-insensitively; keep the stored spelling
+          if (field === 'name' || field === 'category') continue;
+          if (item[field] !== value) {
+            plan.changes[field] = { from: item[field] === undefined ? null : item[field], to: value };
+          }
+        }
+        const updated = Inventory.hydrate(item.toObject());
+        updated.set(Object.fromEntries(
+          Object.entries(plan.changes).map(([field, change]) => [field, change.to])
+        ));
+        errors.push(...validationMessages(updated.validateSync()));
+      } else {
+        errors.push(...validationMessages(new Inventory(fields).validateSync()));
+      }
+    }
+
+    if (errors.length > 0) {
+      plan.action = 'invalid';
+      plan.errors = [...new Set(errors)];
+    } else if (!plan.id) {
+      plan.action = 'create';
+    } else {
+      plan.action = Object.keys(plan.changes).length > 0 ? 'update' : 'unchanged';
+    }
+    return plan;
+  });
+
+  return { rows, summary: summarize(rows) };
+};
+
+const summarize = (rows) => ({
+  total: rows.length,
+  ...Object.fromEntries(
+    ['create', 'update', 'unchanged', 'invalid', 'failed'].map((action) => [
+      action,
+      rows.filter((row) => row.action === action).length
+    ])
+  )
+});
+
+// Write a plan's create and update rows. Stock is never set directly: new items
+// get a 'receive' movement for their opening stock and changed stock is recorded as
+// an 'adjustment', so the ledger explains the import. Price changes go into the price
+// history the same way. A row that fails is marked 'failed' with the error and the
+// rest carry on.
+const applyImport = async (plan, actor) => {
+  const movementActor = { by: actor.by, role: 'admin' };
+
+  for (const row of plan.rows) {
+    if (row.action !== 'create' && row.action !== 'update') continue;
+
+    try {
+      if (row.action === 'create') {
+        const { stock = 0, ...fields } = row.fields;
+        const result = await createStockedItem(fields, stock, {
+          actor: movementActor,
+          reason: IMPORT_REASON,
+          priceReason: IMPORT_REASON
+        });
+        if (result.error) throw new Error(result.error);
+        row.id = result.item._id.toString();
+      } else {
+        const { stock, price, ...changes } = Object.fromEntries(
+          Object.entries(row.changes).map(([field, change]) => [field, change.to])
+        );
+        const item = await Inventory.findById(row.id);
+        if (!item) throw new Error('Item was deleted during the import');
+
+        if (Object.keys(changes).length > 0) {
+          item.set(changes);
+          await item.save();
+        }
+        if (price !== undefined && price !== item.price) {
+          const result = await schedulePriceChange(item._id, { price, reason: IMPORT_REASON }, actor);
+          if (result.error) throw new Error(result.error);
+        }
+        if (stock !== undefined && stock !== item.stock) {
+          const result = await recordMovement(item._id, {
+            type: 'adjustment',
+            quantity: stock - item.stock,
+            actor: movementActor,
+            reason: IMPORT_REASON
+          });
+          if (result.error) throw new Error(result.error);
+        }
+      }
+    } catch (error) {
+      row.action = 'failed';
+      row.errors = [error.message];
+    }
+  }
+
+  return { rows: plan.rows, summary: summarize(plan.rows) };
+};
+
+module.exports = {
+  INVENTORY_FIELDS,
+  parseImport,
+  planImport,
+  applyImport,
+};
@@ -0,0 +1,166 @@
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lot numbers look like LOT-20250301-4F2A
+const generateLotNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const random = Math.random().toString(16).slice(2, 6).toUpperCase();
+  return `LOT-${date}-${random}`;
+};
+
+// Check the lot details sent with a 'receive' movement.
+// Resolves to { lot } (cleaned details) or { error }.
+const parseLotDetails = (details = {}) => {
+  const lot = {};
+
+  if (details.expiresAt) {
+    const expiresAt = new Date(details.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      return { error: 'expiresAt must be a date (YYYY-MM-DD)' };
+    }
+    lot.expiresAt = expiresAt;
+  }
+  if (details.receivedAt) {
+    const receivedAt = new Date(details.receivedAt);
+    if (Number.isNaN(receivedAt.getTime())) {
+      return { error: 'receivedAt must be a date (YYYY-MM-DD)' };
+    }
+    lot.receivedAt = receivedAt;
+  }
+  if (typeof details.supplier === 'string' && details.supplier.trim()) {
+    lot.supplier = details.supplier.trim();
+  }
+  if (typeof details.lotNumber === 'string' && details.lotNumber.trim()) {
+    lot.lotNumber = details.lotNumber.trim();
+  }
+  if (details.unitCost !== undefined && details.unitCost !== null && details.unitCost !== '') {
+    const unitCost = Number(details.unitCost);
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      return { error: 'unitCost must be a positive number' };
+    }
+    lot.unitCost = unitCost;
+  }
+  if (details.purchaseOrder) {
+    lot.purchaseOrder = details.purchaseOrder;
+  }
+
+  return { lot };
+};
+
+// Open a lot for received stock
+const openLot = (inventoryId, quantity, details = {}) => StockLot.create({
+  inventory: inventoryId,
+  lotNumber: details.lotNumber || generateLotNumber(),
+  quantity,
+  remaining: quantity,
+  receivedAt: details.receivedAt || new Date(),
+  expiresAt: details.expiresAt || null,
+  supplier: details.supplier,
+  unitCost: details.unitCost,
+  purchaseOrder: details.purchaseOrder
+});
+
+// First-expiry-first-out: soonest expiry first, lots that never expire last,
+// and the oldest delivery first among equals
+const byExpiry = (a, b) => {
+  const aExpiry = a.expiresAt ? a.expiresAt.getTime() : Infinity;
+  const bExpiry = b.expiresAt ? b.expiresAt.getTime() : Infinity;
+  if (aExpiry !== bExpiry) return aExpiry - bExpiry;
+  return a.receivedAt.getTime() - b.receivedAt.getTime();
+};
+
+// Take `amount` out of an item's active lots, first-expiry-first-out. Lots past their
+// expiry are never drawn from: sales write them off first (see writeOffExpiredLots).
+// Resolves to the allocations [{ lot, quantity }]; any amount they don't cover
+// comes out of untracked stock.
+const drawFromLots = async (inventoryId, amount) => {
+  const lots = await StockLot.find({
+    inventory: inventoryId,
+    status: 'active',
+    remaining: { $gt: 0 },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  lots.sort(byExpiry);
+
+  const allocations = [];
+  let left = amount;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(lot.remaining, left);
+    // Conditional on what is left, so two checkouts never take the same units
+    const updated = await StockLot.findOneAndUpdate(
+      { _id: lot._id, remaining: { $gte: take } },
+      { $inc: { remaining: -take }, $set: { updatedAt: new Date() } }
+    );
+    if (updated) {
+      allocations.push({ lot: lot._id, quantity: take });
+      left -= take;
+    }
+  }
+  return allocations;
+};
+
+// Give units back to the lots they were drawn from
+const restoreToLots = (allocations) => Promise.all(
+  allocations.map(({ lot, quantity }) => StockLot.updateOne(
+    { _id: lot },
+    { $inc: { remaining: quantity }, $set: { updatedAt: new Date() } }
+  ))
+);
+
+// Lots an order's sale of an item drew from, less anything already returned, so a
+// cancelled order puts stock back into the lots it came out of
+const lotsDrawnForOrder = async (inventoryId, orderId, amount) => {
+  const movements = await StockMovement.find({
+    inventory: inventoryId,
+    order: orderId,
+    type: { $in: ['sale', 'return'] }
+  }).select('type lots');
+
+  const outstanding = new Map();
+  for (const movement of movements) {
+    const sign = movement.type === 'sale' ? 1 : -1;
+    for (const { lot, quantity } of movement.lots) {
+      const key = lot.toString();
+      outstanding.set(key, (outstanding.get(key) || 0) + sign * quantity);
+    }
+  }
+
+  // Units whose lot has since been written off stay untracked
+  const active = await StockLot.find({ _id: { $in: [...outstanding.keys()] }, status: 'active' }).select('_id');
+  const activeIds = new Set(active.map((lot) => lot._id.toString()));
+
+  const allocations = [];
+  let left = amount;
+  for (const [lot, quantity] of outstanding) {
+    if (!activeIds.has(lot)) continue;
+    if (left <= 0) break;
+    const take = Math.min(quantity, left);
+    if (take > 0) {
+      allocations.push({ lot, quantity: take });
+      left -= take;
+    }
+  }
+  return allocations;
+};
+
+// Active lots with stock left that expire within `days` (expired ones included),
+// soonest first
+const findExpiringLots = (days) => StockLot.find({
+  status: 'active',
+  remaining: { $gt: 0 },
+  expiresAt: { $ne: null, $lte: new Date(Date.now() + days * DAY_MS) }
+})
+  .populate('inventory', 'name unit category stock image')
+  .sort({ expiresAt: 1 });
+
+module.exports = {
+  parseLotDetails,
+  openLot,
+  drawFromLots,
+  restoreToLots,
+  lotsDrawnForOrder,
+  findExpiringLots,
+};
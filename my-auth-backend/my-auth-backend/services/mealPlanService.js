@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const MealPlan = require('../models/MealPlan');
+const Recipe = require('../models/Recipe');
+const User = require('../models/User');
+const { detectRecipeAllergens } = require('./allergenService');
+const { profileCalorieTarget } = require('./bodyMetrics');
+const {
+  MEAL_SLOTS,
+  PLAN_DAYS,
+  SLOT_CALORIE_SHARES,
+  SLOT_TAGS,
+  DIET_TAGS,
+  DEFAULT_CALORIE_TARGET
+} = require('../config/mealPlans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields needed to detect a recipe's allergens
+const INVENTORY_ALLERGEN_FIELDS = 'name allergens mayContainAllergens';
+
+// Auto-fill scoring, lower is better. Missing a slot's calories by 100% costs as much
+// as using a recipe once more; a recipe already planned that day costs more again.
+const REPEAT_PENALTY = 1;
+const SAME_DAY_PENALTY = 2;
+const UNTAGGED_PENALTY = 0.5; // recipe not tagged for the slot
+const JITTER = 0.1; // so auto-filling again gives a different week
+
+// Monday 00:00 UTC of the week a date falls in (a Date or 'YYYY-MM-DD'; this week when
+// empty), or null when the date is invalid
+const weekStartFor = (value) => {
+  const date = value === undefined || value === null || value === '' ? new Date() : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday));
+};
+
+const nextWeekStart = (weekStart) => new Date(weekStart.getTime() + PLAN_DAYS * DAY_MS);
+
+// What auto-fill plans around: the user's diets and allergens, and their daily calorie
+// target (from their goals, else their latest BMI entry). Resolves to null when the user is gone.
+const loadPlannerProfile = async (userId) => {
+  const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } })
+    .select('profile.diets profile.allergens profile.bmiHistory profile.goals');
+  if (!user) return null;
+
+  const profile = user.profile || {};
+  return {
+    diets: profile.diets || [],
+    allergens: profile.allergens || [],
+    calorieTarget: profileCalorieTarget(profile) || DEFAULT_CALORIE_TARGET
+  };
+};
+
+const hasTag = (recipe, tags) => tags.some((tag) => (recipe.tags || []).includes(tag));
+
+// A recipe suits a diet when it is tagged with the diet (or a stricter one, e.g. vegan
+// for vegetarian)
+const suitsDiets = (recipe, diets) => diets.every((diet) => hasTag(recipe, [diet, ...(DIET_TAGS[diet] || [])]));
+
+// Published recipes the user can eat: suited to every diet they follow and free of
+// the allergens they declared (traces included)
+const plannableRecipes = async ({ diets = [], allergens = [] }) => {
+  const recipes = await Recipe.find({ published: true })
+    .select('title calories tags ingredients')
+    .populate('ingredients.inventory', INVENTORY_ALLERGEN_FIELDS)
+    .lean();
+
+  return recipes
+    .filter((recipe) => suitsDiets(recipe, diets))
+    .filter((recipe) => detectRecipeAllergens(recipe, allergens).conflicts.length === 0)
+    .map(({ ingredients: _ingredients, ...recipe }) => recipe);
+};
+
+// Recipes that may fill a slot: those tagged for it, plus recipes tagged for no slot
+// at all for the main meals. Snacks only come from snack recipes.
+const slotCandidates = (recipes, slot) => recipes
+  .map((recipe) => ({ recipe, tagged: hasTag(recipe, SLOT_TAGS[slot]) }))
+  .filter(({ recipe, tagged }) => tagged
+    || (slot !== 'snack' && !MEAL_SLOTS.some((other) => hasTag(recipe, SLOT_TAGS[other]))));
+
+// Fill a week's empty slots (every slot with `overwrite`) from `recipes`, aiming each
+// slot at its share of `calorieTarget` and spreading recipes across the week.
+// Returns the new list of planned meals.
+const autoFillMeals = (meals, recipes, calorieTarget, overwrite = false) => {
+  const planned = overwrite ? [] : meals.map((meal) => ({ ...meal }));
+  const uses = new Map();
+  const daysUsed = new Map();
+  const use = (meal) => {
+    const id = meal.recipe.toString();
+    uses.set(id, (uses.get(id) || 0) + 1);
+    daysUsed.set(id, [...(daysUsed.get(id) || []), meal.day]);
+  };
+  planned.forEach(use);
+
+  for (let day = 0; day < PLAN_DAYS; day += 1) {
+    for (const slot of MEAL_SLOTS) {
+      if (planned.some((meal) => meal.day === day && meal.slot === slot)) continue;
+
+      const target = calorieTarget * SLOT_CALORIE_SHARES[slot];
+      let best = null;
+      for (const { recipe, tagged } of slotCandidates(recipes, slot)) {
+        const id = recipe._id.toString();
+        const score = Math.abs((recipe.calories || 0) - target) / target
+          + REPEAT_PENALTY * (uses.get(id) || 0)
+          + ((daysUsed.get(id) || []).includes(day) ? SAME_DAY_PENALTY : 0)
+          + (tagged ? 0 : UNTAGGED_PENALTY)
+          + Math.random() * JITTER;
+        if (!best || score < best.score) best = { recipe, score };
+      }
+      if (!best) continue;
+
+      const meal = { day, slot, recipe: best.recipe._id, servings: 1 };
+      planned.push(meal);
+      use(meal);
+    }
+  }
+  return planned;
+};
+
+const findPlan = (userId, weekStart) => MealPlan.findOne({ user: userId, weekStart });
+
+// The user's plan for a week, created empty if there is none yet. An upsert, so two
+// requests planning a new week at once share one plan instead of one of them failing
+// on the unique (user, weekStart) index.
+const findOrCreatePlan = (userId, weekStart) => MealPlan.findOneAndUpdate(
+  { user: userId, weekStart },
+  { $setOnInsert: { meals: [] } },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+// Put a recipe in one slot of a week, or empty the slot when `recipeId` is null.
+// Resolves to { plan } or { error, status }.
+const setPlanSlot = async (userId, weekStart, { day, slot, recipeId, servings }) => {
+  const dayNumber = Number(day);
+  if (!Number.isInteger(dayNumber) || dayNumber < 0 || dayNumber >= PLAN_DAYS) {
+    return { error: `day must be 0 (Monday) to ${PLAN_DAYS - 1}`, status: 400 };
+  }
+  if (!MEAL_SLOTS.includes(slot)) {
+    return { error: `slot must be one of: ${MEAL_SLOTS.join(', ')}`, status: 400 };
+  }
+
+  if (recipeId === null || recipeId === undefined || recipeId === '') {
+    const plan = await findPlan(userId, weekStart);
+    if (plan) {
+      plan.meals = plan.meals.filter((meal) => !(meal.day === dayNumber && meal.slot === slot));
+      await plan.save();
+    }
+    return { plan };
+  }
+
+  const mealServings = servings === undefined ? 1 : Number(servings);
+  if (!Number.isFinite(mealServings) || mealServings < 0.5) {
+    return { error: 'servings must be at least 0.5', status: 400 };
+  }
+  const recipe = mongoose.Types.ObjectId.isValid(recipeId)
+    ? await Recipe.exists({ _id: recipeId, published: true })
+    : null;
+  if (!recipe) {
+    return { error: 'Recipe not found', status: 404 };
+  }
+
+  const plan = await findOrCreatePlan(userId, weekStart);
+  plan.meals = [
+    ...plan.meals.filter((meal) => !(meal.day === dayNumber && meal.slot === slot)),
+    { day: dayNumber, slot, recipe: recipe._id, servings: mealServings }
+  ];
+  await plan.save();
+  return { plan };
+};
+
+// Auto-fill a week for the user. `calorieTarget` defaults to their daily target;
+// with `overwrite` every slot is replanned, otherwise only empty ones.
+// Resolves to { plan } or { error, status }.
+const generatePlan = async (userId, weekStart, { calorieTarget, overwrite = false } = {}) => {
+  const profile = await loadPlannerProfile(userId);
+  if (!profile) {
+    return { error: 'User not found', status: 404 };
+  }
+
+  const target = calorieTarget === undefined || calorieTarget === null
+    ? profile.calorieTarget
+    : Number(calorieTarget);
+  if (!Number.isFinite(target) || target <= 0) {
+    return { error: 'calorieTarget must be a positive number', status: 400 };
+  }
+
+  const recipes = await plannableRecipes(profile);
+  if (recipes.length === 0) {
+    return { error: 'No recipes match your dietary preferences and allergens', status: 404 };
+  }
+
+  const plan = await findOrCreatePlan(userId, weekStart);
+  const meals = plan.meals.map(({ day, slot, recipe, servings }) => ({ day, slot, recipe, servings }));
+  plan.meals = autoFillMeals(meals, recipes, target, overwrite);
+  plan.calorieTarget = target;
+  await plan.save();
+  return { plan };
+};
+
+// Copy a week's plan to the week after. A next week that already has meals is only
+// replaced with `overwrite`. Resolves to { plan } (the next week's) or { error, status }.
+const copyPlanToNextWeek = async (userId, weekStart, { overwrite = false } = {}) => {
+  const plan = await findPlan(userId, weekStart);
+  if (!plan || plan.meals.length === 0) {
+    return { error: 'No meals planned for this week', status: 404 };
+  }
+
+  const nextStart = nextWeekStart(weekStart);
+  const next = await findOrCreatePlan(userId, nextStart);
+  if (next.meals.length > 0 && !overwrite) {
+    return { error: 'Next week already has meals planned', status: 409 };
+  }
+
+  next.meals = plan.meals.map(({ day, slot, recipe, servings }) => ({ day, slot, recipe, servings }));
+  next.calorieTarget = plan.calorieTarget;
+  await next.save();
+  return { plan: next };
+};
+
+module.exports = {
+  weekStartFor,
+  nextWeekStart,
+  loadPlannerProfile,
+  plannableRecipes,
+  autoFillMeals,
+  setPlanSlot,
+  generatePlan,
+  copyPlanToNextWeek,
+};
@@ -0,0 +1,145 @@
+const { toGrams } = require('./units');
+
+// Nutrients reported for a recipe, with FDA daily values for adults
+const NUTRIENTS = [
+  { key: 'protein', name: 'Protein', unit: 'g', dailyValue: 50, group: 'macro', kcalPerGram: 4 },
+  { key: 'carbs', name: 'Carbohydrates', unit: 'g', dailyValue: 275, group: 'macro', kcalPerGram: 4 },
+  { key: 'fat', name: 'Fat', unit: 'g', dailyValue: 78, group: 'macro', kcalPerGram: 9 },
+  { key: 'fiber', name: 'Fiber', unit: 'g', dailyValue: 28, group: 'macro' },
+  { key: 'sugar', name: 'Sugar', unit: 'g', dailyValue: 50, group: 'macro' },
+  { key: 'sodium', name: 'Sodium', unit: 'mg', dailyValue: 2300, group: 'micro' },
+  { key: 'vitaminA', name: 'Vitamin A', unit: 'mcg', dailyValue: 900, group: 'micro' },
+  { key: 'vitaminC', name: 'Vitamin C', unit: 'mg', dailyValue: 90, group: 'micro' },
+  { key: 'vitaminD', name: 'Vitamin D', unit: 'mcg', dailyValue: 20, group: 'micro' },
+  { key: 'calcium', name: 'Calcium', unit: 'mg', dailyValue: 1300, group: 'micro' },
+  { key: 'iron', name: 'Iron', unit: 'mg', dailyValue: 18, group: 'micro' },
+  { key: 'potassium', name: 'Potassium', unit: 'mg', dailyValue: 4700, group: 'micro' },
+  { key: 'magnesium', name: 'Magnesium', unit: 'mg', dailyValue: 420, group: 'micro' },
+  { key: 'zinc', name: 'Zinc', unit: 'mg', dailyValue: 11, group: 'micro' },
+];
+
+const CALORIE_DAILY_VALUE = 2000;
+
+const round = (value, digits = 1) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const emptyTotals = () => {
+  const totals = { calories: 0 };
+  NUTRIENTS.forEach(({ key }) => {
+    totals[key] = 0;
+  });
+  return totals;
+};
+
+// Describe nutrient values (calories plus NUTRIENTS keys) the way the nutrition screens
+// show them: each nutrient with its share of a daily value and, for energy macros, of
+// calories. `dailyValues` overrides the FDA values by key (e.g. a user's own targets).
+const describeNutrients = (values, dailyValues = {}) => {
+  const macroCalories = NUTRIENTS
+    .filter((nutrient) => nutrient.kcalPerGram)
+    .reduce((sum, nutrient) => sum + (values[nutrient.key] || 0) * nutrient.kcalPerGram, 0);
+  const calorieDailyValue = dailyValues.calories || CALORIE_DAILY_VALUE;
+
+  const describe = (nutrient) => {
+    const value = values[nutrient.key] || 0;
+    const dailyValue = dailyValues[nutrient.key] || nutrient.dailyValue;
+    const entry = {
+      key: nutrient.key,
+      name: nutrient.name,
+      unit: nutrient.unit,
+      value: round(value),
+      dailyValue,
+      percentDailyValue: Math.round((value / dailyValue) * 100),
+    };
+    if (nutrient.kcalPerGram) {
+      entry.percentCalories = macroCalories > 0
+        ? Math.round(((value * nutrient.kcalPerGram) / macroCalories) * 100)
+        : 0;
+    }
+    return entry;
+  };
+
+  return {
+    calories: Math.round(values.calories || 0),
+    caloriesPercentDailyValue: Math.round(((values.calories || 0) / calorieDailyValue) * 100),
+    macros: NUTRIENTS.filter((nutrient) => nutrient.group === 'macro').map(describe),
+    micros: NUTRIENTS.filter((nutrient) => nutrient.group === 'micro').map(describe),
+  };
+};
+
+// Nutrient totals for one ingredient line, or null if it cannot be weighed
+const computeLineNutrition = (line, scale = 1) => {
+  const item = line.inventory;
+  if (!item || !item.nutrition) return null;
+
+  const grams = toGrams((line.quantity || 0) * scale, line.unit, item.nutrition);
+  if (grams === null) return null;
+
+  const factor = grams / 100;
+  const totals = emptyTotals();
+  totals.calories = (item.nutrition.calories || 0) * factor;
+  NUTRIENTS.forEach(({ key }) => {
+    totals[key] = (item.nutrition[key] || 0) * factor;
+  });
+  return { grams, totals };
+};
+
+// Compute a recipe's nutrition from its ingredient lines.
+// `recipe.ingredients[].inventory` must be populated with `nutrition`.
+const computeRecipeNutrition = (recipe, { servings } = {}) => {
+  const recipeServings = Math.max(Number(recipe.servings) || 1, 1);
+  const targetServings = Math.max(Number(servings) || recipeServings, 1);
+  // Quantities are written for recipe.servings; scale them to the requested yield
+  const scale = targetServings / recipeServings;
+
+  const total = emptyTotals();
+  const missing = [];
+
+  (recipe.ingredients || []).forEach((line) => {
+    const result = computeLineNutrition(line, scale);
+    if (!result) {
+      missing.push(line.name);
+      return;
+    }
+    Object.keys(total).forEach((key) => {
+      total[key] += result.totals[key];
+    });
+  });
+
+  const perServing = {};
+  Object.keys(total).forEach((key) => {
+    perServing[key] = total[key] / targetServings;
+  });
+
+  const roundAll = (values) => Object.keys(values).reduce((acc, key) => {
+    acc[key] = round(values[key]);
+    return acc;
+  }, {});
+
+  const { calories, caloriesPercentDailyValue, macros, micros } = describeNutrients(perServing);
+  return {
+    servings: targetServings,
+    calories,
+    caloriesPercentDailyValue,
+    perServing: roundAll(perServing),
+    total: roundAll(total),
+    macros,
+    micros,
+    missing,
+  };
+};
+
+// Calories of one serving of a recipe: its listed calories, as shown on cards and used
+// by the planner, recommendations and food diary alike; the ingredients' when none are listed
+const servingCalories = (recipe, perServing = {}) => recipe.calories || perServing.calories || 0;
+
+module.exports = {
+  NUTRIENTS,
+  CALORIE_DAILY_VALUE,
+  describeNutrients,
+  computeLineNutrition,
+  computeRecipeNutrition,
+  servingCalories,
+};
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const {
+  ORDER_STATUSES,
+  ACTIVE_ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  DELIVERY_FEE,
+  DELIVERY_DAYS,
+  CHECKOUT_LOCK_SECONDS
+} = require('../config/orders');
+const { startPayment, failPayment, removeOrderFromCart } = require('./paymentService');
+const { recordMovement, returnOrderStock } = require('./stockService');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Claim the user's cart for one checkout. Resolves to the cart with its items
+// populated, or null when another checkout holds it (or there is no cart).
+const claimCart = (userId) => Cart.findOneAndUpdate(
+  {
+    user: userId,
+    $or: [
+      { checkoutStartedAt: null },
+      { checkoutStartedAt: { $lt: new Date(Date.now() - CHECKOUT_LOCK_SECONDS * 1000) } }
+    ]
+  },
+  { $set: { checkoutStartedAt: new Date() } },
+  { new: true }
+).populate('items.inventory', 'name image category unit price available');
+
+const releaseCart = (userId) => Cart.updateOne({ user: userId }, { $set: { checkoutStartedAt: null } });
+
+// Turn a claimed cart into an order.
+// Prices are snapshotted from inventory and each line is taken out of stock as a
+// 'sale' movement; if any line is short, the lines already taken are returned. The
+// order is then handed to the payment provider: a declined card cancels it
+// and releases the stock, and the order's lines only leave the cart once payment went
+// through or was deferred to delivery.
+// Resolves to { order } or { error, status, unavailable, order }.
+const placeOrderFromCart = async (userId, cart, { paymentMethod = 'card', paymentToken, deliveryAddress } = {}) => {
+  const lines = cart.items.filter((line) => line.inventory);
+  if (lines.length === 0) {
+    return { error: 'Your cart is empty', status: 400 };
+  }
+
+  // A new checkout replaces one still waiting for 3-D Secure, which would otherwise
+  // charge for the same cart a second time once verified
+  const waiting = await Order.find({ user: userId, paymentStatus: 'requires_action' });
+  for (const order of waiting) {
+    await failPayment(order, 'Replaced by a newer checkout');
+  }
+
+  // The ids are needed up front so the stock movements can point at the order
+  const orderId = new mongoose.Types.ObjectId();
+  const orderNumber = Order.generateOrderNumber();
+  const actor = { by: userId, role: 'customer' };
+
+  const reserved = [];
+  const unavailable = [];
+  for (const line of lines) {
+    const result = await recordMovement(line.inventory._id, {
+      type: 'sale',
+      quantity: line.quantity,
+      actor,
+      reason: `Order ${orderNumber}`,
+      order: orderId,
+      requireAvailable: true
+    });
+    if (result.error) {
+      unavailable.push({
+        inventoryId: line.inventory._id.toString(),
+        name: line.inventory.name,
+        requested: line.quantity
+      });
+      break;
+    }
+    reserved.push({ inventory: line.inventory._id, quantity: line.quantity });
+  }
+
+  if (unavailable.length > 0) {
+    await returnOrderStock({ _id: orderId }, reserved, actor, 'Checkout rolled back');
+    return {
+      error: `Not enough stock for ${unavailable.map((item) => item.name).join(', ')}`,
+      status: 409,
+      unavailable
+    };
+  }
+
+  const items = lines.map((line) => ({
+    inventory: line.inventory._id,
+    name: line.inventory.name,
+    image: line.inventory.image,
+    category: line.inventory.category,
+    unit: line.inventory.unit,
+    price: line.inventory.price,
+    quantity: line.quantity,
+    lineTotal: roundMoney(line.inventory.price * line.quantity)
+  }));
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const estimatedDelivery = new Date();
+  estimatedDelivery.setDate(estimatedDelivery.getDate() + DELIVERY_DAYS);
+
+  let order;
+  try {
+    order = await Order.create({
+      _id: orderId,
+      orderNumber,
+      user: userId,
+      items,
+      subtotal,
+      deliveryFee: DELIVERY_FEE,
+      total: roundMoney(subtotal + DELIVERY_FEE),
+      paymentMethod,
+      deliveryAddress,
+      estimatedDelivery,
+      statusHistory: [{ status: 'pending', by: userId, role: 'customer' }]
+    });
+  } catch (error) {
+    await returnOrderStock({ _id: orderId }, reserved, actor, 'Checkout rolled back');
+    throw error;
+  }
+
+  const placed = await startPayment(order, { token: paymentToken });
+
+  if (placed.paymentStatus === 'failed') {
+    return {
+      error: placed.payment.failureReason || 'Payment failed',
+      status: 402,
+      order: placed
+    };
+  }
+
+  // 3-D Secure payments keep the cart until the provider confirms them
+  if (placed.paymentStatus !== 'requires_action') {
+    await removeOrderFromCart(placed);
+  }
+
+  return { order: placed };
+};
+
+// Turn the user's cart into an order (see placeOrderFromCart). The cart is claimed for
+// the whole checkout, so a double-tapped or retried request is turned away instead of
+// reserving stock and charging a second time.
+// Resolves to { order } or { error, status, unavailable, order }.
+const placeOrder = async (userId, options = {}) => {
+  const cart = await claimCart(userId);
+  if (!cart) {
+    return await Cart.exists({ user: userId })
+      ? { error: 'Your order is already being placed', status: 409 }
+      : { error: 'Your cart is empty', status: 400 };
+  }
+
+  try {
+    return await placeOrderFromCart(userId, cart, options);
+  } finally {
+    await releaseCart(userId);
+  }
+};
+
+// Shape an order for the app
+const toOrderJSON = (order) => {
+  const data = order.toObject ? order.toObject() : order;
+  return {
+    ...data,
+    id: data._id.toString(),
+    itemCount: data.items.reduce((sum, item) => sum + item.quantity, 0),
+    canCancel: CUSTOMER_CANCELLABLE_STATUSES.includes(data.status)
+  };
+};
+
+// Totals for the order history header. Cancelled and refunded orders do not count as spent.
+const getOrderStats = async (userId) => {
+  const [stats] = await Order.aggregate([
+    { $match: { user: userId } },
+    {
+      $group: {
+        _id: null,
+        totalOrders: { $sum: 1 },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        totalSpent: { $sum: { $cond: [{ $in: ['$status', ['cancelled', 'refunded']] }, 0, '$total'] } }
+      }
+    }
+  ]);
+
+  return {
+    totalOrders: stats ? stats.totalOrders : 0,
+    delivered: stats ? stats.delivered : 0,
+    totalSpent: stats ? roundMoney(stats.totalSpent) : 0
+  };
+};
+
+// Parse a ?status= filter: one or more comma-separated statuses, or 'active' for
+// orders still on their way. Resolves to the list of statuses, or null if any is unknown.
+const parseStatusFilter = (value) => {
+  const text = String(value).toLowerCase();
+  const statuses = text === 'active'
+    ? ACTIVE_ORDER_STATUSES
+    : text.split(',').map((status) => status.trim());
+  return statuses.every((status) => ORDER_STATUSES.includes(status)) ? statuses : null;
+};
+
+module.exports = {
+  placeOrder,
+  parseStatusFilter,
+  toOrderJSON,
+  getOrderStats,
+};
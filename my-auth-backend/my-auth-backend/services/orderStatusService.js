@@ -0,0 +1,93 @@
+const Order = require('../models/Order');
+const { ORDER_TRANSITIONS } = require('../config/orders');
+const { capturePayment, closePayment, refundPayment } = require('./paymentService');
+const { returnOrderStock } = require('./stockService');
+const { addOrderToPantry } = require('./pantryService');
+
+// Date fields stamped when an order enters a status (the history keeps every change)
+const STATUS_TIMESTAMPS = {
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+};
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Write the new status and its history entry, but only if the order is still in the
+// status it was read in, so two admins advancing the same order cannot both succeed
+const recordStatus = (order, status, { by, role, note }) => {
+  const update = { status, updatedAt: Date.now() };
+  if (STATUS_TIMESTAMPS[status]) {
+    update[STATUS_TIMESTAMPS[status]] = new Date();
+  }
+
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: update,
+      $push: { statusHistory: { status, at: new Date(), by, role, note } }
+    },
+    { new: true }
+  );
+};
+
+// Move an order to `nextStatus` and apply what that status implies:
+//   confirmed - card orders must be paid first
+//   cancelled - reserved stock goes back, open payments are closed, paid ones refunded
+//   delivered - cash on delivery is recorded as collected, and the items go into
+//               the customer's pantry
+//   refunded  - the payment is refunded through its provider
+// `actor` is { by: userId, role: 'customer' | 'admin' | 'system', note }.
+// Resolves to { order } or { error, status }.
+const changeOrderStatus = async (order, nextStatus, actor) => {
+  if (!canTransition(order.status, nextStatus)) {
+    return {
+      error: `Cannot move an order from ${order.status} to ${nextStatus}`,
+      status: 409
+    };
+  }
+
+  if (nextStatus === 'confirmed' && order.paymentMethod === 'card' && order.paymentStatus !== 'paid') {
+    return { error: 'Card orders can only be confirmed once they are paid', status: 409 };
+  }
+
+  // A payment refunded by an earlier attempt that then lost the status race only
+  // needs its status recorded
+  if (nextStatus === 'refunded' && order.paymentStatus !== 'refunded') {
+    const refund = await refundPayment(order);
+    if (refund.error) return refund;
+  }
+
+  const updated = await recordStatus(order, nextStatus, actor);
+  if (!updated) {
+    return { error: 'The order was changed by someone else. Reload it and try again', status: 409 };
+  }
+
+  if (nextStatus === 'cancelled') {
+    await returnOrderStock(updated, updated.items, actor, `Order ${updated.orderNumber} cancelled`);
+    const closed = await closePayment(updated, 'Order was cancelled');
+    if (closed.paymentStatus === 'paid') {
+      return changeOrderStatus(closed, 'refunded', { role: 'system', note: 'Refund for cancelled order' });
+    }
+    return { order: closed };
+  }
+
+  if (nextStatus === 'delivered') {
+    // The delivery stands even if the pantry cannot be filled
+    try {
+      await addOrderToPantry(updated);
+    } catch (error) {
+      console.error(`❌ Could not add order ${updated.orderNumber} to the pantry:`, error.message);
+    }
+
+    if (updated.paymentMethod === 'cash' && updated.paymentStatus === 'pending') {
+      return { order: await capturePayment(updated) };
+    }
+  }
+
+  return { order: updated };
+};
+
+module.exports = {
+  canTransition,
+  changeOrderStatus,
+};
@@ -0,0 +1,360 @@
+const mongoose = require('mongoose');
+const PantryItem = require('../models/PantryItem');
+const Inventory = require('../models/Inventory');
+const Recipe = require('../models/Recipe');
+const RecipeVariant = require('../models/RecipeVariant');
+const StockMovement = require('../models/StockMovement');
+const { normalizeUnit, convert, toGrams } = require('./units');
+
+// Fields of a recipe line's inventory item needed to compare it with the pantry
+const INVENTORY_PANTRY_FIELDS = 'name unit nutrition';
+
+// Quantities closer than this are treated as equal
+const EPSILON = 1e-6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Helper: Escape user input before using it in a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The UTC day a date falls on, as a query range
+const dayRange = (date) => {
+  const start = date.getTime() - (date.getTime() % DAY_MS);
+  return { $gte: new Date(start), $lt: new Date(start + DAY_MS) };
+};
+
+const sameName = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Entries that can still be used: not expired and not used up
+const usableEntries = (userId) => PantryItem.find({
+  user: userId,
+  quantity: { $gt: 0 },
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Whether a pantry entry is the ingredient on a recipe line: the same catalog item
+// when both are linked to one, otherwise the same name
+const matchesLine = (entry, line) => {
+  const lineItem = idOf(line.inventory);
+  if (entry.inventory && lineItem) {
+    return entry.inventory.toString() === lineItem.toString();
+  }
+  return sameName(entry.name, line.name) || sameName(entry.name, line.inventory && line.inventory.name);
+};
+
+// Amount of a pantry entry in a recipe line's unit, or null when the units cannot be
+// compared. Mass and volume convert directly; otherwise the line's inventory item
+// supplies the density and piece weight to go through grams.
+const amountInLineUnit = (entry, line) => {
+  const direct = convert(entry.quantity, entry.unit, line.unit);
+  if (direct !== null) return direct;
+
+  const nutrition = line.inventory && line.inventory.nutrition;
+  if (!nutrition) return null;
+  const grams = toGrams(entry.quantity, entry.unit, nutrition);
+  const gramsPerUnit = toGrams(1, line.unit, nutrition);
+  return grams !== null && gramsPerUnit ? grams / gramsPerUnit : null;
+};
+
+// A recipe's ingredient lines as the user cooks it: their variant's when they have
+// one. Line inventory items carry INVENTORY_PANTRY_FIELDS.
+// Resolves to { recipe, ingredients } or { error, status }.
+const loadRecipeIngredients = async (userId, recipeId) => {
+  if (!mongoose.Types.ObjectId.isValid(recipeId)) {
+    return { error: 'Recipe not found', status: 404 };
+  }
+
+  const recipe = await Recipe.findOne({ _id: recipeId, published: true })
+    .select('title servings calories ingredients')
+    .populate('ingredients.inventory', INVENTORY_PANTRY_FIELDS)
+    .lean();
+  if (!recipe) {
+    return { error: 'Recipe not found', status: 404 };
+  }
+
+  const variant = await RecipeVariant.findOne({ user: userId, recipe: recipe._id })
+    .select('ingredients')
+    .populate('ingredients.inventory', INVENTORY_PANTRY_FIELDS)
+    .lean();
+  return { recipe, ingredients: variant ? variant.ingredients : recipe.ingredients };
+};
+
+// How much of each recipe line the user's pantry covers, in the line's unit.
+// Expired entries do not count. Status per line:
+//   covered    - enough at home (or the line has no quantity and the pantry has some)
+//   partial    - some, not enough
+//   unmeasured - the pantry has it, in a unit that cannot be compared with the line's
+//   missing    - none at home
+const pantryCoverage = async (userId, ingredients) => {
+  const entries = await usableEntries(userId).lean();
+
+  return ingredients.map((line) => {
+    const matching = entries.filter((entry) => matchesLine(entry, line));
+    let have = 0;
+    let unmeasured = false;
+    for (const entry of matching) {
+      const amount = amountInLineUnit(entry, line);
+      if (amount === null) {
+        unmeasured = true;
+      } else {
+        have += amount;
+      }
+    }
+
+    const needed = line.quantity || 0;
+    let status = 'missing';
+    if (matching.length > 0 && (needed === 0 || have >= needed - EPSILON)) {
+      status = 'covered';
+    } else if (have > 0) {
+      status = 'partial';
+    } else if (unmeasured) {
+      status = 'unmeasured';
+    }
+
+    return {
+      line: line._id.toString(),
+      name: line.name,
+      needed,
+      unit: line.unit,
+      have: round(have),
+      status
+    };
+  });
+};
+
+// Take up to `amount` of a recipe line out of one pantry entry. The entry is only
+// decremented while it still holds what was read, so two recipes cooked at once never
+// use the same units; when another request got there first it is re-read and retried.
+// Resolves to the amount taken, in the line's unit.
+const takeFromEntry = async (entry, line, amount) => {
+  while (entry.quantity > EPSILON) {
+    const available = amountInLineUnit(entry, line);
+    if (!available) return 0;
+
+    const taken = Math.min(amount, available);
+    const quantity = entry.quantity * (taken / available);
+    const updated = await PantryItem.findOneAndUpdate(
+      { _id: entry._id, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity }, $set: { updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (updated) {
+      entry.quantity = updated.quantity;
+      return taken;
+    }
+
+    const current = await PantryItem.findById(entry._id).select('quantity').lean();
+    entry.quantity = current ? current.quantity : 0;
+  }
+  return 0;
+};
+
+// Use up pantry quantities for cooking a recipe `factor` times (servings cooked over
+// the recipe's servings). Each line takes from the entries expiring first.
+// Resolves to { consumed, short }: what was taken per line, and what the pantry lacked.
+const cookFromPantry = async (userId, ingredients, factor = 1) => {
+  const entries = (await usableEntries(userId))
+    .sort((a, b) => (a.expiresAt ? a.expiresAt.getTime() : Infinity) - (b.expiresAt ? b.expiresAt.getTime() : Infinity));
+  const touched = new Set();
+  const consumed = [];
+  const short = [];
+
+  for (const line of ingredients) {
+    const needed = (line.quantity || 0) * factor;
+    if (needed <= 0) continue;
+
+    let remaining = needed;
+    for (const entry of entries) {
+      if (remaining <= EPSILON) break;
+      if (entry.quantity <= EPSILON || !matchesLine(entry, line)) continue;
+
+      const taken = await takeFromEntry(entry, line, remaining);
+      if (taken > 0) {
+        remaining -= taken;
+        touched.add(entry);
+      }
+    }
+
+    const used = needed - remaining;
+    if (used > EPSILON) {
+      consumed.push({ line: line._id.toString(), name: line.name, quantity: round(used), unit: line.unit });
+    }
+    if (remaining > EPSILON && !line.optional) {
+      short.push({ line: line._id.toString(), name: line.name, quantity: round(remaining), unit: line.unit });
+    }
+  }
+
+  // Entries used up go, unless something was added back to them meanwhile
+  for (const entry of touched) {
+    if (round(entry.quantity) <= 0) {
+      await PantryItem.deleteOne({ _id: entry._id, quantity: { $lte: entry.quantity } });
+    }
+  }
+
+  return { consumed, short };
+};
+
+const parseExpiry = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Add something to a user's pantry. An entry for the same item, unit and expiry day
+// is topped up instead of adding another. `fields`: { inventory, name, quantity, unit,
+// expiresAt, source, order }; name and unit default to the inventory item's.
+// Resolves to { item } or { error, status }.
+const addToPantry = async (userId, fields = {}) => {
+  const quantity = Number(fields.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    return { error: 'quantity must be a positive number', status: 400 };
+  }
+
+  const expiresAt = parseExpiry(fields.expiresAt);
+  if (expiresAt === undefined) {
+    return { error: 'expiresAt must be a date', status: 400 };
+  }
+
+  let catalogItem = null;
+  if (fields.inventory) {
+    if (mongoose.Types.ObjectId.isValid(fields.inventory)) {
+      catalogItem = await Inventory.findById(fields.inventory).select('name unit');
+    }
+    if (!catalogItem) {
+      return { error: 'Inventory item not found', status: 404 };
+    }
+  }
+
+  const name = typeof fields.name === 'string' && fields.name.trim()
+    ? fields.name.trim()
+    : catalogItem && catalogItem.name;
+  if (!name) {
+    return { error: 'name is required', status: 400 };
+  }
+  const unit = normalizeUnit(fields.unit || (catalogItem && catalogItem.unit) || 'piece');
+
+  const sameEntry = {
+    user: userId,
+    unit,
+    expiresAt: expiresAt ? dayRange(expiresAt) : null,
+    ...(catalogItem
+      ? { inventory: catalogItem._id }
+      : { inventory: null, name: new RegExp(`^${escapeRegex(name)}$`, 'i') })
+  };
+  const existing = await PantryItem.findOneAndUpdate(
+    sameEntry,
+    { $inc: { quantity }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+  if (existing) return { item: existing };
+
+  const item = await PantryItem.create({
+    user: userId,
+    inventory: catalogItem ? catalogItem._id : undefined,
+    name,
+    quantity,
+    unit,
+    expiresAt,
+    source: fields.source,
+    order: fields.order
+  });
+  return { item };
+};
+
+// Change a pantry entry's name, quantity, unit or expiry. Setting the quantity to 0
+// removes the entry. Resolves to { item } ({ item: null } once removed) or { error, status }.
+const updatePantryItem = async (userId, itemId, fields = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    return { error: 'Pantry item not found', status: 404 };
+  }
+  const item = await PantryItem.findOne({ _id: itemId, user: userId });
+  if (!item) {
+    return { error: 'Pantry item not found', status: 404 };
+  }
+
+  if (fields.quantity !== undefined) {
+    const quantity = Number(fields.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      return { error: 'quantity must be a positive number', status: 400 };
+    }
+    if (quantity === 0) {
+      await item.deleteOne();
+      return { item: null };
+    }
+    item.quantity = quantity;
+  }
+
+  if (fields.expiresAt !== undefined) {
+    const expiresAt = parseExpiry(fields.expiresAt);
+    if (expiresAt === undefined) {
+      return { error: 'expiresAt must be a date', status: 400 };
+    }
+    item.expiresAt = expiresAt;
+  }
+
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) {
+      return { error: 'name is required', status: 400 };
+    }
+    item.name = fields.name.trim();
+  }
+
+  if (fields.unit !== undefined) {
+    item.unit = normalizeUnit(fields.unit);
+  }
+
+  await item.save();
+  return { item };
+};
+
+// Stock a delivered order's items in its customer's pantry. Each item expires with the
+// earliest stock lot it was picked from, when the lot has a date.
+// Resolves to the number of items added.
+const addOrderToPantry = async (order) => {
+  const movements = await StockMovement.find({ order: order._id, type: 'sale' })
+    .select('inventory lots')
+    .populate('lots.lot', 'expiresAt')
+    .lean();
+  const expiryByItem = new Map();
+  for (const movement of movements) {
+    for (const { lot } of movement.lots || []) {
+      if (!lot || !lot.expiresAt) continue;
+      const id = movement.inventory.toString();
+      const current = expiryByItem.get(id);
+      if (!current || lot.expiresAt < current) expiryByItem.set(id, lot.expiresAt);
+    }
+  }
+
+  let added = 0;
+  for (const line of order.items) {
+    const fields = {
+      inventory: line.inventory,
+      name: line.name,
+      quantity: line.quantity,
+      unit: line.unit,
+      expiresAt: expiryByItem.get(line.inventory.toString()) || null,
+      source: 'order',
+      order: order._id
+    };
+    let result = await addToPantry(order.user, fields);
+    // The item may have left the catalog since; keep it by name
+    if (result.status === 404) {
+      result = await addToPantry(order.user, { ...fields, inventory: undefined });
+    }
+    if (!result.error) added += 1;
+  }
+  return added;
+};
+
+module.exports = {
+  loadRecipeIngredients,
+  pantryCoverage,
+  cookFromPantry,
+  addToPantry,
+  updatePantryItem,
+  addOrderToPantry,
+};
@@ -0,0 +1,239 @@
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const { getProvider, providerNameFor } = require('./payments');
+const { returnOrderStock } = require('./stockService');
+const { CURRENCY, PAYMENT_WEBHOOK_SECRET } = require('../config/payments');
+
+// Payment states that can still move to paid or failed
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized'];
+
+// Take a paid order's items out of its customer's cart. Only the order's quantities
+// go: anything added to the cart since checkout stays.
+const removeOrderFromCart = async (order) => {
+  for (const item of order.items) {
+    await Cart.updateOne(
+      { user: order.user, 'items.inventory': item.inventory },
+      { $inc: { 'items.$.quantity': -item.quantity }, $set: { updatedAt: Date.now() } }
+    );
+  }
+  await Cart.updateOne({ user: order.user }, { $pull: { items: { quantity: { $lte: 0 } } } });
+};
+
+// Move an order's payment to a new state, but only from one of `from`, so a webhook
+// and a checkout request racing each other apply the change once.
+// Resolves to the updated order, or null when the payment had already moved on.
+const transition = (orderId, from, update) => Order.findOneAndUpdate(
+  { _id: orderId, paymentStatus: { $in: from } },
+  { $set: { ...update, updatedAt: Date.now() } },
+  { new: true }
+);
+
+// Mark an open payment as failed without touching the order's status
+// Resolves to the order as it is now.
+const closePayment = async (order, failureReason) => {
+  const updated = await transition(order._id, OPEN_PAYMENT_STATUSES, {
+    paymentStatus: 'failed',
+    'payment.failureReason': failureReason
+  });
+  return updated || Order.findById(order._id);
+};
+
+// Fail the payment and, if the order has not been confirmed yet, cancel it and
+// give back the stock reserved at checkout
+const failPayment = async (order, failureReason) => {
+  const failed = await closePayment(order, failureReason);
+  if (failed.paymentStatus !== 'failed') {
+    return failed;
+  }
+
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'pending' },
+    {
+      $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: Date.now() },
+      $push: { statusHistory: { status: 'cancelled', at: new Date(), role: 'system', note: failureReason } }
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    return failed;
+  }
+
+  await returnOrderStock(cancelled, cancelled.items, { role: 'system' }, `Payment failed for ${cancelled.orderNumber}`);
+  return cancelled;
+};
+
+// Collect an authorized (or cash) payment
+const capturePayment = async (order) => {
+  let result;
+  try {
+    result = await getProvider(order.payment.provider).capture(order.payment.reference, order.total);
+  } catch (error) {
+    console.error(`Capture failed for ${order.orderNumber}:`, error.message);
+    result = { status: 'failed' };
+  }
+
+  if (result.status !== 'captured') {
+    return failPayment(order, result.failureReason || 'Payment could not be captured');
+  }
+
+  const updated = await transition(order._id, OPEN_PAYMENT_STATUSES, {
+    paymentStatus: 'paid',
+    'payment.paidAt': new Date()
+  });
+  return updated || Order.findById(order._id);
+};
+
+// Ask the order's provider to take payment. Card payments that are authorized straight
+// away are captured at once; 3-D Secure payments wait for the provider's webhook.
+// Resolves to the order in its new payment state.
+const startPayment = async (order, { token } = {}) => {
+  const providerName = providerNameFor(order.paymentMethod);
+
+  let result;
+  try {
+    result = await getProvider(providerName).authorize({
+      amount: order.total,
+      currency: CURRENCY,
+      token,
+      orderNumber: order.orderNumber
+    });
+  } catch (error) {
+    console.error(`Payment provider ${providerName} failed for ${order.orderNumber}:`, error.message);
+    result = { status: 'failed', failureReason: 'Payment could not be processed' };
+  }
+
+  order.payment = {
+    provider: providerName,
+    reference: result.reference,
+    card: result.card
+  };
+
+  if (result.status === 'failed') {
+    await order.save();
+    return failPayment(order, result.failureReason || 'Payment failed');
+  }
+
+  if (result.status === 'authorized') {
+    order.paymentStatus = 'authorized';
+    order.payment.authorizedAt = new Date();
+    await order.save();
+    return capturePayment(order);
+  }
+
+  // 'pending' (cash on delivery) or 'requires_action' (3-D Secure)
+  order.paymentStatus = result.status;
+  await order.save();
+  return order;
+};
+
+// Refund a paid order in full
+// Resolves to { order } or { error, status }.
+const refundPayment = async (order) => {
+  // Claim the refund before the provider moves any money, so two admins refunding the
+  // same order cannot both reach the provider
+  const claimed = await transition(order._id, ['paid'], { paymentStatus: 'refunding' });
+  if (!claimed) {
+    const current = await Order.findById(order._id);
+    if (current && ['refunding', 'refunded'].includes(current.paymentStatus)) {
+      return { error: 'This payment is already being refunded', status: 409 };
+    }
+    return { error: 'Only paid orders can be refunded', status: 400 };
+  }
+
+  let result;
+  try {
+    result = await getProvider(order.payment.provider).refund(order.payment.reference, order.total);
+  } catch (error) {
+    console.error(`Refund failed for ${order.orderNumber}:`, error.message);
+    result = { status: 'failed' };
+  }
+
+  if (result.status !== 'refunded') {
+    await transition(order._id, ['refunding'], { paymentStatus: 'paid' });
+    return { error: result.failureReason || 'Refund failed', status: 502 };
+  }
+
+  const updated = await transition(order._id, ['refunding'], {
+    paymentStatus: 'refunded',
+    'payment.refundedAt': new Date()
+  });
+  return { order: updated || await Order.findById(order._id) };
+};
+
+// Apply a verified provider event to its order
+const applyPaymentEvent = async (order, event) => {
+  switch (event.type) {
+    case 'payment.authorized': {
+      const authorized = await transition(order._id, ['pending', 'requires_action'], {
+        paymentStatus: 'authorized',
+        'payment.authorizedAt': new Date()
+      });
+      if (!authorized) return Order.findById(order._id);
+
+      const captured = await capturePayment(authorized);
+      if (captured.paymentStatus === 'paid') await removeOrderFromCart(captured);
+      return captured;
+    }
+    case 'payment.succeeded': {
+      const paid = await transition(order._id, OPEN_PAYMENT_STATUSES, {
+        paymentStatus: 'paid',
+        'payment.paidAt': new Date()
+      });
+      if (!paid) return Order.findById(order._id);
+
+      await removeOrderFromCart(paid);
+      return paid;
+    }
+    case 'payment.failed':
+      return failPayment(order, event.failureReason || 'Payment failed');
+    case 'payment.refunded': {
+      const refunded = await transition(order._id, ['paid', 'refunding'], {
+        paymentStatus: 'refunded',
+        'payment.refundedAt': new Date()
+      });
+      return refunded || Order.findById(order._id);
+    }
+    default:
+      return order;
+  }
+};
+
+// Verify and apply a webhook sent by a payment provider
+// Resolves to { order } or { error, status }.
+const handleWebhook = async (providerName, rawBody, signature) => {
+  if (!PAYMENT_WEBHOOK_SECRET) {
+    return { error: 'Payment webhooks are not configured', status: 503 };
+  }
+
+  let provider;
+  try {
+    provider = getProvider(providerName);
+  } catch (error) {
+    return { error: 'Unknown payment provider', status: 404 };
+  }
+
+  const event = provider.verifyWebhook(rawBody, signature);
+  if (!event || !event.reference) {
+    return { error: 'Invalid webhook signature', status: 400 };
+  }
+
+  const order = await Order.findOne({
+    'payment.provider': providerName,
+    'payment.reference': event.reference
+  });
+  if (!order) {
+    return { error: 'Payment not found', status: 404 };
+  }
+
+  return { order: await applyPaymentEvent(order, event) };
+};
+
+module.exports = {
+  startPayment,
+  capturePayment,
+  closePayment,
+  refundPayment,
+  failPayment,
+  handleWebhook,
+  removeOrderFromCart,
+};
@@ -0,0 +1,23 @@
+// Cash on delivery: nothing is charged up front. The rider collects the total,
+// which is recorded as a capture once the order is delivered.
+
+const authorize = async ({ orderNumber }) => ({
+  status: 'pending',
+  reference: `cod_${orderNumber}`,
+});
+
+const capture = async (reference) => ({ status: 'captured', reference });
+
+// Cash is handed back by the rider; there is no gateway to call
+const refund = async (reference) => ({ status: 'refunded', reference });
+
+// Cash payments never produce webhooks
+const verifyWebhook = () => null;
+
+module.exports = {
+  name: 'cash',
+  authorize,
+  capture,
+  refund,
+  verifyWebhook,
+};
@@ -0,0 +1,35 @@
+const { PAYMENT_PROVIDER } = require('../../config/payments');
+const mockProvider = require('./mockProvider');
+const cashProvider = require('./cashProvider');
+
+// Every provider implements the same interface:
+//
+//   authorize({ amount, currency, token, orderNumber })
+//     -> { status: 'authorized' | 'pending' | 'requires_action' | 'failed',
+//          reference, card?: { brand, last4 }, action?, failureReason? }
+//   capture(reference, amount)  -> { status: 'captured' | 'failed', reference, failureReason? }
+//   refund(reference, amount)   -> { status: 'refunded' | 'failed', reference, failureReason? }
+//   verifyWebhook(rawBody, signature) -> event { type, reference, failureReason? } or null
+//
+// `token` is created on the device by the provider's SDK; card numbers never reach the server.
+// To add a gateway, implement these methods and register it below.
+const PROVIDERS = {
+  [mockProvider.name]: mockProvider,
+  [cashProvider.name]: cashProvider,
+};
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Provider that handles a payment method
+const providerNameFor = (paymentMethod) => (paymentMethod === 'cash' ? cashProvider.name : PAYMENT_PROVIDER);
+
+module.exports = {
+  getProvider,
+  providerNameFor,
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { PAYMENT_WEBHOOK_SECRET } = require('../../config/payments');
+
+// Local stand-in for a card gateway. Outcomes are decided by the token the app
+// created from one of the test card numbers, so every run behaves the same way:
+//   tok_mock_<outcome>_<brand>_<last4>
+const TOKEN_PATTERN = /^tok_mock_(succeed|decline|insufficient_funds|three_d_secure)_([a-z]+)_(\d{4})$/;
+
+const FAILURE_REASONS = {
+  decline: 'Your card was declined',
+  insufficient_funds: 'Your card has insufficient funds',
+};
+
+const newReference = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (body) => crypto
+  .createHmac('sha256', PAYMENT_WEBHOOK_SECRET)
+  .update(body)
+  .digest('hex');
+
+const authorize = async ({ token }) => {
+  const match = typeof token === 'string' ? token.match(TOKEN_PATTERN) : null;
+  if (!match) {
+    return { status: 'failed', failureReason: 'Invalid payment token' };
+  }
+
+  const [, outcome, brand, last4] = match;
+  const result = {
+    reference: newReference('mock_pay'),
+    card: { brand, last4 },
+  };
+
+  if (outcome === 'three_d_secure') {
+    return { ...result, status: 'requires_action', action: { type: 'three_d_secure' } };
+  }
+  if (FAILURE_REASONS[outcome]) {
+    return { ...result, status: 'failed', failureReason: FAILURE_REASONS[outcome] };
+  }
+  return { ...result, status: 'authorized' };
+};
+
+const capture = async (reference) => ({ status: 'captured', reference });
+
+const refund = async (reference) => ({
+  status: 'refunded',
+  reference,
+  refundReference: newReference('mock_refund'),
+});
+
+// Returns the event when the signature matches the raw request body, otherwise null
+const verifyWebhook = (rawBody, signature) => {
+  if (!PAYMENT_WEBHOOK_SECRET || !Buffer.isBuffer(rawBody) || typeof signature !== 'string') return null;
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(rawBody.toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build a signed webhook the way the gateway would send it (used by the simulated 3-D Secure page)
+const createWebhook = (event) => {
+  const body = Buffer.from(JSON.stringify(event));
+  return { body, signature: sign(body) };
+};
+
+module.exports = {
+  name: 'mock',
+  authorize,
+  capture,
+  refund,
+  verifyWebhook,
+  createWebhook,
+};
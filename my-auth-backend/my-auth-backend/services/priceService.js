@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PriceChange = require('../models/PriceChange');
+
+// Changes whose period covers `at`. Scheduled changes count once their date has passed,
+// even if the scheduler has not activated them yet.
+const coveringChanges = (at) => ({
+  status: { $ne: 'cancelled' },
+  effectiveFrom: { $lte: at },
+  $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+});
+
+// Price of each item at `at`, as a Map of item id -> { price, change }.
+// The latest change covering `at` wins. Before an item's first recorded change its
+// price is the one that change replaced; items with no history use their current price.
+const pricesAt = async (inventoryIds, at = new Date()) => {
+  const ids = inventoryIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  const covering = await PriceChange.aggregate([
+    { $match: { inventory: { $in: ids }, ...coveringChanges(at) } },
+    { $sort: { effectiveFrom: -1, createdAt: -1 } },
+    { $group: { _id: '$inventory', change: { $first: '$$ROOT' } } }
+  ]);
+  const prices = new Map(covering.map((entry) => [
+    entry._id.toString(),
+    { price: entry.change.price, change: entry.change }
+  ]));
+
+  const missing = ids.filter((id) => !prices.has(id.toString()));
+  if (missing.length > 0) {
+    const [before, items] = await Promise.all([
+      PriceChange.aggregate([
+        {
+          $match: {
+            inventory: { $in: missing },
+            status: { $in: ['active', 'ended'] },
+            effectiveFrom: { $gt: at },
+            previousPrice: { $ne: null }
+          }
+        },
+        { $sort: { effectiveFrom: 1 } },
+        { $group: { _id: '$inventory', price: { $first: '$previousPrice' } } }
+      ]),
+      Inventory.find({ _id: { $in: missing } }).select('price')
+    ]);
+    const beforeByItem = new Map(before.map((entry) => [entry._id.toString(), entry.price]));
+    for (const item of items) {
+      const id = item._id.toString();
+      prices.set(id, { price: beforeByItem.has(id) ? beforeByItem.get(id) : item.price, change: null });
+    }
+  }
+
+  return prices;
+};
+
+// Price of one item at `at`; resolves to { price, change } or null if the item is gone
+const priceAt = async (inventoryId, at = new Date()) => {
+  const prices = await pricesAt([inventoryId], at);
+  return prices.get(String(inventoryId)) || null;
+};
+
+// Bring Inventory.price in line with the change in effect now. This is the only place
+// an existing item's price is written. Resolves to the item, or null if it is gone.
+const syncPrice = async (inventoryId) => {
+  const current = await priceAt(inventoryId);
+  if (!current) return null;
+  return Inventory.findOneAndUpdate(
+    { _id: inventoryId },
+    { $set: { price: current.price, updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Put a change that has reached its effectiveFrom date into effect. An open-ended
+// change ends the open-ended changes before it, closing their period at its start.
+// Only one caller can activate a given change; resolves to the change, or null.
+const activateChange = async (changeId) => {
+  const now = new Date();
+  const change = await PriceChange.findOneAndUpdate(
+    { _id: changeId, status: 'scheduled', effectiveFrom: { $lte: now } },
+    { $set: { status: 'active', activatedAt: now, updatedAt: now } },
+    { new: true }
+  );
+  if (!change) return null;
+
+  if (!change.effectiveTo) {
+    await PriceChange.updateMany(
+      {
+        _id: { $ne: change._id },
+        inventory: change.inventory,
+        status: 'active',
+        effectiveTo: null,
+        effectiveFrom: { $lte: change.effectiveFrom }
+      },
+      { $set: { status: 'ended', effectiveTo: change.effectiveFrom, endedAt: now, updatedAt: now } }
+    );
+  }
+
+  const item = await Inventory.findById(change.inventory).select('price');
+  if (item) {
+    change.previousPrice = item.price;
+    await change.save();
+  }
+  await syncPrice(change.inventory);
+  return change;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Resolves a submitted price to { price }, or { error } unless it is a number of zero or more
+const parsePrice = (value) => {
+  const price = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(price) || price < 0) {
+    return { error: 'price must be zero or more' };
+  }
+  return { price };
+};
+
+// Record a price change for an item, effective now or from a future date, and
+// optionally only until `effectiveTo` (a promotion). Dates in the past take effect
+// now: history is never rewritten. `actor` is { by: userId }.
+// Resolves to { change, item } or { error, status }.
+const schedulePriceChange = async (inventoryId, { price, effectiveFrom, effectiveTo, reason } = {}, actor = {}) => {
+  const item = await Inventory.findById(inventoryId).select('price');
+  if (!item) {
+    return { error: 'Item not found', status: 404 };
+  }
+
+  const parsed = parsePrice(price);
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+  const amount = parsed.price;
+
+  const now = new Date();
+  let from = now;
+  if (effectiveFrom) {
+    from = parseDate(effectiveFrom);
+    if (!from) {
+      return { error: 'effectiveFrom must be a date', status: 400 };
+    }
+    if (from < now) from = now;
+  }
+
+  let to = null;
+  if (effectiveTo) {
+    to = parseDate(effectiveTo);
+    if (!to) {
+      return { error: 'effectiveTo must be a date', status: 400 };
+    }
+    if (to <= from) {
+      return { error: 'effectiveTo must be after effectiveFrom', status: 400 };
+    }
+  }
+
+  let change = await PriceChange.create({
+    inventory: item._id,
+    price: amount,
+    effectiveFrom: from,
+    effectiveTo: to,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : undefined,
+    user: actor.by
+  });
+
+  if (from <= now) {
+    change = (await activateChange(change._id)) || change;
+  }
+
+  return { change, item: await Inventory.findById(item._id) };
+};
+
+// Record the price a new item was created with as the start of its history
+const recordInitialPrice = (item, actor = {}, reason = 'Initial price') => PriceChange.create({
+  inventory: item._id,
+  price: item.price,
+  effectiveFrom: item.createdAt || new Date(),
+  status: 'active',
+  activatedAt: new Date(),
+  reason,
+  user: actor.by
+});
+
+// Cancel a price change that has not taken effect yet.
+// Resolves to { change } or { error, status }.
+const cancelPriceChange = async (inventoryId, changeId) => {
+  const change = await PriceChange.findOneAndUpdate(
+    { _id: changeId, inventory: inventoryId, status: 'scheduled', effectiveFrom: { $gt: new Date() } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+  if (change) return { change };
+
+  const existing = await PriceChange.findOne({ _id: changeId, inventory: inventoryId }).select('status');
+  return existing
+    ? { error: `Only scheduled price changes can be cancelled; this one is ${existing.status}`, status: 409 }
+    : { error: 'Price change not found', status: 404 };
+};
+
+// Activate scheduled changes whose date has come, end those whose period is over,
+// and reprice the items involved. Resolves to { activated, ended, repriced }.
+const applyDuePriceChanges = async () => {
+  const now = new Date();
+  const touched = new Set();
+
+  const due = await PriceChange.find({ status: 'scheduled', effectiveFrom: { $lte: now } })
+    .select('_id')
+    .sort({ effectiveFrom: 1 });
+  let activated = 0;
+  for (const { _id } of due) {
+    const change = await activateChange(_id);
+    if (change) {
+      activated += 1;
+      touched.add(change.inventory.toString());
+    }
+  }
+
+  const expired = await PriceChange.find({ status: 'active', effectiveTo: { $ne: null, $lte: now } })
+    .select('inventory');
+  if (expired.length > 0) {
+    await PriceChange.updateMany(
+      { _id: { $in: expired.map((change) => change._id) }, status: 'active' },
+      { $set: { status: 'ended', endedAt: now, updatedAt: now } }
+    );
+    expired.forEach((change) => touched.add(change.inventory.toString()));
+  }
+
+  for (const id of touched) {
+    await syncPrice(id);
+  }
+
+  return { activated, ended: expired.length, repriced: touched.size };
+};
+
+module.exports = {
+  pricesAt,
+  priceAt,
+  parsePrice,
+  schedulePriceChange,
+  recordInitialPrice,
+  cancelPriceChange,
+  applyDuePriceChanges,
+};
@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ReorderSuggestion = require('../models/ReorderSuggestion');
+const Supplier = require('../models/Supplier');
+const { ACTIVE_REORDER_STATUSES } = require('../config/inventory');
+const { OPEN_PURCHASE_ORDER_STATUSES, DEFAULT_LEAD_TIME_DAYS } = require('../config/purchasing');
+const { recordMovement } = require('./stockService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Gross margin of selling at `price` something that cost `unitCost`, as a percentage
+// of the price. null when either is unknown.
+const marginPercent = (price, unitCost) => {
+  if (!(price > 0) || unitCost === undefined || unitCost === null) return null;
+  return Math.round(((price - unitCost) / price) * 1000) / 10;
+};
+
+const parseCost = (value) => {
+  if (value === undefined || value === null || value === '') return { cost: undefined };
+  const cost = Number(value);
+  return Number.isFinite(cost) && cost >= 0 ? { cost } : { error: 'unitCost must be a positive number' };
+};
+
+// Purchase order as the admin screens see it, with totals and per-line margins.
+// Expects supplier and lines.inventory to be populated.
+const toPurchaseOrderJSON = (po) => {
+  const lines = po.lines.map((line) => {
+    const item = line.inventory && line.inventory._id ? line.inventory : null;
+    return {
+      ...line.toObject(),
+      id: line._id.toString(),
+      inventory: item ? item._id : line.inventory,
+      outstanding: Math.max(line.quantity - line.receivedQuantity, 0),
+      price: item ? item.price : null,
+      margin: item ? marginPercent(item.price, line.unitCost) : null
+    };
+  });
+
+  return {
+    ...po.toObject(),
+    id: po._id.toString(),
+    lines,
+    totalCost: roundMoney(lines.reduce((sum, line) => sum + line.quantity * (line.unitCost || 0), 0)),
+    receivedCost: roundMoney(lines.reduce((sum, line) => sum + line.receivedQuantity * (line.unitCost || 0), 0))
+  };
+};
+
+const findPurchaseOrder = (id) => PurchaseOrder.findById(id)
+  .populate('supplier', 'name contactName email phone leadTimeDays')
+  .populate('lines.inventory', 'name unit price stock minStock')
+  .populate('createdBy', 'name')
+  .populate('receipts.by', 'name');
+
+// Place a purchase order with a supplier.
+// `lines` is [{ inventory, quantity, unitCost? }]. Open or approved reorder suggestions
+// for the same items are attached to the order, so they are received through it.
+// Resolves to { purchaseOrder } or { error, status }.
+const createPurchaseOrder = async ({ supplier: supplierId, lines, expectedAt, notes }, actor = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+    return { error: 'supplier is required', status: 400 };
+  }
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier || !supplier.active) {
+    return { error: 'Supplier not found', status: 404 };
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'Add at least one item to order', status: 400 };
+  }
+
+  const ids = lines.map((line) => String(line.inventory));
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Each line needs an inventory item', status: 400 };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Each item can only appear once per purchase order', status: 400 };
+  }
+
+  const items = await Inventory.find({ _id: { $in: ids } }).select('name unit unitCost');
+  const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+
+  const poLines = [];
+  for (const line of lines) {
+    const item = itemsById.get(String(line.inventory));
+    if (!item) {
+      return { error: `Item not found: ${line.inventory}`, status: 404 };
+    }
+    const quantity = Number(line.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return { error: `Quantity for ${item.name} must be a positive number`, status: 400 };
+    }
+    const { cost, error } = parseCost(line.unitCost);
+    if (error) {
+      return { error: `${item.name}: ${error}`, status: 400 };
+    }
+    poLines.push({
+      inventory: item._id,
+      name: item.name,
+      unit: item.unit,
+      quantity,
+      // Default to what it cost last time
+      unitCost: cost !== undefined ? cost : item.unitCost
+    });
+  }
+
+  let expected = null;
+  if (expectedAt) {
+    expected = new Date(expectedAt);
+    if (Number.isNaN(expected.getTime())) {
+      return { error: 'expectedAt must be a date (YYYY-MM-DD)', status: 400 };
+    }
+  } else {
+    const leadTime = supplier.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+    expected = new Date(Date.now() + leadTime * DAY_MS);
+  }
+
+  const purchaseOrder = await PurchaseOrder.create({
+    poNumber: PurchaseOrder.generatePONumber(),
+    supplier: supplier._id,
+    lines: poLines,
+    expectedAt: expected,
+    notes: typeof notes === 'string' ? notes : undefined,
+    createdBy: actor.by
+  });
+
+  // The low-stock alerts for these items are now on order
+  await Promise.all(poLines.map((line) => ReorderSuggestion.updateOne(
+    { inventory: line.inventory, status: { $in: ACTIVE_REORDER_STATUSES }, purchaseOrder: null },
+    {
+      $set: {
+        status: 'approved',
+        approvedQuantity: line.quantity,
+        approvedBy: actor.by,
+        approvedAt: new Date(),
+        purchaseOrder: purchaseOrder._id,
+        updatedAt: new Date()
+      }
+    }
+  )));
+
+  return { purchaseOrder };
+};
+
+// Receive (part of) a purchase order's delivery.
+// `lines` is [{ line, quantity, unitCost?, expiresAt?, lotNumber? }] where `line` is the
+// purchase order line id. Each line is added to stock as a 'receive' movement with its
+// own lot, and the unit cost becomes the item's current cost. Lines can't receive
+// more than is outstanding. Resolves to { purchaseOrder } or { error, status }.
+const receivePurchaseOrder = async (id, { lines } = {}, actor = {}) => {
+  const purchaseOrder = await PurchaseOrder.findById(id).populate('supplier', 'name');
+  if (!purchaseOrder) {
+    return { error: 'Purchase order not found', status: 404 };
+  }
+  if (!OPEN_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status)) {
+    return { error: `Purchase order is ${purchaseOrder.status.replace(/_/g, ' ')}`, status: 409 };
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'Enter the quantity received for at least one item', status: 400 };
+  }
+
+  // Check every line before anything is written
+  const receipts = [];
+  for (const entry of lines) {
+    const line = purchaseOrder.lines.id(entry.line);
+    if (!line) {
+      return { error: `Line not found: ${entry.line}`, status: 404 };
+    }
+    const quantity = Number(entry.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return { error: `Quantity for ${line.name} must be a positive number`, status: 400 };
+    }
+    const outstanding = line.quantity - line.receivedQuantity;
+    if (quantity > outstanding) {
+      return { error: `Only ${outstanding}${line.unit ? ` ${line.unit}` : ''} of ${line.name} is outstanding`, status: 400 };
+    }
+    const { cost, error } = parseCost(entry.unitCost);
+    if (error) {
+      return { error: `${line.name}: ${error}`, status: 400 };
+    }
+    receipts.push({ line, quantity, unitCost: cost !== undefined ? cost : line.unitCost, entry });
+  }
+
+  const received = [];
+  for (const { line, quantity, unitCost, entry } of receipts) {
+    // Claim the quantity on the line first so two receipts can't both take it
+    const claimed = await PurchaseOrder.updateOne(
+      {
+        _id: purchaseOrder._id,
+        status: { $in: OPEN_PURCHASE_ORDER_STATUSES },
+        lines: { $elemMatch: { _id: line._id, receivedQuantity: { $lte: line.quantity - quantity } } }
+      },
+      { $inc: { 'lines.$.receivedQuantity': quantity } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const result = await recordMovement(line.inventory, {
+      type: 'receive',
+      quantity,
+      actor: { by: actor.by, role: 'admin' },
+      reason: `Purchase order ${purchaseOrder.poNumber}`,
+      lot: {
+        supplier: purchaseOrder.supplier ? purchaseOrder.supplier.name : undefined,
+        unitCost,
+        purchaseOrder: purchaseOrder._id,
+        expiresAt: entry.expiresAt,
+        lotNumber: entry.lotNumber
+      }
+    });
+    if (result.error) {
+      await PurchaseOrder.updateOne(
+        { _id: purchaseOrder._id, 'lines._id': line._id },
+        { $inc: { 'lines.$.receivedQuantity': -quantity } }
+      );
+      if (received.length === 0) return result;
+      continue;
+    }
+
+    if (unitCost !== undefined) {
+      await Promise.all([
+        Inventory.updateOne({ _id: line.inventory }, { $set: { unitCost, updatedAt: new Date() } }),
+        PurchaseOrder.updateOne(
+          { _id: purchaseOrder._id, 'lines._id': line._id },
+          { $set: { 'lines.$.unitCost': unitCost } }
+        )
+      ]);
+    }
+    received.push({ line: line._id, quantity, unitCost, movement: result.movement._id });
+  }
+
+  if (received.length === 0) {
+    return { error: 'Those items were already received', status: 409 };
+  }
+
+  // Record the delivery and move the order along
+  const updated = await PurchaseOrder.findById(purchaseOrder._id);
+  updated.receipts.push({ by: actor.by, lines: received });
+  const complete = updated.lines.every((line) => line.receivedQuantity >= line.quantity);
+  if (complete) {
+    updated.status = 'received';
+    updated.receivedAt = new Date();
+  } else {
+    updated.status = 'partially_received';
+  }
+  await updated.save();
+
+  // Close the low-stock alerts whose restock has fully arrived
+  await Promise.all(updated.lines
+    .filter((line) => line.receivedQuantity >= line.quantity)
+    .map((line) => ReorderSuggestion.updateOne(
+      { inventory: line.inventory, purchaseOrder: updated._id, status: 'approved' },
+      {
+        $set: {
+          status: 'received',
+          receivedQuantity: line.receivedQuantity,
+          receivedBy: actor.by,
+          receivedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    )));
+
+  return { purchaseOrder: updated };
+};
+
+// Cancel whatever is still outstanding on a purchase order. Items already received stay
+// in stock; reorder suggestions waiting on the order are reopened.
+// Resolves to { purchaseOrder } or { error, status }.
+const cancelPurchaseOrder = async (id, { reason } = {}) => {
+  const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+    { _id: id, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelReason: typeof reason === 'string' && reason.trim() ? reason.trim() : undefined,
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!purchaseOrder) {
+    const existing = await PurchaseOrder.findById(id).select('status');
+    return existing
+      ? { error: `Purchase order is ${existing.status.replace(/_/g, ' ')}`, status: 409 }
+      : { error: 'Purchase order not found', status: 404 };
+  }
+
+  await ReorderSuggestion.updateMany(
+    { purchaseOrder: purchaseOrder._id, status: 'approved' },
+    {
+      $set: { status: 'open', updatedAt: new Date() },
+      $unset: { purchaseOrder: 1, approvedQuantity: 1, approvedBy: 1, approvedAt: 1 }
+    }
+  );
+
+  return { purchaseOrder };
+};
+
+module.exports = {
+  marginPercent,
+  toPurchaseOrderJSON,
+  findPurchaseOrder,
+  createPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+};
@@ -0,0 +1,257 @@
+const Inventory = require('../models/Inventory');
+const ReorderSuggestion = require('../models/ReorderSuggestion');
+const StockMovement = require('../models/StockMovement');
+const User = require('../models/User');
+const {
+  ACTIVE_REORDER_STATUSES,
+  REORDER_VELOCITY_DAYS,
+  REORDER_LEAD_TIME_DAYS,
+  LOW_STOCK_ALERT_EMAIL
+} = require('../config/inventory');
+const { recordMovement } = require('./stockService');
+const { sendLowStockAlertEmail } = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Movement types that reflect demand: sales and spoilage use stock up, returns give it back
+const CONSUMPTION_MOVEMENTS = ['sale', 'spoilage', 'return'];
+
+const roundQuantity = (value) => Math.round(value * 100) / 100;
+
+// Average daily consumption per item over the velocity window, keyed by item id
+const consumptionVelocity = async (inventoryIds) => {
+  const since = new Date(Date.now() - REORDER_VELOCITY_DAYS * DAY_MS);
+  const totals = await StockMovement.aggregate([
+    {
+      $match: {
+        inventory: { $in: inventoryIds },
+        type: { $in: CONSUMPTION_MOVEMENTS },
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: '$inventory', net: { $sum: '$quantity' } } }
+  ]);
+
+  return new Map(totals.map(({ _id, net }) => [
+    _id.toString(),
+    Math.max(-net, 0) / REORDER_VELOCITY_DAYS
+  ]));
+};
+
+// Top the item up to maxStock, plus what is expected to sell before the delivery arrives
+const reorderFigures = (item, dailyUsage) => {
+  const shortfall = Math.max((item.maxStock || 0) - item.stock, 0);
+  const leadTimeUsage = dailyUsage * REORDER_LEAD_TIME_DAYS;
+
+  return {
+    stock: item.stock,
+    minStock: item.minStock,
+    maxStock: item.maxStock,
+    dailyUsage: roundQuantity(dailyUsage),
+    daysOfStockLeft: dailyUsage > 0 ? roundQuantity(Math.max(item.stock, 0) / dailyUsage) : null,
+    suggestedQuantity: Math.ceil(shortfall + leadTimeUsage)
+  };
+};
+
+// Admins to alert: the configured address(es), or every admin account
+const alertRecipients = async () => {
+  if (LOW_STOCK_ALERT_EMAIL) {
+    return LOW_STOCK_ALERT_EMAIL.split(',').map((email) => email.trim()).filter(Boolean);
+  }
+  return User.distinct('email', { $or: [{ role: 'admin' }, { isAdmin: true }] });
+};
+
+// Email admins about open suggestions they have not been told about yet
+const sendPendingAlerts = async () => {
+  const pending = await ReorderSuggestion.find({ status: 'open', alertedAt: null })
+    .populate('inventory', 'name unit')
+    .sort({ stock: 1 });
+  if (pending.length === 0) return 0;
+
+  const recipients = await alertRecipients();
+  if (recipients.length === 0) {
+    console.warn('⚠️  Low-stock alert not sent: no admin email configured');
+    return 0;
+  }
+
+  await sendLowStockAlertEmail(recipients.join(', '), pending.map((suggestion) => ({
+    name: suggestion.inventory ? suggestion.inventory.name : 'Deleted item',
+    unit: suggestion.inventory ? suggestion.inventory.unit : '',
+    stock: suggestion.stock,
+    minStock: suggestion.minStock,
+    daysOfStockLeft: suggestion.daysOfStockLeft,
+    suggestedQuantity: suggestion.suggestedQuantity
+  })));
+  await ReorderSuggestion.updateMany(
+    { _id: { $in: pending.map((suggestion) => suggestion._id) } },
+    { $set: { alertedAt: new Date() } }
+  );
+  return pending.length;
+};
+
+// Find items at or below minStock and open (or refresh) a reorder suggestion for each.
+// Open suggestions for items that have since recovered are dismissed, and admins are
+// emailed about new suggestions. Approved suggestions are left alone: they are waiting
+// for a delivery. Resolves to { created, refreshed, dismissed, alerted }.
+const generateReorderSuggestions = async () => {
+  const items = await Inventory.find({ $expr: { $lte: ['$stock', '$minStock'] } });
+  const ids = items.map((item) => item._id);
+
+  const [velocity, active] = await Promise.all([
+    consumptionVelocity(ids),
+    ReorderSuggestion.find({ inventory: { $in: ids }, status: { $in: ACTIVE_REORDER_STATUSES } })
+  ]);
+  const activeByItem = new Map(active.map((suggestion) => [suggestion.inventory.toString(), suggestion]));
+
+  let created = 0;
+  let refreshed = 0;
+  for (const item of items) {
+    const figures = reorderFigures(item, velocity.get(item._id.toString()) || 0);
+    const existing = activeByItem.get(item._id.toString());
+
+    if (!existing) {
+      try {
+        await ReorderSuggestion.create({ inventory: item._id, ...figures });
+        created += 1;
+      } catch (error) {
+        // Another run opened one first
+        if (error.code !== 11000) throw error;
+      }
+    } else if (existing.status === 'open') {
+      existing.set(figures);
+      await existing.save();
+      refreshed += 1;
+    }
+  }
+
+  const { modifiedCount: dismissed } = await ReorderSuggestion.updateMany(
+    { status: 'open', inventory: { $nin: ids } },
+    { $set: { status: 'dismissed', dismissedAt: new Date(), note: 'Stock recovered above minimum', updatedAt: new Date() } }
+  );
+
+  const alerted = await sendPendingAlerts();
+
+  return { created, refreshed, dismissed, alerted };
+};
+
+// Explain why a suggestion could not move from `expected` status
+const transitionError = async (id, expected) => {
+  const suggestion = await ReorderSuggestion.findById(id).select('status');
+  if (!suggestion) {
+    return { error: 'Suggestion not found', status: 404 };
+  }
+  return { error: `Suggestion is ${suggestion.status}, expected ${expected.join(' or ')}`, status: 409 };
+};
+
+const parseQuantity = (value, fallback) => {
+  const quantity = value === undefined || value === null || value === '' ? fallback : Number(value);
+  return Number.isFinite(quantity) && quantity > 0 ? quantity : null;
+};
+
+// Approve an open suggestion, optionally changing the quantity to order.
+// Resolves to { suggestion } or { error, status }.
+const approveSuggestion = async (id, { quantity } = {}, actor = {}) => {
+  const current = await ReorderSuggestion.findById(id).select('suggestedQuantity');
+  if (!current) {
+    return { error: 'Suggestion not found', status: 404 };
+  }
+
+  const approvedQuantity = parseQuantity(quantity, current.suggestedQuantity);
+  if (approvedQuantity === null) {
+    return { error: 'quantity must be a positive number', status: 400 };
+  }
+
+  const suggestion = await ReorderSuggestion.findOneAndUpdate(
+    { _id: id, status: 'open' },
+    {
+      $set: {
+        status: 'approved',
+        approvedQuantity,
+        approvedBy: actor.by,
+        approvedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  return suggestion ? { suggestion } : transitionError(id, ['open']);
+};
+
+// Mark an approved suggestion's delivery as arrived and record it as a 'receive'
+// movement, opening a lot with the delivery's expiry date, supplier and lot number.
+// `quantity` defaults to the approved amount; pass what actually arrived.
+// Resolves to { suggestion, item, movement } or { error, status }.
+const receiveSuggestion = async (id, { quantity, expiresAt, supplier, lotNumber } = {}, actor = {}) => {
+  const current = await ReorderSuggestion.findById(id).select('approvedQuantity purchaseOrder');
+  if (!current) {
+    return { error: 'Suggestion not found', status: 404 };
+  }
+  if (current.purchaseOrder) {
+    return { error: 'This item is on a purchase order; receive it from the purchase order', status: 409 };
+  }
+
+  const receivedQuantity = parseQuantity(quantity, current.approvedQuantity);
+  if (receivedQuantity === null) {
+    return { error: 'quantity must be a positive number', status: 400 };
+  }
+
+  // Claim the suggestion first so a double tap cannot receive the delivery twice
+  const suggestion = await ReorderSuggestion.findOneAndUpdate(
+    { _id: id, status: 'approved', purchaseOrder: null },
+    {
+      $set: {
+        status: 'received',
+        receivedQuantity,
+        receivedBy: actor.by,
+        receivedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!suggestion) {
+    return transitionError(id, ['approved']);
+  }
+
+  const result = await recordMovement(suggestion.inventory, {
+    type: 'receive',
+    quantity: receivedQuantity,
+    actor: { by: actor.by, role: 'admin' },
+    reason: 'Reorder received',
+    lot: { expiresAt, supplier, lotNumber }
+  });
+  if (result.error) {
+    await ReorderSuggestion.updateOne(
+      { _id: id },
+      { $set: { status: 'approved', updatedAt: new Date() }, $unset: { receivedQuantity: 1, receivedBy: 1, receivedAt: 1 } }
+    );
+    return result;
+  }
+
+  suggestion.movement = result.movement._id;
+  await suggestion.save();
+
+  return { suggestion, item: result.item, movement: result.movement };
+};
+
+// Drop a suggestion that will not be ordered. Resolves to { suggestion } or { error, status }.
+const dismissSuggestion = async (id, { note } = {}) => {
+  const update = { status: 'dismissed', dismissedAt: new Date(), updatedAt: new Date() };
+  if (typeof note === 'string' && note.trim()) {
+    update.note = note.trim();
+  }
+
+  const suggestion = await ReorderSuggestion.findOneAndUpdate(
+    { _id: id, status: { $in: ACTIVE_REORDER_STATUSES } },
+    { $set: update },
+    { new: true }
+  );
+  return suggestion ? { suggestion } : transitionError(id, ACTIVE_REORDER_STATUSES);
+};
+
+module.exports = {
+  generateReorderSuggestions,
+  approveSuggestion,
+  receiveSuggestion,
+  dismissSuggestion,
+};
@@ -0,0 +1,48 @@
+const { toKitchenMeasure } = require('./units');
+const { computeRecipeNutrition } = require('./nutritionService');
+const { packsToBuy } = require('./shoppingListService');
+
+// Most servings a recipe can be scaled to
+const MAX_SCALED_SERVINGS = 50;
+
+// Scale a recipe's ingredient lines from `recipe.servings` to `servings`, each rounded to
+// a kitchen measure in `system` ('metric' or 'imperial'; by default the unit's own).
+// Purchasable lines gain the packs of their inventory item to buy. Packs and nutrition
+// are worked out from the exact scaled amounts: the kitchen rounding is only for display.
+// `ingredients[].inventory` should be populated with `unit price available nutrition`.
+// Returns { servings, baseServings, factor, ingredients, nutrition }.
+const scaleRecipe = (recipe, ingredients, servings, system) => {
+  const factor = servings / recipe.servings;
+  const exact = ingredients.map((line) => ({ ...line, quantity: (line.quantity || 0) * factor }));
+
+  const scaled = exact.map((line, index) => {
+    const kitchen = toKitchenMeasure(line.quantity, line.unit, system);
+    const item = line.inventory;
+    const purchase = item && item.available !== false
+      ? packsToBuy(line.quantity, line.unit, item)
+      : { packs: null, estimated: false };
+
+    return {
+      ...line,
+      originalQuantity: ingredients[index].quantity,
+      originalUnit: line.unit,
+      quantity: kitchen.quantity,
+      unit: kitchen.unit,
+      display: kitchen.display,
+      ...purchase
+    };
+  });
+
+  return {
+    servings,
+    baseServings: recipe.servings,
+    factor: Math.round(factor * 1000) / 1000,
+    ingredients: scaled,
+    nutrition: computeRecipeNutrition({ servings, ingredients: exact })
+  };
+};
+
+module.exports = {
+  MAX_SCALED_SERVINGS,
+  scaleRecipe,
+};
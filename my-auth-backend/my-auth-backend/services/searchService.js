@@ -0,0 +1,301 @@
+const Inventory = require('../models/Inventory');
+const Recipe = require('../models/Recipe');
+const {
+  SEARCH_SYNONYMS,
+  SEARCH_STOP_WORDS,
+  SEARCH_MAX_TERMS,
+  SEARCH_VOCABULARY_TTL_MINUTES,
+  maxTyposFor
+} = require('../config/search');
+const { PRODUCT_PUBLIC_FIELDS } = require('../config/inventory');
+
+// Candidates fetched per collection before re-ranking, when the caller wants a page
+const MIN_CANDIDATES = 50;
+
+// Most completions offered for an unfinished word ('turm' -> 'turmeric')
+const MAX_COMPLETIONS = 3;
+
+// What each collection is searched on. `primary` is the field shown as the hit's name;
+// matches there rank highest.
+const RECIPE_SEARCH = {
+  model: Recipe,
+  primary: 'title',
+  fields: ['title', 'tags', 'category', 'cuisine', 'ingredients.name'],
+  filter: { published: true },
+  select: '-steps -ingredients'
+};
+
+const PRODUCT_SEARCH = {
+  model: Inventory,
+  primary: 'name',
+  fields: ['name', 'subcategory', 'category', 'origin'],
+  filter: { available: { $ne: false } },
+  select: PRODUCT_PUBLIC_FIELDS
+};
+
+// Admin search covers unavailable items too and returns whole documents
+const INVENTORY_SEARCH = {
+  ...PRODUCT_SEARCH,
+  filter: {},
+  select: null
+};
+
+const STOP_WORDS = new Set(SEARCH_STOP_WORDS);
+
+// Helper: Escape user input before using it in a regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase, accents removed, anything but letters and digits turned into spaces
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+const unique = (values) => [...new Set(values)];
+
+// Synonym entries by their words, longest first, for matching phrases in a query
+const SYNONYM_ENTRIES = SEARCH_SYNONYMS
+  .flatMap((group, index) => group.map((entry) => ({ words: tokenize(entry), group: index })))
+  .sort((a, b) => b.words.length - a.words.length);
+
+// Edits (insert, delete, substitute, swap adjacent letters) turning `a` into `b`,
+// or Infinity once it is certain to exceed `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return Infinity;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+};
+
+let vocabularyCache = null;
+
+// Every word that appears in the searchable catalog fields, plus the synonym words.
+// Built from distinct values and reused for SEARCH_VOCABULARY_TTL_MINUTES.
+const getVocabulary = async () => {
+  if (vocabularyCache && vocabularyCache.expiresAt > Date.now()) {
+    return vocabularyCache.words;
+  }
+
+  const values = await Promise.all([
+    ...PRODUCT_SEARCH.fields.map((field) => Inventory.distinct(field, PRODUCT_SEARCH.filter)),
+    ...RECIPE_SEARCH.fields.map((field) => Recipe.distinct(field, RECIPE_SEARCH.filter))
+  ]);
+  const words = new Set(SEARCH_SYNONYMS.flat().flatMap(tokenize));
+  for (const value of values.flat()) {
+    tokenize(value).filter((word) => word.length >= 3).forEach((word) => words.add(word));
+  }
+
+  vocabularyCache = {
+    words,
+    expiresAt: Date.now() + SEARCH_VOCABULARY_TTL_MINUTES * 60 * 1000
+  };
+  return words;
+};
+
+// Closest known word within the typos allowed for the word's length, or null.
+// Ties go to a word with the same first letter, then the alphabetically first.
+const closestWord = (word, vocabulary) => {
+  const max = maxTyposFor(word.length);
+  if (max === 0) return null;
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of vocabulary) {
+    const distance = editDistance(word, candidate, Math.min(max, bestDistance));
+    if (distance === Infinity) continue;
+    const better = distance < bestDistance
+      || (candidate[0] === word[0] && best[0] !== word[0])
+      || (candidate[0] === best[0] && candidate < best);
+    if (better) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+// Known words starting with an unfinished word, shortest first
+const completeWord = (word, vocabulary) => {
+  if (word.length < 3) return [];
+  return [...vocabulary]
+    .filter((candidate) => candidate.length > word.length && candidate.startsWith(word))
+    .sort((a, b) => a.length - b.length || a.localeCompare(b))
+    .slice(0, MAX_COMPLETIONS);
+};
+
+// Synonym entry whose words start at position `start` of `words`, or null
+const matchSynonym = (words, start) => SYNONYM_ENTRIES.find((entry) => (
+  entry.words.every((word, offset) => words[start + offset] === word)
+)) || null;
+
+// Turn a search query into groups of interchangeable terms, one group per word or
+// synonym phrase. Unknown words are corrected to the closest catalog word, or
+// completed if they look unfinished; synonyms bring in the other names for the thing.
+// Resolves to { text, groups: [{ text, terms }], corrected } where `corrected` is the
+// query as corrected (null when nothing was).
+const expandQuery = async (query) => {
+  const tokens = tokenize(query)
+    .filter((token) => !STOP_WORDS.has(token))
+    .slice(0, SEARCH_MAX_TERMS);
+  if (tokens.length === 0) {
+    return { text: '', groups: [], corrected: null };
+  }
+
+  const vocabulary = await getVocabulary();
+  const words = tokens.map((token) => {
+    if (vocabulary.has(token) || /\d/.test(token)) {
+      return { token, correction: null, completions: [] };
+    }
+    const correction = closestWord(token, vocabulary);
+    return { token, correction, completions: correction ? [] : completeWord(token, vocabulary) };
+  });
+  const effective = words.map((word) => word.correction || word.token);
+
+  const groups = [];
+  for (let i = 0; i < words.length;) {
+    const synonym = matchSynonym(effective, i);
+    if (synonym) {
+      const typed = words.slice(i, i + synonym.words.length).map((word) => word.token).join(' ');
+      groups.push({
+        text: synonym.words.join(' '),
+        terms: unique([typed, ...SEARCH_SYNONYMS[synonym.group]])
+      });
+      i += synonym.words.length;
+    } else {
+      const { token, correction, completions } = words[i];
+      groups.push({
+        text: effective[i],
+        terms: unique([token, correction, ...completions].filter(Boolean))
+      });
+      i += 1;
+    }
+  }
+
+  return {
+    text: tokens.join(' '),
+    groups,
+    corrected: words.some((word) => word.correction) ? effective.join(' ') : null
+  };
+};
+
+// Filter matching documents where every group has a term in one of `fields`.
+// What the user typed matches anywhere, as the old substring search did; the
+// corrections and synonyms we added must start a word.
+const termsFilter = (fields, groups) => {
+  if (groups.length === 0) return {};
+  return {
+    $and: groups.map(({ terms }) => ({
+      $or: terms.flatMap((term, index) => {
+        const pattern = `${index === 0 ? '' : '\\b'}${escapeRegex(term).replace(/ /g, '\\s+')}`;
+        return fields.map((field) => ({ [field]: { $regex: pattern, $options: 'i' } }));
+      })
+    }))
+  };
+};
+
+// Relevance of a hit: MongoDB's text score, plus a point for each group found in its
+// name, and more when the name starts with or is exactly what was searched for
+const relevance = (doc, spec, expansion) => {
+  const name = normalize(doc[spec.primary]);
+  const inName = (term) => new RegExp(`\\b${escapeRegex(normalize(term))}`).test(name);
+
+  let score = doc.score || 0;
+  for (const group of expansion.groups) {
+    if (group.terms.some(inName)) score += 1;
+  }
+  if (expansion.groups[0] && expansion.groups[0].terms.some((term) => name.startsWith(normalize(term)))) {
+    score += 1;
+  }
+  if (name === expansion.text || expansion.groups.some((group) => group.terms.some((term) => normalize(term) === name))) {
+    score += 3;
+  }
+  return score;
+};
+
+// Search one collection: documents must match every group, as with termsFilter.
+// MongoDB text search over the terms scores them, falling back to the substring
+// filter alone for partial words; hits are then re-ranked by relevance.
+// Resolves to { total, hits } with plain documents, best first.
+const searchCollection = async (spec, expansion, { filter = {}, limit } = {}) => {
+  if (expansion.groups.length === 0) {
+    return { total: 0, hits: [] };
+  }
+
+  // $text ORs its words, so the groups are ANDed through the substring filter
+  const words = unique(expansion.groups.flatMap((group) => group.terms.flatMap(tokenize)));
+  const substringQuery = { ...spec.filter, ...filter, ...termsFilter(spec.fields, expansion.groups) };
+  const textQuery = { ...substringQuery, $text: { $search: words.join(' ') } };
+  const candidateLimit = limit ? Math.max(limit * 4, MIN_CANDIDATES) : 0;
+
+  // Plain documents with the collection's public fields (every field when it has none)
+  const find = (query) => {
+    const found = spec.model.find(query).limit(candidateLimit).lean();
+    return spec.select ? found.select(spec.select) : found;
+  };
+  // Only a full page of candidates needs counting separately
+  const count = (query, found) => (
+    limit && found.length === candidateLimit ? spec.model.countDocuments(query) : found.length
+  );
+
+  let candidates = await find(textQuery)
+    .select({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } });
+  let total = await count(textQuery, candidates);
+
+  if (candidates.length === 0) {
+    candidates = await find(substringQuery).sort({ [spec.primary]: 1 });
+    total = await count(substringQuery, candidates);
+  }
+
+  const ranked = candidates
+    .map((doc) => ({ doc, score: relevance(doc, spec, expansion) }))
+    .sort((a, b) => b.score - a.score || String(a.doc[spec.primary]).localeCompare(String(b.doc[spec.primary])))
+    .map(({ doc }) => {
+      const { score: _score, ...hit } = doc;
+      return hit;
+    });
+
+  return { total, hits: limit ? ranked.slice(0, limit) : ranked };
+};
+
+// Published recipes matching a query, best first
+const searchRecipes = (expansion, options) => searchCollection(RECIPE_SEARCH, expansion, options);
+
+// Available products matching a query, best first
+const searchProducts = (expansion, options) => searchCollection(PRODUCT_SEARCH, expansion, options);
+
+// Inventory items (available or not) matching a query, for the admin screens.
+// `filter` narrows the items searched, e.g. { category }.
+const searchInventory = async (query, filter = {}) => {
+  const expansion = await expandQuery(query);
+  const { hits } = await searchCollection(INVENTORY_SEARCH, expansion, { filter });
+  return hits;
+};
+
+module.exports = {
+  expandQuery,
+  termsFilter,
+  searchRecipes,
+  searchProducts,
+  searchInventory,
+};
@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const MealPlan = require('../models/MealPlan');
+const Recipe = require('../models/Recipe');
+const RecipeVariant = require('../models/RecipeVariant');
+const ShoppingList = require('../models/ShoppingList');
+const Cart = require('../models/Cart');
+const { normalizeUnit, unitFamily, convert, toGrams, toItemUnits } = require('./units');
+
+// Fields of a line's inventory item needed to price it and count it in packs
+const INVENTORY_LIST_FIELDS = 'name category unit price available nutrition';
+
+// Most recipes one list may be generated from
+const MAX_LIST_RECIPES = 30;
+
+// Quantities closer than this are treated as equal
+const EPSILON = 1e-6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Amounts of one family are summed in its base unit
+const baseUnitFor = (unit) => {
+  switch (unitFamily(unit)) {
+    case 'mass':
+      return 'g';
+    case 'volume':
+      return 'ml';
+    default:
+      return normalizeUnit(unit);
+  }
+};
+
+// A summed amount as the list shows it: in the recipes' own unit when they all used
+// the same one (e.g. tbsp), otherwise in the base unit, with large amounts in kg and l
+const displayAmount = (quantity, unit, recipeUnits) => {
+  if (recipeUnits && recipeUnits.size === 1) {
+    const [recipeUnit] = recipeUnits;
+    const converted = convert(quantity, unit, recipeUnit);
+    if (converted !== null) return { quantity: round(converted), unit: recipeUnit };
+  }
+  if (unit === 'g' && quantity >= 1000) return { quantity: round(quantity / 1000), unit: 'kg' };
+  if (unit === 'ml' && quantity >= 1000) return { quantity: round(quantity / 1000), unit: 'l' };
+  return { quantity: round(quantity), unit };
+};
+
+// Lines without a catalog category go last
+const byCategoryAndName = (a, b) => (a.category === 'Other') - (b.category === 'Other')
+  || a.category.localeCompare(b.category)
+  || a.name.localeCompare(b.name);
+
+// Whole packs (units) of an inventory item that cover a quantity, capped at a cart
+// line's limit. When the units cannot be compared one pack is suggested and the
+// result is `estimated`. `item` needs `unit` and `nutrition`.
+const packsToBuy = (quantity, unit, item) => {
+  const packs = toItemUnits(quantity, unit, item);
+  if (packs === null) return { packs: 1, estimated: true };
+  return {
+    packs: Math.min(Math.max(1, Math.ceil(packs - EPSILON)), Cart.MAX_LINE_QUANTITY),
+    estimated: false
+  };
+};
+
+// Load the recipes a list is made from, each with the user's variant ingredients when
+// they have one. `entries`: [{ recipeId, servings }], servings defaulting to the
+// recipe's; repeated recipes are combined. A recipe that is missing or unpublished is
+// a 404, unless `skipMissing` is set: then it is left out and its id listed in `skipped`.
+// Resolves to { recipes: [{ recipe, title, servings, factor, ingredients }], skipped }
+// or { error, status }.
+const loadListRecipes = async (userId, entries, { skipMissing = false } = {}) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: 'recipes must be a non-empty array', status: 400 };
+  }
+
+  const servingsById = new Map();
+  for (const entry of entries) {
+    const recipeId = entry && entry.recipeId ? entry.recipeId.toString() : '';
+    if (!mongoose.Types.ObjectId.isValid(recipeId)) {
+      return { error: 'Recipe not found', status: 404 };
+    }
+    const servings = entry.servings === undefined || entry.servings === null ? null : Number(entry.servings);
+    if (servings !== null && (!Number.isFinite(servings) || servings <= 0)) {
+      return { error: 'servings must be a positive number', status: 400 };
+    }
+    const current = servingsById.has(recipeId) ? servingsById.get(recipeId) : 0;
+    servingsById.set(recipeId, servings === null || current === null ? null : current + servings);
+  }
+  if (servingsById.size > MAX_LIST_RECIPES) {
+    return { error: `A list can be made from at most ${MAX_LIST_RECIPES} recipes`, status: 400 };
+  }
+
+  const ids = [...servingsById.keys()];
+  const [recipes, variants] = await Promise.all([
+    Recipe.find({ _id: { $in: ids }, published: true })
+      .select('title servings ingredients')
+      .populate('ingredients.inventory', INVENTORY_LIST_FIELDS)
+      .lean(),
+    RecipeVariant.find({ user: userId, recipe: { $in: ids } })
+      .select('recipe ingredients')
+      .populate('ingredients.inventory', INVENTORY_LIST_FIELDS)
+      .lean()
+  ]);
+  const found = new Set(recipes.map((recipe) => recipe._id.toString()));
+  const skipped = ids.filter((id) => !found.has(id));
+  if (skipped.length > 0 && !skipMissing) {
+    return { error: 'Recipe not found', status: 404 };
+  }
+  if (recipes.length === 0) {
+    return { error: 'None of these recipes are available any more', status: 404 };
+  }
+
+  const variantByRecipe = new Map(variants.map((variant) => [variant.recipe.toString(), variant]));
+  return {
+    recipes: recipes.map((recipe) => {
+      const id = recipe._id.toString();
+      const servings = servingsById.get(id) || recipe.servings;
+      const variant = variantByRecipe.get(id);
+      return {
+        recipe: recipe._id,
+        title: recipe.title,
+        servings,
+        factor: servings / recipe.servings,
+        ingredients: variant ? variant.ingredients : recipe.ingredients
+      };
+    }),
+    skipped
+  };
+};
+
+// The recipes and servings planned for a week, in loadListRecipes' entry format.
+// Resolves to { entries } or { error, status }.
+const mealPlanEntries = async (userId, weekStart) => {
+  const plan = await MealPlan.findOne({ user: userId, weekStart }).select('meals').lean();
+  if (!plan || plan.meals.length === 0) {
+    return { error: 'No meals planned for this week', status: 404 };
+  }
+  return {
+    entries: plan.meals.map((meal) => ({ recipeId: meal.recipe, servings: meal.servings }))
+  };
+};
+
+// Sum the ingredient lines of loaded recipes into list lines: one per catalog item (or
+// per name for lines not linked to one), in the largest sensible unit, with the packs
+// of the item to buy. Lines are sorted by category, then name.
+const buildListLines = (recipes) => {
+  const groups = new Map();
+
+  for (const { title, factor, ingredients } of recipes) {
+    for (const line of ingredients) {
+      const item = line.inventory || null;
+      const key = item ? `item:${item._id}` : `name:${line.name.trim().toLowerCase()}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          item,
+          name: item ? item.name : line.name,
+          amounts: new Map(),
+          units: new Map(), // base unit -> units the recipes wrote it in
+          optional: true,
+          recipes: new Set()
+        });
+      }
+      const group = groups.get(key);
+
+      const unit = baseUnitFor(line.unit);
+      const amount = convert((line.quantity || 0) * factor, line.unit, unit);
+      group.amounts.set(unit, (group.amounts.get(unit) || 0) + (amount || 0));
+      group.units.set(unit, (group.units.get(unit) || new Set()).add(normalizeUnit(line.unit)));
+      group.optional = group.optional && !!line.optional;
+      group.recipes.add(title);
+    }
+  }
+
+  const lines = [];
+  for (const group of groups.values()) {
+    const { item } = group;
+
+    // Amounts in different families (e.g. g and piece) meet in grams when the item says how
+    if (group.amounts.size > 1 && item && item.nutrition) {
+      let grams = 0;
+      for (const [unit, quantity] of group.amounts) {
+        const converted = toGrams(quantity, unit, item.nutrition);
+        if (converted !== null) {
+          grams += converted;
+          group.amounts.delete(unit);
+        }
+      }
+      if (grams > 0) group.amounts.set('g', grams);
+    }
+
+    for (const [unit, quantity] of group.amounts) {
+      const line = {
+        name: group.name,
+        category: (item && item.category) || 'Other',
+        ...displayAmount(quantity, unit, group.units.get(unit)),
+        optional: group.optional,
+        recipes: [...group.recipes],
+        packs: null
+      };
+
+      if (item && item.available !== false) {
+        line.inventory = item._id;
+        line.packUnit = item.unit;
+        line.price = item.price;
+        Object.assign(line, packsToBuy(quantity, unit, item));
+      }
+      lines.push(line);
+    }
+  }
+
+  return lines.sort(byCategoryAndName);
+};
+
+const defaultTitle = (recipes, weekStart) => {
+  if (weekStart) return `Week of ${weekStart.toISOString().slice(0, 10)}`;
+  if (recipes.length === 1) return recipes[0].title;
+  return `${recipes[0].title} + ${recipes.length - 1} more`;
+};
+
+// Generate and save a shopping list from recipes ({ recipes: [{ recipeId, servings }] })
+// or from a meal plan week ({ weekStart }). Planned recipes that have since been
+// unpublished or deleted are left out of a week's list and returned in `skipped`.
+// Resolves to { list, skipped } or { error, status }.
+const createShoppingList = async (userId, { recipes: entries, weekStart, title } = {}) => {
+  let listEntries = entries;
+  if (weekStart) {
+    const planned = await mealPlanEntries(userId, weekStart);
+    if (planned.error) return planned;
+    listEntries = planned.entries;
+  }
+
+  const loaded = await loadListRecipes(userId, listEntries, { skipMissing: !!weekStart });
+  if (loaded.error) return loaded;
+
+  const list = await ShoppingList.create({
+    user: userId,
+    title: typeof title === 'string' && title.trim() ? title.trim() : defaultTitle(loaded.recipes, weekStart),
+    weekStart: weekStart || null,
+    recipes: loaded.recipes.map(({ recipe, title: recipeTitle, servings }) => ({ recipe, title: recipeTitle, servings })),
+    lines: buildListLines(loaded.recipes)
+  });
+  return { list, skipped: loaded.skipped };
+};
+
+module.exports = {
+  packsToBuy,
+  loadListRecipes,
+  buildListLines,
+  createShoppingList,
+};
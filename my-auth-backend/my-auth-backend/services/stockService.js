@@ -0,0 +1,226 @@
+const Inventory = require('../models/Inventory');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const PriceChange = require('../models/PriceChange');
+const { STOCK_MOVEMENT_DIRECTIONS } = require('../config/inventory');
+const {
+  parseLotDetails,
+  openLot,
+  drawFromLots,
+  restoreToLots,
+  lotsDrawnForOrder
+} = require('./lotService');
+const { recordInitialPrice } = require('./priceService');
+
+// Aggregation expression for the status that matches `stock`, used by atomic updates
+const statusForStock = {
+  $switch: {
+    branches: [
+      { case: { $lte: ['$stock', 0] }, then: 'out_of_stock' },
+      { case: { $lte: ['$stock', '$minStock'] }, then: 'low_stock' }
+    ],
+    default: 'in_stock'
+  }
+};
+
+// Atomically add `delta` to stock and recompute status. `conditions` narrow which
+// documents may be updated; resolves to null if none matched.
+const applyStockChange = (inventoryId, delta, conditions = {}) => Inventory.findOneAndUpdate(
+  { _id: inventoryId, ...conditions },
+  [
+    { $set: { stock: { $add: ['$stock', delta] }, updatedAt: '$$NOW' } },
+    { $set: { status: statusForStock } }
+  ],
+  { new: true }
+);
+
+// Record a stock movement. This is the only way stock changes.
+// `quantity` is a positive amount for every type except adjustment, where its sign
+// gives the direction. Stock never goes below zero, and sales can be restricted to
+// available items. `actor` is { by: userId, role: 'admin' | 'customer' | 'system' }.
+// Lots follow the movement: a receive opens a lot (`lot` holds its expiresAt,
+// supplier, lotNumber, receivedAt, unitCost and purchaseOrder), removals draw first-expiry-first-out
+// (or all come from `writtenOffLot`, a lot writeOffExpiredLots has just closed) and order
+// returns go back to the lots they came from. A sale first writes off the item's expired
+// lots, so their units are never sold or counted as available.
+// Resolves to { item, movement } or { error, status }.
+const recordMovement = async (inventoryId, {
+  type,
+  quantity,
+  actor = { role: 'system' },
+  reason,
+  order,
+  requireAvailable = false,
+  lot,
+  writtenOffLot
+}) => {
+  const direction = STOCK_MOVEMENT_DIRECTIONS[type];
+  const amount = Number(quantity);
+  if (direction === undefined) {
+    return { error: `Unknown movement type: ${type}`, status: 400 };
+  }
+  if (!Number.isFinite(amount) || amount === 0 || (direction !== 0 && amount < 0)) {
+    return {
+      error: direction === 0 ? 'quantity must be a non-zero number' : 'quantity must be a positive number',
+      status: 400
+    };
+  }
+
+  let lotDetails;
+  if (type === 'receive') {
+    const parsed = parseLotDetails(lot);
+    if (parsed.error) {
+      return { error: parsed.error, status: 400 };
+    }
+    lotDetails = parsed.lot;
+  }
+
+  if (type === 'sale') {
+    await writeOffExpiredLots(inventoryId);
+  }
+
+  const delta = direction === 0 ? amount : direction * amount;
+  const conditions = {};
+  if (delta < 0) conditions.stock = { $gte: -delta };
+  if (requireAvailable) conditions.available = true;
+
+  const item = await applyStockChange(inventoryId, delta, conditions);
+  if (!item) {
+    const exists = await Inventory.exists({ _id: inventoryId });
+    return exists
+      ? { error: 'Not enough stock', status: 409 }
+      : { error: 'Item not found', status: 404 };
+  }
+
+  let lots = [];
+  let openedLot = null;
+  let movement;
+  try {
+    if (type === 'receive') {
+      openedLot = await openLot(item._id, delta, lotDetails);
+      lots = [{ lot: openedLot._id, quantity: delta }];
+    } else if (delta < 0) {
+      lots = writtenOffLot
+        ? [{ lot: writtenOffLot, quantity: -delta }]
+        : await drawFromLots(item._id, -delta);
+    } else if (type === 'return' && order) {
+      lots = await lotsDrawnForOrder(item._id, order, delta);
+      await restoreToLots(lots);
+    }
+
+    movement = await StockMovement.create({
+      inventory: item._id,
+      type,
+      quantity: delta,
+      balanceAfter: item.stock,
+      user: actor.by,
+      role: actor.role,
+      reason,
+      order,
+      lots
+    });
+  } catch (error) {
+    // Keep stock, lots and ledger in step: undo the change if it could not be recorded
+    if (openedLot) {
+      await StockLot.deleteOne({ _id: openedLot._id });
+    } else if (lots.length > 0) {
+      await restoreToLots(delta < 0 ? lots : lots.map((entry) => ({ ...entry, quantity: -entry.quantity })));
+    }
+    await applyStockChange(inventoryId, -delta);
+    throw error;
+  }
+
+  if (openedLot) {
+    openedLot.movement = movement._id;
+    await openedLot.save();
+  }
+
+  return { item, movement };
+};
+
+// Create an inventory item with its opening stock. Its price goes into the price history
+// and the stock is recorded as a 'receive' movement, so the ledger explains every unit.
+// If the stock cannot be recorded the item and its price record are removed again, so
+// no item is left behind without the stock it was created with.
+// `options`: { actor, reason (of the movement), priceReason }.
+// Resolves to { item } or { error, status }.
+const createStockedItem = async (fields, stock = 0, { actor, reason = 'Opening stock', priceReason } = {}) => {
+  const item = await new Inventory({ ...fields, stock: 0 }).save();
+  const discard = async () => {
+    await PriceChange.deleteMany({ inventory: item._id });
+    await Inventory.deleteOne({ _id: item._id });
+  };
+
+  try {
+    await recordInitialPrice(item, actor, priceReason);
+    if (!(stock > 0)) return { item };
+
+    const result = await recordMovement(item._id, { type: 'receive', quantity: stock, actor, reason });
+    if (result.error) {
+      await discard();
+      return result;
+    }
+    return { item: result.item };
+  } catch (error) {
+    await discard();
+    throw error;
+  }
+};
+
+// Put an order's items back on the shelf (cancelled order, failed payment or rolled-back checkout)
+const returnOrderStock = (order, items, actor, reason) => Promise.all(
+  items.map((item) => recordMovement(item.inventory, {
+    type: 'return',
+    quantity: item.quantity,
+    actor,
+    reason,
+    order: order._id
+  }))
+);
+
+// Write off every lot past its expiry date (only `inventoryId`'s, if given): what is
+// left of each is recorded as 'spoilage' from that lot, and the lot is closed. Each lot
+// is closed before its spoilage is recorded, so the job and a sale writing off the same
+// lot at once only take its units out of stock once.
+// Resolves to { lots, quantity } - how many lots were written off, and how many units.
+const writeOffExpiredLots = async (inventoryId) => {
+  const query = { status: 'active', expiresAt: { $ne: null, $lte: new Date() } };
+  if (inventoryId) query.inventory = inventoryId;
+  const expired = await StockLot.find(query).sort({ expiresAt: 1 }).select('_id');
+
+  let lots = 0;
+  let quantity = 0;
+  for (const { _id } of expired) {
+    // Resolves to the lot as it was before closing, or null if someone else closed it
+    const lot = await StockLot.findOneAndUpdate(
+      { _id, status: 'active' },
+      { $set: { status: 'written_off', remaining: 0, writtenOffAt: new Date(), updatedAt: new Date() } }
+    );
+    if (!lot) continue;
+    lots += 1;
+
+    if (lot.remaining > 0) {
+      const item = await Inventory.findById(lot.inventory).select('stock');
+      // Never write off more than is on the shelf
+      const amount = item ? Math.min(lot.remaining, item.stock) : 0;
+      if (amount > 0) {
+        const result = await recordMovement(lot.inventory, {
+          type: 'spoilage',
+          quantity: amount,
+          reason: `Lot ${lot.lotNumber} expired`,
+          writtenOffLot: lot._id
+        });
+        if (!result.error) quantity += amount;
+      }
+    }
+  }
+
+  return { lots, quantity };
+};
+
+module.exports = {
+  recordMovement,
+  createStockedItem,
+  returnOrderStock,
+  writeOffExpiredLots,
+};
@@ -0,0 +1,137 @@
+const Substitution = require('../models/Substitution');
+const { getLineAllergens } = require('./allergenService');
+
+// Match ingredient names regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+// Load the active substitution edges for a recipe's ingredient lines.
+// `inventoryFields` selects what to populate on each substitute's inventory item.
+const loadRecipeSubstitutions = (recipe, inventoryFields) => {
+  const names = [...new Set((recipe.ingredients || []).map((line) => line.name))];
+  return Substitution.find({ ingredient: { $in: names }, active: true })
+    .collation(NAME_COLLATION)
+    .populate('inventory', inventoryFields)
+    .lean();
+};
+
+// The ingredient line that results from applying `edge` to `line`.
+// The line keeps its _id so a variant can be mapped back to the recipe.
+const substituteLine = (line, edge) => ({
+  _id: line._id,
+  inventory: edge.inventory || undefined,
+  name: edge.substitute,
+  quantity: round((line.quantity || 0) * edge.ratio),
+  unit: edge.unit || line.unit,
+  note: `instead of ${line.name}`,
+  optional: !!line.optional
+});
+
+// Group the substitution options by recipe ingredient line.
+// Options that remove one of the user's allergens from the line are `recommended`,
+// and `matchesDiet` flags options suited to every diet the user follows.
+const getSubstitutionOptions = (recipe, edges, { allergens = [], diets = [] } = {}) => {
+  const edgesByName = edges.reduce((acc, edge) => {
+    const key = nameKey(edge.ingredient);
+    acc[key] = acc[key] || [];
+    acc[key].push(edge);
+    return acc;
+  }, {});
+
+  return (recipe.ingredients || [])
+    .filter((line) => edgesByName[nameKey(line.name)])
+    .map((line) => {
+      const { contains, mayContain } = getLineAllergens(line);
+      const lineAllergens = [...new Set([...contains, ...mayContain])];
+      const conflicts = lineAllergens.filter((id) => allergens.includes(id));
+
+      const options = edgesByName[nameKey(line.name)].map((edge) => {
+        const substituted = substituteLine(line, edge);
+        return {
+          id: edge._id.toString(),
+          name: edge.substitute,
+          quantity: substituted.quantity,
+          unit: substituted.unit,
+          ratio: edge.ratio,
+          avoids: edge.avoids || [],
+          diets: edge.diets || [],
+          description: edge.description || '',
+          tag: edge.tag || '',
+          inventory: edge.inventory || null,
+          recommended: conflicts.some((id) => (edge.avoids || []).includes(id)),
+          matchesDiet: diets.length > 0 && diets.every((diet) => (edge.diets || []).includes(diet))
+        };
+      });
+
+      options.sort((a, b) => Number(b.recommended) - Number(a.recommended));
+
+      return {
+        line: {
+          _id: line._id.toString(),
+          name: line.name,
+          quantity: line.quantity,
+          unit: line.unit
+        },
+        allergens: lineAllergens,
+        conflicts,
+        options
+      };
+    })
+    .sort((a, b) => b.conflicts.length - a.conflicts.length);
+};
+
+// Apply the selected substitutions to a recipe's ingredient lines.
+// `selections` is a list of { line, substitution } ids. Returns
+// { ingredients, substitutions } or { error } when a selection does not fit the recipe.
+const applySubstitutions = (recipe, edges, selections) => {
+  const edgesById = edges.reduce((acc, edge) => {
+    acc[edge._id.toString()] = edge;
+    return acc;
+  }, {});
+
+  const chosen = {};
+  for (const selection of selections) {
+    const lineId = String(selection.line);
+    const line = (recipe.ingredients || []).find((item) => item._id.toString() === lineId);
+    if (!line) {
+      return { error: `Ingredient ${lineId} is not part of this recipe` };
+    }
+
+    const edge = edgesById[String(selection.substitution)];
+    if (!edge || nameKey(edge.ingredient) !== nameKey(line.name)) {
+      return { error: `That substitution does not apply to ${line.name}` };
+    }
+    if (chosen[lineId]) {
+      return { error: `Choose only one substitute for ${line.name}` };
+    }
+    chosen[lineId] = edge;
+  }
+
+  const substitutions = [];
+  const ingredients = (recipe.ingredients || []).map((line) => {
+    const edge = chosen[line._id.toString()];
+    if (!edge) return line;
+
+    substitutions.push({
+      line: line._id,
+      original: line.name,
+      substitution: edge._id,
+      substitute: edge.substitute
+    });
+    return substituteLine(line, edge);
+  });
+
+  return { ingredients, substitutions };
+};
+
+module.exports = {
+  loadRecipeSubstitutions,
+  getSubstitutionOptions,
+  applySubstitutions,
+};
@@ -0,0 +1,205 @@
+// Kitchen unit handling shared by the nutrition, recipe and shopping services.
+// Every unit belongs to one family: mass (grams), volume (millilitres) or count.
+
+const MASS_UNITS = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592,
+};
+
+const VOLUME_UNITS = {
+  ml: 1,
+  l: 1000,
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  cup: 236.588,
+  'fl oz': 29.5735,
+};
+
+const COUNT_UNITS = ['piece', 'slice', 'clove', 'packet', 'bottle', 'box'];
+
+// Spellings used across the seed data and the admin screens
+const UNIT_ALIASES = {
+  gram: 'g',
+  grams: 'g',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  ounce: 'oz',
+  ounces: 'oz',
+  pound: 'lb',
+  pounds: 'lb',
+  milliliter: 'ml',
+  millilitre: 'ml',
+  liter: 'l',
+  litre: 'l',
+  liters: 'l',
+  teaspoon: 'tsp',
+  teaspoons: 'tsp',
+  tablespoon: 'tbsp',
+  tablespoons: 'tbsp',
+  cups: 'cup',
+  floz: 'fl oz',
+  pc: 'piece',
+  pcs: 'piece',
+  pieces: 'piece',
+  whole: 'piece',
+  slices: 'slice',
+  cloves: 'clove',
+};
+
+const normalizeUnit = (unit) => {
+  const key = String(unit || '').trim().toLowerCase();
+  return UNIT_ALIASES[key] || key;
+};
+
+const unitFamily = (unit) => {
+  const normalized = normalizeUnit(unit);
+  if (MASS_UNITS[normalized] !== undefined) return 'mass';
+  if (VOLUME_UNITS[normalized] !== undefined) return 'volume';
+  if (COUNT_UNITS.includes(normalized)) return 'count';
+  return null;
+};
+
+// Convert a quantity to grams.
+// `density` (g/ml) is needed for volumes and `pieceWeight` (g) for counted units.
+// Returns null when the conversion is not possible.
+const toGrams = (quantity, unit, { density, pieceWeight } = {}) => {
+  const amount = Number(quantity);
+  if (Number.isNaN(amount)) return null;
+
+  const normalized = normalizeUnit(unit);
+  switch (unitFamily(normalized)) {
+    case 'mass':
+      return amount * MASS_UNITS[normalized];
+    case 'volume':
+      return amount * VOLUME_UNITS[normalized] * (density || 1);
+    case 'count':
+      return pieceWeight ? amount * pieceWeight : null;
+    default:
+      return null;
+  }
+};
+
+// Convert between two units of the same family. Returns null across families.
+const convert = (quantity, fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  const family = unitFamily(from);
+
+  if (from === to) return Number(quantity);
+  if (!family || family !== unitFamily(to) || family === 'count') return null;
+
+  const table = family === 'mass' ? MASS_UNITS : VOLUME_UNITS;
+  return (Number(quantity) * table[from]) / table[to];
+};
+
+// Quantity of an inventory item's unit (its pack size) that an amount comes to, or null
+// when the units cannot be compared. Mass and volume convert directly; otherwise the
+// item's `nutrition` supplies the density and piece weight to go through grams.
+const toItemUnits = (quantity, unit, item) => {
+  const direct = convert(quantity, unit, item.unit);
+  if (direct !== null) return direct;
+
+  if (!item.nutrition) return null;
+  const grams = toGrams(quantity, unit, item.nutrition);
+  const gramsPerUnit = toGrams(1, item.unit, item.nutrition);
+  return grams !== null && gramsPerUnit ? grams / gramsPerUnit : null;
+};
+
+const MEASURE_SYSTEMS = ['metric', 'imperial'];
+
+// Units written in metric; other mass and volume units are read as imperial
+const METRIC_UNITS = ['mg', 'g', 'kg', 'ml', 'l'];
+
+// Fractions a kitchen measure is rounded to, e.g. 1/3 cup
+const KITCHEN_FRACTIONS = [0, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+const HALVES = [0, 1 / 2, 1];
+const FRACTION_LABELS = { 0.25: '1/4', 0.333: '1/3', 0.5: '1/2', 0.667: '2/3', 0.75: '3/4' };
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// Round to a whole number plus the nearest allowed fraction, never down to zero
+const roundToFraction = (value, fractions = KITCHEN_FRACTIONS) => {
+  const whole = Math.floor(value);
+  const rest = value - whole;
+  const fraction = fractions.reduce((best, option) => (Math.abs(option - rest) < Math.abs(best - rest) ? option : best));
+  const rounded = whole + fraction;
+  return rounded > 0 ? rounded : fractions.find((option) => option > 0);
+};
+
+// "1 1/2", "1/4", "3"; decimals for anything that is not a kitchen fraction
+const formatKitchenQuantity = (value) => {
+  const whole = Math.floor(value + 1e-9);
+  const label = FRACTION_LABELS[Math.round((value - whole) * 1000) / 1000];
+  if (label) return whole > 0 ? `${whole} ${label}` : label;
+  return String(Math.round(value * 100) / 100);
+};
+
+const measure = (quantity, unit) => ({ quantity, unit, display: `${formatKitchenQuantity(quantity)} ${unit}` });
+
+// Mass in grams as a kitchen measure: g and kg in 1, 5 or 10 g steps, or oz (up to 2 lb)
+// and lb in quarters. Less than the smallest step (1/4 oz) stays in grams rather than
+// being rounded up to it.
+const massMeasure = (grams, system) => {
+  if (system === 'imperial' && grams >= MASS_UNITS.oz / 4) {
+    const ounces = grams / MASS_UNITS.oz;
+    return ounces < 32
+      ? measure(roundToFraction(ounces, [0, 1 / 4, 1 / 2, 3 / 4, 1]), 'oz')
+      : measure(roundToFraction(ounces / 16, [0, 1 / 4, 1 / 2, 3 / 4, 1]), 'lb');
+  }
+  if (grams < 1) return measure(Math.max(roundTo(grams, 0.1), 0.1), 'g');
+  if (grams < 10) return measure(Math.round(grams), 'g');
+  if (grams < 100) return measure(roundTo(grams, 5), 'g');
+  if (grams < 1000) return measure(roundTo(grams, 10), 'g');
+  return measure(roundTo(grams / 1000, 0.05), 'kg');
+};
+
+// Volume in ml as a kitchen measure: spoons for small amounts in either system, then
+// ml and l, or cups. Less than 1/4 tsp stays in ml rather than being rounded up to it.
+const volumeMeasure = (ml, system) => {
+  if (ml < VOLUME_UNITS.tsp / 4) return measure(Math.max(roundTo(ml, 0.1), 0.1), 'ml');
+  if (ml < VOLUME_UNITS.tbsp - 0.5) return measure(roundToFraction(ml / VOLUME_UNITS.tsp, [0, 1 / 4, 1 / 2, 3 / 4, 1]), 'tsp');
+  if (ml < VOLUME_UNITS.cup / 4 - 1) return measure(roundToFraction(ml / VOLUME_UNITS.tbsp, HALVES), 'tbsp');
+  if (system === 'imperial') return measure(roundToFraction(ml / VOLUME_UNITS.cup), 'cup');
+  if (ml < 250) return measure(roundTo(ml, 5), 'ml');
+  if (ml < 1000) return measure(roundTo(ml, 10), 'ml');
+  return measure(roundTo(ml / 1000, 0.05), 'l');
+};
+
+// An amount rounded to what a cook would measure out, in `system` (metric or imperial;
+// by default the one the unit is written in). Counted units keep their unit, in halves
+// (whole cloves and slices). Resolves to { quantity, unit, display }.
+const toKitchenMeasure = (quantity, unit, system) => {
+  const normalized = normalizeUnit(unit);
+  const amount = Number(quantity) || 0;
+  if (amount <= 0) return measure(0, normalized);
+
+  const measureSystem = system || (METRIC_UNITS.includes(normalized) ? 'metric' : 'imperial');
+  switch (unitFamily(normalized)) {
+    case 'mass':
+      return massMeasure(convert(amount, normalized, 'g'), measureSystem);
+    case 'volume':
+      return volumeMeasure(convert(amount, normalized, 'ml'), measureSystem);
+    case 'count':
+      return ['clove', 'slice'].includes(normalized)
+        ? measure(Math.max(Math.round(amount), 1), normalized)
+        : measure(roundToFraction(amount, HALVES), normalized);
+    default:
+      return measure(roundToFraction(amount), normalized);
+  }
+};
+
+module.exports = {
+  MASS_UNITS,
+  VOLUME_UNITS,
+  COUNT_UNITS,
+  MEASURE_SYSTEMS,
+  normalizeUnit,
+  unitFamily,
+  toGrams,
+  convert,
+  toItemUnits,
+  toKitchenMeasure,
+};
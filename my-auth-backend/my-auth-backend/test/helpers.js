@@ -0,0 +1,17 @@
+// Stand-ins for Mongoose queries, so services can be tested without a database.
+
+// A query that resolves to `result`. Chained calls (populate, select, sort, lean,
+// limit) return the same query, as they do in Mongoose.
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['populate', 'select', 'sort', 'lean', 'limit'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+module.exports = {
+  query,
+};
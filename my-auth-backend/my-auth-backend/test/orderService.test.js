@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const { placeOrder } = require('../services/orderService');
+const { query } = require('./helpers');
+
+const userId = new mongoose.Types.ObjectId();
+
+test('placeOrder only claims a cart no checkout holds, or one whose checkout went stale', async (t) => {
+  const claim = t.mock.method(Cart, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Cart, 'exists', async () => null);
+
+  await placeOrder(userId);
+
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.equal(filter.user, userId);
+  assert.deepEqual(filter.$or[0], { checkoutStartedAt: null });
+  assert.ok(filter.$or[1].checkoutStartedAt.$lt < new Date());
+  assert.ok(update.$set.checkoutStartedAt instanceof Date);
+});
+
+test('placeOrder turns away a second checkout while the first holds the cart', async (t) => {
+  t.mock.method(Cart, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Cart, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  const release = t.mock.method(Cart, 'updateOne', async () => ({}));
+
+  const result = await placeOrder(userId);
+
+  assert.deepEqual(result, { error: 'Your order is already being placed', status: 409 });
+  // The claim belongs to the other checkout
+  assert.equal(release.mock.callCount(), 0);
+});
+
+test('placeOrder reports an empty cart when the user has none', async (t) => {
+  t.mock.method(Cart, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Cart, 'exists', async () => null);
+
+  assert.deepEqual(await placeOrder(userId), { error: 'Your cart is empty', status: 400 });
+});
+
+test('placeOrder releases the cart when the checkout stops early', async (t) => {
+  t.mock.method(Cart, 'findOneAndUpdate', () => query({ user: userId, items: [] }));
+  const release = t.mock.method(Cart, 'updateOne', async () => ({}));
+
+  const result = await placeOrder(userId);
+
+  assert.deepEqual(result, { error: 'Your cart is empty', status: 400 });
+  assert.equal(release.mock.callCount(), 1);
+  assert.deepEqual(release.mock.calls[0].arguments, [{ user: userId }, { $set: { checkoutStartedAt: null } }]);
+});
+
+test('placeOrder releases the cart when the checkout throws', async (t) => {
+  const cart = { user: userId };
+  Object.defineProperty(cart, 'items', {
+    get: () => {
+      throw new Error('Cart could not be read');
+    }
+  });
+  t.mock.method(Cart, 'findOneAndUpdate', () => query(cart));
+  const release = t.mock.method(Cart, 'updateOne', async () => ({}));
+
+  await assert.rejects(placeOrder(userId), /Cart could not be read/);
+  assert.equal(release.mock.callCount(), 1);
+});
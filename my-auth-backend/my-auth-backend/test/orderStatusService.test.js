@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const mockProvider = require('../services/payments/mockProvider');
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = require('../config/orders');
+const { canTransition, changeOrderStatus } = require('../services/orderStatusService');
+const { query } = require('./helpers');
+
+const admin = { by: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const paidOrder = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-TEST-0001',
+  status: 'delivered',
+  paymentMethod: 'card',
+  paymentStatus: 'paid',
+  payment: { provider: mockProvider.name, reference: 'mock_pay_test' },
+  total: 130,
+  items: [],
+  ...fields
+});
+
+// Order.findOneAndUpdate as the payment and status writes use it: payment transitions
+// filter on paymentStatus, status changes on status. `claims` decides per write whether
+// it matches; every write is recorded in `writes`.
+const mockOrderWrites = (t, order, claims = {}) => {
+  const writes = [];
+  t.mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+    const kind = filter.paymentStatus ? 'payment' : 'status';
+    writes.push({ kind, filter, update });
+    const matches = claims[kind] ? claims[kind](filter, update) : true;
+    return query(matches ? { ...order, ...update.$set } : null);
+  });
+  return writes;
+};
+
+test('canTransition allows exactly the transitions in ORDER_TRANSITIONS', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const to of ORDER_STATUSES) {
+      assert.equal(canTransition(from, to), ORDER_TRANSITIONS[from].includes(to), `${from} -> ${to}`);
+    }
+  }
+});
+
+test('canTransition rejects unknown statuses and leaves refunded orders final', () => {
+  assert.equal(canTransition('shipped', 'delivered'), false);
+  assert.equal(canTransition('pending', 'shipped'), false);
+  assert.deepEqual(ORDER_TRANSITIONS.refunded, []);
+});
+
+test('changeOrderStatus rejects a transition outside the table without writing', async (t) => {
+  const writes = mockOrderWrites(t, paidOrder());
+
+  const result = await changeOrderStatus(paidOrder({ status: 'delivered' }), 'packed', admin);
+
+  assert.equal(result.status, 409);
+  assert.equal(writes.length, 0);
+});
+
+test('changeOrderStatus only confirms card orders once they are paid', async (t) => {
+  const writes = mockOrderWrites(t, paidOrder());
+
+  const result = await changeOrderStatus(
+    paidOrder({ status: 'pending', paymentStatus: 'requires_action' }),
+    'confirmed',
+    admin
+  );
+
+  assert.equal(result.status, 409);
+  assert.equal(writes.length, 0);
+});
+
+test('changeOrderStatus refunds through the provider before recording the refund', async (t) => {
+  const order = paidOrder();
+  const writes = mockOrderWrites(t, order);
+  const refund = t.mock.method(mockProvider, 'refund', async (reference) => ({ status: 'refunded', reference }));
+
+  const result = await changeOrderStatus(order, 'refunded', admin);
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.order.status, 'refunded');
+  assert.equal(refund.mock.callCount(), 1);
+  assert.deepEqual(refund.mock.calls[0].arguments, [order.payment.reference, order.total]);
+  assert.deepEqual(writes.map(({ kind, update }) => [kind, update.$set.paymentStatus || update.$set.status]), [
+    ['payment', 'refunding'],
+    ['payment', 'refunded'],
+    ['status', 'refunded']
+  ]);
+});
+
+test('changeOrderStatus puts the payment back to paid and keeps the status when the refund fails', async (t) => {
+  const order = paidOrder();
+  const writes = mockOrderWrites(t, order);
+  t.mock.method(mockProvider, 'refund', async () => ({ status: 'failed', failureReason: 'Gateway down' }));
+
+  const result = await changeOrderStatus(order, 'refunded', admin);
+
+  assert.deepEqual(result, { error: 'Gateway down', status: 502 });
+  assert.deepEqual(writes.map(({ kind, filter, update }) => [kind, filter.paymentStatus.$in, update.$set.paymentStatus]), [
+    ['payment', ['paid'], 'refunding'],
+    ['payment', ['refunding'], 'paid']
+  ]);
+});
+
+test('changeOrderStatus treats a provider error as a failed refund', async (t) => {
+  const order = paidOrder();
+  const writes = mockOrderWrites(t, order);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(mockProvider, 'refund', async () => {
+    throw new Error('socket hang up');
+  });
+
+  const result = await changeOrderStatus(order, 'refunded', admin);
+
+  assert.equal(result.status, 502);
+  assert.equal(writes.at(-1).update.$set.paymentStatus, 'paid');
+  assert.ok(writes.every(({ kind }) => kind === 'payment'));
+});
+
+test('changeOrderStatus does not refund twice when another refund holds the claim', async (t) => {
+  const order = paidOrder();
+  const writes = mockOrderWrites(t, order, { payment: () => false });
+  t.mock.method(Order, 'findById', () => query({ ...order, paymentStatus: 'refunding' }));
+  const refund = t.mock.method(mockProvider, 'refund', async () => ({ status: 'refunded' }));
+
+  const result = await changeOrderStatus(order, 'refunded', admin);
+
+  assert.equal(result.status, 409);
+  assert.equal(refund.mock.callCount(), 0);
+  assert.equal(writes.filter(({ kind }) => kind === 'status').length, 0);
+});
+
+test('changeOrderStatus only records an already refunded payment', async (t) => {
+  const order = paidOrder({ paymentStatus: 'refunded' });
+  const writes = mockOrderWrites(t, order);
+  const refund = t.mock.method(mockProvider, 'refund', async () => ({ status: 'refunded' }));
+
+  const result = await changeOrderStatus(order, 'refunded', admin);
+
+  assert.equal(result.order.status, 'refunded');
+  assert.equal(refund.mock.callCount(), 0);
+  assert.deepEqual(writes.map(({ kind }) => kind), ['status']);
+});
+
+test('changeOrderStatus reports a lost status race instead of applying it twice', async (t) => {
+  const order = paidOrder({ status: 'pending', paymentMethod: 'cash', paymentStatus: 'pending' });
+  mockOrderWrites(t, order, { status: () => false });
+
+  const result = await changeOrderStatus(order, 'confirmed', admin);
+
+  assert.equal(result.status, 409);
+  assert.match(result.error, /changed by someone else/);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { receivePurchaseOrder } = require('../services/purchaseOrderService');
+const { query } = require('./helpers');
+
+const admin = { by: new mongoose.Types.ObjectId() };
+
+// An ordered purchase order with one line of 10, 4 of them already received
+const orderedPurchaseOrder = () => new PurchaseOrder({
+  poNumber: 'PO-TEST-0001',
+  supplier: new mongoose.Types.ObjectId(),
+  status: 'ordered',
+  lines: [{ inventory: new mongoose.Types.ObjectId(), name: 'Basmati rice', unit: 'kg', quantity: 10, receivedQuantity: 4, unitCost: 80 }]
+});
+
+const mockPurchaseOrder = (t, purchaseOrder, claimed = 1) => {
+  t.mock.method(PurchaseOrder, 'findById', () => query(purchaseOrder));
+  return t.mock.method(PurchaseOrder, 'updateOne', async (filter, update) => ({
+    modifiedCount: update.$inc && update.$inc['lines.$.receivedQuantity'] > 0 ? claimed : 1
+  }));
+};
+
+test('receivePurchaseOrder refuses more than is outstanding before writing anything', async (t) => {
+  const purchaseOrder = orderedPurchaseOrder();
+  const updates = mockPurchaseOrder(t, purchaseOrder);
+
+  const result = await receivePurchaseOrder(purchaseOrder._id, {
+    lines: [{ line: purchaseOrder.lines[0]._id, quantity: 7 }]
+  }, admin);
+
+  assert.equal(result.status, 400);
+  assert.match(result.error, /Only 6 kg of Basmati rice is outstanding/);
+  assert.equal(updates.mock.callCount(), 0);
+});
+
+test('receivePurchaseOrder refuses an order that is no longer open', async (t) => {
+  const purchaseOrder = orderedPurchaseOrder();
+  purchaseOrder.status = 'cancelled';
+  const updates = mockPurchaseOrder(t, purchaseOrder);
+
+  const result = await receivePurchaseOrder(purchaseOrder._id, {
+    lines: [{ line: purchaseOrder.lines[0]._id, quantity: 1 }]
+  }, admin);
+
+  assert.equal(result.status, 409);
+  assert.equal(updates.mock.callCount(), 0);
+});
+
+test('receivePurchaseOrder adds nothing to stock when another receipt claimed the quantity', async (t) => {
+  const purchaseOrder = orderedPurchaseOrder();
+  const updates = mockPurchaseOrder(t, purchaseOrder, 0);
+  const stock = t.mock.method(Inventory, 'findOneAndUpdate', () => query(null));
+
+  const result = await receivePurchaseOrder(purchaseOrder._id, {
+    lines: [{ line: purchaseOrder.lines[0]._id, quantity: 6 }]
+  }, admin);
+
+  assert.deepEqual(result, { error: 'Those items were already received', status: 409 });
+  assert.equal(stock.mock.callCount(), 0);
+  const [filter, update] = updates.mock.calls[0].arguments;
+  assert.deepEqual(filter.lines.$elemMatch.receivedQuantity, { $lte: 4 });
+  assert.deepEqual(update, { $inc: { 'lines.$.receivedQuantity': 6 } });
+});
+
+test('receivePurchaseOrder gives the claimed quantity back when the stock cannot be recorded', async (t) => {
+  const purchaseOrder = orderedPurchaseOrder();
+  const updates = mockPurchaseOrder(t, purchaseOrder);
+  // The item was deleted after the order was placed
+  t.mock.method(Inventory, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Inventory, 'exists', async () => null);
+
+  const result = await receivePurchaseOrder(purchaseOrder._id, {
+    lines: [{ line: purchaseOrder.lines[0]._id, quantity: 3 }]
+  }, admin);
+
+  assert.deepEqual(result, { error: 'Item not found', status: 404 });
+  assert.deepEqual(updates.mock.calls.map((call) => call.arguments[1]), [
+    { $inc: { 'lines.$.receivedQuantity': 3 } },
+    { $inc: { 'lines.$.receivedQuantity': -3 } }
+  ]);
+});
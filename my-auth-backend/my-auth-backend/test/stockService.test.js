@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const { drawFromLots } = require('../services/lotService');
+const { recordMovement, writeOffExpiredLots } = require('../services/stockService');
+const { query } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const id = () => new mongoose.Types.ObjectId();
+
+const lot = (remaining, expiresInDays, receivedDaysAgo = 10) => ({
+  _id: id(),
+  remaining,
+  expiresAt: expiresInDays === null ? null : new Date(Date.now() + expiresInDays * DAY_MS),
+  receivedAt: new Date(Date.now() - receivedDaysAgo * DAY_MS)
+});
+
+test('drawFromLots only looks at active lots that have not expired', async (t) => {
+  const find = t.mock.method(StockLot, 'find', () => query([]));
+  const itemId = id();
+
+  await drawFromLots(itemId, 3);
+
+  const [filter] = find.mock.calls[0].arguments;
+  assert.equal(filter.inventory, itemId);
+  assert.equal(filter.status, 'active');
+  assert.deepEqual(filter.$or[0], { expiresAt: null });
+  assert.ok(filter.$or[1].expiresAt.$gt <= new Date());
+});
+
+test('drawFromLots takes the soonest expiry first and lots that never expire last', async (t) => {
+  const never = lot(10, null);
+  const later = lot(4, 20);
+  const sooner = lot(3, 2);
+  // Same expiry as `later`, delivered earlier
+  const older = { ...lot(1, 20, 30), expiresAt: later.expiresAt };
+  t.mock.method(StockLot, 'find', () => query([never, later, sooner, older]));
+  t.mock.method(StockLot, 'findOneAndUpdate', () => query({}));
+
+  const allocations = await drawFromLots(id(), 9);
+
+  assert.deepEqual(allocations, [
+    { lot: sooner._id, quantity: 3 },
+    { lot: older._id, quantity: 1 },
+    { lot: later._id, quantity: 4 },
+    { lot: never._id, quantity: 1 }
+  ]);
+});
+
+test('drawFromLots skips a lot another checkout emptied first', async (t) => {
+  const first = lot(2, 1);
+  const second = lot(5, 3);
+  t.mock.method(StockLot, 'find', () => query([first, second]));
+  const update = t.mock.method(StockLot, 'findOneAndUpdate', (filter) => query(filter._id === first._id ? null : {}));
+
+  const allocations = await drawFromLots(id(), 4);
+
+  assert.deepEqual(allocations, [{ lot: second._id, quantity: 4 }]);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: first._id, remaining: { $gte: 2 } });
+});
+
+test('drawFromLots leaves what the lots cannot cover unallocated', async (t) => {
+  const only = lot(2, 5);
+  t.mock.method(StockLot, 'find', () => query([only]));
+  t.mock.method(StockLot, 'findOneAndUpdate', () => query({}));
+
+  assert.deepEqual(await drawFromLots(id(), 5), [{ lot: only._id, quantity: 2 }]);
+});
+
+// Stock writes for recordMovement: the item ends up with `stock`, movements are kept
+const mockStockWrites = (t, itemId, stock) => {
+  const change = t.mock.method(Inventory, 'findOneAndUpdate', () => query({ _id: itemId, stock }));
+  const create = t.mock.method(StockMovement, 'create', async (fields) => ({ _id: id(), ...fields }));
+  return { change, create };
+};
+
+test('writeOffExpiredLots writes off a lot only once when two runs race', async (t) => {
+  const itemId = id();
+  const expired = { _id: id(), inventory: itemId, remaining: 4, lotNumber: 'LOT-A' };
+  const taken = { _id: id(), inventory: itemId, remaining: 6, lotNumber: 'LOT-B' };
+  t.mock.method(StockLot, 'find', () => query([{ _id: expired._id }, { _id: taken._id }]));
+  // LOT-B was closed by the other run between the lookup and the claim
+  const claim = t.mock.method(StockLot, 'findOneAndUpdate', (filter) => query(filter._id === expired._id ? expired : null));
+  t.mock.method(Inventory, 'findById', () => query({ stock: 10 }));
+  const { create } = mockStockWrites(t, itemId, 6);
+
+  const result = await writeOffExpiredLots();
+
+  assert.deepEqual(result, { lots: 1, quantity: 4 });
+  assert.equal(claim.mock.calls[0].arguments[0].status, 'active');
+  assert.equal(claim.mock.calls[0].arguments[1].$set.status, 'written_off');
+  assert.equal(create.mock.callCount(), 1);
+  const [movement] = create.mock.calls[0].arguments;
+  assert.equal(movement.type, 'spoilage');
+  assert.equal(movement.quantity, -4);
+  assert.deepEqual(movement.lots, [{ lot: expired._id, quantity: 4 }]);
+});
+
+test('writeOffExpiredLots never writes off more than is on the shelf', async (t) => {
+  const itemId = id();
+  const expired = { _id: id(), inventory: itemId, remaining: 5, lotNumber: 'LOT-A' };
+  t.mock.method(StockLot, 'find', () => query([{ _id: expired._id }]));
+  t.mock.method(StockLot, 'findOneAndUpdate', () => query(expired));
+  t.mock.method(Inventory, 'findById', () => query({ stock: 2 }));
+  const { create } = mockStockWrites(t, itemId, 0);
+
+  const result = await writeOffExpiredLots();
+
+  assert.deepEqual(result, { lots: 1, quantity: 2 });
+  assert.equal(create.mock.calls[0].arguments[0].quantity, -2);
+});
+
+test('a sale writes off the item\'s expired lots before taking its stock', async (t) => {
+  const itemId = id();
+  const steps = [];
+  t.mock.method(StockLot, 'find', (filter) => {
+    steps.push(filter.expiresAt && filter.expiresAt.$lte ? 'find expired lots' : 'draw from lots');
+    if (filter.expiresAt && filter.expiresAt.$lte) assert.equal(filter.inventory, itemId);
+    return query([]);
+  });
+  t.mock.method(Inventory, 'findOneAndUpdate', (filter) => {
+    steps.push('take stock');
+    assert.deepEqual(filter.stock, { $gte: 2 });
+    return query({ _id: itemId, stock: 3 });
+  });
+  t.mock.method(StockMovement, 'create', async (fields) => ({ _id: id(), ...fields }));
+
+  const result = await recordMovement(itemId, { type: 'sale', quantity: 2 });
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(steps, ['find expired lots', 'take stock', 'draw from lots']);
+});
+
+test('a sale is refused when only expired stock was left', async (t) => {
+  const itemId = id();
+  const expired = { _id: id(), inventory: itemId, remaining: 3, lotNumber: 'LOT-A' };
+  let stock = 3;
+  t.mock.method(StockLot, 'find', (filter) => query(filter.expiresAt && filter.expiresAt.$lte ? [{ _id: expired._id }] : []));
+  t.mock.method(StockLot, 'findOneAndUpdate', () => query(expired));
+  t.mock.method(Inventory, 'findById', () => query({ stock }));
+  t.mock.method(Inventory, 'findOneAndUpdate', (filter, pipeline) => {
+    const delta = pipeline[0].$set.stock.$add[1];
+    if (filter.stock && stock < filter.stock.$gte) return query(null);
+    stock += delta;
+    return query({ _id: itemId, stock });
+  });
+  t.mock.method(Inventory, 'exists', async () => ({ _id: itemId }));
+  t.mock.method(StockMovement, 'create', async (fields) => ({ _id: id(), ...fields }));
+
+  const result = await recordMovement(itemId, { type: 'sale', quantity: 1 });
+
+  assert.deepEqual(result, { error: 'Not enough stock', status: 409 });
+  assert.equal(stock, 0);
+});